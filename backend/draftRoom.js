@@ -1,19 +1,75 @@
 // backend/draftRoom.js
 const WebSocket = require('ws');
+const http = require('http');
+const jwt = require('jsonwebtoken');
 const fs = require('fs-extra');
 const path = require('path');
+const { User, League, FantasyTeam, Player } = require('./models');
+const {
+  STARTING_SLOTS,
+  LIST_SLOTS,
+  DEFAULT_ROSTER_TEMPLATE,
+  normalizeRosterTemplate,
+  getStartingSlots,
+  findOpenSlot,
+  findPlayerSlot
+} = require('./helpers/rosterTemplate');
 
+// Error raised while authorising a connection; status is sent back on the upgrade
+class DraftAuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const DEFAULT_PICK_TIME_LIMIT = 90; // Seconds per pick in timed drafts
+const MIN_PICK_TIME_LIMIT = 10;
+const MAX_PICK_TIME_LIMIT = 600;
+const MAX_QUEUE_LENGTH = 50;
+const AUTO_DRAFT_DELAY = 2000; // Managers with auto-draft on pick after this long on the clock
+const DISCONNECTED_PICK_DELAY = 15000; // Grace period for a disconnected manager to come back
+const DEFAULT_AUCTION_BUDGET = 200;
+const MAX_AUCTION_BUDGET = 10000;
+const DEFAULT_BID_TIME_LIMIT = 15; // Seconds left on the clock after each new high bid
+const MIN_BID = 1;
+
+const createEmptyRoster = () => ({
+  ...Object.fromEntries(STARTING_SLOTS.map(slot => [slot, null])),
+  ...Object.fromEntries(LIST_SLOTS.map(slot => [slot, []]))
+});
+
+// Keep only what the draft room needs from an in-memory player or player document
+const toDraftPlayer = (player) => ({
+  id: player.id,
+  name: player.name,
+  position: player.position,
+  team: player.team,
+  region: player.region,
+  imageUrl: player.imageUrl || null
+});
+
+// Default autopick pool: the league's player pool as stored in MongoDB
+const loadLeaguePlayerPool = async (leagueId) => {
+  const league = await League.findOne({ id: leagueId });
+  if (!league || !league.playerPool.length) return [];
+  return Player.find({ id: { $in: league.playerPool } });
+};
+
+/**
+ * A single league's draft: its own state, chat, connected clients and state file
+ */
 class DraftRoom {
-  constructor(server) {
-    // If server is provided, set up WebSocket handling for /ws path
-    if (server) {
-      this.wss = new WebSocket.Server({ server, path: '/ws' });
-    } else {
-      // Create a standalone WebSocket server for use with draftServer.js
-      this.wss = null; // Will be set by setupWebSocketServer method
-    }
-    this.clients = new Map(); // Maps client WebSocket to user data
+  constructor(leagueId, dataDir, options = {}) {
+    this.leagueId = leagueId;
+    this.onDraftComplete = options.onDraftComplete || null; // Saves the results to the league once the draft ends
+    this.getPlayerPool = options.getPlayerPool || loadLeaguePlayerPool; // Players autopick can choose from
+    this.savingResults = false;
+    this.pickTimer = null;
+    this.autoDraftTimer = null;
+    this.clients = new Map(); // Maps client WebSocket to authenticated user data
     this.draftState = {
+      leagueId,
       participants: [],
       draftStarted: false,
       draftComplete: false,
@@ -22,135 +78,169 @@ class DraftRoom {
       draftHistory: [],
       teams: {},
       draftMode: 'timed', // Default draft mode with time constraints
+      draftType: 'snake', // 'snake' picks in turn, 'auction' nominates players and bids on them
+      auction: null, // { budget, bidTimeLimit, budgets, nomination } during auction drafts
+      pickTimeLimit: options.pickTimeLimit || DEFAULT_PICK_TIME_LIMIT, // Seconds per pick when timed
+      pickClock: null, // { deadline, remainingMs, paused } for the pick on the clock
+      resultsSaved: false, // Whether the rosters have been written to the league
+      resultsError: null,
+      queues: {}, // Username -> ordered players to pick when auto-drafting; private to each user
+      autoDraft: {}, // Username -> true when the room should always pick for them
+      scheduledDraft: null, // { scheduledAt, draftType } once the room opens ahead of a scheduled draft
+      rosterTemplate: { ...DEFAULT_ROSTER_TEMPLATE }, // The league's roster slots, fixed once the draft starts
+      keepers: [], // [{ teamId, round, player }] kept from last season; each one is its team's pick in that round
+      tradedPicks: {}, // 'round:originalTeamId' -> team that owns the pick, for picks traded away this season
+      leagueDraftOrder: [], // Team IDs in the league's order for this season, worst finish last season first
       chatMessages: [] // Store chat messages
     };
     
-    // Path to store draft state
-    this.dataDir = path.join(__dirname, 'data');
-    this.draftStatePath = path.join(this.dataDir, 'draftState.json');
+    // Path to store this room's draft state
+    this.dataDir = dataDir;
+    this.draftStatePath = path.join(this.dataDir, `${leagueId}.json`);
     
     // Ensure data directory exists
     fs.ensureDirSync(this.dataDir);
     
-    // Reset draft state on server restart (don't load previous state)
-    this.resetDraftStateFile();
-    
-    // Set up WebSocket connection handling
-    this.setupWebSocketServer();
-    
-    console.log('Draft room WebSocket server initialized with server');
+    // Pick up where the room left off if the server restarted mid-draft
+    this.loadDraftState();
+    this.restorePickClock();
   }
   
   loadDraftState() {
     try {
       if (fs.existsSync(this.draftStatePath)) {
         const data = fs.readFileSync(this.draftStatePath, 'utf8');
-        this.draftState = JSON.parse(data);
-        console.log('Loaded existing draft state');
+        this.draftState = { ...this.draftState, ...JSON.parse(data) };
+        console.log(`Loaded existing draft state for league ${this.leagueId}`);
       }
     } catch (error) {
-      console.error('Error loading draft state:', error);
+      console.error(`Error loading draft state for league ${this.leagueId}:`, error);
       // Continue with empty draft state
     }
   }
   
-  resetDraftStateFile() {
-    try {
-      // Write the empty draft state to the file
-      fs.writeFileSync(this.draftStatePath, JSON.stringify(this.draftState, null, 2));
-      console.log('Reset draft state file');
-    } catch (error) {
-      console.error('Error resetting draft state file:', error);
-    }
-  }
-  
   saveDraftState() {
     try {
       fs.writeFileSync(this.draftStatePath, JSON.stringify(this.draftState, null, 2));
     } catch (error) {
-      console.error('Error saving draft state:', error);
+      console.error(`Error saving draft state for league ${this.leagueId}:`, error);
     }
   }
   
-  setupWebSocketServer(port) {
-    // If this is being used with a standalone port (draftServer.js), create a new WebSocket server
-    if (port) {
-      this.wss = new WebSocket.Server({ port });
-      console.log(`Draft WebSocket server running on port ${port}`);
-    }
+  addClient(ws, user) {
+    this.clients.set(ws, user);
     
-    // Skip setup if wss is not initialized yet
-    if (!this.wss) return;
+    ws.on('message', (message) => {
+      try {
+        const data = JSON.parse(message);
+        this.handleMessage(ws, data);
+      } catch (error) {
+        console.error('Error handling message:', error);
+      }
+    });
     
-    this.wss.on('connection', (ws) => {
-      console.log('New client connected to draft room');
-      
-      ws.on('message', (message) => {
-        try {
-          const data = JSON.parse(message);
-          this.handleMessage(ws, data);
-        } catch (error) {
-          console.error('Error handling message:', error);
-        }
-      });
-      
-      ws.on('close', () => {
-        // Handle client disconnection
-        if (this.clients.has(ws)) {
-          const userData = this.clients.get(ws);
-          console.log(`Client disconnected: ${userData.username}`);
-          
-          // Note: We don't remove participants when they disconnect
-          // This allows them to reconnect and continue drafting
-          
-          this.clients.delete(ws);
-          
-          // Broadcast updated client list
-          this.broadcastParticipantStatus();
-        }
-      });
-      
-      // Send current draft state to new client
-      ws.send(JSON.stringify({
-        type: 'draftState',
-        data: this.draftState
-      }));
+    ws.on('close', () => {
+      // Handle client disconnection
+      if (this.clients.has(ws)) {
+        const userData = this.clients.get(ws);
+        console.log(`Client disconnected from draft room ${this.leagueId}: ${userData.username}`);
+        
+        // Note: We don't remove participants when they disconnect
+        // This allows them to reconnect and continue drafting
+        
+        this.clients.delete(ws);
+        
+        // Broadcast updated client list
+        this.broadcastParticipantStatus();
+        
+        // Pick for them if they're on the clock and don't come back
+        this.scheduleAutoDraft();
+      }
     });
+    
+    // Send current draft state to new client
+    ws.send(JSON.stringify({
+      type: 'draftState',
+      data: this.getDraftState()
+    }));
+    
+    // Tell the client what it is allowed to do in this room
+    ws.send(JSON.stringify({
+      type: 'roomInfo',
+      data: {
+        leagueId: this.leagueId,
+        username: user.username,
+        isCommissioner: user.isCommissioner,
+        canDraft: !!user.teamId
+      }
+    }));
+    
+    if (user.teamId) {
+      this.sendQueue(user.username);
+    }
   }
   
   handleMessage(ws, message) {
-    const { type, data } = message;
+    const { type, data = {} } = message;
+    
+    // Identity always comes from the authenticated connection, never from the message
+    const user = this.clients.get(ws);
+    if (!user) return;
     
     switch (type) {
       case 'join':
-        this.handleJoin(ws, data);
+        this.handleJoin(ws, user);
         break;
       case 'startDraft':
-        this.handleStartDraft(data);
+        this.handleStartDraft(ws, user, data);
         break;
       case 'draftPlayer':
-        this.handleDraftPlayer(data);
+        this.handleDraftPlayer(ws, user, data);
+        break;
+      case 'nominate':
+        this.handleNominate(ws, user, data);
+        break;
+      case 'bid':
+        this.handleBid(ws, user, data);
         break;
       case 'setDraftMode':
-        this.handleSetDraftMode(data);
+        this.handleSetDraftMode(ws, user, data);
         break;
       case 'endDraft':
-        this.handleEndDraft(data);
+        this.handleEndDraft(ws, user);
+        break;
+      case 'pauseDraft':
+        this.handlePauseDraft(ws, user);
+        break;
+      case 'resumeDraft':
+        this.handleResumeDraft(ws, user);
+        break;
+      case 'queueAdd':
+        this.handleQueueAdd(ws, user, data);
+        break;
+      case 'queueRemove':
+        this.handleQueueRemove(ws, user, data);
+        break;
+      case 'queueReorder':
+        this.handleQueueReorder(ws, user, data);
+        break;
+      case 'setAutoDraft':
+        this.handleSetAutoDraft(ws, user, data);
         break;
       case 'chat':
-        this.handleChat(data);
+        this.handleChat(user, data);
         break;
       default:
         console.log(`Unknown message type: ${type}`);
     }
   }
   
-  handleSetDraftMode(data) {
-    const { username, mode } = data;
+  handleSetDraftMode(ws, user, data) {
+    const { mode, pickTimeLimit } = data;
     
-    // Only user 'shark' can change draft mode
-    if (username !== 'shark') {
-      return;
+    // Only the commissioner can change draft mode
+    if (!user.isCommissioner) {
+      return this.sendError(ws, 'Only the league commissioner can change the draft mode');
     }
     
     // Ensure mode is valid
@@ -158,38 +248,52 @@ class DraftRoom {
       return;
     }
     
+    if (pickTimeLimit !== undefined && !this.setPickTimeLimit(pickTimeLimit)) {
+      return this.sendError(ws, `Pick time must be between ${MIN_PICK_TIME_LIMIT} and ${MAX_PICK_TIME_LIMIT} seconds`);
+    }
+    
     // Update draft mode
     this.draftState.draftMode = mode;
     
+    // Switching modes mid-draft starts or stops the clock for the current pick.
+    // Auction bidding always runs on its own clock.
+    if (this.isDraftInProgress() && !this.draftState.auction?.nomination) {
+      if (mode === 'timed') {
+        this.startPickClock();
+      } else {
+        this.clearPickClock();
+      }
+    }
+    
     // Save and broadcast updated state
     this.saveDraftState();
     this.broadcastDraftState();
     
-    console.log(`Draft mode set to ${mode} by ${username}`);
+    console.log(`Draft mode for league ${this.leagueId} set to ${mode} by ${user.username}`);
   }
   
-  handleJoin(ws, data) {
-    const { username } = data;
+  handleJoin(ws, user) {
+    const { username } = user;
     
-    // Store client information
-    this.clients.set(ws, { username });
+    // Spectators can watch and chat, but only team owners take part in the draft
+    if (!user.teamId) {
+      return this.sendError(ws, 'Only team owners in this league can join the draft');
+    }
     
     // Add to participants if not already there
     if (!this.draftState.participants.includes(username)) {
+      if (this.draftState.draftStarted) {
+        return this.sendError(ws, 'The draft has already started');
+      }
+      
       this.draftState.participants.push(username);
       
       // Initialize empty team for new participant
       this.draftState.teams[username] = {
         name: username,
-        players: {
-          TOP: null,
-          JUNGLE: null,
-          MID: null,
-          ADC: null,
-          SUPPORT: null,
-          FLEX: null,
-          BENCH: []
-        }
+        userId: user.userId,
+        teamId: user.teamId,
+        players: createEmptyRoster()
       };
       
       // Save updated state
@@ -199,20 +303,34 @@ class DraftRoom {
     // Broadcast updated participant list
     this.broadcastParticipantStatus();
     
-    console.log(`User joined: ${username}`);
+    console.log(`User joined draft room ${this.leagueId}: ${username}`);
   }
   
-  handleStartDraft(data) {
-    const { username, mode } = data;
+  handleStartDraft(ws, user, data) {
+    // Only the commissioner can start the draft
+    if (!user.isCommissioner) {
+      return this.sendError(ws, 'Only the league commissioner can start the draft');
+    }
     
-    // Only user 'shark' can start the draft
-    if (username !== 'shark') {
-      return;
+    const error = this.startDraft(data);
+    if (error) {
+      return this.sendError(ws, error);
     }
     
+    console.log(`${this.draftState.draftType} draft for league ${this.leagueId} started by ${user.username} in ${this.draftState.draftMode} mode`);
+  }
+  
+  /**
+   * Start the draft with the current participants
+   * @param {Object} options - { mode, pickTimeLimit, draftType, budget, bidTimeLimit, draftOrder }
+   * @returns {String|null} - Why the draft couldn't start, or null once it has
+   */
+  startDraft(options = {}) {
+    const { mode, pickTimeLimit, draftType = 'snake', budget = DEFAULT_AUCTION_BUDGET, bidTimeLimit = DEFAULT_BID_TIME_LIMIT, draftOrder = this.getLeagueDraftOrder() } = options;
+    
     // Need at least 2 participants
     if (this.draftState.participants.length < 2) {
-      return;
+      return 'Need at least 2 participants to start the draft';
     }
     
     // Set draft mode if provided
@@ -220,74 +338,215 @@ class DraftRoom {
       this.draftState.draftMode = mode;
     }
     
-    // Set draft order (randomized)
-    const shuffledParticipants = [...this.draftState.participants].sort(() => Math.random() - 0.5);
+    if (pickTimeLimit !== undefined && !this.setPickTimeLimit(pickTimeLimit)) {
+      return `Pick time must be between ${MIN_PICK_TIME_LIMIT} and ${MAX_PICK_TIME_LIMIT} seconds`;
+    }
+    
+    if (draftType !== 'snake' && draftType !== 'auction') {
+      return 'Draft type must be snake or auction';
+    }
+    
+    if (draftType === 'auction') {
+      const startingBudget = Number(budget);
+      const bidSeconds = Number(bidTimeLimit);
+      
+      // Everyone needs at least the minimum bid for every roster spot
+      const minBudget = this.picksPerTeam() * MIN_BID;
+      if (!Number.isInteger(startingBudget) || startingBudget < minBudget || startingBudget > MAX_AUCTION_BUDGET) {
+        return `Auction budget must be between $${minBudget} and $${MAX_AUCTION_BUDGET}`;
+      }
+      if (!Number.isInteger(bidSeconds) || bidSeconds < 5 || bidSeconds > 120) {
+        return 'Bid time must be between 5 and 120 seconds';
+      }
+      
+      this.draftState.auction = {
+        budget: startingBudget,
+        bidTimeLimit: bidSeconds,
+        budgets: Object.fromEntries(this.draftState.participants.map(username => [username, startingBudget])),
+        nomination: null
+      };
+    } else {
+      this.draftState.auction = null;
+    }
+    this.draftState.draftType = draftType;
     
-    this.draftState.draftOrder = shuffledParticipants;
+    // Set draft order: any fixed order first, then everyone else randomized
+    const orderedParticipants = draftOrder.filter(username => this.draftState.participants.includes(username));
+    const shuffledParticipants = this.draftState.participants
+      .filter(username => !orderedParticipants.includes(username))
+      .sort(() => Math.random() - 0.5);
+    
+    this.draftState.draftOrder = [...orderedParticipants, ...shuffledParticipants];
     this.draftState.draftStarted = true;
+    this.draftState.draftComplete = false;
     this.draftState.currentPickIndex = 0;
     this.draftState.draftHistory = [];
+    this.draftState.resultsSaved = false;
+    this.draftState.resultsError = null;
+    this.draftState.scheduledDraft = null;
+    
+    // Keepers hold their roster spots from the start; in an auction they're all in before bidding opens
+    this.placeKeepers();
+    if (draftType === 'auction') {
+      for (const username of this.draftState.draftOrder) {
+        this.pendingKeepers(username).forEach(keeper => this.recordPick(username, keeper.player, { keeper: true, price: 0 }));
+      }
+      if (this.isRosterFull(this.draftState.draftOrder[0])) {
+        this.draftState.currentPickIndex = this.nextNominatorIndex();
+      }
+    } else {
+      this.fillKeeperPicks();
+    }
+    
+    // The first pick goes on the clock straight away
+    this.startPickClock();
+    this.scheduleAutoDraft();
     
     // Save and broadcast updated state
     this.saveDraftState();
     this.broadcastDraftState();
     
-    console.log(`Draft started by ${username} in ${this.draftState.draftMode} mode`);
+    return null;
   }
   
-  handleDraftPlayer(data) {
-    const { username, player } = data;
+  /**
+   * Open the room ahead of a scheduled draft: every team in the league is entered
+   * as a participant so the draft can start without anyone pressing join
+   * @param {Object} schedule - { scheduledAt, draftType }
+   * @param {Array} teams - [{ username, userId, teamId }] for each team in the league
+   */
+  openScheduledDraft(schedule, teams) {
+    if (this.isDraftInProgress()) return;
+    
+    // A finished draft from before makes way for the scheduled one
+    if (this.draftState.draftComplete) {
+      this.resetDraft();
+    }
+    
+    for (const { username, userId, teamId } of teams) {
+      if (!this.draftState.participants.includes(username)) {
+        this.draftState.participants.push(username);
+        this.draftState.teams[username] = {
+          name: username,
+          userId,
+          teamId,
+          players: createEmptyRoster()
+        };
+      }
+    }
+    
+    this.draftState.scheduledDraft = {
+      scheduledAt: new Date(schedule.scheduledAt).toISOString(),
+      draftType: schedule.draftType
+    };
+    
+    this.saveDraftState();
+    this.broadcastDraftState();
+    
+    console.log(`Opened draft room ${this.leagueId} for the draft scheduled at ${this.draftState.scheduledDraft.scheduledAt}`);
+  }
+  
+  /**
+   * Start a scheduled draft when its time arrives
+   * @param {Object} options - Same as startDraft
+   * @returns {String|null} - Why the draft couldn't start, or null once it has
+   */
+  startScheduledDraft(options) {
+    if (this.isDraftInProgress()) {
+      return 'A draft is already in progress';
+    }
+    
+    const error = this.startDraft(options);
+    if (!error) {
+      console.log(`Scheduled ${this.draftState.draftType} draft for league ${this.leagueId} started`);
+    }
+    return error;
+  }
+  
+  handleDraftPlayer(ws, user, data) {
+    const { player } = data;
+    const { username } = user;
     
     // Validate draft is in progress
-    if (!this.draftState.draftStarted || this.draftState.draftComplete) {
+    if (!this.isDraftInProgress() || !player) {
       return;
     }
     
-    // In untimed mode, any participant can draft when it's their turn
-    // In timed mode, validate it's the user's turn
-    let allowDraft = false;
-    const currentDrafter = this.draftState.draftOrder[this.draftState.currentPickIndex];
+    if (this.draftState.draftType === 'auction') {
+      return this.sendError(ws, 'Players are nominated and bid on in an auction draft');
+    }
     
-    if (this.draftState.draftMode === 'untimed') {
-      // In untimed mode, allow any participant to draft when it's their turn
-      if (username === currentDrafter) {
-        allowDraft = true;
-      }
-    } else {
-      // In timed mode, strict enforcement of current drafter
-      if (username === currentDrafter) {
-        allowDraft = true;
-      }
+    if (this.draftState.pickClock?.paused) {
+      return this.sendError(ws, 'The draft is paused');
     }
     
-    if (!allowDraft) {
-      return;
+    // Only the team owner whose turn it is can pick
+    const currentDrafter = this.currentDrafter();
+    if (!user.teamId || username !== currentDrafter) {
+      return this.sendError(ws, 'It is not your turn to pick');
     }
     
-    // Determine best position for player
-    const team = this.draftState.teams[currentDrafter];
-    let positionToFill = '';
+    // A player can only be drafted once per room
+    if (this.isDrafted(player.id)) {
+      return this.sendError(ws, `${player.name} has already been drafted`);
+    }
     
-    // Try to place in primary position first
-    if (!team.players[player.position]) {
-      positionToFill = player.position;
-    } 
-    // Try FLEX position
-    else if (!team.players.FLEX) {
-      positionToFill = 'FLEX';
+    if (!this.findOpenSlot(this.draftState.teams[currentDrafter].players, player)) {
+      return this.sendError(ws, `No open roster slot for ${player.name}`);
     }
-    // Try bench
-    else if (team.players.BENCH.length < 3) {
-      positionToFill = 'BENCH';
+    
+    this.makePick(currentDrafter, player);
+  }
+  
+  /**
+   * Record a pick for the drafter on the clock and move the draft on.
+   * The player must be undrafted and fit on the drafter's roster.
+   */
+  makePick(currentDrafter, player, autoPicked = false) {
+    this.recordPick(currentDrafter, player, { autoPicked });
+    this.advancePick();
+    
+    // Managers with a keeper due skip straight past their pick
+    this.fillKeeperPicks();
+    
+    if (this.draftState.draftComplete) {
+      this.clearPickClock();
     } else {
-      // No valid position
-      return;
+      this.startPickClock();
+    }
+    
+    // Save and broadcast updated state
+    this.saveDraftState();
+    this.broadcastDraftState();
+    
+    if (!this.draftState.draftComplete) {
+      this.scheduleAutoDraft();
+    }
+    
+    console.log(`Player ${autoPicked ? 'autopicked' : 'drafted'} in league ${this.leagueId}: ${player.name} by ${currentDrafter}`);
+    
+    if (this.draftState.draftComplete) {
+      this.saveResults();
     }
+  }
+  
+  /**
+   * Put a player on a manager's roster in the best open slot and add the pick to the history
+   * @param {String} username - Manager who gets the player
+   * @param {Object} player - Player being drafted
+   * @param {Object} details - Extra fields for the history entry (autoPicked, price, ...)
+   */
+  recordPick(username, player, details = {}) {
+    const team = this.draftState.teams[username];
+    
+    // Keepers are already on the roster from the start of the draft
+    const keptSlot = details.keeper ? findPlayerSlot(team.players, player.id) : null;
+    const positionToFill = keptSlot || this.findOpenSlot(team.players, player);
     
     // Update team
-    if (positionToFill === 'BENCH') {
-      team.players.BENCH.push(player);
-    } else {
+    if (!keptSlot && LIST_SLOTS.includes(positionToFill)) {
+      team.players[positionToFill] = [...(team.players[positionToFill] || []), player];
+    } else if (!keptSlot) {
       team.players[positionToFill] = player;
     }
     
@@ -295,28 +554,652 @@ class DraftRoom {
     const draftPick = {
       round: Math.floor(this.draftState.draftHistory.length / this.draftState.draftOrder.length) + 1,
       pick: this.draftState.draftHistory.length + 1,
-      user: currentDrafter,
+      user: username,
       player: player,
-      position: positionToFill
+      position: positionToFill,
+      ...details
     };
     
     this.draftState.draftHistory.push(draftPick);
     
-    // Calculate next drafter index for snake draft
-    const nextIndex = this.calculateNextPickIndex();
-    this.draftState.currentPickIndex = nextIndex;
+    // A drafted player comes off everyone's queue
+    this.removeFromQueues(player.id);
+    
+    return draftPick;
+  }
+  
+  // Move the draft on to the next pick, finishing it once each manager has filled every starting slot
+  advancePick() {
+    this.draftState.currentPickIndex = this.calculateNextPickIndex();
     
-    // Check if draft is complete (each user gets 6 picks)
-    const totalPicks = this.draftState.draftOrder.length * 6;
+    const totalPicks = this.draftState.draftOrder.length * this.picksPerTeam();
     if (this.draftState.draftHistory.length >= totalPicks) {
       this.draftState.draftComplete = true;
     }
+  }
+  
+  /**
+   * Use the players a league's teams kept from last season in the next draft;
+   * a draft in progress keeps its own
+   * @param {Object} league - League document with its keepers
+   */
+  async loadKeepers(league) {
+    if (this.isDraftInProgress()) return;
+    
+    const keepers = league.keepers || [];
+    const players = keepers.length > 0 ? await Player.find({ id: { $in: keepers.map(keeper => keeper.playerId) } }) : [];
+    const playersById = new Map(players.map(player => [player.id, toDraftPlayer(player)]));
+    
+    if (this.isDraftInProgress()) return;
+    this.draftState.keepers = keepers
+      .filter(keeper => playersById.has(keeper.playerId))
+      .map(({ teamId, round, playerId }) => ({ teamId, round, player: playersById.get(playerId) }));
+  }
+  
+  // Put every participant's keepers on their roster; keepers the roster has no room for are let go
+  placeKeepers() {
+    const participantTeams = new Map(Object.values(this.draftState.teams).map(team => [team.teamId, team]));
+    
+    this.draftState.keepers = (this.draftState.keepers || [])
+      .filter(keeper => participantTeams.has(keeper.teamId))
+      .sort((a, b) => a.round - b.round)
+      .filter(keeper => {
+        const roster = participantTeams.get(keeper.teamId).players;
+        const slot = this.findOpenSlot(roster, keeper.player);
+        if (!slot) return false;
+        
+        if (LIST_SLOTS.includes(slot)) {
+          roster[slot] = [...(roster[slot] || []), keeper.player];
+        } else {
+          roster[slot] = keeper.player;
+        }
+        return true;
+      });
+  }
+  
+  // A manager's keepers that haven't been used as a pick yet, earliest round first
+  pendingKeepers(username) {
+    const teamId = this.draftState.teams[username]?.teamId;
+    return (this.draftState.keepers || [])
+      .filter(keeper => keeper.teamId === teamId && !this.draftState.draftHistory.some(pick => pick.player.id === keeper.player.id))
+      .sort((a, b) => a.round - b.round);
+  }
+  
+  // While the manager on the clock has a keeper due by this round, the keeper is their pick
+  fillKeeperPicks() {
+    while (this.isDraftInProgress()) {
+      const { draftOrder, draftHistory } = this.draftState;
+      const drafter = this.currentDrafter();
+      const round = Math.floor(draftHistory.length / draftOrder.length) + 1;
+      
+      const keeper = this.pendingKeepers(drafter).find(pending => Math.min(pending.round, this.picksPerTeam()) <= round);
+      if (!keeper) return;
+      
+      this.recordPick(drafter, keeper.player, { keeper: true });
+      this.advancePick();
+      console.log(`${drafter} kept ${keeper.player.name} with their round ${round} pick in league ${this.leagueId}`);
+    }
+  }
+  
+  // Clear out a finished draft so the room can hold the next one
+  resetDraft() {
+    if (this.isDraftInProgress()) return;
+    
+    this.draftState.draftStarted = false;
+    this.draftState.draftComplete = false;
+    this.draftState.draftHistory = [];
+    this.draftState.draftOrder = [];
+    this.draftState.currentPickIndex = 0;
+    this.draftState.participants = [];
+    this.draftState.teams = {};
+    
+    // A restart must not bring the finished draft back
+    this.saveDraftState();
+  }
+  
+  /**
+   * Use a league's roster template for the next draft; a draft in progress keeps its own
+   * @param {Object} template - The league's roster template
+   */
+  setRosterTemplate(template) {
+    if (this.isDraftInProgress()) return;
+    this.draftState.rosterTemplate = normalizeRosterTemplate(template);
+  }
+  
+  /**
+   * Use the picks a league's teams traded for this season's draft; a draft in progress keeps its own
+   * @param {Object} league - League document with its traded picks
+   */
+  setTradedPicks(league) {
+    if (this.isDraftInProgress()) return;
+    const season = league.season || 1;
+    this.draftState.tradedPicks = Object.fromEntries(
+      (league.tradedPicks || [])
+        .filter(pick => pick.season === season)
+        .map(pick => [`${pick.round}:${pick.originalTeamId}`, pick.ownerTeamId])
+    );
+  }
+  
+  /**
+   * Use the draft order a league set for this season; a draft in progress keeps its own
+   * @param {Object} league - League document with its draft order
+   */
+  setLeagueDraftOrder(league) {
+    if (this.isDraftInProgress()) return;
+    this.draftState.leagueDraftOrder = [...(league.draftOrder || [])];
+  }
+  
+  // The league's draft order as participant usernames; teams not in the room are left out
+  getLeagueDraftOrder() {
+    const usernamesByTeam = new Map(Object.entries(this.draftState.teams).map(([username, team]) => [team.teamId, username]));
+    return (this.draftState.leagueDraftOrder || []).map(teamId => usernamesByTeam.get(teamId)).filter(Boolean);
+  }
+  
+  /**
+   * Manager on the clock: whoever owns the current pick, which is the manager in that spot of
+   * the draft order unless their pick for this round was traded away
+   */
+  currentDrafter() {
+    const { draftOrder, draftHistory, currentPickIndex, teams, tradedPicks } = this.draftState;
+    const slotOwner = draftOrder[currentPickIndex];
+    if (this.draftState.draftType === 'auction' || !teams[slotOwner]) return slotOwner;
+    
+    const round = Math.floor(draftHistory.length / draftOrder.length) + 1;
+    const ownerTeamId = (tradedPicks || {})[`${round}:${teams[slotOwner].teamId}`];
+    if (!ownerTeamId) return slotOwner;
+    
+    const owner = draftOrder.find(username => teams[username]?.teamId === ownerTeamId);
+    return owner || slotOwner;
+  }
+  
+  // Slot a player would take on a draft roster, or null if the roster has no room for them
+  findOpenSlot(roster, player) {
+    return findOpenSlot(roster, player, this.draftState.rosterTemplate);
+  }
+  
+  // Each manager drafts one player for every starting slot
+  picksPerTeam() {
+    return getStartingSlots(this.draftState.rosterTemplate).length;
+  }
+  
+  picksMade(username) {
+    return this.draftState.draftHistory.filter(pick => pick.user === username).length;
+  }
+  
+  isRosterFull(username) {
+    return this.picksMade(username) >= this.picksPerTeam();
+  }
+  
+  // The most a manager can bid while keeping the minimum bid for each roster spot still to fill
+  getMaxBid(username) {
+    const spotsAfterThis = this.picksPerTeam() - this.picksMade(username) - 1;
+    return this.draftState.auction.budgets[username] - spotsAfterThis * MIN_BID;
+  }
+  
+  // Why a manager can't bid this amount on a player, or null if they can
+  validateBid(username, player, amount) {
+    if (!Number.isInteger(amount) || amount < MIN_BID) {
+      return `Bids must be whole amounts of at least $${MIN_BID}`;
+    }
+    if (this.isRosterFull(username) || !this.findOpenSlot(this.draftState.teams[username].players, player)) {
+      return `No open roster slot for ${player.name}`;
+    }
+    const maxBid = this.getMaxBid(username);
+    if (amount > maxBid) {
+      return `Your maximum bid is $${maxBid}, so you can still fill your roster`;
+    }
+    return null;
+  }
+  
+  handleNominate(ws, user, data) {
+    const { player, amount = MIN_BID } = data;
+    const { auction } = this.draftState;
+    
+    if (!this.isDraftInProgress() || this.draftState.draftType !== 'auction' || !player) {
+      return;
+    }
+    
+    if (this.draftState.pickClock?.paused) {
+      return this.sendError(ws, 'The draft is paused');
+    }
+    
+    if (auction.nomination) {
+      return this.sendError(ws, `Bidding on ${auction.nomination.player.name} is still open`);
+    }
+    
+    // Managers take turns nominating, in draft order
+    const nominator = this.draftState.draftOrder[this.draftState.currentPickIndex];
+    if (!user.teamId || user.username !== nominator) {
+      return this.sendError(ws, 'It is not your turn to nominate');
+    }
+    
+    if (this.isDrafted(player.id)) {
+      return this.sendError(ws, `${player.name} has already been drafted`);
+    }
+    
+    // Nominating is also the opening bid
+    const bidError = this.validateBid(nominator, player, Number(amount));
+    if (bidError) {
+      return this.sendError(ws, bidError);
+    }
+    
+    this.nominate(nominator, toDraftPlayer(player), Number(amount));
+  }
+  
+  /**
+   * Open bidding on a player with the nominator holding the opening bid
+   */
+  nominate(nominator, player, amount, autoNominated = false) {
+    this.draftState.auction.nomination = {
+      player,
+      nominatedBy: nominator,
+      highBid: amount,
+      highBidder: nominator,
+      autoNominated
+    };
+    
+    clearTimeout(this.autoDraftTimer);
+    this.autoDraftTimer = null;
+    this.runPickClock(this.draftState.auction.bidTimeLimit * 1000);
+    
+    this.saveDraftState();
+    this.broadcastDraftState();
+    
+    console.log(`${player.name} ${autoNominated ? 'auto-nominated' : 'nominated'} in league ${this.leagueId} by ${nominator} for $${amount}`);
+  }
+  
+  handleBid(ws, user, data) {
+    const { nomination } = this.draftState.auction || {};
+    const amount = Number(data.amount);
+    
+    if (!this.isDraftInProgress() || !nomination) {
+      return this.sendError(ws, 'There is no player up for bidding');
+    }
+    
+    if (this.draftState.pickClock?.paused) {
+      return this.sendError(ws, 'The draft is paused');
+    }
+    
+    if (!user.teamId || !this.draftState.teams[user.username]) {
+      return this.sendError(ws, 'Only managers in this draft can bid');
+    }
+    
+    if (nomination.highBidder === user.username) {
+      return this.sendError(ws, 'You already have the high bid');
+    }
+    
+    if (amount <= nomination.highBid) {
+      return this.sendError(ws, `Bids must be more than $${nomination.highBid}`);
+    }
+    
+    const bidError = this.validateBid(user.username, nomination.player, amount);
+    if (bidError) {
+      return this.sendError(ws, bidError);
+    }
+    
+    nomination.highBid = amount;
+    nomination.highBidder = user.username;
+    
+    // Every new high bid resets the countdown
+    this.runPickClock(this.draftState.auction.bidTimeLimit * 1000);
+    
+    this.saveDraftState();
+    this.broadcastDraftState();
+  }
+  
+  /**
+   * Bidding time ran out: the high bidder wins the player and pays their bid,
+   * then the next manager with an open roster spot nominates
+   */
+  closeBidding() {
+    const { auction } = this.draftState;
+    const { nomination } = auction;
+    auction.nomination = null;
+    
+    auction.budgets[nomination.highBidder] -= nomination.highBid;
+    this.recordPick(nomination.highBidder, nomination.player, {
+      price: nomination.highBid,
+      nominatedBy: nomination.nominatedBy
+    });
+    
+    if (this.draftState.draftOrder.every(username => this.isRosterFull(username))) {
+      this.draftState.draftComplete = true;
+      this.clearPickClock();
+    } else {
+      this.draftState.currentPickIndex = this.nextNominatorIndex();
+      this.startPickClock();
+    }
     
-    // Save and broadcast updated state
     this.saveDraftState();
     this.broadcastDraftState();
     
-    console.log(`Player drafted: ${player.name} by ${username}`);
+    console.log(`${nomination.player.name} won in league ${this.leagueId} by ${nomination.highBidder} for $${nomination.highBid}`);
+    
+    if (this.draftState.draftComplete) {
+      this.saveResults();
+    } else {
+      this.scheduleAutoDraft();
+    }
+  }
+  
+  // Managers with full rosters are skipped when nominating
+  nextNominatorIndex() {
+    const { draftOrder, currentPickIndex } = this.draftState;
+    for (let offset = 1; offset <= draftOrder.length; offset++) {
+      const index = (currentPickIndex + offset) % draftOrder.length;
+      if (!this.isRosterFull(draftOrder[index])) {
+        return index;
+      }
+    }
+    return currentPickIndex;
+  }
+  
+  // Bidding closes when its clock runs out; otherwise the manager on the clock ran out of time
+  handleClockExpired() {
+    this.pickTimer = null;
+    if (this.draftState.auction?.nomination) {
+      return this.closeBidding();
+    }
+    this.autoPick();
+  }
+  
+  isDraftInProgress() {
+    return this.draftState.draftStarted && !this.draftState.draftComplete;
+  }
+  
+  // Drafted already, or kept by one of the teams
+  isDrafted(playerId) {
+    return this.draftState.draftHistory.some(pick => pick.player.id === playerId) ||
+      (this.draftState.keepers || []).some(keeper => keeper.player.id === playerId);
+  }
+  
+  /**
+   * Pick for the drafter whose time ran out: the first player in their queue that fits,
+   * otherwise the best available player by average fantasy points, preferring positions
+   * they haven't filled yet. In an auction draft the player is nominated for the minimum bid.
+   */
+  async autoPick() {
+    clearTimeout(this.pickTimer);
+    clearTimeout(this.autoDraftTimer);
+    this.pickTimer = null;
+    this.autoDraftTimer = null;
+    if (!this.isDraftInProgress() || this.draftState.auction?.nomination) return;
+    
+    const currentDrafter = this.currentDrafter();
+    const roster = this.draftState.teams[currentDrafter].players;
+    const pickNumber = this.draftState.draftHistory.length;
+    
+    const fits = player => player && !this.isDrafted(player.id) && this.findOpenSlot(roster, player);
+    let player = (this.draftState.queues?.[currentDrafter] || []).find(fits);
+    
+    if (!player) {
+      try {
+        const pool = (await this.getPlayerPool(this.leagueId))
+          .filter(fits)
+          .sort((a, b) => b.getAverageFantasyPoints() - a.getAverageFantasyPoints());
+        const best = pool.find(candidate => this.findOpenSlot(roster, candidate) === candidate.position) || pool[0];
+        player = best ? toDraftPlayer(best) : null;
+      } catch (error) {
+        console.error(`Error loading player pool for autopick in league ${this.leagueId}:`, error);
+      }
+      
+      // Someone may have picked, or the commissioner paused, while the pool was loading
+      if (
+        this.draftState.draftHistory.length !== pickNumber ||
+        !this.isDraftInProgress() ||
+        this.draftState.pickClock?.paused ||
+        this.draftState.auction?.nomination
+      ) return;
+    }
+    
+    if (!player) {
+      // Nothing to pick from; stop the clock so the commissioner can sort it out
+      this.pausePickClock();
+      this.saveDraftState();
+      this.broadcastDraftState();
+      this.broadcastError(`Could not autopick for ${currentDrafter}: no available players fit their roster. The draft is paused.`);
+      return;
+    }
+    
+    if (this.draftState.draftType === 'auction') {
+      this.nominate(currentDrafter, player, MIN_BID, true);
+    } else {
+      this.makePick(currentDrafter, player, true);
+    }
+  }
+  
+  isConnected(username) {
+    return [...this.clients.values()].some(client => client.username === username);
+  }
+  
+  /**
+   * Pick straight away for a drafter who has auto-draft on, or after a grace period
+   * for one who has disconnected, instead of waiting out their whole clock
+   */
+  scheduleAutoDraft() {
+    clearTimeout(this.autoDraftTimer);
+    this.autoDraftTimer = null;
+    if (!this.isDraftInProgress() || this.draftState.pickClock?.paused || this.draftState.auction?.nomination) return;
+    
+    const currentDrafter = this.currentDrafter();
+    const pickNumber = this.draftState.draftHistory.length;
+    
+    let delay = null;
+    if (this.draftState.autoDraft[currentDrafter]) {
+      delay = AUTO_DRAFT_DELAY;
+    } else if (!this.isConnected(currentDrafter)) {
+      delay = DISCONNECTED_PICK_DELAY;
+    }
+    if (delay === null) return;
+    
+    this.autoDraftTimer = setTimeout(() => {
+      this.autoDraftTimer = null;
+      const stillAway = this.draftState.autoDraft[currentDrafter] || !this.isConnected(currentDrafter);
+      if (this.draftState.draftHistory.length === pickNumber && stillAway) {
+        this.autoPick();
+      }
+    }, delay);
+  }
+  
+  getQueue(username) {
+    if (!this.draftState.queues[username]) {
+      this.draftState.queues[username] = [];
+    }
+    return this.draftState.queues[username];
+  }
+  
+  handleQueueAdd(ws, user, data) {
+    const { player } = data;
+    if (!user.teamId) {
+      return this.sendError(ws, 'Only team owners in this league can queue players');
+    }
+    if (!player || !player.id || !player.name || !player.position) {
+      return;
+    }
+    if (this.isDrafted(player.id)) {
+      return this.sendError(ws, `${player.name} has already been drafted`);
+    }
+    
+    const queue = this.getQueue(user.username);
+    if (queue.some(queued => queued.id === player.id)) {
+      return;
+    }
+    if (queue.length >= MAX_QUEUE_LENGTH) {
+      return this.sendError(ws, `Your queue can hold at most ${MAX_QUEUE_LENGTH} players`);
+    }
+    
+    queue.push(toDraftPlayer(player));
+    this.saveDraftState();
+    this.sendQueue(user.username);
+  }
+  
+  handleQueueRemove(ws, user, data) {
+    const { playerId } = data;
+    if (!user.teamId) return;
+    
+    const queue = this.getQueue(user.username);
+    this.draftState.queues[user.username] = queue.filter(queued => queued.id !== playerId);
+    this.saveDraftState();
+    this.sendQueue(user.username);
+  }
+  
+  handleQueueReorder(ws, user, data) {
+    const { playerIds } = data;
+    if (!user.teamId || !Array.isArray(playerIds)) return;
+    
+    // The new order must contain exactly the players already queued
+    const queue = this.getQueue(user.username);
+    const byId = new Map(queue.map(queued => [queued.id, queued]));
+    if (playerIds.length !== queue.length || !playerIds.every(id => byId.has(id))) {
+      this.sendQueue(user.username);
+      return this.sendError(ws, 'Your queue changed; please try reordering again');
+    }
+    
+    this.draftState.queues[user.username] = playerIds.map(id => byId.get(id));
+    this.saveDraftState();
+    this.sendQueue(user.username);
+  }
+  
+  handleSetAutoDraft(ws, user, data) {
+    if (!user.teamId) {
+      return this.sendError(ws, 'Only team owners in this league can auto-draft');
+    }
+    
+    if (data.enabled) {
+      this.draftState.autoDraft[user.username] = true;
+    } else {
+      delete this.draftState.autoDraft[user.username];
+    }
+    
+    this.saveDraftState();
+    this.sendQueue(user.username);
+    this.scheduleAutoDraft();
+  }
+  
+  removeFromQueues(playerId) {
+    Object.keys(this.draftState.queues).forEach(username => {
+      const queue = this.draftState.queues[username];
+      if (queue.some(queued => queued.id === playerId)) {
+        this.draftState.queues[username] = queue.filter(queued => queued.id !== playerId);
+        this.sendQueue(username);
+      }
+    });
+  }
+  
+  // Queues are private, so they go only to the owner's own connections
+  sendQueue(username) {
+    const message = JSON.stringify({
+      type: 'queueUpdate',
+      data: {
+        queue: this.draftState.queues[username] || [],
+        autoDraft: !!this.draftState.autoDraft[username]
+      }
+    });
+    
+    this.clients.forEach((user, client) => {
+      if (user.username === username && client.readyState === WebSocket.OPEN) {
+        client.send(message);
+      }
+    });
+  }
+  
+  handlePauseDraft(ws, user) {
+    if (!user.isCommissioner) {
+      return this.sendError(ws, 'Only the league commissioner can pause the draft');
+    }
+    
+    if (!this.isDraftInProgress() || !this.draftState.pickClock || this.draftState.pickClock.paused) {
+      return this.sendError(ws, 'There is no running pick clock to pause');
+    }
+    
+    this.pausePickClock();
+    this.saveDraftState();
+    this.broadcastDraftState();
+    
+    console.log(`Draft for league ${this.leagueId} paused by ${user.username}`);
+  }
+  
+  handleResumeDraft(ws, user) {
+    if (!user.isCommissioner) {
+      return this.sendError(ws, 'Only the league commissioner can resume the draft');
+    }
+    
+    if (!this.isDraftInProgress() || !this.draftState.pickClock?.paused) {
+      return this.sendError(ws, 'The draft is not paused');
+    }
+    
+    // An expired clock that was paused because autopick failed gets a fresh pick time
+    const { nomination, bidTimeLimit } = this.draftState.auction || {};
+    if (nomination) {
+      this.runPickClock(this.draftState.pickClock.remainingMs || bidTimeLimit * 1000);
+    } else if (this.draftState.draftMode === 'timed') {
+      this.runPickClock(this.draftState.pickClock.remainingMs || this.draftState.pickTimeLimit * 1000);
+    } else {
+      this.clearPickClock();
+    }
+    this.saveDraftState();
+    this.broadcastDraftState();
+    this.scheduleAutoDraft();
+    
+    console.log(`Draft for league ${this.leagueId} resumed by ${user.username}`);
+  }
+  
+  setPickTimeLimit(seconds) {
+    const limit = Number(seconds);
+    if (!Number.isInteger(limit) || limit < MIN_PICK_TIME_LIMIT || limit > MAX_PICK_TIME_LIMIT) {
+      return false;
+    }
+    this.draftState.pickTimeLimit = limit;
+    return true;
+  }
+  
+  // Put the current pick on a fresh clock (timed drafts only)
+  startPickClock() {
+    if (this.draftState.draftMode !== 'timed' || !this.isDraftInProgress()) {
+      return this.clearPickClock();
+    }
+    this.runPickClock(this.draftState.pickTimeLimit * 1000);
+  }
+  
+  runPickClock(remainingMs) {
+    clearTimeout(this.pickTimer);
+    this.draftState.pickClock = {
+      deadline: Date.now() + remainingMs,
+      remainingMs: null,
+      paused: false
+    };
+    this.pickTimer = setTimeout(() => this.handleClockExpired(), remainingMs);
+  }
+  
+  pausePickClock() {
+    clearTimeout(this.pickTimer);
+    clearTimeout(this.autoDraftTimer);
+    this.pickTimer = null;
+    this.autoDraftTimer = null;
+    const { deadline } = this.draftState.pickClock || {};
+    this.draftState.pickClock = {
+      deadline: null,
+      remainingMs: deadline ? Math.max(0, deadline - Date.now()) : 0,
+      paused: true
+    };
+  }
+  
+  clearPickClock() {
+    clearTimeout(this.pickTimer);
+    clearTimeout(this.autoDraftTimer);
+    this.pickTimer = null;
+    this.autoDraftTimer = null;
+    this.draftState.pickClock = null;
+  }
+  
+  // After a restart, carry on with whatever time the pick on the clock had left
+  restorePickClock() {
+    const { pickClock } = this.draftState;
+    if (!this.isDraftInProgress() || !pickClock || pickClock.paused) {
+      return;
+    }
+    const remainingMs = Math.max(0, pickClock.deadline - Date.now());
+    this.pickTimer = setTimeout(() => this.handleClockExpired(), remainingMs);
   }
   
   calculateNextPickIndex() {
@@ -360,50 +1243,135 @@ class DraftRoom {
   broadcastDraftState() {
     const message = JSON.stringify({
       type: 'draftState',
-      data: this.draftState
+      data: this.getDraftState()
     });
     
     this.broadcast(message);
   }
   
   broadcast(message) {
-    this.wss.clients.forEach(client => {
+    // Only clients connected to this room receive its messages
+    this.clients.forEach((user, client) => {
       if (client.readyState === WebSocket.OPEN) {
         client.send(message);
       }
     });
   }
   
+  broadcastError(message) {
+    this.broadcast(JSON.stringify({
+      type: 'error',
+      data: { message }
+    }));
+  }
+  
+  sendError(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({
+        type: 'error',
+        data: { message }
+      }));
+    }
+  }
+  
   // Get the current draft state
   getDraftState() {
-    return this.draftState;
+    // Queues are private to each manager and are sent separately
+    const { queues, ...draftState } = this.draftState;
+    
+    if (draftState.auction) {
+      draftState.auction = {
+        ...draftState.auction,
+        maxBids: Object.fromEntries(draftState.draftOrder.map(username => [username, this.getMaxBid(username)]))
+      };
+    }
+    
+    if (draftState.scheduledDraft) {
+      draftState.scheduledDraft = {
+        ...draftState.scheduledDraft,
+        startsInMs: Math.max(0, new Date(draftState.scheduledDraft.scheduledAt).getTime() - Date.now())
+      };
+    }
+    
+    // Clients lay out rosters from the slots, so they don't need the template rules
+    draftState.startingSlots = getStartingSlots(draftState.rosterTemplate);
+    draftState.picksPerTeam = draftState.startingSlots.length;
+    draftState.currentDrafter = draftState.draftStarted ? this.currentDrafter() : null;
+    
+    const { pickClock } = draftState;
+    if (!pickClock || pickClock.paused) {
+      return draftState;
+    }
+    
+    // Clients count down from the time left, so their clocks don't need to match ours
+    return {
+      ...draftState,
+      pickClock: { ...pickClock, remainingMs: Math.max(0, pickClock.deadline - Date.now()) }
+    };
   }
   
-  handleEndDraft(data) {
-    const { username } = data;
+  handleEndDraft(ws, user) {
+    // Only the commissioner can end the draft
+    if (!user.isCommissioner) {
+      return this.sendError(ws, 'Only the league commissioner can end the draft');
+    }
     
-    // Only user 'shark' can end the draft
-    if (username !== 'shark') {
+    // Ending an already finished draft retries saving its results
+    if (this.draftState.draftComplete) {
+      if (!this.draftState.resultsSaved) {
+        this.saveResults();
+      }
       return;
     }
     
-    // Mark the draft as complete
+    // Mark the draft as complete; a player still up for bidding goes unsold
     this.draftState.draftComplete = true;
+    this.clearPickClock();
+    if (this.draftState.auction) {
+      this.draftState.auction.nomination = null;
+    }
     
     // Save and broadcast updated state
     this.saveDraftState();
     this.broadcastDraftState();
     
+    console.log(`Draft for league ${this.leagueId} ended by ${user.username}`);
+    
+    this.saveResults();
+  }
+  
+  /**
+   * Write the finished draft to the league's teams, then let the room know how it went.
+   * If saving fails nothing is changed and the commissioner can end the draft again to retry.
+   */
+  async saveResults() {
+    if (this.savingResults || this.draftState.resultsSaved) return;
+    this.savingResults = true;
+    
     // Save each user's team to a text file
     this.saveTeamsToFiles();
     
-    console.log(`Draft ended by ${username}`);
+    try {
+      if (this.onDraftComplete) {
+        await this.onDraftComplete(this.leagueId, this.draftState);
+      }
+      this.draftState.resultsSaved = true;
+      this.draftState.resultsError = null;
+    } catch (error) {
+      console.error(`Error saving draft results for league ${this.leagueId}:`, error);
+      this.draftState.resultsError = error.message;
+    } finally {
+      this.savingResults = false;
+    }
+    
+    this.saveDraftState();
+    this.broadcastDraftState();
   }
   
   saveTeamsToFiles() {
     try {
       // Ensure a directory exists for team exports
-      const teamsDir = path.join(this.dataDir, 'teamExports');
+      const teamsDir = path.join(this.dataDir, 'teamExports', this.leagueId);
       fs.ensureDirSync(teamsDir);
       
       // Get the current date and time for the filename
@@ -419,7 +1387,7 @@ class DraftRoom {
         content += `Draft Date: ${new Date().toLocaleString()}\n\n`;
         
         // Add position players
-        ['TOP', 'JUNGLE', 'MID', 'ADC', 'SUPPORT', 'FLEX'].forEach(position => {
+        getStartingSlots(this.draftState.rosterTemplate).forEach(position => {
           const player = team.players[position];
           content += `${position}: ${player ? `${player.name} (${player.team})` : 'Empty'}\n`;
         });
@@ -443,8 +1411,9 @@ class DraftRoom {
     }
   }
   
-  handleChat(data) {
-    const { username, message } = data;
+  handleChat(user, data) {
+    const { message } = data;
+    const { username } = user;
     
     // Make sure the message isn't empty
     if (!message || !message.trim()) return;
@@ -470,7 +1439,7 @@ class DraftRoom {
     // Broadcast the chat message to all clients
     this.broadcastChatMessage(chatMessage);
     
-    console.log(`Chat message from ${username}: ${message}`);
+    console.log(`Chat message in draft room ${this.leagueId} from ${username}: ${message}`);
   }
   
   broadcastChatMessage(chatMessage) {
@@ -483,4 +1452,172 @@ class DraftRoom {
   }
 }
 
-module.exports = DraftRoom;
+/**
+ * Routes WebSocket connections to per-league draft rooms.
+ * Clients connect to /ws?leagueId=<id>&token=<jwt>.
+ */
+class DraftRoomManager {
+  constructor(server = null, options = {}) {
+    this.rooms = new Map(); // Maps league ID to DraftRoom
+    this.dataDir = options.dataDir || path.join(__dirname, 'data', 'drafts');
+    this.roomOptions = {
+      onDraftComplete: options.onDraftComplete,
+      getPlayerPool: options.getPlayerPool,
+      pickTimeLimit: options.pickTimeLimit
+    };
+    this.wss = new WebSocket.Server({ noServer: true });
+    
+    this.wss.on('connection', (ws, request, user, room) => {
+      console.log(`${user.username} connected to draft room ${room.leagueId}`);
+      room.addClient(ws, user);
+    });
+    
+    // If server is provided, handle WebSocket upgrades on the /ws and /wss paths
+    if (server) {
+      this.attach(server, ['/ws', '/wss']);
+    }
+    
+    console.log('Draft room WebSocket server initialized');
+  }
+  
+  /**
+   * Accept draft connections on an HTTP(S) server
+   * @param {Object} server - HTTP or HTTPS server
+   * @param {Array} paths - Accepted paths (any path if omitted)
+   */
+  attach(server, paths = null) {
+    server.on('upgrade', (request, socket, head) => {
+      const url = new URL(request.url, `http://${request.headers.host}`);
+      
+      if (paths && !paths.includes(url.pathname)) {
+        socket.destroy();
+        return;
+      }
+      
+      this.authorize(url.searchParams.get('leagueId'), url.searchParams.get('token'))
+        .then(({ user, room }) => {
+          this.wss.handleUpgrade(request, socket, head, (ws) => {
+            this.wss.emit('connection', ws, request, user, room);
+          });
+        })
+        .catch((error) => {
+          const status = error.status || 500;
+          if (!error.status) {
+            console.error('Error authorizing draft connection:', error);
+          }
+          socket.write(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n\r\n`);
+          socket.destroy();
+        });
+    });
+  }
+  
+  /**
+   * Check the user's token and their place in the league
+   * @param {String} leagueId - League the client wants to join
+   * @param {String} token - JWT issued at login
+   * @returns {Object} - { user, room }
+   */
+  async authorize(leagueId, token) {
+    if (!leagueId || !/^[\w-]+$/.test(leagueId)) {
+      throw new DraftAuthError(400, 'A valid leagueId is required');
+    }
+    
+    if (!token) {
+      throw new DraftAuthError(401, 'No token, authorization denied');
+    }
+    
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret');
+    } catch (error) {
+      throw new DraftAuthError(401, 'Token is not valid');
+    }
+    
+    const user = await User.findOne({ id: decoded.id });
+    if (!user) {
+      throw new DraftAuthError(401, 'Invalid token');
+    }
+    
+    const league = await League.findOne({ id: leagueId });
+    if (!league) {
+      throw new DraftAuthError(404, 'League not found');
+    }
+    
+    const team = await FantasyTeam.findOne({ leagueId, userId: user.id });
+    const isCommissioner = league.creatorId === user.id || !!user.isAdmin;
+    const isMember = (league.memberIds || []).includes(user.id);
+    
+    if (!team && !isCommissioner && !isMember) {
+      throw new DraftAuthError(403, 'You are not a member of this league');
+    }
+    
+    // The room drafts into the league's current roster template, in its draft order, with its keepers
+    const room = this.getRoom(leagueId);
+    room.setRosterTemplate(league.rosterTemplate);
+    room.setLeagueDraftOrder(league);
+    room.setTradedPicks(league);
+    await room.loadKeepers(league);
+    
+    return {
+      user: {
+        userId: user.id,
+        username: user.username,
+        teamId: team ? team.id : null,
+        isCommissioner
+      },
+      room
+    };
+  }
+  
+  /**
+   * Get a league's draft room, creating it on first use
+   * @param {String} leagueId - League ID
+   */
+  getRoom(leagueId) {
+    if (!this.rooms.has(leagueId)) {
+      this.rooms.set(leagueId, new DraftRoom(leagueId, this.dataDir, this.roomOptions));
+    }
+    return this.rooms.get(leagueId);
+  }
+  
+  /**
+   * Reopen the room of every draft that was in progress when the server stopped, so its
+   * pick clock runs again without waiting for someone to connect
+   * @returns {Number} - How many rooms were reopened
+   */
+  restoreRooms() {
+    if (!fs.existsSync(this.dataDir)) return 0;
+    
+    let restored = 0;
+    for (const file of fs.readdirSync(this.dataDir)) {
+      const leagueId = path.basename(file, '.json');
+      if (!file.endsWith('.json') || !/^[\w-]+$/.test(leagueId) || this.rooms.has(leagueId)) continue;
+      
+      try {
+        const { draftStarted, draftComplete } = fs.readJsonSync(path.join(this.dataDir, file));
+        if (!draftStarted || draftComplete) continue;
+      } catch (error) {
+        console.error(`Error reading draft state ${file}:`, error);
+        continue;
+      }
+      
+      this.getRoom(leagueId);
+      restored++;
+    }
+    
+    if (restored > 0) {
+      console.log(`Reopened ${restored} draft room(s) with a draft in progress`);
+    }
+    return restored;
+  }
+  
+  // Get the current draft state for a league
+  getDraftState(leagueId) {
+    return this.rooms.has(leagueId) ? this.rooms.get(leagueId).getDraftState() : null;
+  }
+}
+
+module.exports = {
+  DraftRoom,
+  DraftRoomManager
+};
@@ -1,9 +1,43 @@
 // backend/fantasy-core.js
+const models = require('./models');
+const { STAT_KEYS, normalizeScoringRules, calculateGamePoints } = require('./helpers/scoringRules');
+const { generateSchedule: generateRoundRobinSchedule } = require('./helpers/scheduleGenerator');
+const { DEFAULT_TIEBREAKERS, computeStandings } = require('./helpers/standings');
+const { normalizePlayoffSettings } = require('./helpers/playoffBracket');
+const { normalizeDivisions } = require('./helpers/divisions');
+const {
+  STARTING_SLOTS,
+  LIST_SLOTS,
+  BENCH,
+  DEFAULT_ROSTER_TEMPLATE,
+  FULL_ROSTER_TEMPLATE,
+  normalizeRosterTemplate,
+  getStartingSlots,
+  getSlotCapacity,
+  canPlaySlot,
+  getRosterPlayerIds,
+  findPlayerSlot
+} = require('./helpers/rosterTemplate');
+const { normalizeKeeperSettings } = require('./helpers/keepers');
 
 // ===============================================
 // DATA MODELS
 // ===============================================
 
+/**
+ * Normalize a game's stat line to every stat key
+ * @param {Object} game - Game with a nested stat line or the stats spread on it
+ */
+function toStatLine(game) {
+  const source = game.stats || game;
+  const stats = {};
+  for (const stat of STAT_KEYS) {
+    stats[stat] = Number(source[stat]) || 0;
+  }
+  
+  return stats;
+}
+
 /**
  * Player class representing a League of Legends player
  */
@@ -26,44 +60,62 @@ class Player {
         gamesPlayed: 0
       };
       this.fantasyPoints = 0;
+      this.weeklyGames = {}; // Week number -> stat lines for games played that week, from the game log
+      this.weeklyPoints = {}; // Week number -> stored total, for weeks recorded before the game log
     }
   
     /**
-     * Updates player stats with new game data
-     * @param {Object} gameStats - Stats from a single game
+     * Rebuild stats, fantasy points and weekly games from the player's game log
+     * @param {Array} gameLogs - GameLog entries for this player
      */
-    updateStats(gameStats) {
-      this.stats.kills += gameStats.kills || 0;
-      this.stats.deaths += gameStats.deaths || 0;
-      this.stats.assists += gameStats.assists || 0;
-      this.stats.cs += gameStats.cs || 0;
-      this.stats.visionScore += gameStats.visionScore || 0;
-      this.stats.baronKills += gameStats.baronKills || 0;
-      this.stats.dragonKills += gameStats.dragonKills || 0;
-      this.stats.turretKills += gameStats.turretKills || 0;
-      this.stats.gamesPlayed++;
+    loadGames(gameLogs) {
+      const stats = { gamesPlayed: gameLogs.length };
+      for (const stat of STAT_KEYS) {
+        stats[stat] = 0;
+      }
+      
+      this.fantasyPoints = 0;
+      this.weeklyGames = {};
+      
+      for (const game of gameLogs) {
+        const statLine = toStatLine(game);
+        for (const stat of STAT_KEYS) {
+          stats[stat] += statLine[stat];
+        }
+        this.fantasyPoints += calculateGamePoints(statLine, this.position);
+        
+        if (!this.weeklyGames[game.week]) {
+          this.weeklyGames[game.week] = [];
+        }
+        this.weeklyGames[game.week].push(statLine);
+      }
       
-      this.calculateFantasyPoints(gameStats);
+      this.stats = stats;
     }
   
     /**
-     * Calculate fantasy points for a single game
-     * @param {Object} gameStats - Stats from a single game
-     */
-    calculateFantasyPoints(gameStats) {
-      // Example scoring system (can be customized)
-      const points = 
-        (gameStats.kills || 0) * 3 + 
-        (gameStats.assists || 0) * 1.5 + 
-        (gameStats.cs || 0) * 0.01 + 
-        (gameStats.visionScore || 0) * 0.5 + 
-        (gameStats.baronKills || 0) * 4 + 
-        (gameStats.dragonKills || 0) * 2 + 
-        (gameStats.turretKills || 0) * 3 - 
-        (gameStats.deaths || 0) * 1;
+     * Use stat lines already grouped by week; totals stay as the player was loaded with
+     * @param {Object} weeklyGames - Week number -> stat lines
+     */
+    loadWeeklyGames(weeklyGames) {
+      this.weeklyGames = {};
+      for (const [week, games] of Object.entries(weeklyGames)) {
+        this.weeklyGames[week] = games.map(toStatLine);
+      }
+    }
   
-      this.fantasyPoints += points;
-      return points;
+    /**
+     * Get fantasy points scored in a given week under a scoring ruleset
+     * @param {Number} week - Week number
+     * @param {Object} scoringRules - League scoring rules (defaults used if omitted)
+     */
+    getWeeklyPoints(week, scoringRules = null) {
+      const games = this.weeklyGames[week] || [];
+      if (games.length === 0) {
+        return this.weeklyPoints[week] || 0;
+      }
+      
+      return games.reduce((total, game) => total + calculateGamePoints(game, this.position, scoringRules), 0);
     }
   
     /**
@@ -84,14 +136,11 @@ class Player {
       this.name = name;
       this.owner = owner;
       this.leagueId = null; // Reference to the league this team belongs to
+      // Every slot a roster template can use; the league's template decides which are open
       this.players = {
-        TOP: null,
-        JUNGLE: null,
-        MID: null,
-        ADC: null,
-        SUPPORT: null,
-        FLEX: null, // Additional flex position
-        BENCH: [] // Bench slots
+        ...Object.fromEntries(STARTING_SLOTS.map(slot => [slot, null])),
+        BENCH: [],
+        IR: [] // Inactive reserve
       };
       this.totalPoints = 0;
       this.weeklyPoints = {};
@@ -99,32 +148,50 @@ class Player {
     }
   
     /**
-     * Add a player to the team in their specified position
+     * Add a player to a slot, or move them there if they're already on the team.
+     * A player already in a starting slot moves to the slot the new player left, or to the
+     * bench for a new player; the move fails if they can't go there.
      * @param {Player} player - Player to add
-     * @param {String} slot - Slot to place player (position or "FLEX" or "BENCH")
+     * @param {String} slot - Slot to place player (a starting slot, "BENCH" or "IR")
+     * @param {Object} template - The league's roster template
      */
-    addPlayer(player, slot) {
-      if (slot === "BENCH") {
-        if (this.players.BENCH.length < 3) { // Max 3 bench slots
-          this.players.BENCH.push(player);
-          return true;
-        }
+    addPlayer(player, slot, template = DEFAULT_ROSTER_TEMPLATE) {
+      if (!player || getSlotCapacity(template, slot) === 0 || !canPlaySlot(player.position, slot)) {
         return false;
       }
       
-      // For flex position, accept any role
-      if (slot === "FLEX") {
-        this.players.FLEX = player;
+      const fromSlot = this.findSlot(player.id);
+      if (fromSlot === slot) return true;
+      
+      if (LIST_SLOTS.includes(slot)) {
+        if (this.players[slot].length >= getSlotCapacity(template, slot)) return false;
+        if (fromSlot) this.removePlayer(player.id);
+        this.players[slot].push(player);
         return true;
       }
       
-      // For specific positions, verify player's position matches
-      if (player.position === slot) {
-        this.players[slot] = player;
-        return true;
+      // Whoever holds the slot now takes the new player's old slot, or the bench
+      const occupant = this.players[slot];
+      if (occupant) {
+        const occupantSlot = fromSlot || BENCH;
+        if (!canPlaySlot(occupant.position, occupantSlot)) return false;
+        if (LIST_SLOTS.includes(occupantSlot) && !fromSlot &&
+            this.players[occupantSlot].length >= getSlotCapacity(template, occupantSlot)) {
+          return false;
+        }
+        if (fromSlot) this.removePlayer(player.id);
+        this.players[slot] = null;
+        if (LIST_SLOTS.includes(occupantSlot)) {
+          this.players[occupantSlot].push(occupant);
+        } else {
+          this.players[occupantSlot] = occupant;
+        }
+      } else if (fromSlot) {
+        this.removePlayer(player.id);
       }
       
-      return false;
+      this.players[slot] = player;
+      return true;
     }
   
     /**
@@ -132,40 +199,72 @@ class Player {
      * @param {String} playerId - ID of player to remove
      */
     removePlayer(playerId) {
-      // Check all positions
-      for (const position of ["TOP", "JUNGLE", "MID", "ADC", "SUPPORT", "FLEX"]) {
-        if (this.players[position] && this.players[position].id === playerId) {
-          this.players[position] = null;
-          return true;
-        }
-      }
+      const slot = this.findSlot(playerId);
+      if (!slot) return false;
       
-      // Check bench
-      const benchIndex = this.players.BENCH.findIndex(p => p.id === playerId);
-      if (benchIndex !== -1) {
-        this.players.BENCH.splice(benchIndex, 1);
-        return true;
+      if (LIST_SLOTS.includes(slot)) {
+        this.players[slot] = this.players[slot].filter(player => player.id !== playerId);
+      } else {
+        this.players[slot] = null;
       }
-      
-      return false;
+      return true;
+    }
+  
+    /**
+     * The slot a player is in, or null if they aren't on the team
+     * @param {String} playerId - ID of player to look for
+     */
+    findSlot(playerId) {
+      return findPlayerSlot(this.players, playerId);
+    }
+  
+    /**
+     * Check whether a player is anywhere on the roster
+     * @param {String} playerId - ID of player to look for
+     */
+    hasPlayer(playerId) {
+      return this.findSlot(playerId) !== null;
+    }
+  
+    /**
+     * IDs of every player on the roster: starters, bench and reserve
+     */
+    getPlayerIds() {
+      return getRosterPlayerIds(this.players);
+    }
+  
+    /**
+     * Get the roster in the form it's stored in MongoDB: player IDs in each slot
+     */
+    toRosterData() {
+      const roster = {};
+      for (const slot of STARTING_SLOTS) {
+        roster[slot] = { playerId: this.players[slot] ? this.players[slot].id : null };
+      }
+      for (const slot of LIST_SLOTS) {
+        roster[slot] = this.players[slot].map(player => player.id);
+      }
+      return roster;
     }
   
     /**
      * Calculate total fantasy points for the team in a given week
      * @param {Number} week - Week number to calculate points for
+     * @param {Object} scoringRules - League scoring rules (defaults used if omitted)
      */
-    calculateWeeklyPoints(week) {
+    calculateWeeklyPoints(week, scoringRules = null) {
       let weeklyTotal = 0;
-      const activePositions = ["TOP", "JUNGLE", "MID", "ADC", "SUPPORT", "FLEX"];
       
-      // Calculate points from all active players
-      for (const position of activePositions) {
+      // Calculate points from all active players; bench and reserve don't score
+      for (const position of STARTING_SLOTS) {
         if (this.players[position]) {
           const player = this.players[position];
-          weeklyTotal += player.fantasyPoints;
+          weeklyTotal += player.getWeeklyPoints(week, scoringRules);
         }
       }
       
+      // Replace any previous total for this week so recalculating doesn't double count
+      this.totalPoints -= this.weeklyPoints[week] || 0;
       this.weeklyPoints[week] = weeklyTotal;
       this.totalPoints += weeklyTotal;
       
@@ -173,14 +272,11 @@ class Player {
     }
     
     /**
-     * Check if team is valid (has all required positions filled)
+     * Check if team is valid (has every starting slot in the template filled)
+     * @param {Object} template - The league's roster template
      */
-    isValid() {
-      return this.players.TOP && 
-             this.players.JUNGLE && 
-             this.players.MID && 
-             this.players.ADC && 
-             this.players.SUPPORT;
+    isValid(template = DEFAULT_ROSTER_TEMPLATE) {
+      return getStartingSlots(template).every(slot => this.players[slot]);
     }
   }
   
@@ -208,6 +304,12 @@ class Player {
       this.description = options.description || '';
       this.isPublic = options.isPublic !== undefined ? options.isPublic : true;
       this.regions = options.regions || ['AMERICAS', 'EMEA']; // Default regions using new format
+      this.scoringRules = normalizeScoringRules(options.scoringRules);
+      this.tiebreakers = options.tiebreakers || [...DEFAULT_TIEBREAKERS];
+      this.divisions = normalizeDivisions(options.divisions);
+      this.rosterTemplate = normalizeRosterTemplate(options.rosterTemplate);
+      this.keeperSettings = normalizeKeeperSettings(options.keeperSettings);
+      this.season = options.season || 1;
       
       // Add creator as a member if provided
       if (options.creatorId) {
@@ -364,44 +466,35 @@ class Player {
     }
   
     /**
-     * Generate a full season schedule for all teams
+     * Generate a full season schedule for all teams. With an odd number of teams
+     * one team sits out each week.
      * @param {Number} weeksPerSeason - Number of weeks in the season
+     * @param {Object} options - Schedule options (see helpers/scheduleGenerator)
      */
-    generateSchedule(weeksPerSeason = 9) {
+    generateSchedule(weeksPerSeason = 9, options = {}) {
       this.schedule = [];
       
-      // Check if we have an even number of teams
-      if (this.teams.length % 2 !== 0) {
-        console.error("Need an even number of teams to generate a schedule");
+      if (this.teams.length < 2) {
+        console.error("Need at least 2 teams to generate a schedule");
         return false;
       }
       
-      // Implementation of a round-robin tournament schedule
-      const teams = [...this.teams];
-      const halfSize = teams.length / 2;
+      const teamsById = new Map(this.teams.map(team => [team.id, team]));
+      const { schedule } = generateRoundRobinSchedule(
+        this.teams.map(team => team.id),
+        { divisions: normalizeDivisions(this.divisions), ...options, weeks: weeksPerSeason || null }
+      );
       
-      for (let week = 0; week < weeksPerSeason; week++) {
-        const weeklyMatchups = [];
-        
-        // Create matchups for this week
-        for (let i = 0; i < halfSize; i++) {
-          const matchup = {
-            id: `week${week + 1}_match${i + 1}`,
-            week: week + 1,
-            homeTeam: teams[i],
-            awayTeam: teams[teams.length - 1 - i],
-            homeScore: 0,
-            awayScore: 0,
-            completed: false
-          };
-          
-          weeklyMatchups.push(matchup);
-        }
-        
-        this.schedule.push(weeklyMatchups);
-        
-        // Rotate teams for next week (first team stays, others rotate)
-        teams.splice(1, 0, teams.pop());
+      for (const weekSchedule of schedule) {
+        this.schedule.push(weekSchedule.matchups.map((matchup, i) => ({
+          id: `week${weekSchedule.week}_match${i + 1}`,
+          week: weekSchedule.week,
+          homeTeam: teamsById.get(matchup.teamA),
+          awayTeam: teamsById.get(matchup.teamB),
+          homeScore: 0,
+          awayScore: 0,
+          completed: false
+        })));
       }
       
       return true;
@@ -421,8 +514,8 @@ class Player {
       const weeklyMatchups = this.schedule[weekIndex];
       
       for (const matchup of weeklyMatchups) {
-        const homeTeamPoints = matchup.homeTeam.calculateWeeklyPoints(week);
-        const awayTeamPoints = matchup.awayTeam.calculateWeeklyPoints(week);
+        const homeTeamPoints = matchup.homeTeam.calculateWeeklyPoints(week, this.scoringRules);
+        const awayTeamPoints = matchup.awayTeam.calculateWeeklyPoints(week, this.scoringRules);
         
         matchup.homeScore = homeTeamPoints;
         matchup.awayScore = awayTeamPoints;
@@ -439,43 +532,16 @@ class Player {
      * Update league standings based on team performance
      */
     updateStandings() {
-      // Calculate wins, losses, and points for each team
-      const teamStats = this.teams.map(teamId => {
-        const team = new FantasyTeam(teamId, '', '');
-        let wins = 0;
-        let losses = 0;
-        
-        // Count wins and losses across all completed matchups
-        for (const weeklyMatchups of this.schedule) {
-          for (const matchup of weeklyMatchups) {
-            if (!matchup.completed) continue;
-            
-            if (matchup.homeTeam === teamId) {
-              if (matchup.homeScore > matchup.awayScore) wins++;
-              else if (matchup.homeScore < matchup.awayScore) losses++;
-            } else if (matchup.awayTeam === teamId) {
-              if (matchup.awayScore > matchup.homeScore) wins++;
-              else if (matchup.awayScore < matchup.homeScore) losses++;
-            }
-          }
-        }
-        
-        return {
-          teamId,
-          wins,
-          losses,
-          totalPoints: team.totalPoints
-        };
-      });
+      const teamIds = this.teams.map(team => (team && typeof team === 'object' ? team.id : team));
       
-      // Sort by wins, then by total points
-      teamStats.sort((a, b) => {
-        if (a.wins !== b.wins) return b.wins - a.wins;
-        return b.totalPoints - a.totalPoints;
-      });
+      // Ranked by winning percentage, then the league's tiebreakers
+      this.standings = computeStandings(teamIds, this.schedule, {
+        tiebreakers: this.tiebreakers,
+        divisions: normalizeDivisions(this.divisions),
+        playoffTeams: normalizePlayoffSettings(this.playoffSettings).teams
+      }).map(standing => ({ ...standing, totalPoints: standing.points }));
       
-      this.standings = teamStats;
-      return teamStats;
+      return this.standings;
     }
     
     /**
@@ -762,28 +828,17 @@ class Player {
     }
     
     /**
-     * Get player stats from recent matches
+     * Get a player's stat line from each of their recent matches
      * @param {String} puuid - Player PUUID
      * @param {String} region - Region code
-     * @param {Number} count - Number of matches to analyze
+     * @param {Number} count - Number of matches to fetch
+     * @returns {Array|null} - [{ matchId, playedAt, duration, stats }], or null if the matches couldn't be fetched
      */
-    async getPlayerStats(puuid, region, count = 10) {
+    async getPlayerGames(puuid, region, count = 10) {
       try {
         // Get recent matches
         const matchIds = await this.getMatchList(puuid, region, count);
-        
-        // Aggregate stats
-        const stats = {
-          kills: 0,
-          deaths: 0,
-          assists: 0,
-          cs: 0,
-          visionScore: 0,
-          baronKills: 0,
-          dragonKills: 0,
-          turretKills: 0,
-          gamesPlayed: 0
-        };
+        const games = [];
         
         // Process each match
         for (const matchId of matchIds) {
@@ -792,24 +847,50 @@ class Player {
           // Find player in participants
           const participant = match.info.participants.find(p => p.puuid === puuid);
           if (participant) {
-            stats.kills += participant.kills;
-            stats.deaths += participant.deaths;
-            stats.assists += participant.assists;
-            stats.cs += participant.totalMinionsKilled + participant.neutralMinionsKilled;
-            stats.visionScore += participant.visionScore;
-            stats.baronKills += participant.baronKills;
-            stats.dragonKills += participant.dragonKills;
-            // Note: some stats like turretKills might need additional calculation
-            stats.gamesPlayed++;
+            games.push({
+              matchId,
+              playedAt: new Date(match.info.gameStartTimestamp || match.info.gameCreation),
+              duration: match.info.gameDuration ?? null,
+              stats: {
+                kills: participant.kills,
+                deaths: participant.deaths,
+                assists: participant.assists,
+                cs: participant.totalMinionsKilled + participant.neutralMinionsKilled,
+                visionScore: participant.visionScore,
+                baronKills: participant.baronKills,
+                dragonKills: participant.dragonKills,
+                turretKills: participant.turretKills || 0
+              }
+            });
           }
         }
         
-        return stats;
+        return games;
       } catch (error) {
-        console.error(`Error getting player stats for ${puuid}:`, error);
+        console.error(`Error getting recent games for ${puuid}:`, error);
         return null;
       }
     }
+    
+    /**
+     * Get player stats totalled over recent matches
+     * @param {String} puuid - Player PUUID
+     * @param {String} region - Region code
+     * @param {Number} count - Number of matches to analyze
+     */
+    async getPlayerStats(puuid, region, count = 10) {
+      const games = await this.getPlayerGames(puuid, region, count);
+      if (!games) return null;
+      
+      const stats = { ...Object.fromEntries(STAT_KEYS.map(stat => [stat, 0])), gamesPlayed: games.length };
+      for (const game of games) {
+        for (const stat of STAT_KEYS) {
+          stats[stat] += game.stats[stat] || 0;
+        }
+      }
+      
+      return stats;
+    }
   }
   
   /**
@@ -873,6 +954,12 @@ class Player {
           player.fantasyPoints = data.fantasyPoints;
         }
         
+        if (data.weeklyPoints) {
+          player.weeklyPoints = data.weeklyPoints instanceof Map
+            ? Object.fromEntries(data.weeklyPoints)
+            : { ...data.weeklyPoints };
+        }
+        
         return player;
       });
       
@@ -882,6 +969,34 @@ class Player {
       return this.players;
     }
 
+    /**
+     * Add one player from stored data, e.g. a team entry created by a match import
+     * @param {Object} data - Player document or plain player data
+     */
+    addPlayerFromData(data) {
+      const player = new Player(data.id, data.name, data.position, data.team, data.region);
+      this.players.push(player);
+      
+      this.clearCache();
+      return player;
+    }
+    
+    /**
+     * Give players the stat lines from the game log that weeks are scored from
+     * @param {Array} weeklyGames - [{ playerId, weeks: { week: [stat lines] } }], as from GameLog.getWeeklyStatLines
+     */
+    loadWeeklyGames(weeklyGames) {
+      const playersById = new Map(this.players.map(player => [player.id, player]));
+      for (const { playerId, weeks } of weeklyGames) {
+        const player = playersById.get(playerId);
+        if (player) {
+          player.loadWeeklyGames(weeks);
+        }
+      }
+      
+      this.clearCache();
+    }
+    
     /**
      * Load players from JSON file
      * @param {String} filePath - Path to JSON file containing player data
@@ -1046,30 +1161,49 @@ class Player {
     }
 
     /**
-     * Update player stats with game data
+     * Record a game for a player through the game log. A game with a match already on
+     * record replaces it, so correcting or repeating a game never adds it twice.
      * @param {String} playerId - Player ID
-     * @param {Object} gameStats - Stats from a single game
+     * @param {Object} game - { matchId, week, playedAt, duration, stats }
      */
-    updatePlayerStats(playerId, gameStats) {
+    async updatePlayerStats(playerId, game) {
       const player = this.getPlayerById(playerId);
+      if (!player) return false;
+      
+      const recorded = await recordPlayerGames(player, [game], { replace: true });
+      if (recorded === null) return false;
+      
+      this.clearPlayerCache(playerId);
+      return true;
+    }
+    
+    /**
+     * Replace a player's games and totals with those in the game log
+     * @param {Object} playerData - Player document after recalculateFromGameLog
+     */
+    async syncPlayerTotals(playerData) {
+      const player = this.getPlayerById(playerData.id);
       
       if (player) {
-        player.updateStats(gameStats);
-        
-        // Reset cache for this player
-        if (this.cache.byId[playerId]) {
-          delete this.cache.byId[playerId];
-        }
-        // Reset other caches that might contain this player
-        this.cache.allPlayers = null;
-        this.cache.byRegion = {};
-        this.cache.byPosition = {};
+        player.loadGames(await models.GameLog.find({ playerId: player.id }));
         
+        this.clearPlayerCache(player.id);
         return true;
       }
       
       return false;
     }
+    
+    /**
+     * Reset cached lookups that might contain a player
+     * @param {String} playerId - Player ID
+     */
+    clearPlayerCache(playerId) {
+      delete this.cache.byId[playerId];
+      this.cache.allPlayers = null;
+      this.cache.byRegion = {};
+      this.cache.byPosition = {};
+    }
   }
   
   /**
@@ -1118,22 +1252,26 @@ class Player {
           console.log(`DEBUG: Set leagueId ${data.leagueId} for team ${team.id}`);
         }
         
-        // Add players to positions
-        for (const position of ["TOP", "JUNGLE", "MID", "ADC", "SUPPORT", "FLEX"]) {
+        // Put players back in the slots they were saved in, whatever template the league has now
+        for (const position of STARTING_SLOTS) {
           if (data.players[position]) {
-            const player = playerService.getPlayerById(data.players[position]);
+            // Stored rosters hold { playerId } in each slot; older data held the ID itself
+            const playerId = data.players[position].playerId !== undefined
+              ? data.players[position].playerId
+              : data.players[position];
+            const player = playerId ? playerService.getPlayerById(playerId) : null;
             if (player) {
-              team.addPlayer(player, position);
+              team.addPlayer(player, position, FULL_ROSTER_TEMPLATE);
             }
           }
         }
         
-        // Add bench players
-        if (data.players.BENCH) {
-          for (const benchPlayerId of data.players.BENCH) {
-            const player = playerService.getPlayerById(benchPlayerId);
+        // Add bench and reserve players
+        for (const slot of LIST_SLOTS) {
+          for (const listPlayerId of data.players[slot] || []) {
+            const player = playerService.getPlayerById(listPlayerId);
             if (player) {
-              team.addPlayer(player, "BENCH");
+              team.addPlayer(player, slot, FULL_ROSTER_TEMPLATE);
             }
           }
         }
@@ -1178,12 +1316,14 @@ class Player {
         const playersData = {};
         
         // Convert player references to IDs
-        for (const position of ["TOP", "JUNGLE", "MID", "ADC", "SUPPORT", "FLEX"]) {
+        for (const position of STARTING_SLOTS) {
           playersData[position] = team.players[position]?.id || null;
         }
         
-        // Convert bench players to IDs
-        playersData.BENCH = team.players.BENCH.map(player => player.id);
+        // Convert bench and reserve players to IDs
+        for (const slot of LIST_SLOTS) {
+          playersData[slot] = team.players[slot].map(player => player.id);
+        }
         
         return {
           id: team.id,
@@ -1266,6 +1406,16 @@ class Player {
       league.schedule = leagueData.schedule || [];
       league.standings = leagueData.standings || [];
       league.playerPool = leagueData.playerPool || [];
+      league.scoringRules = normalizeScoringRules(leagueData.scoringRules);
+      league.tiebreakers = leagueData.tiebreakers && leagueData.tiebreakers.length > 0
+        ? [...leagueData.tiebreakers]
+        : [...DEFAULT_TIEBREAKERS];
+      league.divisions = normalizeDivisions(leagueData.divisions);
+      league.rosterTemplate = normalizeRosterTemplate(leagueData.rosterTemplate);
+      league.keeperSettings = normalizeKeeperSettings(leagueData.keeperSettings);
+      league.season = leagueData.season || 1;
+      league.scheduleSettings = leagueData.scheduleSettings || null;
+      league.playoffSettings = leagueData.playoffSettings || null;
       
       // Initialize teams array if it doesn't exist
       if (!Array.isArray(league.teams)) {
@@ -1481,6 +1631,7 @@ class Player {
         creatorId: league.creatorId,
         description: league.description || '',
         regions: Array.isArray(league.regions) ? [...league.regions] : [],
+        scoringRules: normalizeScoringRules(league.scoringRules),
         teams: [] // Initialize empty array for teams
       };
       
@@ -1864,8 +2015,13 @@ class Player {
   function exportTeamToCSV(team) {
     let csv = "Position,Player Name,Team,Region,Kills,Deaths,Assists,CS,Vision Score,Fantasy Points\n";
     
-    for (const position of ["TOP", "JUNGLE", "MID", "ADC", "SUPPORT", "FLEX"]) {
-      const player = team.players[position];
+    // Starters first, then the bench and reserve
+    const rows = [
+      ...STARTING_SLOTS.map(slot => [slot, team.players[slot]]),
+      ...LIST_SLOTS.flatMap(slot => (team.players[slot] || []).map(player => [slot, player]))
+    ];
+    
+    for (const [position, player] of rows) {
       if (player) {
         csv += `${position},${player.name},${player.team},${player.region},`;
         csv += `${player.stats.kills},${player.stats.deaths},${player.stats.assists},`;
@@ -1876,6 +2032,71 @@ class Player {
     return csv;
   }
   
+  /**
+   * Fetch a single player's recent matches. Nothing is applied to the player here; the
+   * games go through recordPlayerGames so a match is only ever counted once.
+   * @param {Player} player - Player to refresh
+   * @param {RiotApiService} riotApiService - RiotApiService instance
+   * @returns {Array|null} - The player's recent games, or null if there's nothing to record
+   */
+  async function refreshPlayerFromRiotApi(player, riotApiService) {
+    const region = player.region === "NORTH" ? "NORTH_AMERICA" : "EUROPE"; // Example mapping
+    
+    // Convert player ID to summoner name and region format
+    const summoner = await riotApiService.getSummonerByName(player.name, region);
+    
+    if (!summoner || !summoner.puuid) {
+      return false;
+    }
+    
+    // Check if player is in an active game
+    const currentGame = await riotApiService.getCurrentGame(summoner.id, region);
+    
+    // If player is in game, set a flag for live tracking
+    if (currentGame) {
+      console.log(`${player.name} is currently in a game!`);
+      player.inGame = true;
+      // You could implement live stat tracking here
+      return null;
+    }
+    
+    player.inGame = false;
+    
+    // Record recent matches instead
+    return await riotApiService.getPlayerGames(
+      summoner.puuid,
+      region,
+      5 // Last 5 matches
+    );
+  }
+  
+  /**
+   * Write a player's games to the stat ledger (GameLog), keyed by match, and take the
+   * player's totals from it. Matches already in the ledger are skipped unless replace is
+   * set, so recording the same games again changes nothing.
+   * @param {Player} player - Player the games belong to
+   * @param {Array} games - [{ matchId, week, playedAt, duration, stats }]
+   * @param {Object} options - fallbackWeek: week for games the pro calendar can't place;
+   *   replace: overwrite matches already in the ledger instead of skipping them
+   * @returns {Number|null} - Games written, or null if the player isn't in the database
+   */
+  async function recordPlayerGames(player, games, { fallbackWeek = 1, replace = false } = {}) {
+    const playerDoc = await models.Player.findOne({ id: player.id });
+    if (!playerDoc) return null;
+    
+    // A game belongs to the fantasy week of the pro match calendar it was played in
+    const placed = [];
+    for (const game of games) {
+      const week = game.week || (game.playedAt && await models.ProMatch.getWeekAt(game.playedAt)) || fallbackWeek;
+      placed.push({ ...game, week });
+    }
+    
+    const recorded = await playerDoc.recordGames(placed, { replace });
+    player.loadGames(await models.GameLog.find({ playerId: player.id }));
+    
+    return recorded;
+  }
+  
   /**
    * Utility function to fetch real-time player stats from Riot API
    * @param {League} league - League object
@@ -1887,44 +2108,15 @@ class Player {
       return false;
     }
     
-    const playerService = new PlayerService(riotApiService);
     let updatedCount = 0;
     
     // Process all players in the league
     for (const player of league.playerPool) {
       try {
-        // Convert player ID to summoner name and region format
-        const summoner = await riotApiService.getSummonerByName(
-          player.name,
-          player.region === "NORTH" ? "NORTH_AMERICA" : "EUROPE" // Example mapping
-        );
-        
-        if (summoner && summoner.puuid) {
-          // Check if player is in an active game
-          const currentGame = await riotApiService.getCurrentGame(summoner.id, 
-            player.region === "NORTH" ? "NORTH_AMERICA" : "EUROPE"
-          );
-          
-          // If player is in game, set a flag for live tracking
-          if (currentGame) {
-            console.log(`${player.name} is currently in a game!`);
-            player.inGame = true;
-            // You could implement live stat tracking here
-          } else {
-            player.inGame = false;
-            
-            // Update player with recent stats instead
-            const stats = await riotApiService.getPlayerStats(
-              summoner.puuid,
-              player.region === "NORTH" ? "NORTH_AMERICA" : "EUROPE",
-              5 // Last 5 matches
-            );
-            
-            if (stats) {
-              player.updateStats(stats);
-              updatedCount++;
-            }
-          }
+        const games = await refreshPlayerFromRiotApi(player, riotApiService);
+        if (games) {
+          await recordPlayerGames(player, games, { fallbackWeek: Math.max(1, league.currentWeek || 0) });
+          updatedCount++;
         }
       } catch (error) {
         console.error(`Error updating stats for ${player.name}:`, error);
@@ -1938,8 +2130,8 @@ class Player {
       for (const weeklyMatchups of league.schedule) {
         for (const matchup of weeklyMatchups) {
           if (matchup.completed) {
-            matchup.homeScore = matchup.homeTeam.calculateWeeklyPoints(matchup.week);
-            matchup.awayScore = matchup.awayTeam.calculateWeeklyPoints(matchup.week);
+            matchup.homeScore = matchup.homeTeam.calculateWeeklyPoints(matchup.week, league.scoringRules);
+            matchup.awayScore = matchup.awayTeam.calculateWeeklyPoints(matchup.week, league.scoringRules);
           }
         }
       }
@@ -2055,5 +2247,7 @@ class Player {
     loadPlayerDataFromFile,
     saveLeagueToJSON,
     exportTeamToCSV,
+    refreshPlayerFromRiotApi,
+    recordPlayerGames,
     updateRealTimeStats
   };
\ No newline at end of file
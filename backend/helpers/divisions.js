@@ -0,0 +1,107 @@
+// backend/helpers/divisions.js
+
+const MAX_DIVISIONS = 8;
+
+/**
+ * Tidy a league's (possibly mongoose) divisions into plain objects
+ * @param {Array} divisions - Divisions from a league or a request
+ * @returns {Array} - [{ name, conference, teamIds }]
+ */
+function normalizeDivisions(divisions) {
+  return (divisions || []).map(division => {
+    const source = division && typeof division.toObject === 'function' ? division.toObject() : (division || {});
+    const conference = typeof source.conference === 'string' ? source.conference.trim() : '';
+
+    return {
+      name: typeof source.name === 'string' ? source.name.trim() : '',
+      conference: conference || null,
+      teamIds: Array.isArray(source.teamIds) ? [...source.teamIds] : []
+    };
+  });
+}
+
+/**
+ * Validate divisions submitted by a commissioner. An empty list removes divisions;
+ * otherwise every team has to be in exactly one of them.
+ * @param {Array} divisions - Normalized divisions
+ * @param {Array} teamIds - Every team in the league
+ * @returns {Array} - List of error messages (empty if valid)
+ */
+function validateDivisions(divisions, teamIds) {
+  if (!Array.isArray(divisions)) {
+    return ['Divisions must be a list'];
+  }
+  if (divisions.length === 0) return [];
+
+  const errors = [];
+  if (divisions.length < 2 || divisions.length > MAX_DIVISIONS) {
+    errors.push(`A league needs between 2 and ${MAX_DIVISIONS} divisions`);
+  }
+
+  const names = new Set();
+  const assigned = new Set();
+  for (const division of divisions) {
+    if (!division.name) {
+      errors.push('Every division needs a name');
+    } else if (names.has(division.name.toLowerCase())) {
+      errors.push(`There is more than one division called "${division.name}"`);
+    }
+    names.add((division.name || '').toLowerCase());
+
+    if (division.teamIds.length === 0) {
+      errors.push(`Division "${division.name}" has no teams`);
+    }
+    for (const teamId of division.teamIds) {
+      if (!teamIds.includes(teamId)) {
+        errors.push(`Team ${teamId} in division "${division.name}" is not in the league`);
+      } else if (assigned.has(teamId)) {
+        errors.push(`Team ${teamId} is in more than one division`);
+      }
+      assigned.add(teamId);
+    }
+  }
+
+  for (const teamId of teamIds) {
+    if (!assigned.has(teamId)) {
+      errors.push(`Team ${teamId} is not in a division`);
+    }
+  }
+
+  // Conferences are optional, but a league either groups all of its divisions or none
+  const withConference = divisions.filter(division => division.conference).length;
+  if (withConference > 0 && withConference < divisions.length) {
+    errors.push('Either every division or no division belongs to a conference');
+  } else if (withConference > 0 && new Set(divisions.map(division => division.conference)).size < 2) {
+    errors.push('Divisions must be spread over at least two conferences');
+  }
+
+  return errors;
+}
+
+/**
+ * Playoff seeding order: division winners first, then everyone else, each in standings order
+ * @param {Array} standings - Rows in rank order with teamId and division
+ * @param {Array} divisions - The league's divisions
+ * @returns {Array} - Team IDs in seed order
+ */
+function seedWithDivisionWinners(standings, divisions) {
+  const teamIds = standings.map(standing => standing.teamId);
+  if (!divisions || divisions.length === 0) return teamIds;
+
+  const winners = divisions
+    .map(division => teamIds.find(teamId => division.teamIds.includes(teamId)))
+    .filter(Boolean);
+  const winnerSet = new Set(winners);
+
+  return [
+    ...teamIds.filter(teamId => winnerSet.has(teamId)),
+    ...teamIds.filter(teamId => !winnerSet.has(teamId))
+  ];
+}
+
+module.exports = {
+  MAX_DIVISIONS,
+  normalizeDivisions,
+  validateDivisions,
+  seedWithDivisionWinners
+};
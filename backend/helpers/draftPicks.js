@@ -0,0 +1,105 @@
+// backend/helpers/draftPicks.js
+const { getStartingSlots } = require('./rosterTemplate');
+
+const TRADABLE_SEASONS = 2; // How many upcoming drafts have picks that can be traded
+
+const pickKey = pick => `${pick.season}:${pick.round}:${pick.originalTeamId}`;
+
+/**
+ * The seasons whose draft picks can be traded: the upcoming draft and the one after it.
+ * Once this season's draft is done, its picks are used up.
+ * @param {Object} league - League document
+ * @returns {Array} - Season numbers
+ */
+function getTradableSeasons(league) {
+  const season = league.season || 1;
+  const first = league.draftResults ? season + 1 : season;
+  return Array.from({ length: TRADABLE_SEASONS }, (_, index) => first + index);
+}
+
+/**
+ * The team that owns a draft pick: whoever it was last traded to, or the team it belongs to
+ * @param {Array} tradedPicks - The league's traded picks
+ * @param {Object} pick - { season, round, originalTeamId }
+ * @returns {String} - Team ID
+ */
+function getPickOwner(tradedPicks, pick) {
+  const traded = (tradedPicks || []).find(entry => pickKey(entry) === pickKey(pick));
+  return traded ? traded.ownerTeamId : pick.originalTeamId;
+}
+
+/**
+ * Every tradable pick in the league grouped by the team that owns it now
+ * @param {Object} league - League document
+ * @param {Array} teamIds - Every team in the league
+ * @returns {Map} - teamId -> [{ season, round, originalTeamId }], earliest first
+ */
+function getTeamPicks(league, teamIds) {
+  const rounds = getStartingSlots(league.rosterTemplate).length;
+  const owned = new Map(teamIds.map(teamId => [teamId, []]));
+
+  for (const season of getTradableSeasons(league)) {
+    for (let round = 1; round <= rounds; round++) {
+      for (const originalTeamId of teamIds) {
+        const pick = { season, round, originalTeamId };
+        const owner = getPickOwner(league.tradedPicks, pick);
+        if (owned.has(owner)) owned.get(owner).push(pick);
+      }
+    }
+  }
+
+  return owned;
+}
+
+/**
+ * Why a pick can't be traded by a team, or null if it can
+ * @param {Object} league - League document
+ * @param {Object} pick - { season, round, originalTeamId }
+ * @param {String} fromTeamId - Team giving the pick up
+ * @param {Array} teamIds - Every team in the league
+ */
+function validatePick(league, pick, fromTeamId, teamIds) {
+  const rounds = getStartingSlots(league.rosterTemplate).length;
+  const seasons = getTradableSeasons(league);
+
+  if (!seasons.includes(pick.season)) {
+    return `Only picks for seasons ${seasons.join(' and ')} can be traded`;
+  }
+  if (!Number.isInteger(pick.round) || pick.round < 1 || pick.round > rounds) {
+    return `Draft rounds go from 1 to ${rounds}`;
+  }
+  if (!teamIds.includes(pick.originalTeamId)) {
+    return `Team ${pick.originalTeamId} is not in this league`;
+  }
+  if (getPickOwner(league.tradedPicks, pick) !== fromTeamId) {
+    return `Team ${fromTeamId} does not own the season ${pick.season} round ${pick.round} pick`;
+  }
+  return null;
+}
+
+/**
+ * Hand a pick to a new team, keeping one entry per traded pick
+ * @param {Array} tradedPicks - The league's traded picks
+ * @param {Object} pick - { season, round, originalTeamId }
+ * @param {String} toTeamId - The pick's new owner
+ * @returns {Array} - Updated traded picks
+ */
+function transferPick(tradedPicks, pick, toTeamId) {
+  const others = (tradedPicks || [])
+    .map(entry => (typeof entry.toObject === 'function' ? entry.toObject() : entry))
+    .filter(entry => pickKey(entry) !== pickKey(pick));
+
+  // A pick back with its own team needs no entry
+  if (toTeamId === pick.originalTeamId) return others;
+  return [...others, { season: pick.season, round: pick.round, originalTeamId: pick.originalTeamId, ownerTeamId: toTeamId }];
+}
+
+module.exports = {
+  TRADABLE_SEASONS,
+  pickKey,
+  getTradableSeasons,
+  getPickOwner,
+  getTeamPicks,
+  validatePick,
+  transferPick
+};
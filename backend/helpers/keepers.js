@@ -0,0 +1,116 @@
+// backend/helpers/keepers.js
+const { getFinal } = require('./playoffBracket');
+
+// redraft: everyone goes back in the pool; keeper: managers keep a few players; dynasty: rosters carry over
+const KEEPER_MODES = ['redraft', 'keeper', 'dynasty'];
+
+const MAX_KEEPERS = 10;
+
+const DEFAULT_KEEPER_SETTINGS = {
+  mode: 'redraft',
+  maxKeepers: 2,
+  roundCost: 1 // A keeper costs the pick this many rounds before the round they were drafted in
+};
+
+/**
+ * Merge a league's (possibly partial) keeper settings with the defaults
+ * @param {Object} settings - Keeper settings from a league or a request
+ * @returns {Object} - Complete keeper settings
+ */
+function normalizeKeeperSettings(settings) {
+  const source = settings && typeof settings.toObject === 'function' ? settings.toObject() : (settings || {});
+
+  return {
+    mode: source.mode ?? DEFAULT_KEEPER_SETTINGS.mode,
+    maxKeepers: source.maxKeepers ?? DEFAULT_KEEPER_SETTINGS.maxKeepers,
+    roundCost: source.roundCost ?? DEFAULT_KEEPER_SETTINGS.roundCost
+  };
+}
+
+/**
+ * Validate keeper settings submitted by a commissioner
+ * @param {Object} settings - Complete keeper settings
+ * @returns {Array} - List of error messages (empty if valid)
+ */
+function validateKeeperSettings(settings) {
+  const errors = [];
+  const { mode, maxKeepers, roundCost } = settings;
+
+  if (!KEEPER_MODES.includes(mode)) {
+    errors.push(`League type must be one of ${KEEPER_MODES.join(', ')}`);
+  }
+  if (!Number.isInteger(maxKeepers) || maxKeepers < 1 || maxKeepers > MAX_KEEPERS) {
+    errors.push(`Keepers per team must be between 1 and ${MAX_KEEPERS}`);
+  }
+  if (!Number.isInteger(roundCost) || roundCost < 0) {
+    errors.push('The keeper round cost must be a whole number of rounds');
+  }
+
+  return errors;
+}
+
+/**
+ * The draft round each of a team's keepers costs. A player costs the round they were
+ * drafted in moved up by the round cost; players picked up off waivers cost the last round.
+ * Two keepers can't cost the same round, so the later one moves up another round
+ * (or down, if there's no earlier round left).
+ * @param {Array} playerIds - The team's keepers
+ * @param {Array} picks - The finished season's draft picks
+ * @param {Object} settings - League keeper settings
+ * @param {Number} rounds - Rounds in the draft
+ * @returns {Array} - [{ playerId, round }]
+ */
+function assignKeeperRounds(playerIds, picks, settings, rounds) {
+  const { roundCost } = normalizeKeeperSettings(settings);
+  const draftedRound = new Map((picks || []).map(pick => [pick.playerId, pick.round]));
+
+  const wanted = playerIds.map(playerId => ({
+    playerId,
+    round: draftedRound.has(playerId) ? Math.max(1, Math.min(rounds, draftedRound.get(playerId) - roundCost)) : rounds
+  }));
+
+  const taken = new Set();
+  return wanted
+    .sort((a, b) => a.round - b.round)
+    .map(({ playerId, round }) => {
+      let assigned = round;
+      while (taken.has(assigned) && assigned > 1) assigned--;
+      while (taken.has(assigned)) assigned++;
+      taken.add(assigned);
+      return { playerId, round: assigned };
+    });
+}
+
+/**
+ * Draft order for the next season: worst record first. When the playoffs were played
+ * the champion picks last and the runner-up just before them.
+ * @param {Array} teamIds - Every team in the league
+ * @param {Array} standings - Final standings, with ranks
+ * @param {Object} playoffs - The season's playoffs, if any
+ * @returns {Array} - Team IDs in draft order
+ */
+function getNextDraftOrder(teamIds, standings, playoffs) {
+  const rankOf = new Map((standings || []).map(standing => [standing.teamId, standing.rank]));
+  const order = [...teamIds].sort((a, b) => (rankOf.get(b) ?? Infinity) - (rankOf.get(a) ?? Infinity));
+
+  const final = playoffs && playoffs.status === 'complete' ? getFinal(playoffs.matchups) : null;
+  if (final && final.winner) {
+    const runnerUp = final.winner === final.teamA ? final.teamB : final.teamA;
+    for (const teamId of [runnerUp, final.winner]) {
+      const index = order.indexOf(teamId);
+      if (index !== -1) order.push(...order.splice(index, 1));
+    }
+  }
+
+  return order;
+}
+
+module.exports = {
+  KEEPER_MODES,
+  MAX_KEEPERS,
+  DEFAULT_KEEPER_SETTINGS,
+  normalizeKeeperSettings,
+  validateKeeperSettings,
+  assignKeeperRounds,
+  getNextDraftOrder
+};
@@ -0,0 +1,189 @@
+// backend/helpers/leagueHistory.js
+
+const RECORD_LIMIT = 5; // Entries kept in each record book list
+
+const isDecided = matchup => matchup.winner !== null && matchup.winner !== undefined;
+
+/**
+ * Who managed each team in an archived season. Managers are users, so a manager's record
+ * follows them across teams and seasons; a team nobody owned stands in for its own manager.
+ * @param {Object} season - Archived LeagueSeason
+ * @returns {Function} - teamId -> { key, userId, owner, teamName }
+ */
+function seasonManagers(season) {
+  const rosters = new Map((season.rosters || []).map(roster => [roster.teamId, roster]));
+
+  return teamId => {
+    const roster = rosters.get(teamId) || {};
+    return {
+      key: roster.userId || teamId,
+      userId: roster.userId || null,
+      owner: roster.owner || '',
+      teamName: roster.teamName || teamId
+    };
+  };
+}
+
+// Games from a season that count towards head-to-head records: the regular season and the winners bracket
+function seasonGames(season) {
+  const regularSeason = (season.schedule || []).flatMap(weekSchedule => weekSchedule.matchups || []);
+  const playoffs = ((season.playoffs && season.playoffs.matchups) || [])
+    .filter(matchup => matchup.bracket === 'winners' && !matchup.bye && matchup.teamA && matchup.teamB);
+
+  return [...regularSeason, ...playoffs].filter(isDecided);
+}
+
+const topEntries = (entries, field) => [...entries].sort((a, b) => b[field] - a[field]).slice(0, RECORD_LIMIT);
+
+/**
+ * A league's history from its archived seasons: champions, head-to-head records between
+ * managers and the record book
+ * @param {Array} seasons - The league's archived LeagueSeasons, oldest first
+ * @returns {Object} - { seasons, champions, headToHead, records }
+ */
+function buildLeagueHistory(seasons) {
+  const champions = [];
+  const headToHead = new Map();
+  const weeks = [];
+  const seasonTotals = [];
+
+  for (const season of seasons) {
+    const managerOf = seasonManagers(season);
+
+    if (season.champion && season.champion.teamId) {
+      const manager = managerOf(season.champion.teamId);
+      champions.push({
+        season: season.season,
+        teamId: season.champion.teamId,
+        teamName: season.champion.teamName || manager.teamName,
+        userId: manager.userId,
+        owner: manager.owner
+      });
+    }
+
+    for (const matchup of seasonGames(season)) {
+      const managerA = managerOf(matchup.teamA);
+      const managerB = managerOf(matchup.teamB);
+      if (managerA.key === managerB.key) continue;
+
+      // One entry per pair of managers, whichever order they met in
+      const [first, second] = managerA.key < managerB.key ? [managerA, managerB] : [managerB, managerA];
+      const pairKey = `${first.key}|${second.key}`;
+      if (!headToHead.has(pairKey)) {
+        headToHead.set(pairKey, {
+          managerA: { userId: first.userId, owner: first.owner },
+          managerB: { userId: second.userId, owner: second.owner },
+          winsA: 0,
+          winsB: 0,
+          ties: 0
+        });
+      }
+
+      const record = headToHead.get(pairKey);
+      const winner = matchup.winner === matchup.teamA ? managerA : matchup.winner === matchup.teamB ? managerB : null;
+      if (!winner) {
+        record.ties++;
+      } else if (winner.key === first.key) {
+        record.winsA++;
+      } else {
+        record.winsB++;
+      }
+    }
+
+    // Single-week scores come from the regular season only, so two-week playoff rounds don't count double
+    for (const weekSchedule of season.schedule || []) {
+      for (const matchup of (weekSchedule.matchups || []).filter(isDecided)) {
+        for (const [teamId, points] of [[matchup.teamA, matchup.scoreA], [matchup.teamB, matchup.scoreB]]) {
+          const manager = managerOf(teamId);
+          weeks.push({
+            season: season.season,
+            week: weekSchedule.week,
+            teamId,
+            teamName: manager.teamName,
+            owner: manager.owner,
+            points: points || 0
+          });
+        }
+      }
+    }
+
+    for (const standing of season.standings || []) {
+      const manager = managerOf(standing.teamId);
+      seasonTotals.push({
+        season: season.season,
+        teamId: standing.teamId,
+        teamName: manager.teamName,
+        owner: manager.owner,
+        points: standing.points || 0,
+        wins: standing.wins || 0,
+        losses: standing.losses || 0,
+        ties: standing.ties || 0
+      });
+    }
+  }
+
+  return {
+    seasons: seasons.map(season => ({
+      season: season.season,
+      leagueName: season.leagueName,
+      teams: (season.rosters || []).length,
+      champion: champions.find(champion => champion.season === season.season) || null,
+      archivedAt: season.archivedAt
+    })),
+    champions,
+    headToHead: [...headToHead.values()].map(record => ({ ...record, games: record.winsA + record.winsB + record.ties })),
+    records: {
+      highestWeeks: topEntries(weeks, 'points'),
+      highestSeasons: topEntries(seasonTotals, 'points'),
+      mostWins: topEntries(seasonTotals, 'wins')
+    }
+  };
+}
+
+/**
+ * Each manager's career across every league they've played a season in
+ * @param {Array} seasons - Archived LeagueSeasons from any league
+ * @param {Array} userIds - Managers to total up
+ * @returns {Array} - [{ userId, owner, seasons, leagues, wins, losses, ties, points, playoffAppearances, championships }]
+ */
+function buildCareers(seasons, userIds) {
+  const careers = new Map(userIds.map(userId => [userId, {
+    userId,
+    owner: '',
+    seasons: 0,
+    leagues: new Set(),
+    wins: 0,
+    losses: 0,
+    ties: 0,
+    points: 0,
+    playoffAppearances: 0,
+    championships: 0
+  }]));
+
+  for (const season of seasons) {
+    for (const roster of season.rosters || []) {
+      const career = careers.get(roster.userId);
+      if (!career) continue;
+
+      const standing = (season.standings || []).find(entry => entry.teamId === roster.teamId) || {};
+      career.owner = roster.owner || career.owner;
+      career.seasons++;
+      career.leagues.add(season.leagueId);
+      career.wins += standing.wins || 0;
+      career.losses += standing.losses || 0;
+      career.ties += standing.ties || 0;
+      career.points += standing.points || 0;
+      if (season.playoffs && (season.playoffs.seeds || []).includes(roster.teamId)) career.playoffAppearances++;
+      if (season.champion && season.champion.teamId === roster.teamId) career.championships++;
+    }
+  }
+
+  return [...careers.values()]
+    .map(career => ({ ...career, leagues: career.leagues.size }))
+    .sort((a, b) => b.championships - a.championships || b.wins - a.wins);
+}
+
+module.exports = {
+  buildLeagueHistory,
+  buildCareers
+};
@@ -0,0 +1,207 @@
+// backend/helpers/playoffBracket.js
+
+const DEFAULT_PLAYOFF_SETTINGS = {
+  teams: 4,
+  byes: 0,
+  weeksPerRound: 1,
+  consolation: false
+};
+
+const isPowerOfTwo = value => Number.isInteger(value) && value > 0 && (value & (value - 1)) === 0;
+
+const nextPowerOfTwo = value => {
+  let size = 1;
+  while (size < value) size *= 2;
+  return size;
+};
+
+/**
+ * Merge a league's (possibly partial) playoff settings with the defaults
+ * @param {Object} settings - Playoff settings from a league
+ * @returns {Object} - Complete playoff settings
+ */
+function normalizePlayoffSettings(settings) {
+  const source = settings && typeof settings.toObject === 'function' ? settings.toObject() : (settings || {});
+
+  return {
+    teams: source.teams ?? DEFAULT_PLAYOFF_SETTINGS.teams,
+    byes: source.byes ?? DEFAULT_PLAYOFF_SETTINGS.byes,
+    weeksPerRound: source.weeksPerRound ?? DEFAULT_PLAYOFF_SETTINGS.weeksPerRound,
+    consolation: source.consolation ?? DEFAULT_PLAYOFF_SETTINGS.consolation
+  };
+}
+
+/**
+ * Validate playoff settings submitted by a commissioner
+ * @param {Object} settings - Complete playoff settings
+ * @param {Number} teamCount - Teams in the league, if known
+ * @returns {Array} - List of error messages (empty if valid)
+ */
+function validatePlayoffSettings(settings, teamCount = null) {
+  const errors = [];
+  const { teams, byes, weeksPerRound, consolation } = settings;
+
+  if (!Number.isInteger(teams) || teams < 2) {
+    errors.push('Playoff teams must be a whole number of at least 2');
+  } else if (teamCount !== null && teams > teamCount) {
+    errors.push(`The league only has ${teamCount} teams`);
+  }
+
+  if (!Number.isInteger(byes) || byes < 0) {
+    errors.push('Byes must be a whole number of at least 0');
+  } else if (Number.isInteger(teams) && byes >= teams) {
+    errors.push('At least two playoff teams must play in the first round');
+  } else if (Number.isInteger(teams) && !isPowerOfTwo(teams + byes)) {
+    // Every first-round winner and bye team has to fill out an even second round
+    errors.push('Playoff teams plus byes must be a power of two (e.g. 4 + 0, 6 + 2, 12 + 4)');
+  }
+
+  if (![1, 2].includes(weeksPerRound)) {
+    errors.push('Each round must last 1 or 2 weeks');
+  }
+
+  if (typeof consolation !== 'boolean') {
+    errors.push('Consolation must be true or false');
+  }
+
+  return errors;
+}
+
+/**
+ * Bracket positions for a full bracket, so the top seeds can only meet late,
+ * e.g. 8 -> [1, 8, 4, 5, 2, 7, 3, 6]
+ */
+function seedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, total - seed]);
+  }
+  return order;
+}
+
+/**
+ * Build one bracket. Seeds missing from a full bracket become first-round byes.
+ * @param {String} bracket - 'winners' or 'consolation'
+ * @param {Array} teamIds - Teams in seed order
+ * @param {Number} firstSeed - Overall seed of the first team, shown in the bracket
+ * @param {Function} roundWeeks - Round number -> weeks it is played over
+ * @returns {Array} - Matchups of every round
+ */
+function buildBracket(bracket, teamIds, firstSeed, roundWeeks) {
+  const size = nextPowerOfTwo(teamIds.length);
+  const rounds = Math.log2(size);
+  const entrant = seed => (seed <= teamIds.length
+    ? { seed: firstSeed + seed - 1, teamId: teamIds[seed - 1] }
+    : { seed: null, teamId: null });
+  const order = seedOrder(size);
+  const matchups = [];
+
+  for (let round = 1; round <= rounds; round++) {
+    const slots = size / 2 ** round;
+    for (let slot = 0; slot < slots; slot++) {
+      const matchup = {
+        id: `${bracket}-${round}-${slot}`,
+        bracket,
+        round,
+        slot,
+        seedA: null,
+        seedB: null,
+        teamA: null,
+        teamB: null,
+        weeks: roundWeeks(round),
+        scoreA: 0,
+        scoreB: 0,
+        winner: null,
+        bye: false
+      };
+
+      if (round === 1) {
+        const a = entrant(order[slot * 2]);
+        const b = entrant(order[slot * 2 + 1]);
+        Object.assign(matchup, { seedA: a.seed, teamA: a.teamId, seedB: b.seed, teamB: b.teamId });
+
+        if (!matchup.teamB) {
+          Object.assign(matchup, { bye: true, weeks: [], winner: matchup.teamA });
+        }
+      }
+
+      matchups.push(matchup);
+    }
+  }
+
+  // Bye teams go straight through to the second round
+  for (const matchup of matchups.filter(m => m.bye)) {
+    advanceWinner(matchups, matchup);
+  }
+
+  return matchups;
+}
+
+/**
+ * Seed the playoffs from final standings and lay out every round's weeks
+ * @param {Object} settings - Complete, valid playoff settings
+ * @param {Array} teamIds - Every team in standings order
+ * @param {Number} startWeek - Fantasy week the first round starts
+ * @returns {Object} - { seeds, rounds, startWeek, endWeek, matchups }
+ */
+function buildPlayoffs(settings, teamIds, startWeek) {
+  const seeds = teamIds.slice(0, settings.teams);
+  const rounds = Math.log2(settings.teams + settings.byes);
+  const weeksFor = round => Array.from(
+    { length: settings.weeksPerRound },
+    (_, i) => startWeek + (round - 1) * settings.weeksPerRound + i
+  );
+
+  const matchups = buildBracket('winners', seeds, 1, weeksFor);
+
+  // Teams that missed the playoffs play their own bracket, finishing alongside the final
+  const rest = teamIds.slice(settings.teams);
+  if (settings.consolation && rest.length >= 2) {
+    const entrants = rest.slice(0, 2 ** rounds);
+    const offset = rounds - Math.log2(nextPowerOfTwo(entrants.length));
+    matchups.push(...buildBracket('consolation', entrants, settings.teams + 1, round => weeksFor(round + offset)));
+  }
+
+  return {
+    seeds,
+    rounds,
+    startWeek,
+    endWeek: startWeek + rounds * settings.weeksPerRound - 1,
+    matchups
+  };
+}
+
+/**
+ * Move a decided matchup's winner into their next-round matchup
+ * @returns {Object|null} - The next matchup, or null after a bracket's final
+ */
+function advanceWinner(matchups, matchup) {
+  const next = matchups.find(m =>
+    m.bracket === matchup.bracket && m.round === matchup.round + 1 && m.slot === Math.floor(matchup.slot / 2)
+  );
+  if (!next || !matchup.winner) return null;
+
+  const side = matchup.slot % 2 === 0 ? 'A' : 'B';
+  next[`team${side}`] = matchup.winner;
+  next[`seed${side}`] = matchup.winner === matchup.teamA ? matchup.seedA : matchup.seedB;
+  return next;
+}
+
+/**
+ * The final of a bracket, i.e. its last round
+ */
+function getFinal(matchups, bracket = 'winners') {
+  const inBracket = matchups.filter(m => m.bracket === bracket);
+  return inBracket.reduce((last, m) => (!last || m.round > last.round ? m : last), null);
+}
+
+module.exports = {
+  DEFAULT_PLAYOFF_SETTINGS,
+  normalizePlayoffSettings,
+  validatePlayoffSettings,
+  seedOrder,
+  buildPlayoffs,
+  advanceWinner,
+  getFinal
+};
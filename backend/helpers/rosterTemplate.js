@@ -0,0 +1,219 @@
+// backend/helpers/rosterTemplate.js
+const { POSITIONS, TEAM_POSITION } = require('./scoringRules');
+
+// Extra FLEX slots are FLEX2, FLEX3, ... so rosters from before templates keep their FLEX
+const FLEX_SLOTS = ['FLEX', 'FLEX2', 'FLEX3'];
+const TEAM_SLOT = 'TEAM'; // A pro team, scored on its objectives
+
+// Every starting slot a roster can have, in display order
+const STARTING_SLOTS = [...POSITIONS, ...FLEX_SLOTS, TEAM_SLOT];
+
+// Slots that hold a list of players rather than one
+const BENCH = 'BENCH';
+const RESERVE = 'IR'; // Inactive reserve: rostered, but never scores and doesn't take a bench spot
+const LIST_SLOTS = [BENCH, RESERVE];
+
+const MAX_BENCH = 10;
+const MAX_RESERVE = 3;
+
+const DEFAULT_ROSTER_TEMPLATE = {
+  flex: 1,
+  teamSlot: false,
+  bench: 3,
+  reserve: 0
+};
+
+// Room for every slot; used when loading rosters that were saved under any template
+const FULL_ROSTER_TEMPLATE = {
+  flex: FLEX_SLOTS.length,
+  teamSlot: true,
+  bench: MAX_BENCH,
+  reserve: MAX_RESERVE
+};
+
+/**
+ * Merge a league's (possibly partial) roster template with the defaults
+ * @param {Object} template - Roster template from a league
+ * @returns {Object} - Complete roster template
+ */
+function normalizeRosterTemplate(template) {
+  const source = template && typeof template.toObject === 'function' ? template.toObject() : (template || {});
+
+  return {
+    flex: source.flex ?? DEFAULT_ROSTER_TEMPLATE.flex,
+    teamSlot: source.teamSlot ?? DEFAULT_ROSTER_TEMPLATE.teamSlot,
+    bench: source.bench ?? DEFAULT_ROSTER_TEMPLATE.bench,
+    reserve: source.reserve ?? DEFAULT_ROSTER_TEMPLATE.reserve
+  };
+}
+
+/**
+ * Validate a roster template submitted by a commissioner
+ * @param {Object} template - Complete roster template
+ * @returns {Array} - List of error messages (empty if valid)
+ */
+function validateRosterTemplate(template) {
+  const errors = [];
+  const { flex, teamSlot, bench, reserve } = template;
+
+  if (!Number.isInteger(flex) || flex < 0 || flex > FLEX_SLOTS.length) {
+    errors.push(`FLEX slots must be between 0 and ${FLEX_SLOTS.length}`);
+  }
+  if (typeof teamSlot !== 'boolean') {
+    errors.push('The pro team slot must be on or off');
+  }
+  if (!Number.isInteger(bench) || bench < 0 || bench > MAX_BENCH) {
+    errors.push(`Bench size must be between 0 and ${MAX_BENCH}`);
+  }
+  if (!Number.isInteger(reserve) || reserve < 0 || reserve > MAX_RESERVE) {
+    errors.push(`Reserve slots must be between 0 and ${MAX_RESERVE}`);
+  }
+
+  return errors;
+}
+
+/**
+ * The starting slots a template has, in display order
+ */
+function getStartingSlots(template) {
+  const { flex, teamSlot } = normalizeRosterTemplate(template);
+  return [...POSITIONS, ...FLEX_SLOTS.slice(0, flex), ...(teamSlot ? [TEAM_SLOT] : [])];
+}
+
+/**
+ * How many players a slot holds under a template (0 if the template doesn't have it)
+ */
+function getSlotCapacity(template, slot) {
+  const settings = normalizeRosterTemplate(template);
+  if (slot === BENCH) return settings.bench;
+  if (slot === RESERVE) return settings.reserve;
+  return getStartingSlots(settings).includes(slot) ? 1 : 0;
+}
+
+/**
+ * Whether a player with this position may go in a slot
+ */
+function canPlaySlot(position, slot) {
+  if (LIST_SLOTS.includes(slot)) return true;
+  if (slot === TEAM_SLOT) return position === TEAM_POSITION;
+  if (FLEX_SLOTS.includes(slot)) return POSITIONS.includes(position);
+  return position === slot;
+}
+
+// Player ID held by a roster entry: a player object, a stored { playerId } slot or a bare ID
+const entryId = entry => (entry && typeof entry === 'object' ? entry.id ?? entry.playerId ?? null : entry || null);
+
+/**
+ * IDs of every player on a roster, starters first, then bench and reserve
+ * @param {Object} roster - Slot -> player (object, { playerId } or ID); BENCH and IR are lists
+ */
+function getRosterPlayerIds(roster) {
+  if (!roster) return [];
+  return [
+    ...STARTING_SLOTS.map(slot => entryId(roster[slot])),
+    ...LIST_SLOTS.flatMap(slot => (roster[slot] || []).map(entryId))
+  ].filter(Boolean);
+}
+
+/**
+ * The slot a player is in on a roster, or null
+ */
+function findPlayerSlot(roster, playerId) {
+  if (!roster || !playerId) return null;
+  const starting = STARTING_SLOTS.find(slot => entryId(roster[slot]) === playerId);
+  if (starting) return starting;
+  return LIST_SLOTS.find(slot => (roster[slot] || []).some(entry => entryId(entry) === playerId)) || null;
+}
+
+/**
+ * Slot a new player would take: their own position, then a FLEX (or the pro team slot),
+ * then the bench. Reserve is never filled automatically.
+ * @param {Object} roster - The roster they join
+ * @param {Object} player - Player with a position
+ * @param {Object} template - League roster template
+ * @param {String} leavingPlayerId - A player leaving the roster in the same move, whose slot counts as open
+ * @returns {String|null} - Slot name, or null if there's no room
+ */
+function findOpenSlot(roster, player, template, leavingPlayerId = null) {
+  const isOpen = slot => {
+    const id = entryId(roster[slot]);
+    return !id || id === leavingPlayerId;
+  };
+
+  const starting = getStartingSlots(template).find(slot => canPlaySlot(player.position, slot) && isOpen(slot));
+  if (starting) return starting;
+
+  const bench = (roster[BENCH] || []).filter(entry => entryId(entry) !== leavingPlayerId);
+  return bench.length < getSlotCapacity(template, BENCH) ? BENCH : null;
+}
+
+/**
+ * Slots for players joining a roster while others leave it, as in a trade
+ * @param {Object} roster - The roster before the move
+ * @param {Array} leavingPlayerIds - Players leaving the roster
+ * @param {Array} incomingPlayers - Players joining, with positions
+ * @param {Object} template - League roster template
+ * @returns {Array|null} - A slot for each incoming player, or null if they don't all fit
+ */
+function planIncomingSlots(roster, leavingPlayerIds, incomingPlayers, template) {
+  const leaving = new Set(leavingPlayerIds);
+  const stays = entry => entry && !leaving.has(entryId(entry));
+
+  const planned = {};
+  for (const slot of STARTING_SLOTS) planned[slot] = stays(roster[slot]) ? entryId(roster[slot]) : null;
+  for (const slot of LIST_SLOTS) planned[slot] = (roster[slot] || []).filter(stays).map(entryId);
+
+  const slots = [];
+  for (const player of incomingPlayers) {
+    const slot = findOpenSlot(planned, player, template);
+    if (!slot) return null;
+    if (LIST_SLOTS.includes(slot)) {
+      planned[slot].push(player.id);
+    } else {
+      planned[slot] = player.id;
+    }
+    slots.push(slot);
+  }
+  return slots;
+}
+
+/**
+ * Players a template has no room for: in slots it doesn't have, or past its bench or reserve size
+ * @returns {Array} - [{ slot, playerId }]
+ */
+function getRosterOverflow(roster, template) {
+  const overflow = [];
+  for (const slot of STARTING_SLOTS) {
+    const id = entryId(roster && roster[slot]);
+    if (id && getSlotCapacity(template, slot) === 0) overflow.push({ slot, playerId: id });
+  }
+  for (const slot of LIST_SLOTS) {
+    const ids = ((roster && roster[slot]) || []).map(entryId).filter(Boolean);
+    ids.slice(getSlotCapacity(template, slot)).forEach(playerId => overflow.push({ slot, playerId }));
+  }
+  return overflow;
+}
+
+module.exports = {
+  FLEX_SLOTS,
+  TEAM_SLOT,
+  TEAM_POSITION,
+  STARTING_SLOTS,
+  BENCH,
+  RESERVE,
+  LIST_SLOTS,
+  MAX_BENCH,
+  MAX_RESERVE,
+  DEFAULT_ROSTER_TEMPLATE,
+  FULL_ROSTER_TEMPLATE,
+  normalizeRosterTemplate,
+  validateRosterTemplate,
+  getStartingSlots,
+  getSlotCapacity,
+  canPlaySlot,
+  getRosterPlayerIds,
+  findPlayerSlot,
+  findOpenSlot,
+  planIncomingSlots,
+  getRosterOverflow
+};
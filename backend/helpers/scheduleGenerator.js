@@ -0,0 +1,370 @@
+// backend/helpers/scheduleGenerator.js
+
+const DEFAULT_SCHEDULE_OPTIONS = {
+  weeks: null, // null plays exactly one full cycle (two with doubleRoundRobin)
+  doubleRoundRobin: false,
+  divisions: [], // [{ name, teamIds }]
+  divisionWeight: 1, // Times a team meets each division rival for every meeting with anyone else
+  rivalryWeek: null,
+  rivalries: [], // [[teamA, teamB]] who meet in the rivalry week
+  seed: null // Same seed and options give the same schedule
+};
+
+const MAX_WEEKS = 52;
+
+// FNV-1a, so any seed string maps to a 32-bit PRNG state
+function hashSeed(seed) {
+  let hash = 2166136261;
+  for (const char of String(seed)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Seeded random number generator (mulberry32)
+ * @param {String|Number} seed - Any seed
+ * @returns {Function} - Returns a number in [0, 1) on each call
+ */
+function createRandom(seed) {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(items, random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * One round robin by the circle method: every team meets every other team once.
+ * With an odd team count one team sits out each round.
+ * @returns {Array} - Rounds of { pairs: [[teamA, teamB]], byes: [teamId] }
+ */
+function roundRobin(teamIds) {
+  const teams = teamIds.length % 2 === 0 ? [...teamIds] : [...teamIds, null];
+  const rounds = [];
+
+  for (let round = 0; round < teams.length - 1; round++) {
+    const pairs = [];
+    const byes = [];
+
+    for (let i = 0; i < teams.length / 2; i++) {
+      const teamA = teams[i];
+      const teamB = teams[teams.length - 1 - i];
+      if (teamA && teamB) {
+        pairs.push([teamA, teamB]);
+      } else {
+        byes.push(teamA || teamB);
+      }
+    }
+
+    rounds.push({ pairs, byes });
+
+    // First team stays put, the rest rotate
+    teams.splice(1, 0, teams.pop());
+  }
+
+  return rounds;
+}
+
+/**
+ * Rounds in which every team only meets its own division. Divisions play side by
+ * side; teams sitting out in different divisions are paired up with each other.
+ */
+function divisionRounds(groups) {
+  const perGroup = groups.filter(group => group.length >= 2).map(roundRobin);
+  const count = Math.max(0, ...perGroup.map(rounds => rounds.length));
+  const rounds = [];
+
+  for (let i = 0; i < count; i++) {
+    const pairs = [];
+    let byes = groups.filter(group => group.length === 1).flat();
+
+    // Smaller divisions loop through their rounds again so nobody waits
+    for (const groupRounds of perGroup) {
+      const round = groupRounds[i % groupRounds.length];
+      pairs.push(...round.pairs);
+      byes.push(...round.byes);
+    }
+
+    while (byes.length >= 2) {
+      pairs.push([byes[0], byes[1]]);
+      byes = byes.slice(2);
+    }
+
+    rounds.push({ pairs, byes });
+  }
+
+  return rounds;
+}
+
+/**
+ * Spread `extra` rounds evenly through `base`
+ */
+function interleave(base, extra) {
+  const total = base.length + extra.length;
+  const result = [];
+  let baseIndex = 0;
+  let extraIndex = 0;
+
+  for (let i = 0; i < total; i++) {
+    if (extraIndex < extra.length && Math.floor((i + 1) * extra.length / total) > extraIndex) {
+      result.push(extra[extraIndex++]);
+    } else {
+      result.push(base[baseIndex++]);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Rivalry week: the named rivals meet and everyone else keeps the pairing they'd
+ * have had that week where possible; the rest meet whoever they've seen least.
+ */
+function rivalryRound(rivalries, round, meetings) {
+  const rivals = new Set(rivalries.flat());
+  const pairs = rivalries.map(([teamA, teamB]) => [teamA, teamB]);
+  pairs.push(...round.pairs.filter(([teamA, teamB]) => !rivals.has(teamA) && !rivals.has(teamB)));
+
+  let left = [...round.pairs.flat(), ...round.byes].filter(teamId =>
+    !rivals.has(teamId) && !pairs.some(pair => pair.includes(teamId))
+  );
+
+  while (left.length >= 2) {
+    const [teamA, ...others] = left;
+    const teamB = others.reduce((best, teamId) =>
+      (meetings(teamA, teamId) < meetings(teamA, best) ? teamId : best)
+    );
+    pairs.push([teamA, teamB]);
+    left = others.filter(teamId => teamId !== teamB);
+  }
+
+  return { pairs, byes: left };
+}
+
+/**
+ * Share out home games. Teams that meet more than once take turns hosting; the
+ * remaining single meetings are oriented along an Euler circuit, which leaves every
+ * team within one game of an even home/away split.
+ * @param {Array} matchups - Every matchup of the season in week order; teamA becomes home
+ */
+function balanceHomeGames(matchups) {
+  const byPair = new Map();
+  for (const matchup of matchups) {
+    const key = [matchup.teamA, matchup.teamB].sort().join('|');
+    if (!byPair.has(key)) byPair.set(key, []);
+    byPair.get(key).push(matchup);
+  }
+
+  const single = [];
+  for (const meetings of byPair.values()) {
+    const [first, second] = [meetings[0].teamA, meetings[0].teamB];
+    meetings.forEach((matchup, i) => {
+      if (i === meetings.length - 1 && meetings.length % 2 === 1) {
+        single.push(matchup);
+        return;
+      }
+      [matchup.teamA, matchup.teamB] = i % 2 === 0 ? [first, second] : [second, first];
+    });
+  }
+
+  // Give odd-degree teams an edge to a dummy team so every team has an even degree
+  const DUMMY = Symbol('dummy');
+  const edges = single.map(matchup => [matchup.teamA, matchup.teamB]);
+  const degree = new Map();
+  for (const team of edges.flat()) degree.set(team, (degree.get(team) || 0) + 1);
+  for (const [team, count] of degree) {
+    if (count % 2 === 1) edges.push([DUMMY, team]);
+  }
+
+  const adjacency = new Map();
+  edges.forEach(([a, b], index) => {
+    for (const team of [a, b]) {
+      if (!adjacency.has(team)) adjacency.set(team, []);
+      adjacency.get(team).push(index);
+    }
+  });
+
+  // Hierholzer: walking each edge once, the team we leave from hosts
+  const used = new Array(edges.length).fill(false);
+  const next = new Map([...adjacency.keys()].map(team => [team, 0]));
+  for (const start of adjacency.keys()) {
+    const stack = [start];
+    while (stack.length > 0) {
+      const team = stack[stack.length - 1];
+      const teamEdges = adjacency.get(team);
+      while (next.get(team) < teamEdges.length && used[teamEdges[next.get(team)]]) {
+        next.set(team, next.get(team) + 1);
+      }
+      if (next.get(team) === teamEdges.length) {
+        stack.pop();
+        continue;
+      }
+
+      const index = teamEdges[next.get(team)];
+      used[index] = true;
+      const [a, b] = edges[index];
+      const other = a === team ? b : a;
+      if (index < single.length) {
+        single[index].teamA = team;
+        single[index].teamB = other;
+      }
+      stack.push(other);
+    }
+  }
+}
+
+/**
+ * Validate schedule options submitted by a commissioner
+ * @param {Object} options - Schedule options
+ * @param {Array} teamIds - Teams in the league
+ * @returns {Array} - List of error messages (empty if valid)
+ */
+function validateScheduleOptions(options, teamIds) {
+  const errors = [];
+  const { weeks, divisions, divisionWeight, rivalryWeek, rivalries } = options;
+
+  if (teamIds.length < 2) {
+    errors.push('The league needs at least 2 teams');
+  }
+
+  if (weeks !== null && weeks !== undefined && (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_WEEKS)) {
+    errors.push(`Weeks must be between 1 and ${MAX_WEEKS}`);
+  }
+
+  if (!Number.isInteger(divisionWeight) || divisionWeight < 1 || divisionWeight > 3) {
+    errors.push('Division weight must be 1, 2 or 3');
+  }
+
+  const seen = new Set();
+  for (const division of divisions || []) {
+    if (!division || !Array.isArray(division.teamIds)) {
+      errors.push('Each division needs a list of teamIds');
+      continue;
+    }
+    for (const teamId of division.teamIds) {
+      if (!teamIds.includes(teamId)) {
+        errors.push(`Team ${teamId} in division "${division.name}" is not in the league`);
+      } else if (seen.has(teamId)) {
+        errors.push(`Team ${teamId} is in more than one division`);
+      }
+      seen.add(teamId);
+    }
+  }
+
+  if ((rivalries || []).length > 0) {
+    if (!Number.isInteger(rivalryWeek) || rivalryWeek < 1 || (weeks && rivalryWeek > weeks)) {
+      errors.push('Rivalry week must be one of the season\'s weeks');
+    }
+
+    const rivals = new Set();
+    for (const rivalry of rivalries) {
+      if (!Array.isArray(rivalry) || rivalry.length !== 2 || rivalry[0] === rivalry[1]) {
+        errors.push('Each rivalry must name two different teams');
+        continue;
+      }
+      for (const teamId of rivalry) {
+        if (!teamIds.includes(teamId)) {
+          errors.push(`Rival ${teamId} is not in the league`);
+        } else if (rivals.has(teamId)) {
+          errors.push(`Team ${teamId} is in more than one rivalry`);
+        }
+        rivals.add(teamId);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Generate a regular-season schedule. Every team meets every other team before
+ * anyone meets twice (division rivals more often with a division weight), teams sit
+ * out in turn when the count is odd, and home games are shared out evenly.
+ * @param {Array} teamIds - Teams in the league
+ * @param {Object} options - Valid schedule options (see DEFAULT_SCHEDULE_OPTIONS)
+ * @returns {Object} - { schedule: [{ week, matchups, byes }], seed }; teamA is the home team
+ */
+function generateSchedule(teamIds, options = {}) {
+  const settings = { ...DEFAULT_SCHEDULE_OPTIONS, ...options };
+  const seed = settings.seed ?? Math.random().toString(36).slice(2, 10);
+  const random = createRandom(seed);
+
+  const teams = shuffle(teamIds, random);
+  const inDivision = new Set(settings.divisions.flatMap(division => division.teamIds));
+  const groups = [
+    ...settings.divisions.map(division => teams.filter(teamId => division.teamIds.includes(teamId))),
+    teams.filter(teamId => !inDivision.has(teamId))
+  ].filter(group => group.length > 0);
+
+  // One cycle: the league round robin with the extra division meetings spread through it
+  let cycle = shuffle(roundRobin(teams), random);
+  if (settings.divisions.length > 0 && settings.divisionWeight > 1) {
+    const extra = [];
+    for (let i = 1; i < settings.divisionWeight; i++) {
+      extra.push(...shuffle(divisionRounds(groups), random));
+    }
+    cycle = interleave(cycle, extra);
+  }
+  if (settings.doubleRoundRobin) {
+    cycle = [...cycle, ...cycle];
+  }
+
+  // Keep cycling until the season is full; opponents repeat only once everyone has met
+  const weeks = settings.weeks || cycle.length;
+  const rounds = Array.from({ length: weeks }, (_, i) => cycle[i % cycle.length]);
+
+  // The rivalry week takes the round where most rivals were due to meet anyway
+  const rivalryIndex = settings.rivalries.length > 0 ? settings.rivalryWeek - 1 : -1;
+  if (rivalryIndex >= 0 && rivalryIndex < weeks) {
+    const rivalPairs = settings.rivalries.map(([teamA, teamB]) => [teamA, teamB].sort().join('|'));
+    const rivalCount = round => round.pairs.filter(pair => rivalPairs.includes([...pair].sort().join('|'))).length;
+    let best = rivalryIndex;
+    for (let i = rivalryIndex + 1; i < Math.min(weeks, rivalryIndex + cycle.length); i++) {
+      if (rivalCount(rounds[i]) > rivalCount(rounds[best])) best = i;
+    }
+    [rounds[rivalryIndex], rounds[best]] = [rounds[best], rounds[rivalryIndex]];
+  }
+
+  const meetingCounts = new Map();
+  const pairKey = (teamA, teamB) => [teamA, teamB].sort().join('|');
+  const meetings = (teamA, teamB) => meetingCounts.get(pairKey(teamA, teamB)) || 0;
+  const schedule = [];
+
+  for (let week = 1; week <= weeks; week++) {
+    const round = week - 1 === rivalryIndex
+      ? rivalryRound(settings.rivalries, rounds[week - 1], meetings)
+      : rounds[week - 1];
+
+    const matchups = round.pairs.map(([teamA, teamB]) => {
+      meetingCounts.set(pairKey(teamA, teamB), meetings(teamA, teamB) + 1);
+      return { teamA, teamB, scoreA: 0, scoreB: 0, winner: null };
+    });
+
+    schedule.push({ week, matchups, byes: [...round.byes] });
+  }
+
+  balanceHomeGames(schedule.flatMap(weekSchedule => weekSchedule.matchups));
+
+  return { schedule, seed: String(seed) };
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE_OPTIONS,
+  MAX_WEEKS,
+  createRandom,
+  validateScheduleOptions,
+  generateSchedule
+};
@@ -0,0 +1,185 @@
+// backend/helpers/scoringRules.js
+
+// Stats that can be weighted or used in bonus thresholds
+const STAT_KEYS = [
+  'kills',
+  'deaths',
+  'assists',
+  'cs',
+  'visionScore',
+  'baronKills',
+  'dragonKills',
+  'turretKills'
+];
+
+const POSITIONS = ['TOP', 'JUNGLE', 'MID', 'ADC', 'SUPPORT'];
+
+// A pro team, drafted into a roster's TEAM slot; it scores only the objectives it takes
+const TEAM_POSITION = 'TEAM';
+const OBJECTIVE_STATS = ['baronKills', 'dragonKills', 'turretKills'];
+
+// Default scoring system, used by any league that hasn't customised its rules
+const DEFAULT_SCORING_RULES = {
+  statWeights: {
+    kills: 3,
+    deaths: -1,
+    assists: 1.5,
+    cs: 0.01,
+    visionScore: 0.5,
+    baronKills: 4,
+    dragonKills: 2,
+    turretKills: 3
+  },
+  positionMultipliers: {
+    TOP: 1,
+    JUNGLE: 1,
+    MID: 1,
+    ADC: 1,
+    SUPPORT: 1,
+    TEAM: 1
+  },
+  // Each bonus awards `points` when a single game's stat falls within [min, max]
+  // e.g. { stat: 'kills', min: 10, points: 2 } or { stat: 'deaths', max: 0, points: 3 }
+  bonuses: []
+};
+
+/**
+ * Merge a (possibly partial) ruleset with the defaults
+ * @param {Object} rules - Scoring rules from a league
+ * @returns {Object} - Complete scoring rules
+ */
+function normalizeScoringRules(rules) {
+  const source = rules && typeof rules.toObject === 'function' ? rules.toObject() : (rules || {});
+
+  return {
+    statWeights: {
+      ...DEFAULT_SCORING_RULES.statWeights,
+      ...(source.statWeights || {})
+    },
+    positionMultipliers: {
+      ...DEFAULT_SCORING_RULES.positionMultipliers,
+      ...(source.positionMultipliers || {})
+    },
+    bonuses: Array.isArray(source.bonuses)
+      ? source.bonuses.map(bonus => ({
+          stat: bonus.stat,
+          min: bonus.min ?? null,
+          max: bonus.max ?? null,
+          points: bonus.points,
+          label: bonus.label || ''
+        }))
+      : []
+  };
+}
+
+/**
+ * Validate a scoring ruleset submitted by a commissioner
+ * @param {Object} rules - Scoring rules to validate
+ * @returns {Array} - List of error messages (empty if valid)
+ */
+function validateScoringRules(rules) {
+  const errors = [];
+
+  if (!rules || typeof rules !== 'object') {
+    return ['Scoring rules must be an object'];
+  }
+
+  if (rules.statWeights !== undefined) {
+    for (const [stat, weight] of Object.entries(rules.statWeights || {})) {
+      if (!STAT_KEYS.includes(stat)) {
+        errors.push(`Unknown stat "${stat}" in statWeights`);
+      } else if (typeof weight !== 'number' || !Number.isFinite(weight)) {
+        errors.push(`Weight for "${stat}" must be a number`);
+      }
+    }
+  }
+
+  if (rules.positionMultipliers !== undefined) {
+    for (const [position, multiplier] of Object.entries(rules.positionMultipliers || {})) {
+      if (![...POSITIONS, TEAM_POSITION].includes(position)) {
+        errors.push(`Unknown position "${position}" in positionMultipliers`);
+      } else if (typeof multiplier !== 'number' || !Number.isFinite(multiplier) || multiplier < 0) {
+        errors.push(`Multiplier for "${position}" must be a non-negative number`);
+      }
+    }
+  }
+
+  if (rules.bonuses !== undefined) {
+    if (!Array.isArray(rules.bonuses)) {
+      errors.push('Bonuses must be an array');
+    } else {
+      rules.bonuses.forEach((bonus, index) => {
+        if (!bonus || !STAT_KEYS.includes(bonus.stat)) {
+          errors.push(`Bonus ${index + 1} has an unknown stat`);
+          return;
+        }
+
+        const hasMin = bonus.min !== undefined && bonus.min !== null;
+        const hasMax = bonus.max !== undefined && bonus.max !== null;
+
+        if (!hasMin && !hasMax) {
+          errors.push(`Bonus ${index + 1} needs a min or max threshold`);
+        }
+        if ((hasMin && typeof bonus.min !== 'number') || (hasMax && typeof bonus.max !== 'number')) {
+          errors.push(`Bonus ${index + 1} thresholds must be numbers`);
+        }
+        if (hasMin && hasMax && bonus.min > bonus.max) {
+          errors.push(`Bonus ${index + 1} min cannot be greater than max`);
+        }
+        if (typeof bonus.points !== 'number' || !Number.isFinite(bonus.points)) {
+          errors.push(`Bonus ${index + 1} points must be a number`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Calculate fantasy points for a single game under a scoring ruleset
+ * @param {Object} gameStats - Stats from a single game
+ * @param {String} position - Player position, used for the position multiplier (a TEAM
+ *   only scores objective stats)
+ * @param {Object} rules - Scoring rules (defaults used if omitted)
+ * @returns {Number} - Fantasy points for the game
+ */
+function calculateGamePoints(gameStats, position, rules) {
+  if (!gameStats) return 0;
+
+  const { statWeights, positionMultipliers, bonuses } = normalizeScoringRules(rules);
+
+  const scoredStats = position?.toUpperCase() === TEAM_POSITION ? OBJECTIVE_STATS : STAT_KEYS;
+
+  let points = 0;
+  for (const stat of scoredStats) {
+    points += (gameStats[stat] || 0) * (statWeights[stat] || 0);
+  }
+
+  // Threshold bonuses are evaluated per game
+  for (const bonus of bonuses) {
+    if (!scoredStats.includes(bonus.stat)) continue;
+    const value = gameStats[bonus.stat] || 0;
+    if (bonus.min !== null && value < bonus.min) continue;
+    if (bonus.max !== null && value > bonus.max) continue;
+    points += bonus.points;
+  }
+
+  const multiplier = positionMultipliers[position?.toUpperCase()];
+  if (typeof multiplier === 'number') {
+    points *= multiplier;
+  }
+
+  return points;
+}
+
+module.exports = {
+  STAT_KEYS,
+  POSITIONS,
+  TEAM_POSITION,
+  OBJECTIVE_STATS,
+  DEFAULT_SCORING_RULES,
+  normalizeScoringRules,
+  validateScoringRules,
+  calculateGamePoints
+};
@@ -0,0 +1,292 @@
+// backend/helpers/standings.js
+
+// Ways to separate teams with the same winning percentage, tried in the league's order
+const TIEBREAKERS = {
+  headToHead: 'Head-to-head record',
+  pointsFor: 'Most points scored',
+  pointsAgainst: 'Fewest points allowed',
+  divisionRecord: 'Division record'
+};
+
+const DEFAULT_TIEBREAKERS = ['headToHead', 'pointsFor', 'divisionRecord', 'pointsAgainst'];
+
+const winPct = (wins, losses, ties) => {
+  const games = wins + losses + ties;
+  return games > 0 ? (wins + ties / 2) / games : 0;
+};
+
+/**
+ * Validate a tiebreaker chain submitted by a commissioner
+ * @param {Array} tiebreakers - Tiebreaker keys in the order they apply
+ * @returns {Array} - List of error messages (empty if valid)
+ */
+function validateTiebreakers(tiebreakers) {
+  if (!Array.isArray(tiebreakers) || tiebreakers.length === 0) {
+    return ['Tiebreakers must be a non-empty list'];
+  }
+
+  const errors = [];
+  for (const tiebreaker of tiebreakers) {
+    if (!TIEBREAKERS[tiebreaker]) {
+      errors.push(`Unknown tiebreaker "${tiebreaker}"`);
+    }
+  }
+  if (new Set(tiebreakers).size !== tiebreakers.length) {
+    errors.push('Each tiebreaker can only be used once');
+  }
+
+  return errors;
+}
+
+/**
+ * Decided regular-season games in week order. Accepts both the stored schedule
+ * ({ week, matchups: [{ teamA, teamB, scoreA, scoreB, winner }] }) and the
+ * fantasy-core one (arrays of { homeTeam, awayTeam, homeScore, awayScore, completed }).
+ * @returns {Object} - { games: [{ week, teamA, teamB, scoreA, scoreB, winner }], remaining: Map teamId -> games left }
+ */
+function readSchedule(schedule) {
+  const idOf = team => (team && typeof team === 'object' ? team.id : team);
+  const games = [];
+  const remaining = new Map();
+
+  (schedule || []).forEach((weekSchedule, index) => {
+    const isCore = Array.isArray(weekSchedule);
+    const week = isCore ? index + 1 : weekSchedule.week;
+    const matchups = isCore ? weekSchedule : weekSchedule.matchups || [];
+
+    for (const matchup of matchups) {
+      const game = isCore
+        ? {
+            teamA: idOf(matchup.homeTeam),
+            teamB: idOf(matchup.awayTeam),
+            scoreA: matchup.homeScore || 0,
+            scoreB: matchup.awayScore || 0,
+            decided: !!matchup.completed
+          }
+        : {
+            teamA: idOf(matchup.teamA),
+            teamB: idOf(matchup.teamB),
+            scoreA: matchup.scoreA || 0,
+            scoreB: matchup.scoreB || 0,
+            decided: matchup.winner !== null && matchup.winner !== undefined
+          };
+
+      if (!game.decided) {
+        for (const teamId of [game.teamA, game.teamB]) {
+          remaining.set(teamId, (remaining.get(teamId) || 0) + 1);
+        }
+        continue;
+      }
+
+      let winner = 'TIE';
+      if (game.scoreA !== game.scoreB) winner = game.scoreA > game.scoreB ? game.teamA : game.teamB;
+      if (!isCore) winner = idOf(matchup.winner);
+
+      games.push({ week, teamA: game.teamA, teamB: game.teamB, scoreA: game.scoreA, scoreB: game.scoreB, winner });
+    }
+  });
+
+  return { games, remaining };
+}
+
+/**
+ * Teams that have clinched a playoff spot or been eliminated. With divisions, the field is
+ * seeded like seedWithDivisionWinners: every division winner, then the best of the rest.
+ * Only certain outcomes count, so teams that could still tie stay undecided.
+ * @param {Array} ordered - Standings rows in rank order
+ * @param {Number} playoffTeams - Size of the playoff field
+ * @param {Map} remaining - teamId -> games left
+ * @returns {Map} - teamId -> 'clinched' | 'eliminated'
+ */
+function playoffStatuses(ordered, playoffTeams, remaining) {
+  // Teams rank by winning percentage, and byes leave them with different game counts, so
+  // compare the best and worst percentage each can still finish with
+  const bestCase = row => winPct(row.wins + (remaining.get(row.teamId) || 0), row.losses, row.ties);
+  const worstCase = row => winPct(row.wins, row.losses + (remaining.get(row.teamId) || 0), row.ties);
+  const divisionCount = new Set(ordered.map(row => row.division).filter(Boolean)).size;
+  const wildcards = Math.max(0, playoffTeams - divisionCount);
+  const statuses = new Map();
+
+  for (const row of ordered) {
+    const others = ordered.filter(other => other !== row);
+    const canCatch = others.filter(other => bestCase(other) >= worstCase(row));
+    const outOfReach = others.filter(other => worstCase(other) > bestCase(row));
+
+    // Clinched: too few teams can still catch up. Eliminated: too many are already out of reach.
+    if (divisionCount === 0) {
+      if (canCatch.length < playoffTeams) {
+        statuses.set(row.teamId, 'clinched');
+      } else if (outOfReach.length >= playoffTeams) {
+        statuses.set(row.teamId, 'eliminated');
+      }
+      continue;
+    }
+
+    const rivals = others.filter(other => row.division && other.division === row.division);
+    const winsDivision = !!row.division && rivals.every(rival => bestCase(rival) < worstCase(row));
+    const canWinDivision = !!row.division && !rivals.some(rival => worstCase(rival) > bestCase(row));
+
+    // Division winners are seeded first, so only other winners can push one out, and only
+    // when there are more divisions than playoff spots. A wildcard is safe when too few of the
+    // teams that can catch it are left to fill the wildcard spots once its own division's
+    // winner (one of them, if it has a division) is taken out.
+    if (winsDivision && (divisionCount <= playoffTeams || canCatch.length < playoffTeams)) {
+      statuses.set(row.teamId, 'clinched');
+    } else if (canCatch.length - (row.division ? 1 : 0) < wildcards) {
+      statuses.set(row.teamId, 'clinched');
+    } else if (!canWinDivision) {
+      // At most one team per division among those out of reach can be its winner; the rest
+      // are certain to take wildcard spots ahead of this team
+      const perDivision = new Map();
+      let nonWinners = 0;
+      for (const other of outOfReach) {
+        if (other.division) perDivision.set(other.division, (perDivision.get(other.division) || 0) + 1);
+        else nonWinners++;
+      }
+      for (const count of perDivision.values()) nonWinners += count - 1;
+
+      if (nonWinners >= wildcards) statuses.set(row.teamId, 'eliminated');
+    }
+  }
+
+  return statuses;
+}
+
+/**
+ * Build the standings table
+ * @param {Array} teamIds - Every team in the league
+ * @param {Array} schedule - The league's regular-season schedule
+ * @param {Object} options - { tiebreakers, divisions: [{ name, conference, teamIds }], playoffTeams }
+ * @returns {Array} - Rows in rank order
+ */
+function computeStandings(teamIds, schedule, options = {}) {
+  const tiebreakers = options.tiebreakers && options.tiebreakers.length > 0 ? options.tiebreakers : DEFAULT_TIEBREAKERS;
+  const divisionOf = new Map();
+  const conferenceOf = new Map();
+  for (const division of options.divisions || []) {
+    for (const teamId of division.teamIds || []) {
+      divisionOf.set(teamId, division.name);
+      conferenceOf.set(teamId, division.conference || null);
+    }
+  }
+
+  const { games, remaining } = readSchedule(schedule);
+  const rows = new Map(teamIds.map(teamId => [teamId, {
+    teamId,
+    division: divisionOf.get(teamId) || null,
+    conference: conferenceOf.get(teamId) || null,
+    wins: 0,
+    losses: 0,
+    ties: 0,
+    points: 0, // Points for
+    pointsAgainst: 0,
+    divisionWins: 0,
+    divisionLosses: 0,
+    divisionTies: 0,
+    results: [] // 'W' | 'L' | 'T' in week order
+  }]));
+  const headToHead = new Map(); // 'teamId|opponentId' -> { wins, losses, ties }
+  const record = (teamId, opponentId) => {
+    const key = `${teamId}|${opponentId}`;
+    if (!headToHead.has(key)) headToHead.set(key, { wins: 0, losses: 0, ties: 0 });
+    return headToHead.get(key);
+  };
+
+  for (const game of games.sort((a, b) => a.week - b.week)) {
+    const sides = [[game.teamA, game.teamB, game.scoreA, game.scoreB], [game.teamB, game.teamA, game.scoreB, game.scoreA]];
+    for (const [teamId, opponentId, scored, allowed] of sides) {
+      const row = rows.get(teamId);
+      if (!row) continue;
+
+      const result = game.winner === 'TIE' ? 'T' : game.winner === teamId ? 'W' : 'L';
+      const key = { W: 'wins', L: 'losses', T: 'ties' }[result];
+      row[key] += 1;
+      row.points += scored;
+      row.pointsAgainst += allowed;
+      row.results.push(result);
+      record(teamId, opponentId)[key] += 1;
+
+      if (row.division && row.division === divisionOf.get(opponentId)) {
+        row[`division${key.charAt(0).toUpperCase()}${key.slice(1)}`] += 1;
+      }
+    }
+  }
+
+  const metrics = {
+    headToHead: (row, group) => {
+      const totals = { wins: 0, losses: 0, ties: 0 };
+      for (const other of group) {
+        if (other === row) continue;
+        const versus = record(row.teamId, other.teamId);
+        totals.wins += versus.wins;
+        totals.losses += versus.losses;
+        totals.ties += versus.ties;
+      }
+      return winPct(totals.wins, totals.losses, totals.ties);
+    },
+    pointsFor: row => row.points,
+    pointsAgainst: row => -row.pointsAgainst,
+    divisionRecord: row => winPct(row.divisionWins, row.divisionLosses, row.divisionTies)
+  };
+
+  // Split a group of tied teams with the first tiebreaker that separates any of them;
+  // the groups that are still tied start again from the top of the chain
+  const breakTie = (group, step = 0) => {
+    if (group.length < 2 || step >= tiebreakers.length) {
+      return [...group].sort((a, b) => String(a.teamId).localeCompare(String(b.teamId)));
+    }
+
+    const metric = metrics[tiebreakers[step]];
+    const values = new Map(group.map(row => [row, metric(row, group)]));
+    const sorted = [...group].sort((a, b) => values.get(b) - values.get(a));
+    const tiers = [];
+    for (const row of sorted) {
+      const last = tiers[tiers.length - 1];
+      if (last && values.get(last[0]) === values.get(row)) last.push(row);
+      else tiers.push([row]);
+    }
+
+    if (tiers.length === 1) return breakTie(group, step + 1);
+    return tiers.flatMap(tier => breakTie(tier, 0));
+  };
+
+  const byPct = new Map();
+  for (const row of rows.values()) {
+    const pct = winPct(row.wins, row.losses, row.ties);
+    if (!byPct.has(pct)) byPct.set(pct, []);
+    byPct.get(pct).push(row);
+  }
+  const ordered = [...byPct.keys()].sort((a, b) => b - a).flatMap(pct => breakTie(byPct.get(pct)));
+
+  const playoffTeams = options.playoffTeams || 0;
+  const statuses = playoffTeams > 0 && playoffTeams < ordered.length
+    ? playoffStatuses(ordered, playoffTeams, remaining)
+    : new Map();
+  const divisionRanks = new Map();
+
+  return ordered.map((row, index) => {
+    const { results, ...standing } = row;
+    const last = results[results.length - 1];
+    let streakLength = 0;
+    for (let i = results.length - 1; i >= 0 && results[i] === last; i--) streakLength++;
+
+    if (row.division) divisionRanks.set(row.division, (divisionRanks.get(row.division) || 0) + 1);
+
+    return {
+      ...standing,
+      rank: index + 1,
+      divisionRank: row.division ? divisionRanks.get(row.division) : null,
+      winPct: winPct(row.wins, row.losses, row.ties),
+      streak: last ? `${last}${streakLength}` : null,
+      remainingGames: remaining.get(row.teamId) || 0,
+      status: statuses.get(row.teamId) || null
+    };
+  });
+}
+
+module.exports = {
+  TIEBREAKERS,
+  DEFAULT_TIEBREAKERS,
+  validateTiebreakers,
+  computeStandings
+};
@@ -0,0 +1,197 @@
+// backend/helpers/tradeAnalysis.js
+const { calculateGamePoints } = require('./scoringRules');
+const { getStartingSlots, canPlaySlot } = require('./rosterTemplate');
+
+const RECENT_WEEKS = 3; // Weeks that count as recent form
+const FORM_WEIGHT = 0.5; // Share of a projection that comes from recent form rather than the whole season
+const SCARCITY_WEIGHT = 0.5; // How much value over a free-agent replacement adds to a trade score
+const EVEN_MARGIN = 0.02; // Score within this share of a lineup's projection counts as an even trade
+
+const round1 = value => Math.round(value * 10) / 10;
+const normalizeTeam = value => String(value || '').trim().toLowerCase();
+
+/**
+ * A player's production under a league's scoring rules: season points, recent form and
+ * the per-game projection that blends the two
+ * @param {Object} player - { id, name, position, team, teamCode }
+ * @param {Array} games - The player's game log entries ({ week, stats })
+ * @param {Object} scoringRules - League scoring rules
+ * @param {Number} currentWeek - The league's current week
+ * @returns {Object} - { playerId, name, position, seasonPoints, gamesPlayed, perGame, recentPerGame, projectedPerGame, gamesPerWeek }
+ */
+function summarizePlayer(player, games, scoringRules, currentWeek) {
+  const scored = games.map(game => ({ week: game.week, points: calculateGamePoints(game.stats, player.position, scoringRules) }));
+  const seasonPoints = scored.reduce((total, game) => total + game.points, 0);
+  const perGame = scored.length > 0 ? seasonPoints / scored.length : 0;
+
+  const recent = scored.filter(game => game.week > currentWeek - RECENT_WEEKS && game.week <= currentWeek);
+  const recentPerGame = recent.length > 0 ? recent.reduce((total, game) => total + game.points, 0) / recent.length : null;
+  const weeksPlayed = new Set(scored.map(game => game.week)).size;
+
+  return {
+    playerId: player.id,
+    name: player.name,
+    position: player.position,
+    team: player.team,
+    teamCode: player.teamCode || null,
+    seasonPoints,
+    gamesPlayed: scored.length,
+    perGame,
+    recentPerGame,
+    projectedPerGame: recentPerGame === null ? perGame : FORM_WEIGHT * recentPerGame + (1 - FORM_WEIGHT) * perGame,
+    gamesPerWeek: weeksPlayed > 0 ? scored.length / weeksPlayed : 0
+  };
+}
+
+/**
+ * Games a player has left this season: their pro team's matches still to come in the
+ * calendar, or their usual games per week if the calendar has none
+ * @param {Object} summary - From summarizePlayer
+ * @param {Array} matches - Pro matches still to be played this season
+ * @param {Number} remainingWeeks - Fantasy weeks left
+ */
+function remainingGames(summary, matches, remainingWeeks) {
+  if (matches.length === 0) return summary.gamesPerWeek * remainingWeeks;
+
+  const teamKeys = [summary.team, summary.teamCode].map(normalizeTeam).filter(Boolean);
+  return matches.filter(match => teamKeys.includes(normalizeTeam(match.teamA)) || teamKeys.includes(normalizeTeam(match.teamB))).length;
+}
+
+/**
+ * Replacement level at each position: the best projection among the league's free agents
+ * @param {Array} freeAgents - Summaries of free agents
+ * @returns {Object} - position -> projected points per game
+ */
+function replacementLevels(freeAgents) {
+  const levels = {};
+  for (const summary of freeAgents) {
+    levels[summary.position] = Math.max(levels[summary.position] || 0, summary.projectedPerGame);
+  }
+  return levels;
+}
+
+/**
+ * Put a player's projection over the games they have left
+ * @param {Object} summary - From summarizePlayer
+ * @param {Number} games - Games left (from remainingGames)
+ * @param {Object} replacement - From replacementLevels
+ */
+function valuePlayer(summary, games, replacement) {
+  return {
+    ...summary,
+    remainingGames: games,
+    restOfSeason: summary.projectedPerGame * games,
+    overReplacement: (summary.projectedPerGame - (replacement[summary.position] || 0)) * games
+  };
+}
+
+/**
+ * The strongest starting lineup a set of players can field, by rest-of-season projection.
+ * Each position's own slot takes its best player; FLEX slots then take the best of the rest.
+ * @param {Array} players - Valued players (from valuePlayer)
+ * @param {Object} template - League roster template
+ * @returns {Object} - { total, starters: [{ slot, playerId, name, restOfSeason }] }
+ */
+function bestLineup(players, template) {
+  const slots = getStartingSlots(template);
+  const available = [...players].sort((a, b) => b.restOfSeason - a.restOfSeason);
+  const starters = [];
+
+  const fill = slot => {
+    const index = available.findIndex(player => canPlaySlot(player.position, slot));
+    const player = index >= 0 ? available.splice(index, 1)[0] : null;
+    starters.push({
+      slot,
+      playerId: player ? player.playerId : null,
+      name: player ? player.name : null,
+      restOfSeason: player ? round1(player.restOfSeason) : 0
+    });
+  };
+  slots.filter(slot => !slot.startsWith('FLEX')).forEach(fill);
+  slots.filter(slot => slot.startsWith('FLEX')).forEach(fill);
+
+  return {
+    total: round1(starters.reduce((total, starter) => total + starter.restOfSeason, 0)),
+    starters: slots.map(slot => starters.find(starter => starter.slot === slot))
+  };
+}
+
+const sumOf = (players, field) => players.reduce((total, player) => total + (player[field] || 0), 0);
+
+const compare = (given, received, field) => ({
+  given: round1(sumOf(given, field)),
+  received: round1(sumOf(received, field)),
+  change: round1(sumOf(received, field) - sumOf(given, field))
+});
+
+const describeAsset = (asset, valued) => {
+  if (asset.type === 'pick') {
+    return { type: 'pick', season: asset.season, round: asset.round, originalTeamId: asset.originalTeamId };
+  }
+
+  const player = valued.get(asset.playerId) || {};
+  return {
+    type: 'player',
+    playerId: asset.playerId,
+    name: player.name || asset.name || asset.playerId,
+    position: player.position || asset.position || null,
+    seasonPoints: round1(player.seasonPoints || 0),
+    recentPerGame: player.recentPerGame === null || player.recentPerGame === undefined ? null : round1(player.recentPerGame),
+    restOfSeason: round1(player.restOfSeason || 0),
+    overReplacement: round1(player.overReplacement || 0)
+  };
+};
+
+/**
+ * Score a trade for every team in it. Each team's best starting lineup is projected over
+ * the rest of the season with and without the trade; the score is the change in that
+ * projection, plus part of the change in value over what the waiver wire offers.
+ * @param {Object} trade - { assets, drops }
+ * @param {Array} teams - [{ teamId, name, players, reserve }] with valued players; players on IR don't start
+ * @param {Object} template - League roster template
+ * @returns {Array} - One analysis per team
+ */
+function analyzeTrade(trade, teams, template) {
+  const valued = new Map(teams.flatMap(team => [...team.players, ...(team.reserve || [])].map(player => [player.playerId, player])));
+  const playerAssets = trade.assets.filter(asset => asset.type !== 'pick');
+
+  return teams.map(team => {
+    const leaving = new Set([
+      ...playerAssets.filter(asset => asset.fromTeamId === team.teamId).map(asset => asset.playerId),
+      ...(trade.drops || []).filter(drop => drop.teamId === team.teamId).map(drop => drop.playerId)
+    ]);
+    const given = playerAssets.filter(asset => asset.fromTeamId === team.teamId).map(asset => valued.get(asset.playerId)).filter(Boolean);
+    const received = playerAssets.filter(asset => asset.toTeamId === team.teamId).map(asset => valued.get(asset.playerId)).filter(Boolean);
+
+    const before = bestLineup(team.players, template);
+    const after = bestLineup([...team.players.filter(player => !leaving.has(player.playerId)), ...received], template);
+    const scarcity = compare(given, received, 'overReplacement');
+    const lineupChange = round1(after.total - before.total);
+    const score = round1(lineupChange + SCARCITY_WEIGHT * scarcity.change);
+    const margin = Math.max(1, before.total * EVEN_MARGIN);
+
+    return {
+      teamId: team.teamId,
+      name: team.name,
+      gives: trade.assets.filter(asset => asset.fromTeamId === team.teamId).map(asset => describeAsset(asset, valued)),
+      gets: trade.assets.filter(asset => asset.toTeamId === team.teamId).map(asset => describeAsset(asset, valued)),
+      seasonPoints: compare(given, received, 'seasonPoints'),
+      recentForm: compare(given, received, 'recentPerGame'),
+      restOfSeason: compare(given, received, 'restOfSeason'),
+      scarcity,
+      lineup: { before, after, change: lineupChange },
+      score,
+      verdict: score > margin ? 'gains' : score < -margin ? 'loses' : 'even'
+    };
+  });
+}
+
+module.exports = {
+  RECENT_WEEKS,
+  summarizePlayer,
+  remainingGames,
+  replacementLevels,
+  valuePlayer,
+  bestLineup,
+  analyzeTrade
+};
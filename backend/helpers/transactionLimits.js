@@ -0,0 +1,111 @@
+// backend/helpers/transactionLimits.js
+
+const DEFAULT_TRANSACTION_SETTINGS = {
+  tradeDeadlineWeek: null, // Last week trades can be proposed or accepted; null means no deadline
+  maxAddsPerWeek: null, // Free-agent and waiver pickups per team; null means no limit
+  maxAddsPerSeason: null,
+  playoffRosterLock: false // No adds, drops or trades while the playoffs are on
+};
+
+const ROSTER_LOCK_MESSAGE = 'Rosters are locked for the playoffs';
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+/**
+ * Merge a league's (possibly partial) transaction settings with the defaults
+ * @param {Object} settings - Transaction settings from a league or a request
+ * @returns {Object} - Complete transaction settings
+ */
+function normalizeTransactionSettings(settings) {
+  const source = settings && typeof settings.toObject === 'function' ? settings.toObject() : (settings || {});
+
+  return {
+    tradeDeadlineWeek: source.tradeDeadlineWeek ?? DEFAULT_TRANSACTION_SETTINGS.tradeDeadlineWeek,
+    maxAddsPerWeek: source.maxAddsPerWeek ?? DEFAULT_TRANSACTION_SETTINGS.maxAddsPerWeek,
+    maxAddsPerSeason: source.maxAddsPerSeason ?? DEFAULT_TRANSACTION_SETTINGS.maxAddsPerSeason,
+    playoffRosterLock: source.playoffRosterLock ?? DEFAULT_TRANSACTION_SETTINGS.playoffRosterLock
+  };
+}
+
+/**
+ * Validate transaction settings submitted by a commissioner
+ * @param {Object} settings - Complete transaction settings
+ * @returns {Array} - List of error messages (empty if valid)
+ */
+function validateTransactionSettings(settings) {
+  const errors = [];
+  const { tradeDeadlineWeek, maxAddsPerWeek, maxAddsPerSeason, playoffRosterLock } = settings;
+
+  if (tradeDeadlineWeek !== null && (!Number.isInteger(tradeDeadlineWeek) || tradeDeadlineWeek < 1)) {
+    errors.push('The trade deadline must be a week number of at least 1');
+  }
+  if (maxAddsPerWeek !== null && (!Number.isInteger(maxAddsPerWeek) || maxAddsPerWeek < 0)) {
+    errors.push('Adds per week must be a whole number of at least 0');
+  }
+  if (maxAddsPerSeason !== null && (!Number.isInteger(maxAddsPerSeason) || maxAddsPerSeason < 0)) {
+    errors.push('Adds per season must be a whole number of at least 0');
+  }
+  if (typeof playoffRosterLock !== 'boolean') {
+    errors.push('Playoff roster lock must be true or false');
+  }
+
+  return errors;
+}
+
+/**
+ * Whether a league's rosters are locked: the league locks them for the playoffs and
+ * its playoffs are under way
+ * @param {Object} league - League with its playoffs
+ * @param {Object} settings - Complete transaction settings
+ */
+function isRosterLocked(league, settings) {
+  return settings.playoffRosterLock && !!league.playoffs && league.playoffs.status === 'inProgress';
+}
+
+/**
+ * Why trades can't be proposed or accepted in a league right now
+ * @param {Object} league - League with its current week and playoffs
+ * @param {Object} settings - Complete transaction settings
+ * @returns {String|null} - The reason, or null if trading is open
+ */
+function getTradeRestriction(league, settings) {
+  if (isRosterLocked(league, settings)) return ROSTER_LOCK_MESSAGE;
+
+  const { tradeDeadlineWeek } = settings;
+  if (tradeDeadlineWeek !== null && (league.currentWeek || 0) > tradeDeadlineWeek) {
+    return `The trade deadline (week ${tradeDeadlineWeek}) has passed`;
+  }
+
+  return null;
+}
+
+/**
+ * Why a team can't pick up another player right now
+ * @param {Object} league - League with its current week and playoffs
+ * @param {Object} settings - Complete transaction settings
+ * @param {Object} adds - { week, season } pickups the team has already made
+ * @returns {String|null} - The reason, or null if the team can add a player
+ */
+function getAddRestriction(league, settings, adds) {
+  if (isRosterLocked(league, settings)) return ROSTER_LOCK_MESSAGE;
+
+  const { maxAddsPerWeek, maxAddsPerSeason } = settings;
+  if (maxAddsPerSeason !== null && adds.season >= maxAddsPerSeason) {
+    return `Your team has reached its limit of ${plural(maxAddsPerSeason, 'add')} this season`;
+  }
+  if (maxAddsPerWeek !== null && adds.week >= maxAddsPerWeek) {
+    return `Your team has reached its limit of ${plural(maxAddsPerWeek, 'add')} in week ${league.currentWeek || 0}`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  DEFAULT_TRANSACTION_SETTINGS,
+  ROSTER_LOCK_MESSAGE,
+  normalizeTransactionSettings,
+  validateTransactionSettings,
+  isRosterLocked,
+  getTradeRestriction,
+  getAddRestriction
+};
@@ -1,5 +1,6 @@
 // models/FantasyTeam.js
 const mongoose = require('mongoose');
+const { STARTING_SLOTS, LIST_SLOTS, getRosterPlayerIds, findPlayerSlot } = require('../helpers/rosterTemplate');
 
 const playerPositionSchema = new mongoose.Schema({
   playerId: { 
@@ -34,6 +35,7 @@ const fantasyTeamSchema = new mongoose.Schema({
     ref: 'League',
     default: null
   },
+  // Every slot any roster template can use; the league's template decides which are open
   players: {
     TOP: { type: playerPositionSchema, default: () => ({ playerId: null }) },
     JUNGLE: { type: playerPositionSchema, default: () => ({ playerId: null }) },
@@ -41,7 +43,11 @@ const fantasyTeamSchema = new mongoose.Schema({
     ADC: { type: playerPositionSchema, default: () => ({ playerId: null }) },
     SUPPORT: { type: playerPositionSchema, default: () => ({ playerId: null }) },
     FLEX: { type: playerPositionSchema, default: () => ({ playerId: null }) },
-    BENCH: { type: [String], default: [] }
+    FLEX2: { type: playerPositionSchema, default: () => ({ playerId: null }) },
+    FLEX3: { type: playerPositionSchema, default: () => ({ playerId: null }) },
+    TEAM: { type: playerPositionSchema, default: () => ({ playerId: null }) },
+    BENCH: { type: [String], default: [] },
+    IR: { type: [String], default: [] }
   },
   totalPoints: {
     type: Number,
@@ -59,7 +65,12 @@ const fantasyTeamSchema = new mongoose.Schema({
   losses: {
     type: Number,
     default: 0
-  }
+  },
+  // Players the manager wants to keep when the league rolls over to next season
+  keepers: [{
+    type: String,
+    ref: 'Player'
+  }]
 }, {
   timestamps: true
 });
@@ -72,9 +83,9 @@ fantasyTeamSchema.methods.addPlayer = function(player, slot) {
   this.removePlayer(player.id);
   
   // Add player to the specified slot
-  if (slot === 'BENCH') {
-    this.players.BENCH.push(player.id);
-  } else if (['TOP', 'JUNGLE', 'MID', 'ADC', 'SUPPORT', 'FLEX'].includes(slot)) {
+  if (LIST_SLOTS.includes(slot)) {
+    this.players[slot].push(player.id);
+  } else if (STARTING_SLOTS.includes(slot)) {
     this.players[slot] = { playerId: player.id };
   } else {
     return false;
@@ -86,48 +97,57 @@ fantasyTeamSchema.methods.addPlayer = function(player, slot) {
 fantasyTeamSchema.methods.removePlayer = function(playerId) {
   if (!playerId) return false;
   
-  // Check all positions
-  const positions = ['TOP', 'JUNGLE', 'MID', 'ADC', 'SUPPORT', 'FLEX'];
-  for (const pos of positions) {
-    if (this.players[pos] && this.players[pos].playerId === playerId) {
-      this.players[pos] = { playerId: null };
-      return true;
-    }
-  }
+  const slot = findPlayerSlot(this.players, playerId);
+  if (!slot) return false;
   
-  // Check bench
-  const benchIndex = this.players.BENCH.indexOf(playerId);
-  if (benchIndex !== -1) {
-    this.players.BENCH.splice(benchIndex, 1);
-    return true;
+  if (LIST_SLOTS.includes(slot)) {
+    this.players[slot].splice(this.players[slot].indexOf(playerId), 1);
+  } else {
+    this.players[slot] = { playerId: null };
   }
   
-  return false;
+  return true;
 };
 
-fantasyTeamSchema.methods.calculateWeeklyPoints = async function(week) {
+// IDs of every player on the roster: starters, bench and reserve
+fantasyTeamSchema.methods.getPlayerIds = function() {
+  return getRosterPlayerIds(this.players);
+};
+
+// The slot a player is in, or null if they aren't on the team
+fantasyTeamSchema.methods.getPlayerSlot = function(playerId) {
+  return findPlayerSlot(this.players, playerId);
+};
+
+fantasyTeamSchema.methods.calculateWeeklyPoints = async function(week, scoringRules = null) {
   if (!week) return 0;
   
   const Player = mongoose.model('Player');
+  const LineupSnapshot = mongoose.model('LineupSnapshot');
   let totalPoints = 0;
-  const positions = ['TOP', 'JUNGLE', 'MID', 'ADC', 'SUPPORT', 'FLEX'];
+  
+  // Score the lineup that was frozen for the week; later roster moves don't change it
+  const snapshot = await LineupSnapshot.findOne({ teamId: this.id, week });
+  const starterIds = snapshot
+    ? snapshot.getStarterIds()
+    : STARTING_SLOTS.map(slot => this.players[slot] && this.players[slot].playerId).filter(Boolean);
   
   // Calculate points for each starting position
-  for (const pos of positions) {
-    if (this.players[pos] && this.players[pos].playerId) {
-      const player = await Player.findOne({ id: this.players[pos].playerId });
-      if (player) {
-        const weekPoints = player.weeklyPoints.get(week.toString()) || 0;
-        totalPoints += weekPoints;
-      }
+  for (const playerId of starterIds) {
+    const player = await Player.findOne({ id: playerId });
+    if (player) {
+      totalPoints += await player.getWeeklyPoints(week, scoringRules);
     }
   }
   
+  // Replace any previous total for this week so recalculating doesn't double count
+  const previousPoints = this.weeklyPoints.get(week.toString()) || 0;
+  
   // Store weekly points
   this.weeklyPoints.set(week.toString(), totalPoints);
   
   // Update total points
-  this.totalPoints += totalPoints;
+  this.totalPoints += totalPoints - previousPoints;
   
   return totalPoints;
 };
@@ -0,0 +1,140 @@
+// backend/models/GameLog.js
+const mongoose = require('mongoose');
+const { STAT_KEYS } = require('../helpers/scoringRules');
+
+// Raw stat line for a single game; fantasy points are always derived from this
+const gameStatLineSchema = new mongoose.Schema({
+  kills: { type: Number, default: 0 },
+  deaths: { type: Number, default: 0 },
+  assists: { type: Number, default: 0 },
+  cs: { type: Number, default: 0 },
+  visionScore: { type: Number, default: 0 },
+  baronKills: { type: Number, default: 0 },
+  dragonKills: { type: Number, default: 0 },
+  turretKills: { type: Number, default: 0 }
+}, { _id: false });
+
+const gameLogSchema = new mongoose.Schema({
+  playerId: {
+    type: String,
+    ref: 'Player',
+    required: true
+  },
+  matchId: {
+    type: String,
+    required: true
+  },
+  week: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  opponent: {
+    type: String,
+    default: null
+  },
+  side: {
+    type: String,
+    enum: ['BLUE', 'RED', null],
+    default: null
+  },
+  // Game length in seconds
+  duration: {
+    type: Number,
+    default: null
+  },
+  playedAt: {
+    type: Date,
+    default: null
+  },
+  stats: {
+    type: gameStatLineSchema,
+    default: () => ({})
+  }
+}, {
+  timestamps: true
+});
+
+// A player can only appear once per match; this is what makes ingestion idempotent
+gameLogSchema.index({ playerId: 1, matchId: 1 }, { unique: true });
+gameLogSchema.index({ playerId: 1, week: 1 });
+
+/**
+ * Record a game for a player. Recording a match that is already in the log is a no-op,
+ * unless replace is set, in which case the new stat line corrects the recorded one.
+ * @param {String} playerId - Player ID
+ * @param {Object} game - { matchId, week, opponent, side, duration, playedAt, stats }
+ * @param {Object} options - replace: overwrite the match if it is already recorded
+ * @returns {Object} - { gameLog, created, replaced }
+ */
+gameLogSchema.statics.recordGame = async function(playerId, game, { replace = false } = {}) {
+  if (!game || !game.matchId) {
+    throw new Error('A matchId is required to record a game');
+  }
+
+  const matchId = String(game.matchId);
+
+  // Accept either a nested stat line or the stats spread on the game itself
+  const source = game.stats || game;
+  const stats = {};
+  for (const stat of STAT_KEYS) {
+    stats[stat] = Number(source[stat]) || 0;
+  }
+
+  const existing = await this.findOne({ playerId, matchId });
+  if (existing) {
+    if (!replace) {
+      return { gameLog: existing, created: false, replaced: false };
+    }
+
+    existing.stats = stats;
+    if (game.week) existing.week = game.week;
+    if (game.opponent !== undefined) existing.opponent = game.opponent || null;
+    if (game.side !== undefined) existing.side = game.side ? String(game.side).toUpperCase() : null;
+    if (game.duration !== undefined) existing.duration = game.duration ?? null;
+    if (game.playedAt !== undefined) existing.playedAt = game.playedAt || null;
+    await existing.save();
+    return { gameLog: existing, created: false, replaced: true };
+  }
+
+  try {
+    const gameLog = await this.create({
+      playerId,
+      matchId,
+      week: game.week,
+      opponent: game.opponent || null,
+      side: game.side ? String(game.side).toUpperCase() : null,
+      duration: game.duration ?? null,
+      playedAt: game.playedAt || null,
+      stats
+    });
+    return { gameLog, created: true, replaced: false };
+  } catch (error) {
+    // Lost a race with a concurrent ingest of the same match
+    if (error.code === 11000) {
+      return { gameLog: await this.findOne({ playerId, matchId }), created: false, replaced: false };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Every player's stat lines grouped by week, without the rest of each log entry. Enough
+ * to score any week under any league's rules; season totals live on the player.
+ * @returns {Array} - [{ playerId, weeks: { week: [stat lines] } }]
+ */
+gameLogSchema.statics.getWeeklyStatLines = async function() {
+  const rows = await this.aggregate([
+    { $group: { _id: { playerId: '$playerId', week: '$week' }, games: { $push: '$stats' } } },
+    { $group: { _id: '$_id.playerId', weeks: { $push: { week: '$_id.week', games: '$games' } } } }
+  ]);
+
+  return rows.map(row => ({
+    playerId: row._id,
+    weeks: Object.fromEntries(row.weeks.map(({ week, games }) => [week, games]))
+  }));
+};
+
+const GameLog = mongoose.model('GameLog', gameLogSchema);
+
+module.exports = GameLog;
@@ -0,0 +1,82 @@
+// backend/models/JobLock.js
+const mongoose = require('mongoose');
+
+// Persisted lock so a background job can't run twice at once, even across restarts
+// or multiple server processes. Locks expire so a crashed run doesn't block forever.
+const jobLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  owner: {
+    type: String,
+    default: null
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Try to take the lock for a job
+ * @param {String} name - Job name
+ * @param {String} owner - Identifier of the process taking the lock
+ * @param {Number} ttl - Milliseconds before the lock is considered abandoned
+ * @returns {Boolean} - Whether the lock was acquired
+ */
+jobLockSchema.statics.acquire = async function(name, owner, ttl) {
+  const now = new Date();
+  
+  try {
+    const lock = await this.findOneAndUpdate(
+      {
+        name,
+        $or: [
+          { owner: null },
+          { expiresAt: { $lte: now } },
+          { owner }
+        ]
+      },
+      {
+        $set: {
+          owner,
+          lockedAt: now,
+          expiresAt: new Date(now.getTime() + ttl)
+        }
+      },
+      { upsert: true, new: true }
+    );
+    
+    return lock.owner === owner;
+  } catch (error) {
+    // The lock document exists and is held by someone else, so the upsert collided
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Release a lock held by this owner
+ * @param {String} name - Job name
+ * @param {String} owner - Identifier of the process holding the lock
+ */
+jobLockSchema.statics.release = async function(name, owner) {
+  await this.updateOne(
+    { name, owner },
+    { $set: { owner: null, lockedAt: null, expiresAt: null } }
+  );
+};
+
+const JobLock = mongoose.model('JobLock', jobLockSchema);
+
+module.exports = JobLock;
@@ -1,6 +1,13 @@
 // models/League.js
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
+const { STAT_KEYS, DEFAULT_SCORING_RULES } = require('../helpers/scoringRules');
+const { normalizePlayoffSettings, buildPlayoffs, advanceWinner, getFinal } = require('../helpers/playoffBracket');
+const { DEFAULT_SCHEDULE_OPTIONS, generateSchedule } = require('../helpers/scheduleGenerator');
+const { TIEBREAKERS, DEFAULT_TIEBREAKERS, computeStandings } = require('../helpers/standings');
+const { normalizeDivisions, seedWithDivisionWinners } = require('../helpers/divisions');
+const { FLEX_SLOTS, MAX_BENCH, MAX_RESERVE } = require('../helpers/rosterTemplate');
+const { KEEPER_MODES, MAX_KEEPERS } = require('../helpers/keepers');
 
 const matchupSchema = new mongoose.Schema({
   teamA: { type: String, ref: 'FantasyTeam', required: true },
@@ -12,14 +19,223 @@ const matchupSchema = new mongoose.Schema({
 
 const weekScheduleSchema = new mongoose.Schema({
   week: { type: Number, required: true },
-  matchups: [matchupSchema]
+  matchups: [matchupSchema], // teamA is the home team
+  byes: [{ type: String, ref: 'FantasyTeam' }] // Teams sitting the week out
+}, { _id: false });
+
+const divisionSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  conference: { type: String, default: null },
+  teamIds: [{ type: String, ref: 'FantasyTeam' }]
+}, { _id: false });
+
+// Options the current schedule was generated with; the seed makes it repeatable
+const scheduleSettingsSchema = new mongoose.Schema({
+  weeks: { type: Number, default: null },
+  doubleRoundRobin: { type: Boolean, default: false },
+  divisions: [divisionSchema],
+  divisionWeight: { type: Number, default: 1, min: 1, max: 3 },
+  rivalryWeek: { type: Number, default: null },
+  rivalries: { type: [[String]], default: [] },
+  seed: { type: String, default: null }
 }, { _id: false });
 
 const standingSchema = new mongoose.Schema({
   teamId: { type: String, ref: 'FantasyTeam', required: true },
+  rank: { type: Number, default: null },
+  division: { type: String, default: null },
+  conference: { type: String, default: null },
+  divisionRank: { type: Number, default: null },
   wins: { type: Number, default: 0 },
   losses: { type: Number, default: 0 },
-  points: { type: Number, default: 0 }
+  ties: { type: Number, default: 0 },
+  winPct: { type: Number, default: 0 },
+  points: { type: Number, default: 0 }, // Points for
+  pointsAgainst: { type: Number, default: 0 },
+  divisionWins: { type: Number, default: 0 },
+  divisionLosses: { type: Number, default: 0 },
+  divisionTies: { type: Number, default: 0 },
+  streak: { type: String, default: null }, // e.g. W3, L1, T1
+  remainingGames: { type: Number, default: 0 },
+  status: { type: String, enum: ['clinched', 'eliminated', null], default: null } // Playoff race
+}, { _id: false });
+
+const statWeightsSchema = new mongoose.Schema(
+  Object.fromEntries(
+    Object.entries(DEFAULT_SCORING_RULES.statWeights).map(([stat, weight]) => [stat, { type: Number, default: weight }])
+  ),
+  { _id: false }
+);
+
+const positionMultipliersSchema = new mongoose.Schema({
+  TOP: { type: Number, default: 1, min: 0 },
+  JUNGLE: { type: Number, default: 1, min: 0 },
+  MID: { type: Number, default: 1, min: 0 },
+  ADC: { type: Number, default: 1, min: 0 },
+  SUPPORT: { type: Number, default: 1, min: 0 },
+  TEAM: { type: Number, default: 1, min: 0 }
+}, { _id: false });
+
+const scoringBonusSchema = new mongoose.Schema({
+  stat: { type: String, enum: STAT_KEYS, required: true },
+  min: { type: Number, default: null },
+  max: { type: Number, default: null },
+  points: { type: Number, required: true },
+  label: { type: String, default: '' }
+}, { _id: false });
+
+const scoringRulesSchema = new mongoose.Schema({
+  statWeights: { type: statWeightsSchema, default: () => ({}) },
+  positionMultipliers: { type: positionMultipliersSchema, default: () => ({}) },
+  bonuses: { type: [scoringBonusSchema], default: [] }
+}, { _id: false });
+
+// Outcome of the most recent automatic stats refresh for this league
+const statsUpdateSchema = new mongoose.Schema({
+  lastRunAt: { type: Date, default: null },
+  outcome: { type: String, enum: ['success', 'partial', 'failed', null], default: null },
+  playersUpdated: { type: Number, default: 0 },
+  playersFailed: { type: Number, default: 0 },
+  error: { type: String, default: null }
+}, { _id: false });
+
+// One pick from a completed draft room
+const draftPickSchema = new mongoose.Schema({
+  round: { type: Number, required: true },
+  pick: { type: Number, required: true },
+  username: { type: String, required: true },
+  userId: { type: String, ref: 'User', default: null },
+  teamId: { type: String, ref: 'FantasyTeam', default: null },
+  playerId: { type: String, ref: 'Player', required: true },
+  playerName: { type: String, default: '' },
+  position: { type: String, default: null },
+  price: { type: Number, default: null }, // Winning bid in auction drafts
+  keeper: { type: Boolean, default: false } // Kept from last season rather than drafted
+}, { _id: false });
+
+const draftResultsSchema = new mongoose.Schema({
+  completedAt: { type: Date, default: null },
+  draftType: { type: String, enum: ['snake', 'auction'], default: 'snake' },
+  draftMode: { type: String, default: null },
+  draftOrder: { type: [String], default: [] },
+  picks: { type: [draftPickSchema], default: [] }
+}, { _id: false });
+
+// Every write of a draft save, recorded before any is made so an interrupted save can be finished
+const pendingDraftCommitSchema = new mongoose.Schema({
+  startedAt: { type: Date, default: Date.now },
+  rosters: { type: [{ _id: false, teamId: String, players: mongoose.Schema.Types.Mixed }], default: [] },
+  releasedPlayerIds: { type: [String], default: [] }, // Lose their owner in this league
+  draftResults: { type: draftResultsSchema, required: true }
+}, { _id: false });
+
+// When the league's draft room opens and starts on its own
+const draftScheduleSchema = new mongoose.Schema({
+  scheduledAt: { type: Date, required: true },
+  draftType: { type: String, enum: ['snake', 'auction'], default: 'snake' },
+  draftOrder: [{ type: String, ref: 'FantasyTeam' }],
+  auctionBudget: { type: Number, default: null },
+  status: {
+    type: String,
+    enum: ['scheduled', 'open', 'started', 'failed', 'cancelled'],
+    default: 'scheduled'
+  },
+  remindersSent: { type: [Number], default: [] }, // Lead times (minutes) already sent
+  scheduledBy: { type: String, ref: 'User', default: null },
+  error: { type: String, default: null }
+}, { _id: false });
+
+// How the league hands out players coming off waivers
+const waiverSettingsSchema = new mongoose.Schema({
+  mode: { type: String, enum: ['rolling', 'reverseStandings', 'faab'], default: 'rolling' },
+  periodHours: { type: Number, default: 48, min: 0 }, // How long dropped and just-played players stay on waivers
+  faabBudget: { type: Number, default: 100, min: 0 } // Season bidding budget per team in FAAB mode
+}, { _id: false });
+
+// Whether accepted trades go through right away or wait out a review period first
+const tradeSettingsSchema = new mongoose.Schema({
+  reviewMode: { type: String, enum: ['none', 'commissioner', 'league'], default: 'none' },
+  reviewHours: { type: Number, default: 24, min: 0 }, // How long the commissioner or the league has to step in
+  vetoVotes: { type: Number, default: null, min: 1 } // Votes that veto a trade in league review; null means a majority of the other teams
+}, { _id: false });
+
+// Late-season guardrails on roster moves; null limits mean no limit
+const transactionSettingsSchema = new mongoose.Schema({
+  tradeDeadlineWeek: { type: Number, default: null, min: 1 }, // Last week trades can be proposed or accepted
+  maxAddsPerWeek: { type: Number, default: null, min: 0 }, // Free-agent and waiver pickups per team
+  maxAddsPerSeason: { type: Number, default: null, min: 0 },
+  playoffRosterLock: { type: Boolean, default: false } // No adds, drops or trades while the playoffs are on
+}, { _id: false });
+
+// How the league's postseason is set up; takes effect when playoffs are generated
+const playoffSettingsSchema = new mongoose.Schema({
+  teams: { type: Number, default: 4, min: 2 },
+  byes: { type: Number, default: 0, min: 0 }, // Top seeds that skip the first round
+  weeksPerRound: { type: Number, enum: [1, 2], default: 1 },
+  consolation: { type: Boolean, default: false } // Teams that miss the playoffs play their own bracket
+}, { _id: false });
+
+// One game in a playoff bracket; two-week rounds add up both weeks
+const playoffMatchupSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  bracket: { type: String, enum: ['winners', 'consolation'], default: 'winners' },
+  round: { type: Number, required: true },
+  slot: { type: Number, required: true },
+  seedA: { type: Number, default: null },
+  seedB: { type: Number, default: null },
+  teamA: { type: String, ref: 'FantasyTeam', default: null }, // null until the feeder matchup is decided
+  teamB: { type: String, ref: 'FantasyTeam', default: null },
+  weeks: { type: [Number], default: [] },
+  scoreA: { type: Number, default: 0 },
+  scoreB: { type: Number, default: 0 },
+  winner: { type: String, default: null },
+  bye: { type: Boolean, default: false }
+}, { _id: false });
+
+const playoffsSchema = new mongoose.Schema({
+  status: { type: String, enum: ['inProgress', 'complete'], default: 'inProgress' },
+  seeds: [{ type: String, ref: 'FantasyTeam' }], // Playoff teams, top seed first
+  rounds: { type: Number, required: true },
+  startWeek: { type: Number, required: true },
+  endWeek: { type: Number, required: true },
+  matchups: { type: [playoffMatchupSchema], default: [] },
+  generatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// The slots every roster in the league has, beyond one starter per position
+const rosterTemplateSchema = new mongoose.Schema({
+  flex: { type: Number, default: 1, min: 0, max: FLEX_SLOTS.length }, // FLEX, FLEX2, FLEX3
+  teamSlot: { type: Boolean, default: false }, // A pro team scored on its objectives
+  bench: { type: Number, default: 3, min: 0, max: MAX_BENCH },
+  reserve: { type: Number, default: 0, min: 0, max: MAX_RESERVE } // Inactive reserve (IR)
+}, { _id: false });
+
+// What happens to rosters when the league rolls over to a new season
+const keeperSettingsSchema = new mongoose.Schema({
+  mode: { type: String, enum: KEEPER_MODES, default: 'redraft' },
+  maxKeepers: { type: Number, default: 2, min: 1, max: MAX_KEEPERS },
+  roundCost: { type: Number, default: 1, min: 0 } // Rounds earlier than last season's pick a keeper costs
+}, { _id: false });
+
+// A player kept from last season and the draft pick they cost
+const keeperSchema = new mongoose.Schema({
+  teamId: { type: String, ref: 'FantasyTeam', required: true },
+  playerId: { type: String, ref: 'Player', required: true },
+  round: { type: Number, required: true }
+}, { _id: false });
+
+// A draft pick that has been traded away from the team it belongs to
+const tradedPickSchema = new mongoose.Schema({
+  season: { type: Number, required: true },
+  round: { type: Number, required: true },
+  originalTeamId: { type: String, ref: 'FantasyTeam', required: true },
+  ownerTeamId: { type: String, ref: 'FantasyTeam', required: true }
+}, { _id: false });
+
+const championSchema = new mongoose.Schema({
+  teamId: { type: String, ref: 'FantasyTeam', required: true },
+  teamName: { type: String, default: '' },
+  decidedAt: { type: Date, default: Date.now }
 }, { _id: false });
 
 const leagueSchema = new mongoose.Schema({
@@ -42,11 +258,43 @@ const leagueSchema = new mongoose.Schema({
     ref: 'FantasyTeam'
   }],
   schedule: [weekScheduleSchema],
+  scheduleSettings: {
+    type: scheduleSettingsSchema,
+    default: null
+  },
   currentWeek: {
     type: Number,
     default: 0
   },
+  // Every team belongs to exactly one division, or the league has none
+  divisions: [divisionSchema],
   standings: [standingSchema],
+  // Applied in order to teams with the same winning percentage
+  tiebreakers: {
+    type: [{ type: String, enum: Object.keys(TIEBREAKERS) }],
+    default: () => [...DEFAULT_TIEBREAKERS]
+  },
+  rosterTemplate: {
+    type: rosterTemplateSchema,
+    default: () => ({})
+  },
+  keeperSettings: {
+    type: keeperSettingsSchema,
+    default: () => ({})
+  },
+  // Seasons played so far count up from 1; finished ones are archived as LeagueSeasons
+  season: {
+    type: Number,
+    default: 1
+  },
+  // Order for the season's draft, worst finish last season first
+  draftOrder: [{
+    type: String,
+    ref: 'FantasyTeam'
+  }],
+  keepers: [keeperSchema],
+  // Picks that now belong to another team; every other pick is still its own team's
+  tradedPicks: [tradedPickSchema],
   playerPool: [{
     type: String,
     ref: 'Player'
@@ -75,6 +323,61 @@ const leagueSchema = new mongoose.Schema({
   regions: {
     type: [String],
     default: ['AMERICAS', 'EMEA']
+  },
+  scoringRules: {
+    type: scoringRulesSchema,
+    default: () => ({})
+  },
+  statsUpdate: {
+    type: statsUpdateSchema,
+    default: () => ({})
+  },
+  draftResults: {
+    type: draftResultsSchema,
+    default: null
+  },
+  pendingDraftCommit: {
+    type: pendingDraftCommitSchema,
+    default: null
+  },
+  draftSchedule: {
+    type: draftScheduleSchema,
+    default: null
+  },
+  waiverSettings: {
+    type: waiverSettingsSchema,
+    default: () => ({})
+  },
+  // Rolling waiver order, first pick first; teams not listed yet go to the back
+  waiverPriority: [{
+    type: String,
+    ref: 'FantasyTeam'
+  }],
+  // FAAB left per team; teams without an entry still have the full budget
+  faabBalances: {
+    type: Map,
+    of: Number,
+    default: new Map()
+  },
+  tradeSettings: {
+    type: tradeSettingsSchema,
+    default: () => ({})
+  },
+  transactionSettings: {
+    type: transactionSettingsSchema,
+    default: () => ({})
+  },
+  playoffSettings: {
+    type: playoffSettingsSchema,
+    default: () => ({})
+  },
+  playoffs: {
+    type: playoffsSchema,
+    default: null
+  },
+  champion: {
+    type: championSchema,
+    default: null
   }
 }, {
   timestamps: true
@@ -163,81 +466,34 @@ leagueSchema.methods.addPlayersToPool = function(players) {
   return true;
 };
 
-leagueSchema.methods.generateSchedule = function(weeksPerSeason = 9) {
+/**
+ * Generate the regular-season schedule
+ * @param {Number} weeksPerSeason - Weeks to schedule; null plays one full cycle
+ * @param {Object} options - Schedule options (see helpers/scheduleGenerator)
+ */
+leagueSchema.methods.generateSchedule = function(weeksPerSeason = 9, options = {}) {
   if (this.teams.length < 2) return false;
   
-  this.schedule = [];
-  
-  // Create a copy of teams array for scheduling
-  const teams = [...this.teams];
-  
-  // If odd number of teams, add a "bye" team
-  if (teams.length % 2 !== 0) {
-    teams.push('BYE');
-  }
-  
-  const numTeams = teams.length;
-  const numRounds = numTeams - 1;
-  const halfSize = numTeams / 2;
-  
-  // Initialize schedule
-  for (let week = 1; week <= weeksPerSeason; week++) {
-    this.schedule.push({
-      week,
-      matchups: []
-    });
-  }
+  const teamIds = this.teams.map(team => (typeof team === 'object' ? team.id : team));
+  const settings = {
+    ...DEFAULT_SCHEDULE_OPTIONS,
+    ...options,
+    weeks: weeksPerSeason || null,
+    // The league's own divisions unless the caller schedules with different ones
+    divisions: options.divisions || normalizeDivisions(this.divisions)
+  };
+  const { schedule, seed } = generateSchedule(teamIds, settings);
   
-  // Generate round-robin schedule
-  const teamIndices = teams.map((_, i) => i).slice(1);
-  
-  for (let round = 0; round < numRounds; round++) {
-    const weekSchedule = [];
-    
-    // First team vs last team
-    const firstTeam = teams[0];
-    const lastTeam = teams[teamIndices[teamIndices.length - 1]];
-    
-    if (firstTeam !== 'BYE' && lastTeam !== 'BYE') {
-      weekSchedule.push({
-        teamA: firstTeam,
-        teamB: lastTeam,
-        scoreA: 0,
-        scoreB: 0,
-        winner: null
-      });
-    }
-    
-    // Rest of the teams
-    for (let i = 0; i < halfSize - 1; i++) {
-      const teamA = teams[teamIndices[i]];
-      const teamB = teams[teamIndices[teamIndices.length - 1 - i]];
-      
-      if (teamA !== 'BYE' && teamB !== 'BYE') {
-        weekSchedule.push({
-          teamA,
-          teamB,
-          scoreA: 0,
-          scoreB: 0,
-          winner: null
-        });
-      }
-    }
-    
-    // Add matchups to the schedule (distribute across weeks)
-    for (let i = 0; i < weekSchedule.length; i++) {
-      const weekIndex = (round + i) % weeksPerSeason;
-      this.schedule[weekIndex].matchups.push(weekSchedule[i]);
-    }
-    
-    // Rotate teams (except first team)
-    teamIndices.unshift(teamIndices.pop());
-  }
+  this.schedule = schedule;
+  this.scheduleSettings = { ...settings, seed };
   
   return true;
 };
 
 leagueSchema.methods.calculateWeekScores = async function(week) {
+  // Playoff weeks are scored against the bracket and don't count towards standings
+  if (this.isPlayoffWeek(week)) return this.calculatePlayoffWeek(week);
+  
   if (!week || week <= 0 || week > this.schedule.length) return false;
   
   const weekSchedule = this.schedule[week - 1];
@@ -263,9 +519,13 @@ leagueSchema.methods.calculateWeekScores = async function(week) {
     
     if (!teamA || !teamB) continue;
     
-    // Calculate weekly points
-    const scoreA = await teamA.calculateWeeklyPoints(week);
-    const scoreB = await teamB.calculateWeeklyPoints(week);
+    // Calculate weekly points using this league's scoring rules
+    const scoreA = await teamA.calculateWeeklyPoints(week, this.scoringRules);
+    const scoreB = await teamB.calculateWeeklyPoints(week, this.scoringRules);
+    
+    // Persist the teams' weekly totals
+    if (typeof teamA.save === 'function') await teamA.save();
+    if (typeof teamB.save === 'function') await teamB.save();
     
     // Update matchup scores
     matchup.scoreA = scoreA;
@@ -288,61 +548,33 @@ leagueSchema.methods.calculateWeekScores = async function(week) {
 };
 
 leagueSchema.methods.updateStandings = async function() {
-  // Initialize standings
-  this.standings = [];
+  const teamIds = this.teams.map(team => (typeof team === 'object' ? team.id : team));
   
-  // Create a map for quick lookup
-  const standingsMap = new Map();
-  
-  // Initialize standings for all teams
-  for (const team of this.teams) {
-    if (typeof team === 'object') {
-      standingsMap.set(team.id, {
-        teamId: team.id,
-        wins: 0,
-        losses: 0,
-        points: 0
-      });
-    } else {
-      standingsMap.set(team, {
-        teamId: team,
-        wins: 0,
-        losses: 0,
-        points: 0
-      });
-    }
-  }
+  // Ranked by winning percentage, then the league's tiebreakers
+  this.standings = computeStandings(teamIds, this.schedule, {
+    tiebreakers: this.tiebreakers,
+    divisions: normalizeDivisions(this.divisions),
+    playoffTeams: normalizePlayoffSettings(this.playoffSettings).teams
+  });
   
-  // Calculate standings based on matchups
-  for (const weekSchedule of this.schedule) {
-    for (const matchup of weekSchedule.matchups) {
-      if (matchup.winner === null || matchup.winner === 'TIE') continue;
-      
-      // Update winner
-      const winnerStanding = standingsMap.get(matchup.winner);
-      if (winnerStanding) {
-        winnerStanding.wins += 1;
-        winnerStanding.points += matchup.winner === matchup.teamA ? matchup.scoreA : matchup.scoreB;
-      }
-      
-      // Update loser
-      const loserId = matchup.winner === matchup.teamA ? matchup.teamB : matchup.teamA;
-      const loserStanding = standingsMap.get(loserId);
-      if (loserStanding) {
-        loserStanding.losses += 1;
-        loserStanding.points += matchup.winner === matchup.teamA ? matchup.scoreB : matchup.scoreA;
-      }
+  return this.standings;
+};
+
+// Rescore every week that has already been scored, e.g. after the scoring rules change.
+// Points are rebuilt from the game log, so results reflect the league's current rules.
+leagueSchema.methods.recalculateScoredWeeks = async function() {
+  const recalculatedWeeks = [];
+  
+  for (let i = 0; i < this.schedule.length; i++) {
+    const scored = this.schedule[i].matchups.some(matchup => matchup.winner !== null);
+    if (!scored) continue;
+    
+    if (await this.calculateWeekScores(i + 1)) {
+      recalculatedWeeks.push(i + 1);
     }
   }
   
-  // Convert map to array and sort by wins (descending), then points (descending)
-  this.standings = Array.from(standingsMap.values())
-    .sort((a, b) => {
-      if (a.wins !== b.wins) return b.wins - a.wins;
-      return b.points - a.points;
-    });
-  
-  return this.standings;
+  return recalculatedWeeks;
 };
 
 leagueSchema.methods.getWeekMatchups = function(week) {
@@ -351,6 +583,116 @@ leagueSchema.methods.getWeekMatchups = function(week) {
   return this.schedule[week - 1].matchups;
 };
 
+// A season is underway once a regular-season game is decided, until its playoffs are over
+leagueSchema.methods.isSeasonInProgress = function() {
+  const hasResults = this.schedule.some(weekSchedule =>
+    weekSchedule.matchups.some(matchup => matchup.winner !== null && matchup.winner !== undefined)
+  );
+  return hasResults && !(this.playoffs && this.playoffs.status === 'complete');
+};
+
+// A season is over once its playoffs are, or every game is decided in a league without playoffs
+leagueSchema.methods.isSeasonComplete = function() {
+  if (this.playoffs) return this.playoffs.status === 'complete';
+  
+  const matchups = this.schedule.flatMap(weekSchedule => weekSchedule.matchups);
+  return matchups.length > 0 && matchups.every(matchup => matchup.winner !== null && matchup.winner !== undefined);
+};
+
+/**
+ * Seed the playoffs from the current standings and lay out the bracket
+ * @param {Number} startWeek - First playoff week; defaults to the week after the regular season
+ * @returns {Object|false} - The new playoffs, or false if the regular season isn't over by then
+ */
+leagueSchema.methods.generatePlayoffs = async function(startWeek = null) {
+  const firstWeek = startWeek || this.schedule.length + 1;
+  if (firstWeek <= this.schedule.length) return false;
+  
+  await this.updateStandings();
+  
+  // Division winners are seeded first; teams without a standing yet are seeded last
+  const teamIds = seedWithDivisionWinners(this.standings, normalizeDivisions(this.divisions));
+  for (const team of this.teams) {
+    const teamId = typeof team === 'object' ? team.id : team;
+    if (!teamIds.includes(teamId)) teamIds.push(teamId);
+  }
+  
+  this.playoffs = {
+    status: 'inProgress',
+    ...buildPlayoffs(normalizePlayoffSettings(this.playoffSettings), teamIds, firstWeek),
+    generatedAt: new Date()
+  };
+  this.champion = null;
+  
+  return this.playoffs;
+};
+
+leagueSchema.methods.isPlayoffWeek = function(week) {
+  return this.getPlayoffMatchups(week).length > 0;
+};
+
+// Bracket matchups played in a week, in both brackets
+leagueSchema.methods.getPlayoffMatchups = function(week) {
+  if (!this.playoffs || !week) return [];
+  
+  return this.playoffs.matchups.filter(matchup => matchup.weeks.includes(week));
+};
+
+/**
+ * Score a playoff week. Matchups whose last week this is are decided (the higher
+ * seed wins ties) and their winners move on; the final crowns the champion.
+ */
+leagueSchema.methods.calculatePlayoffWeek = async function(week) {
+  const FantasyTeam = mongoose.model('FantasyTeam');
+  const matchups = this.getPlayoffMatchups(week).filter(matchup => matchup.teamA && matchup.teamB);
+  
+  const teamIds = [...new Set(matchups.flatMap(matchup => [matchup.teamA, matchup.teamB]))];
+  const teams = await FantasyTeam.find({ id: { $in: teamIds } });
+  const teamsById = new Map(teams.map(team => [team.id, team]));
+  
+  for (const team of teams) {
+    await team.calculateWeeklyPoints(week, this.scoringRules);
+    await team.save();
+  }
+  
+  // Points over the matchup's weeks played so far
+  const pointsFor = (teamId, matchup) => {
+    const team = teamsById.get(teamId);
+    if (!team) return 0;
+    return matchup.weeks
+      .filter(matchupWeek => matchupWeek <= week)
+      .reduce((total, matchupWeek) => total + (team.weeklyPoints.get(matchupWeek.toString()) || 0), 0);
+  };
+  
+  for (const matchup of matchups) {
+    matchup.scoreA = pointsFor(matchup.teamA, matchup);
+    matchup.scoreB = pointsFor(matchup.teamB, matchup);
+    
+    if (week !== Math.max(...matchup.weeks)) continue;
+    
+    if (matchup.scoreA !== matchup.scoreB) {
+      matchup.winner = matchup.scoreA > matchup.scoreB ? matchup.teamA : matchup.teamB;
+    } else {
+      matchup.winner = matchup.seedA <= matchup.seedB ? matchup.teamA : matchup.teamB;
+    }
+    advanceWinner(this.playoffs.matchups, matchup);
+  }
+  
+  const final = getFinal(this.playoffs.matchups);
+  if (final && final.winner && (!this.champion || this.champion.teamId !== final.winner)) {
+    const championTeam = teamsById.get(final.winner);
+    this.champion = {
+      teamId: final.winner,
+      teamName: championTeam ? championTeam.name : '',
+      decidedAt: new Date()
+    };
+  }
+  
+  this.playoffs.status = this.playoffs.matchups.every(matchup => matchup.winner) ? 'complete' : 'inProgress';
+  
+  return true;
+};
+
 leagueSchema.methods.addMember = function(userId) {
   if (!userId) return false;
   
@@ -0,0 +1,90 @@
+// backend/models/LeagueSeason.js
+const mongoose = require('mongoose');
+
+// A team as it finished the season
+const seasonRosterSchema = new mongoose.Schema({
+  teamId: { type: String, ref: 'FantasyTeam', required: true },
+  teamName: { type: String, default: '' },
+  owner: { type: String, default: '' },
+  userId: { type: String, ref: 'User', default: null },
+  players: { type: mongoose.Schema.Types.Mixed, default: () => ({}) }, // Slot -> player ID; BENCH and IR are lists
+  totalPoints: { type: Number, default: 0 },
+  weeklyPoints: { type: Map, of: Number, default: () => new Map() }
+}, { _id: false });
+
+// A finished season of a league, archived when the league rolls over to the next one
+const leagueSeasonSchema = new mongoose.Schema({
+  leagueId: {
+    type: String,
+    ref: 'League',
+    required: true
+  },
+  season: {
+    type: Number,
+    required: true
+  },
+  leagueName: {
+    type: String,
+    default: ''
+  },
+  // Copies of the league's own fields when the season ended
+  schedule: { type: mongoose.Schema.Types.Mixed, default: () => [] },
+  scheduleSettings: { type: mongoose.Schema.Types.Mixed, default: null },
+  divisions: { type: mongoose.Schema.Types.Mixed, default: () => [] },
+  standings: { type: mongoose.Schema.Types.Mixed, default: () => [] },
+  playoffs: { type: mongoose.Schema.Types.Mixed, default: null },
+  champion: { type: mongoose.Schema.Types.Mixed, default: null },
+  draftResults: { type: mongoose.Schema.Types.Mixed, default: null },
+  keepers: { type: mongoose.Schema.Types.Mixed, default: () => [] }, // Players kept into this season
+  rosters: [seasonRosterSchema],
+  archivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// One archive per league per season
+leagueSeasonSchema.index({ leagueId: 1, season: 1 }, { unique: true });
+
+/**
+ * Archive a league's finished season along with its teams' rosters
+ * @param {Object} leagueDoc - League document at the end of the season
+ * @param {Array} teamDocs - The league's FantasyTeam documents
+ */
+leagueSeasonSchema.statics.archive = function(leagueDoc, teamDocs) {
+  const league = leagueDoc.toObject();
+  
+  return this.create({
+    leagueId: league.id,
+    season: league.season || 1,
+    leagueName: league.name,
+    schedule: league.schedule || [],
+    scheduleSettings: league.scheduleSettings || null,
+    divisions: league.divisions || [],
+    standings: league.standings || [],
+    playoffs: league.playoffs || null,
+    champion: league.champion || null,
+    draftResults: league.draftResults || null,
+    keepers: league.keepers || [],
+    rosters: teamDocs.map(teamDoc => ({
+      teamId: teamDoc.id,
+      teamName: teamDoc.name,
+      owner: teamDoc.owner,
+      userId: teamDoc.userId,
+      players: Object.fromEntries(
+        Object.entries(teamDoc.toObject().players || {}).map(([slot, entry]) => [
+          slot,
+          Array.isArray(entry) ? [...entry] : (entry && entry.playerId) || null
+        ])
+      ),
+      totalPoints: teamDoc.totalPoints || 0,
+      weeklyPoints: teamDoc.weeklyPoints
+    }))
+  });
+};
+
+const LeagueSeason = mongoose.model('LeagueSeason', leagueSeasonSchema);
+
+module.exports = LeagueSeason;
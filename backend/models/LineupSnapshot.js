@@ -0,0 +1,178 @@
+// backend/models/LineupSnapshot.js
+const mongoose = require('mongoose');
+const { STARTING_SLOTS } = require('../helpers/rosterTemplate');
+
+// A team's lineup frozen for one fantasy week; that week is always scored from it
+const lineupSnapshotSchema = new mongoose.Schema({
+  teamId: {
+    type: String,
+    ref: 'FantasyTeam',
+    required: true
+  },
+  leagueId: {
+    type: String,
+    ref: 'League',
+    default: null
+  },
+  week: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  starters: Object.fromEntries(
+    STARTING_SLOTS.map(slot => [slot, { type: String, ref: 'Player', default: null }])
+  ),
+  bench: [{
+    type: String,
+    ref: 'Player'
+  }],
+  lockedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// One snapshot per team per week
+lineupSnapshotSchema.index({ teamId: 1, week: 1 }, { unique: true });
+
+// IDs of the players who started this week
+lineupSnapshotSchema.methods.getStarterIds = function() {
+  return STARTING_SLOTS.map(slot => this.starters[slot]).filter(Boolean);
+};
+
+/**
+ * Freeze the current lineups of these teams for a week. Teams that already have a
+ * snapshot for the week keep it.
+ * @param {Array} teams - FantasyTeam documents
+ * @param {Number} week - Fantasy week
+ * @returns {Number} - How many lineups were frozen
+ */
+lineupSnapshotSchema.statics.freezeTeams = async function(teams, week) {
+  if (!week || week < 1 || teams.length === 0) return 0;
+  
+  const lockedAt = new Date();
+  const result = await this.bulkWrite(teams.map(team => ({
+    updateOne: {
+      filter: { teamId: team.id, week },
+      update: {
+        $setOnInsert: {
+          teamId: team.id,
+          leagueId: team.leagueId || null,
+          week,
+          starters: Object.fromEntries(STARTING_SLOTS.map(slot => [slot, team.players[slot]?.playerId || null])),
+          bench: [...(team.players.BENCH || [])],
+          lockedAt
+        }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+  
+  return result.upsertedCount;
+};
+
+/**
+ * Freeze every lineup in a league for a week
+ * @param {String} leagueId - League to freeze
+ * @param {Number} week - Fantasy week
+ */
+lineupSnapshotSchema.statics.freezeLeagueWeek = async function(leagueId, week) {
+  const FantasyTeam = mongoose.model('FantasyTeam');
+  const teams = await FantasyTeam.find({ leagueId });
+  return this.freezeTeams(teams, week);
+};
+
+// The week a league is playing if it has locked, i.e. the week's first pro match has started
+async function getLockedWeek(leagueId, now) {
+  const League = mongoose.model('League');
+  const ProMatch = mongoose.model('ProMatch');
+  const leagueDoc = await League.findOne({ id: leagueId }, 'currentWeek');
+  const week = (leagueDoc && leagueDoc.currentWeek) || 1;
+  
+  const firstMatch = await ProMatch.findOne({ week }).sort({ startTime: 1 });
+  return firstMatch && firstMatch.startTime <= now ? week : null;
+}
+
+/**
+ * Freeze a league's lineups for its current week once the week has locked, i.e. the
+ * week's first pro match has started. Call this before changing a roster in the league.
+ * @param {String} leagueId - League about to change
+ * @param {Date} now - Current time
+ * @returns {Number|null} - The week that is locked, or null if it hasn't locked yet
+ */
+lineupSnapshotSchema.statics.freezeIfWeekLocked = async function(leagueId, now = new Date()) {
+  if (!leagueId) return null;
+  
+  const week = await getLockedWeek(leagueId, now);
+  if (!week) return null;
+  
+  await this.freezeLeagueWeek(leagueId, week);
+  return week;
+};
+
+/**
+ * Bring these teams' snapshots for a locked week up to date after a roster change.
+ * A slot stays frozen once its player's match has started; every other slot takes the
+ * team's current starter, so moves the lineup locks allow still count for the week.
+ * Starters whose match already started elsewhere are left out.
+ * @param {String} leagueId - League the teams play in
+ * @param {Array} teamIds - Teams whose rosters changed
+ * @param {Date} now - Current time
+ * @returns {Number} - How many snapshots were written
+ */
+lineupSnapshotSchema.statics.syncIfWeekLocked = async function(leagueId, teamIds, now = new Date()) {
+  if (!leagueId || teamIds.length === 0) return 0;
+  
+  const week = await getLockedWeek(leagueId, now);
+  if (!week) return 0;
+  
+  const FantasyTeam = mongoose.model('FantasyTeam');
+  const Player = mongoose.model('Player');
+  const ProMatch = mongoose.model('ProMatch');
+  const teams = await FantasyTeam.find({ id: { $in: teamIds } });
+  const snapshots = await this.find({ teamId: { $in: teamIds }, week });
+  const snapshotsByTeam = new Map(snapshots.map(snapshot => [snapshot.teamId, snapshot]));
+  
+  const playerIds = new Set();
+  for (const team of teams) {
+    STARTING_SLOTS.forEach(slot => playerIds.add(team.players[slot]?.playerId));
+  }
+  snapshots.forEach(snapshot => snapshot.getStarterIds().forEach(playerId => playerIds.add(playerId)));
+  playerIds.delete(undefined);
+  playerIds.delete(null);
+  
+  const players = await Player.find({ id: { $in: [...playerIds] } }, 'id team teamCode');
+  const locks = await ProMatch.getLineupLocks(players, week, now);
+  const isLocked = playerId => !!playerId && !!locks.get(playerId)?.locked;
+  
+  let written = 0;
+  for (const team of teams) {
+    const snapshot = snapshotsByTeam.get(team.id);
+    if (!snapshot) {
+      written += await this.freezeTeams([team], week);
+      continue;
+    }
+    
+    for (const slot of STARTING_SLOTS) {
+      const frozen = snapshot.starters[slot];
+      if (isLocked(frozen)) continue;
+      
+      const current = team.players[slot]?.playerId || null;
+      snapshot.starters[slot] = isLocked(current) ? null : current;
+    }
+    snapshot.bench = [...(team.players.BENCH || [])];
+    snapshot.markModified('starters');
+    await snapshot.save();
+    written++;
+  }
+  
+  return written;
+};
+
+const LineupSnapshot = mongoose.model('LineupSnapshot', lineupSnapshotSchema);
+
+LineupSnapshot.STARTING_SLOTS = STARTING_SLOTS;
+
+module.exports = LineupSnapshot;
@@ -0,0 +1,57 @@
+// backend/models/Notification.js
+const mongoose = require('mongoose');
+
+// In-app notice for a user, e.g. a reminder that their league's draft is about to start
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    ref: 'User',
+    required: true
+  },
+  leagueId: {
+    type: String,
+    ref: 'League',
+    default: null
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  link: {
+    type: String,
+    default: null
+  },
+  read: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster lookup of a user's latest notifications
+notificationSchema.index({ userId: 1, createdAt: -1 });
+
+/**
+ * Send the same notification to several users
+ * @param {Array} userIds - Users to notify
+ * @param {Object} notification - { leagueId, type, title, message, link }
+ */
+notificationSchema.statics.notifyUsers = async function(userIds, notification) {
+  const uniqueIds = [...new Set(userIds.filter(Boolean))];
+  if (uniqueIds.length === 0) return [];
+  
+  return this.insertMany(uniqueIds.map(userId => ({ ...notification, userId })));
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
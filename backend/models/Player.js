@@ -1,5 +1,6 @@
 // models/Player.js
 const mongoose = require('mongoose');
+const { STAT_KEYS, calculateGamePoints } = require('../helpers/scoringRules');
 
 const playerStatsSchema = new mongoose.Schema({
   kills: { type: Number, default: 0 },
@@ -26,7 +27,7 @@ const playerSchema = new mongoose.Schema({
   position: {
     type: String,
     required: true,
-    enum: ['TOP', 'JUNGLE', 'MID', 'ADC', 'SUPPORT', 'NONE']
+    enum: ['TOP', 'JUNGLE', 'MID', 'ADC', 'SUPPORT', 'TEAM', 'NONE']
   },
   team: {
     type: String,
@@ -69,9 +70,21 @@ const playerSchema = new mongoose.Schema({
     type: String,
     default: null
   },
-  owner: {
-    type: String,
-    ref: 'FantasyTeam',
+  // The same pro player can be on one team in every league: league ID -> FantasyTeam ID
+  owners: {
+    type: Map,
+    of: String,
+    default: new Map()
+  },
+  // When a player dropped in a league comes off waivers there: league ID -> date
+  waiverClearsAt: {
+    type: Map,
+    of: Date,
+    default: new Map()
+  },
+  // Start of the player's most recent pro match
+  lastMatchAt: {
+    type: Date,
     default: null
   }
 }, {
@@ -138,59 +151,87 @@ playerSchema.set('toJSON', {
   }
 });
 
-// Methods from your current Player class
-playerSchema.methods.updateStats = function(gameStats) {
-  if (!gameStats) return;
-  
-  // Update stats
-  this.stats.kills += gameStats.kills || 0;
-  this.stats.deaths += gameStats.deaths || 0;
-  this.stats.assists += gameStats.assists || 0;
-  this.stats.cs += gameStats.cs || 0;
-  this.stats.visionScore += gameStats.visionScore || 0;
-  this.stats.baronKills += gameStats.baronKills || 0;
-  this.stats.dragonKills += gameStats.dragonKills || 0;
-  this.stats.turretKills += gameStats.turretKills || 0;
-  this.stats.gamesPlayed += 1;
-  
-  // Calculate fantasy points for this game
-  const gamePoints = this.calculateFantasyPoints(gameStats);
-  
-  // Update total fantasy points
-  this.fantasyPoints += gamePoints;
-  
-  // Update weekly points if week is provided
-  if (gameStats.week) {
-    const currentWeekPoints = this.weeklyPoints.get(gameStats.week.toString()) || 0;
-    this.weeklyPoints.set(gameStats.week.toString(), currentWeekPoints + gamePoints);
+// Record a single game in the stat ledger and re-derive totals from it.
+// Returns false if the match was already recorded for this player.
+playerSchema.methods.recordGame = async function(game) {
+  return (await this.recordGames([game])) > 0;
+};
+
+// Record several games in the stat ledger, then re-derive totals once.
+// Matches already recorded for this player are skipped (or overwritten with replace);
+// returns how many were written.
+playerSchema.methods.recordGames = async function(games, { replace = false } = {}) {
+  const GameLog = mongoose.model('GameLog');
+  let recorded = 0;
+  
+  for (const game of games) {
+    const { created, replaced } = await GameLog.recordGame(this.id, game, { replace });
+    if (!created && !replaced) continue;
+    
+    recorded++;
+    const playedAt = game.playedAt ? new Date(game.playedAt) : new Date();
+    if (!this.lastMatchAt || playedAt > this.lastMatchAt) {
+      this.lastMatchAt = playedAt;
+    }
+  }
+  
+  if (recorded > 0) {
+    await this.recalculateFromGameLog();
+    await this.save();
+  }
+  
+  return recorded;
+};
+
+// Rebuild stats, fantasyPoints and weeklyPoints from the player's game log
+playerSchema.methods.recalculateFromGameLog = async function() {
+  const GameLog = mongoose.model('GameLog');
+  const games = await GameLog.find({ playerId: this.id });
+  
+  const stats = { gamesPlayed: games.length };
+  for (const stat of STAT_KEYS) {
+    stats[stat] = 0;
   }
+  
+  let fantasyPoints = 0;
+  const weeklyPoints = new Map();
+  
+  for (const game of games) {
+    for (const stat of STAT_KEYS) {
+      stats[stat] += game.stats[stat] || 0;
+    }
+    
+    const gamePoints = this.calculateFantasyPoints(game.stats);
+    fantasyPoints += gamePoints;
+    
+    const weekKey = game.week.toString();
+    weeklyPoints.set(weekKey, (weeklyPoints.get(weekKey) || 0) + gamePoints);
+  }
+  
+  this.stats = stats;
+  this.fantasyPoints = fantasyPoints;
+  this.weeklyPoints = weeklyPoints;
+  
+  return this;
 };
 
-playerSchema.methods.calculateFantasyPoints = function(gameStats) {
+playerSchema.methods.calculateFantasyPoints = function(gameStats, scoringRules = null) {
   if (!gameStats) return 0;
   
-  // Fantasy point values
-  const pointValues = {
-    kill: 3,
-    death: -1,
-    assist: 1.5,
-    cs: 0.02,
-    baronKill: 2,
-    dragonKill: 1,
-    turretKill: 2
-  };
-  
-  // Calculate points
-  let points = 0;
-  points += (gameStats.kills || 0) * pointValues.kill;
-  points += (gameStats.deaths || 0) * pointValues.death;
-  points += (gameStats.assists || 0) * pointValues.assist;
-  points += (gameStats.cs || 0) * pointValues.cs;
-  points += (gameStats.baronKills || 0) * pointValues.baronKill;
-  points += (gameStats.dragonKills || 0) * pointValues.dragonKill;
-  points += (gameStats.turretKills || 0) * pointValues.turretKill;
-  
-  return points;
+  return calculateGamePoints(gameStats, this.position, scoringRules);
+};
+
+// Score a week from the game log, so any league's rules can be applied to past weeks
+playerSchema.methods.getWeeklyPoints = async function(week, scoringRules = null) {
+  const GameLog = mongoose.model('GameLog');
+  const games = await GameLog.find({ playerId: this.id, week });
+  
+  // Fall back to the stored total for weeks recorded before the game log existed
+  if (games.length === 0) {
+    return this.weeklyPoints.get(week.toString()) || 0;
+  }
+  
+  return games.reduce((total, game) => total + calculateGamePoints(game.stats, this.position, scoringRules), 0);
 };
 
 playerSchema.methods.getAverageFantasyPoints = function() {
@@ -200,6 +241,127 @@ playerSchema.methods.getAverageFantasyPoints = function() {
   return this.fantasyPoints / this.stats.gamesPlayed;
 };
 
+// The team that has this player in a league, or null if they're a free agent there
+playerSchema.methods.getOwner = function(leagueId) {
+  return this.owners?.get(leagueId) || null;
+};
+
+/**
+ * When the player comes off waivers in a league. Players go on waivers when they are
+ * dropped and when their pro match starts.
+ * @param {String} leagueId - League to check
+ * @param {Number} periodHours - The league's waiver period
+ * @param {Date} now - Current time
+ * @returns {Date|null} - Clear time, or null if the player isn't on waivers
+ */
+playerSchema.methods.getWaiverClearTime = function(leagueId, periodHours, now = new Date()) {
+  const times = [];
+  
+  const droppedClearsAt = this.waiverClearsAt?.get(leagueId);
+  if (droppedClearsAt) times.push(new Date(droppedClearsAt).getTime());
+  if (this.lastMatchAt) times.push(this.lastMatchAt.getTime() + periodHours * 60 * 60 * 1000);
+  
+  const clearsAt = Math.max(0, ...times);
+  return clearsAt > now.getTime() ? new Date(clearsAt) : null;
+};
+
+/**
+ * Give a player to a team in one league, unless another team there already has them
+ * @param {String} playerId - Player to claim
+ * @param {String} leagueId - League the team plays in
+ * @param {String} teamId - Team claiming the player
+ * @returns {Boolean} - Whether the team now owns the player
+ */
+playerSchema.statics.claimForTeam = async function(playerId, leagueId, teamId) {
+  const ownerPath = `owners.${leagueId}`;
+  
+  // A single conditional update, so two teams can't claim the same player at once
+  const result = await this.updateOne(
+    { id: playerId, $or: [{ [ownerPath]: null }, { [ownerPath]: teamId }] },
+    { $set: { [ownerPath]: teamId } }
+  );
+  
+  return result.matchedCount === 1;
+};
+
+/**
+ * Make a player a free agent again in one league
+ * @param {String} playerId - Player to release
+ * @param {String} leagueId - League the team plays in
+ * @param {String} teamId - Team releasing the player; nothing changes if someone else owns them
+ */
+playerSchema.statics.releaseFromTeam = async function(playerId, leagueId, teamId) {
+  const ownerPath = `owners.${leagueId}`;
+  
+  await this.updateOne(
+    { id: playerId, [ownerPath]: teamId },
+    { $unset: { [ownerPath]: '' } }
+  );
+};
+
+/**
+ * Put a dropped player on waivers in one league
+ * @param {String} playerId - Player that was dropped
+ * @param {String} leagueId - League they were dropped in
+ * @param {Date} clearsAt - When other teams can add them freely
+ */
+playerSchema.statics.putOnWaivers = async function(playerId, leagueId, clearsAt) {
+  await this.updateOne(
+    { id: playerId },
+    { $set: { [`waiverClearsAt.${leagueId}`]: clearsAt } }
+  );
+};
+
+/**
+ * Find the players nobody in a league has rostered
+ * @param {String} leagueId - League to look in
+ * @param {Object} filters - { playerIds, position, region, search }; playerIds limits the
+ *   search to the league's player pool
+ * @returns {Array} - Players, best first
+ */
+playerSchema.statics.findFreeAgents = function(leagueId, filters = {}) {
+  const { playerIds, position, region, search } = filters;
+  const query = { [`owners.${leagueId}`]: null };
+  
+  if (playerIds) query.id = { $in: playerIds };
+  if (position) query.position = position;
+  if (region) query.region = region;
+  if (search) {
+    const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    query.$or = [{ name: pattern }, { team: pattern }];
+  }
+  
+  return this.find(query).sort({ fantasyPoints: -1, name: 1 });
+};
+
+/**
+ * Record ownership for every player already on a league team's roster. Rosters saved
+ * before ownership was tracked per league are filled in; existing owners are kept.
+ * Safe to run on every startup.
+ * @returns {Number} - How many players got an owner
+ */
+playerSchema.statics.syncOwnersFromRosters = async function() {
+  const FantasyTeam = mongoose.model('FantasyTeam');
+  const teams = await FantasyTeam.find({ leagueId: { $ne: null } });
+  
+  const updates = [];
+  for (const team of teams) {
+    for (const playerId of team.getPlayerIds()) {
+      const ownerPath = `owners.${team.leagueId}`;
+      updates.push({
+        updateOne: { filter: { id: playerId, [ownerPath]: null }, update: { $set: { [ownerPath]: team.id } } }
+      });
+    }
+  }
+  
+  // Ownership used to be one global field
+  await this.collection.updateMany({ owner: { $exists: true } }, { $unset: { owner: '' } });
+  
+  if (updates.length === 0) return 0;
+  const result = await this.bulkWrite(updates, { ordered: false });
+  return result.modifiedCount;
+};
+
 const Player = mongoose.model('Player', playerSchema);
 
 module.exports = Player;
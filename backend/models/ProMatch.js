@@ -0,0 +1,101 @@
+// backend/models/ProMatch.js
+const mongoose = require('mongoose');
+
+const normalizeTeam = value => String(value || '').trim().toLowerCase();
+
+// One scheduled pro match in the calendar; lineups lock when a player's match starts
+const proMatchSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  week: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  region: {
+    type: String,
+    default: null
+  },
+  // Pro team names or codes, as they appear on players
+  teamA: {
+    type: String,
+    required: true
+  },
+  teamB: {
+    type: String,
+    required: true
+  },
+  startTime: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for loading a fantasy week's calendar in kickoff order
+proMatchSchema.index({ week: 1, startTime: 1 });
+
+/**
+ * Add matches to the calendar, or update the ones already in it
+ * @param {Array} matches - { id, week, region, teamA, teamB, startTime }
+ * @returns {Number} - How many matches were added or changed
+ */
+proMatchSchema.statics.upsertMatches = async function(matches) {
+  if (matches.length === 0) return 0;
+  
+  const result = await this.bulkWrite(matches.map(match => ({
+    updateOne: {
+      filter: { id: match.id },
+      update: { $set: match },
+      upsert: true
+    }
+  })), { ordered: false });
+  
+  return result.upsertedCount + result.modifiedCount;
+};
+
+/**
+ * Work out which players' slots are locked for a fantasy week. A player locks when
+ * their pro team's first match of the week starts and stays locked for the week.
+ * @param {Array} players - Players with team (and optionally teamCode)
+ * @param {Number} week - Fantasy week
+ * @param {Date} now - Current time
+ * @returns {Map} - Player ID -> { kickoff, locked }; kickoff is null if the team has no match that week
+ */
+proMatchSchema.statics.getLineupLocks = async function(players, week, now = new Date()) {
+  const matches = await this.find({ week }).sort({ startTime: 1 });
+  const locks = new Map();
+  
+  for (const player of players) {
+    const teamKeys = [player.team, player.teamCode].map(normalizeTeam).filter(Boolean);
+    const firstMatch = matches.find(match =>
+      teamKeys.includes(normalizeTeam(match.teamA)) || teamKeys.includes(normalizeTeam(match.teamB))
+    );
+    
+    locks.set(player.id, {
+      kickoff: firstMatch ? firstMatch.startTime : null,
+      locked: !!firstMatch && firstMatch.startTime <= now
+    });
+  }
+  
+  return locks;
+};
+
+/**
+ * The fantasy week a moment falls in: the week of the latest match in the calendar that
+ * had started by then
+ * @param {Date} date - When a game was played
+ * @returns {Number|null} - The week, or null if no match in the calendar had started yet
+ */
+proMatchSchema.statics.getWeekAt = async function(date) {
+  const match = await this.findOne({ startTime: { $lte: new Date(date) } }, 'week').sort({ startTime: -1 });
+  return match ? match.week : null;
+};
+
+const ProMatch = mongoose.model('ProMatch', proMatchSchema);
+
+module.exports = ProMatch;
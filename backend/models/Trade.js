@@ -1,5 +1,20 @@
 const mongoose = require('mongoose');
 
+const MAX_TRADE_TEAMS = 4;
+
+// A player or a future draft pick moving from one team to another
+const assetSchema = new mongoose.Schema({
+  type: { type: String, enum: ['player', 'pick'], required: true },
+  fromTeamId: { type: String, required: true },
+  toTeamId: { type: String, required: true },
+  playerId: { type: String, default: null },
+  name: { type: String, default: '' },
+  position: { type: String, default: null }, // Roster slot the player was in when the trade was offered
+  season: { type: Number, default: null },
+  round: { type: Number, default: null },
+  originalTeamId: { type: String, default: null } // The team a pick first belonged to
+}, { _id: false });
+
 const TradeSchema = new mongoose.Schema({
   id: {
     type: String,
@@ -10,10 +25,15 @@ const TradeSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // The first team the offer went to; every team in the trade is in teamIds
   receivingTeamId: {
     type: String,
     required: true
   },
+  teamIds: [{
+    type: String
+  }],
+  // Two-team player lists from before trades were made of assets; getAssets reads either
   proposedPlayers: [{
     id: String,
     position: String,
@@ -24,11 +44,61 @@ const TradeSchema = new mongoose.Schema({
     position: String,
     name: String
   }],
+  // Every player and draft pick that changes hands, and where it goes
+  assets: [assetSchema],
+  // Players cut so a roster has room for what it gets
+  drops: [{
+    _id: false,
+    teamId: String,
+    playerId: String,
+    name: String
+  }],
+  // Teams other than the proposer that have accepted so far
+  acceptedBy: [{
+    type: String
+  }],
+  // The trade this one answers as a counter-offer, and the counter-offer that answered this one
+  counterOf: {
+    type: String,
+    default: null
+  },
+  counteredBy: {
+    type: String,
+    default: null
+  },
+  // pending: waiting on the other teams; review: accepted and waiting out the league's review period;
+  // accepted: assets have moved; countered: answered with a counter-offer;
+  // vetoed: voted down or reversed by the commissioner during review;
+  // failed: the rosters no longer allowed the trade when the review period ended
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'rejected', 'cancelled'],
+    enum: ['pending', 'review', 'accepted', 'rejected', 'cancelled', 'countered', 'vetoed', 'failed'],
     default: 'pending'
   },
+  // How the trade was reviewed after it was accepted (none, commissioner or league)
+  reviewMode: {
+    type: String,
+    default: null
+  },
+  reviewEndsAt: {
+    type: Date,
+    default: null
+  },
+  vetoes: [{
+    _id: false,
+    teamId: String,
+    userId: String,
+    createdAt: { type: Date, default: Date.now }
+  }],
+  // The commissioner who approved or reversed the trade during review
+  decidedBy: {
+    type: String,
+    default: null
+  },
+  reason: {
+    type: String,
+    default: null
+  },
   leagueId: {
     type: String,
     required: true
@@ -41,9 +111,67 @@ const TradeSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  acceptedAt: {
+    type: Date
+  },
   completedAt: {
     type: Date
   }
 });
 
-module.exports = mongoose.model('Trade', TradeSchema);
+// Index for finding trades whose review period is over
+TradeSchema.index({ status: 1, reviewEndsAt: 1 });
+TradeSchema.index({ teamIds: 1, createdAt: -1 });
+
+/**
+ * Every team in the trade, proposer first
+ */
+TradeSchema.methods.getTeamIds = function() {
+  return this.teamIds && this.teamIds.length > 0 ? [...this.teamIds] : [this.proposingTeamId, this.receivingTeamId];
+};
+
+/**
+ * Everything that changes hands, including trades saved before they had assets
+ * @returns {Array} - [{ type, fromTeamId, toTeamId, playerId, name, position, season, round, originalTeamId }]
+ */
+TradeSchema.methods.getAssets = function() {
+  if (this.assets && this.assets.length > 0) {
+    return this.assets.map(asset => (typeof asset.toObject === 'function' ? asset.toObject() : asset));
+  }
+  
+  const toAsset = (fromTeamId, toTeamId) => playerInfo => ({
+    type: 'player',
+    fromTeamId,
+    toTeamId,
+    playerId: playerInfo.id,
+    name: playerInfo.name || '',
+    position: playerInfo.position || null
+  });
+  return [
+    ...this.proposedPlayers.map(toAsset(this.proposingTeamId, this.receivingTeamId)),
+    ...this.requestedPlayers.map(toAsset(this.receivingTeamId, this.proposingTeamId))
+  ];
+};
+
+/**
+ * Teams still to accept the trade
+ */
+TradeSchema.methods.getAwaitingTeamIds = function() {
+  return this.getTeamIds().filter(teamId => teamId !== this.proposingTeamId && !this.acceptedBy.includes(teamId));
+};
+
+/**
+ * Take a trade out of review. Only one caller can: the review period ending, the
+ * commissioner and a veto vote may all try at once.
+ * @param {String} tradeId - Trade in review
+ * @param {Object} update - Fields to set, including the new status
+ * @returns {Object|null} - The updated trade, or null if it was no longer in review
+ */
+TradeSchema.statics.endReview = function(tradeId, update) {
+  return this.findOneAndUpdate({ id: tradeId, status: 'review' }, { $set: update }, { new: true });
+};
+
+const Trade = mongoose.model('Trade', TradeSchema);
+Trade.MAX_TRADE_TEAMS = MAX_TRADE_TEAMS;
+
+module.exports = Trade;
@@ -0,0 +1,91 @@
+// backend/models/Transaction.js
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// One completed roster move in a league's transaction log
+const transactionSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => uuidv4()
+  },
+  leagueId: {
+    type: String,
+    ref: 'League',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['add', 'drop', 'waiver', 'trade'],
+    required: true
+  },
+  teamId: {
+    type: String,
+    ref: 'FantasyTeam',
+    required: true
+  },
+  userId: {
+    type: String,
+    ref: 'User',
+    default: null
+  },
+  added: [{
+    type: String,
+    ref: 'Player'
+  }],
+  dropped: [{
+    type: String,
+    ref: 'Player'
+  }],
+  bid: {
+    type: Number,
+    default: null
+  },
+  // League season and week the move was made in; adds are limited per week and season
+  season: {
+    type: Number,
+    default: null
+  },
+  week: {
+    type: Number,
+    default: null
+  },
+  // The waiver claim or trade behind this move
+  referenceId: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for a league's log, newest first
+transactionSchema.index({ leagueId: 1, createdAt: -1 });
+
+/**
+ * Add an entry to a league's transaction log
+ * @param {Object} entry - { leagueId, type, teamId, userId, added, dropped, bid, referenceId, season, week }
+ */
+transactionSchema.statics.record = function(entry) {
+  return this.create(entry);
+};
+
+/**
+ * Players a team has picked up as a free agent or off waivers, this week and this season
+ * @param {Object} league - { id, season, currentWeek }
+ * @param {String} teamId - Team making the adds
+ * @returns {Promise<Object>} - { week, season }
+ */
+transactionSchema.statics.countAdds = async function(league, teamId) {
+  const query = { leagueId: league.id, teamId, type: { $in: ['add', 'waiver'] }, season: league.season };
+  const [week, season] = await Promise.all([
+    this.countDocuments({ ...query, week: league.currentWeek }),
+    this.countDocuments(query)
+  ]);
+  return { week, season };
+};
+
+const Transaction = mongoose.model('Transaction', transactionSchema);
+
+module.exports = Transaction;
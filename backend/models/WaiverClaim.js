@@ -0,0 +1,67 @@
+// backend/models/WaiverClaim.js
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// A manager's bid for a player on waivers, settled the next time waivers are processed
+const waiverClaimSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => uuidv4()
+  },
+  leagueId: {
+    type: String,
+    ref: 'League',
+    required: true
+  },
+  teamId: {
+    type: String,
+    ref: 'FantasyTeam',
+    required: true
+  },
+  userId: {
+    type: String,
+    ref: 'User',
+    required: true
+  },
+  playerId: {
+    type: String,
+    ref: 'Player',
+    required: true
+  },
+  // Player to drop if the claim wins
+  dropPlayerId: {
+    type: String,
+    ref: 'Player',
+    default: null
+  },
+  bid: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'won', 'lost', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  // Why the claim was lost or failed
+  reason: {
+    type: String,
+    default: null
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for finding a league's pending claims
+waiverClaimSchema.index({ leagueId: 1, status: 1 });
+
+const WaiverClaim = mongoose.model('WaiverClaim', waiverClaimSchema);
+
+module.exports = WaiverClaim;
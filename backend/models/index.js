@@ -8,6 +8,14 @@ const FriendRequest = require('./FriendRequest');
 const Conversation = require('./Conversation');
 const Message = require('./Message');
 const TrashTalk = require('./TrashTalk');
+const GameLog = require('./GameLog');
+const JobLock = require('./JobLock');
+const Notification = require('./Notification');
+const WaiverClaim = require('./WaiverClaim');
+const Transaction = require('./Transaction');
+const ProMatch = require('./ProMatch');
+const LineupSnapshot = require('./LineupSnapshot');
+const LeagueSeason = require('./LeagueSeason');
 
 module.exports = {
   Player,
@@ -18,5 +26,13 @@ module.exports = {
   FriendRequest,
   Conversation,
   Message,
-  TrashTalk
+  TrashTalk,
+  GameLog,
+  JobLock,
+  Notification,
+  WaiverClaim,
+  Transaction,
+  ProMatch,
+  LineupSnapshot,
+  LeagueSeason
 };
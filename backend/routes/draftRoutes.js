@@ -2,7 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
-const DraftRoom = require('../draftRoom');
+const { DraftRoomManager } = require('../draftRoom');
 
 let draftRoom = null;
 
@@ -10,7 +10,7 @@ let draftRoom = null;
 const initializeDraftRoom = (server) => {
   if (!draftRoom) {
     console.log('Initializing draft room WebSocket server');
-    draftRoom = new DraftRoom(server);
+    draftRoom = new DraftRoomManager(server);
   }
   return draftRoom;
 };
@@ -26,14 +26,19 @@ router.get('/init', auth, (req, res) => {
   }
 });
 
-// Get current draft state
+// Get current draft state for a league's room
 router.get('/state', auth, (req, res) => {
   try {
     if (!draftRoom) {
       return res.status(404).json({ success: false, error: 'Draft room not initialized' });
     }
     
-    res.json({ success: true, draftState: draftRoom.getDraftState() });
+    const draftState = draftRoom.getDraftState(req.query.leagueId);
+    if (!draftState) {
+      return res.status(404).json({ success: false, error: 'No draft room for this league' });
+    }
+    
+    res.json({ success: true, draftState });
   } catch (error) {
     console.error('Error getting draft state:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -2,7 +2,7 @@
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
 const readline = require('readline');
-const { League, FantasyTeam } = require('../models');
+const { League, FantasyTeam, LeagueSeason } = require('../models');
 const chalk = require('chalk'); // For colored terminal output
 
 // Load environment variables
@@ -77,6 +77,12 @@ const deleteLeagueById = async (leagueId, cleanup = true) => {
       console.log(colors.success(`Deleted ${deletedTeams.deletedCount} fantasy teams.`));
     }
     
+    // Archived seasons go with the league
+    if (cleanup) {
+      const deletedSeasons = await LeagueSeason.deleteMany({ leagueId });
+      console.log(colors.success(`Deleted ${deletedSeasons.deletedCount} archived seasons.`));
+    }
+    
     // Delete the league
     const result = await League.deleteOne({ id: leagueId });
     
@@ -128,6 +134,9 @@ const deleteAllLeagues = async (cleanup = true) => {
         
         console.log(colors.success(`Deleted ${deletedTeams.deletedCount} fantasy teams.`));
       }
+      
+      const deletedSeasons = await LeagueSeason.deleteMany({});
+      console.log(colors.success(`Deleted ${deletedSeasons.deletedCount} archived seasons.`));
     }
     
     // Delete all leagues
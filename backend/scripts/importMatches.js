@@ -0,0 +1,77 @@
+// scripts/importMatches.js
+// Usage: node scripts/importMatches.js <file.csv|file.json> [--week <n>] [--dry-run]
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const connectDB = require('../config/db');
+const MatchImportService = require('../services/MatchImportService');
+
+/**
+ * Read command line arguments
+ */
+function parseArgs(argv) {
+  const args = { file: null, week: null, dryRun: false };
+  
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') {
+      args.dryRun = true;
+    } else if (argv[i] === '--week') {
+      args.week = parseInt(argv[++i]);
+    } else if (!args.file) {
+      args.file = argv[i];
+    }
+  }
+  
+  return args;
+}
+
+/**
+ * Run the import
+ */
+async function runImport() {
+  const { file, week, dryRun } = parseArgs(process.argv.slice(2));
+  
+  if (!file) {
+    console.error('Usage: node scripts/importMatches.js <file.csv|file.json> [--week <n>] [--dry-run]');
+    process.exit(1);
+  }
+  
+  try {
+    const content = await fs.readFile(path.resolve(file), 'utf8');
+    const format = path.extname(file).toLowerCase() === '.json' ? 'json' : 'csv';
+    
+    await connectDB();
+    console.log('Connected to MongoDB');
+    
+    const importService = new MatchImportService();
+    const report = await importService.importMatches(content, { format, week, dryRun });
+    
+    console.log(`${dryRun ? 'Dry run' : 'Import'} complete: ${report.matched}/${report.totalRows} rows matched`);
+    console.log(`Games imported: ${report.imported}, already recorded: ${report.duplicates}, players updated: ${report.playersUpdated}`);
+    if (report.teamsCreated.length > 0) {
+      console.log(`Team entries ${dryRun ? 'to create' : 'created'}: ${report.teamsCreated.join(', ')}`);
+    }
+    
+    if (report.unmatched.length > 0) {
+      console.log(`\nUnmatched rows (${report.unmatched.length}):`);
+      for (const row of report.unmatched) {
+        console.log(`  line ${row.line}: ${row.name} (${row.team}, ${row.position}) - ${row.reason}`);
+      }
+    }
+    
+    if (report.errors.length > 0) {
+      console.log(`\nErrors (${report.errors.length}):`);
+      for (const error of report.errors) {
+        console.log(`  line ${error.line}: ${error.message}`);
+      }
+    }
+    
+    process.exit(0);
+  } catch (error) {
+    console.error('Import failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the import
+runImport();
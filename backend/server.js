@@ -9,7 +9,6 @@ const fs = require('fs').promises;
 const bodyParser = require('body-parser');
 const http = require('http');
 const https = require('https');
-const WebSocket = require('ws');
 
 // Load environment variables
 dotenv.config();
@@ -24,20 +23,46 @@ const connectDB = require('./config/db');
 connectDB();
 
 // Import models
-const { Player, FantasyTeam, League, User, Trade, FriendRequest, Conversation, Message } = require('./models');
+const { Player, FantasyTeam, League, User, Trade, FriendRequest, Conversation, Message, GameLog, Notification, WaiverClaim, Transaction, ProMatch, LineupSnapshot, LeagueSeason } = require('./models');
 
 // Import fantasy league core modules
 const { 
   PlayerService,
   TeamService,
   LeagueService,
-  RiotApiService,
-  StatsUpdater
+  RiotApiService
 } = require('./fantasy-core');
 
 // Import image utilities
 const { downloadImage, imageExistsLocally } = require('./helpers/imageUtils');
 
+// Import scoring, playoff, schedule and standings helpers
+const { normalizeScoringRules, validateScoringRules } = require('./helpers/scoringRules');
+const { normalizePlayoffSettings, validatePlayoffSettings } = require('./helpers/playoffBracket');
+const {
+  DEFAULT_SCHEDULE_OPTIONS,
+  validateScheduleOptions,
+  generateSchedule: generateRoundRobinSchedule
+} = require('./helpers/scheduleGenerator');
+const { TIEBREAKERS, validateTiebreakers } = require('./helpers/standings');
+const { normalizeDivisions, validateDivisions } = require('./helpers/divisions');
+const {
+  LIST_SLOTS,
+  normalizeRosterTemplate,
+  validateRosterTemplate,
+  getStartingSlots,
+  getRosterOverflow
+} = require('./helpers/rosterTemplate');
+const { normalizeKeeperSettings, validateKeeperSettings } = require('./helpers/keepers');
+const { buildLeagueHistory, buildCareers } = require('./helpers/leagueHistory');
+const { getTradableSeasons, getTeamPicks } = require('./helpers/draftPicks');
+const {
+  normalizeTransactionSettings,
+  validateTransactionSettings,
+  isRosterLocked,
+  ROSTER_LOCK_MESSAGE
+} = require('./helpers/transactionLimits');
+
 // Middleware
 app.use(express.json({
   type: ['application/json', 'text/plain'],
@@ -95,6 +120,32 @@ const auth= require('./middleware/auth'); // Use destructuring to get the auth f
 
 const UserService = require('./services/UserService'); // Adjust path as needed to where you created the UserService
 const userService = new UserService();
+const MatchImportService = require('./services/MatchImportService');
+const matchImportService = new MatchImportService(playerService);
+const StatsUpdaterService = require('./services/StatsUpdaterService');
+const statsUpdaterService = new StatsUpdaterService(
+  leagueService,
+  playerService,
+  riotApiService,
+  parseInt(process.env.UPDATE_INTERVAL || 1800000) // Default: 30 minutes
+);
+const DraftResultService = require('./services/DraftResultService');
+const draftResultService = new DraftResultService(teamService, playerService);
+const SeasonRolloverService = require('./services/SeasonRolloverService');
+const seasonRolloverService = new SeasonRolloverService(teamService, playerService, leagueService);
+const WaiverService = require('./services/WaiverService');
+const waiverService = new WaiverService(
+  teamService,
+  playerService,
+  parseInt(process.env.WAIVER_PROCESS_INTERVAL || 300000) // Default: 5 minutes
+);
+const TradeService = require('./services/TradeService');
+const tradeService = new TradeService(
+  teamService,
+  playerService,
+  waiverService,
+  parseInt(process.env.TRADE_PROCESS_INTERVAL || 300000) // Default: 5 minutes
+);
 
 // Ensure data directory exists
 async function ensureDataDir() {
@@ -116,6 +167,12 @@ async function initializeData() {
   console.log('DEBUG: Data directory ensured');
   
   try {
+    // Finish any draft save that was cut off before the rosters below are loaded
+    const draftsFinished = await draftResultService.reconcilePendingDrafts();
+    if (draftsFinished > 0) {
+      console.log(`DEBUG: Finished ${draftsFinished} interrupted draft saves`);
+    }
+    
     // Try to load players from MongoDB
     console.log('DEBUG: About to load player data from MongoDB');
     const playerCount = await Player.countDocuments();
@@ -124,6 +181,7 @@ async function initializeData() {
       console.log(`Loading ${playerCount} players from MongoDB`);
       const players = await Player.find();
       playerService.loadPlayersFromData(players);
+      playerService.loadWeeklyGames(await GameLog.getWeeklyStatLines());
       console.log('DEBUG: Players loaded from MongoDB');
     } else {
       console.log('No player data found in MongoDB, loading sample players...');
@@ -140,6 +198,10 @@ async function initializeData() {
       const teams = await FantasyTeam.find();
       teamService.loadTeamsFromData(teams, playerService);
       console.log('DEBUG: Teams loaded from MongoDB');
+      
+      // Make sure every rostered player is owned in their team's league
+      const ownersSynced = await Player.syncOwnersFromRosters();
+      console.log(`DEBUG: Synced league ownership for ${ownersSynced} rostered players`);
     }
     
     // Load leagues from MongoDB
@@ -177,19 +239,9 @@ async function initializeData() {
     // Set up stats updater for real-time updates
     console.log('DEBUG: Checking if auto updates are enabled');
     if (process.env.ENABLE_AUTO_UPDATES === 'true') {
-      console.log('Setting up automatic stats updates');
-      const leagues = leagueService.getAllLeagues();
-      if (leagues && leagues.length > 0) {
-        const statsUpdater = new StatsUpdater(
-          leagues[0], 
-          riotApiService, 
-          parseInt(process.env.UPDATE_INTERVAL || 1800000) // Default: 30 minutes
-        );
-        statsUpdater.start();
-        console.log('DEBUG: Stats updater started');
-      } else {
-        console.log('DEBUG: No leagues found, cannot start stats updater');
-      }
+      console.log('Setting up automatic stats updates for all leagues');
+      statsUpdaterService.start();
+      console.log('DEBUG: Stats updater started');
     } else {
       console.log('DEBUG: Auto updates are disabled');
     }
@@ -542,45 +594,20 @@ app.post('/api/draft/pick', async (req, res) => {
     }
     
     try {
-      // Check if player is already drafted
-      let isDrafted = false;
-      for (const existingTeam of leagueService.getAllLeagues()[0].teams) {
-        // Check main positions
-        for (const pos of ["TOP", "JUNGLE", "MID", "ADC", "SUPPORT", "FLEX"]) {
-          if (existingTeam.players[pos] && existingTeam.players[pos].id === playerId) {
-            isDrafted = true;
-            break;
-          }
-        }
-        
-        // Check bench
-        if (!isDrafted && existingTeam.players.BENCH) {
-          for (const benchPlayer of existingTeam.players.BENCH) {
-            if (benchPlayer.id === playerId) {
-              isDrafted = true;
-              break;
-            }
-          }
-        }
-        
-        if (isDrafted) break;
-      }
-      
-      if (isDrafted) {
-        return res.status(400).json({ message: 'Player has already been drafted' });
+      // Players are drafted per league, so only this team's league matters
+      if (team.leagueId && !(await Player.claimForTeam(playerId, team.leagueId, team.id))) {
+        return res.status(400).json({ message: 'Player has already been drafted in this league' });
       }
       
       // Add player to team
-      const success = team.addPlayer(player, position);
+      const success = team.addPlayer(player, position, getTeamRosterTemplate(team));
       if (!success) {
+        if (team.leagueId) await Player.releaseFromTeam(playerId, team.leagueId, team.id);
         return res.status(400).json({ message: `Cannot add player to ${position} position` });
       }
       
-      // Mark the player as drafted in the main league
-      player.drafted = true;
-      
-      // Save teams to MongoDB
-      const existingTeam = await FantasyTeam.findOneAndUpdate(
+      // Save the roster to MongoDB
+      await FantasyTeam.findOneAndUpdate(
         { id: teamId },
         { 
           $set: {
@@ -588,7 +615,8 @@ app.post('/api/draft/pick', async (req, res) => {
             name: team.name,
             owner: team.owner,
             userId: team.userId, // Ensure userId is saved
-            leagueId: team.leagueId || league.id, // Ensure leagueId is set
+            leagueId: team.leagueId || null,
+            players: team.toRosterData(),
             totalPoints: team.totalPoints,
             weeklyPoints: team.weeklyPoints
           }
@@ -596,28 +624,7 @@ app.post('/api/draft/pick', async (req, res) => {
         { upsert: true, new: true }
       );
       
-      // Save league to database after each team is added
-      const updatedLeague = await League.findOneAndUpdate(
-        { id: league.id },
-        { 
-          $set: {
-            teams: league.teams,
-            maxTeams: league.maxTeams,
-            name: league.name,
-            description: league.description,
-            isPublic: league.isPublic,
-            regions: league.regions,
-            memberIds: league.memberIds,
-            creatorId: league.creatorId,
-            currentWeek: league.currentWeek,
-            playerPool: league.playerPool,
-            standings: league.standings
-          }
-        },
-        { upsert: true, new: true }
-      );
-      
-      createdTeams.push(team);
+      res.json(team);
     } catch (error) {
       console.error(`Error during draft:`, error);
       res.status(500).json({ message: 'Error during draft operation', error: error.message });
@@ -634,7 +641,11 @@ app.post('/api/draft/pick', async (req, res) => {
       return res.status(404).json({ message: 'League not found' });
     }
     
-    const availablePlayers = league.playerPool.filter(player => !player.drafted);
+    // A player is drafted in this league if one of its teams has them
+    const leagueTeams = teamService.teams.filter(team => team.leagueId === league.id);
+    const availablePlayers = league.playerPool.filter(player => 
+      !leagueTeams.some(team => team.hasPlayer(typeof player === 'object' ? player.id : player))
+    );
     
     // Calculate how many players each team has drafted
     const teamDraftCounts = league.teams.map(team => {
@@ -650,7 +661,8 @@ app.post('/api/draft/pick', async (req, res) => {
     res.json({
       availablePlayers,
       teamDraftCounts,
-      draftComplete: availablePlayers.length === 0 || teamDraftCounts.every(t => t.draftedCount >= 5)
+      draftComplete: availablePlayers.length === 0 ||
+        teamDraftCounts.every(t => t.draftedCount >= getStartingSlots(league.rosterTemplate).length)
     });
   });
 
@@ -675,6 +687,156 @@ app.post('/api/admin/clear-cache', auth, (req, res) => {
   res.json({ message: 'Cache cleared successfully' });
 });
 
+// Get the stats updater schedule and each league's last run (admin only)
+app.get('/api/admin/stats-updater/status', auth, async (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ message: 'Only admins can manage the stats updater' });
+  }
+  
+  try {
+    res.json(await statsUpdaterService.getStatus());
+  } catch (error) {
+    console.error('Error getting stats updater status:', error);
+    res.status(500).json({ message: 'Error getting stats updater status', error: error.message });
+  }
+});
+
+// Start scheduled stats updates (admin only)
+app.post('/api/admin/stats-updater/start', auth, (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ message: 'Only admins can manage the stats updater' });
+  }
+  
+  const started = statsUpdaterService.start();
+  res.json({ message: started ? 'Stats updater started' : 'Stats updater is already running', running: true });
+});
+
+// Stop scheduled stats updates (admin only)
+app.post('/api/admin/stats-updater/stop', auth, (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ message: 'Only admins can manage the stats updater' });
+  }
+  
+  const stopped = statsUpdaterService.stop();
+  res.json({ message: stopped ? 'Stats updater stopped' : 'Stats updater is not running', running: false });
+});
+
+// Run a stats update immediately (admin only)
+app.post('/api/admin/stats-updater/run', auth, async (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ message: 'Only admins can manage the stats updater' });
+  }
+  
+  try {
+    const started = await statsUpdaterService.runNow();
+    
+    if (!started) {
+      return res.status(409).json({ message: 'A stats update is already in progress' });
+    }
+    
+    res.status(202).json({ message: 'Stats update started' });
+  } catch (error) {
+    console.error('Error starting stats update:', error);
+    res.status(500).json({ message: 'Error starting stats update', error: error.message });
+  }
+});
+
+// Import pro match results from a CSV or JSON file (admin only).
+// Accepts the raw file body (text/csv or application/octet-stream) with ?format=&week=&dryRun=,
+// or a JSON body of { format, content, week, dryRun }.
+// The upload is only read once the admin check has passed; a split of one league's games fits well within the limit.
+app.post('/api/admin/import-matches', auth, (req, res, next) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ message: 'Only admins can import match data' });
+  }
+  next();
+}, express.text({ type: ['text/csv', 'application/octet-stream'], limit: '5mb' }), async (req, res) => {
+  const isRawUpload = typeof req.body === 'string';
+  const options = isRawUpload ? req.query : { ...req.query, ...req.body };
+  const content = isRawUpload ? req.body : req.body.content;
+  const format = (options.format || (req.is('text/csv') ? 'csv' : 'json')).toLowerCase();
+  const week = options.week ? parseInt(options.week) : null;
+  const dryRun = options.dryRun === true || options.dryRun === 'true';
+  
+  if (!content) {
+    return res.status(400).json({ message: 'No match data provided' });
+  }
+  
+  if (!['csv', 'json'].includes(format)) {
+    return res.status(400).json({ message: 'Format must be "csv" or "json"' });
+  }
+  
+  try {
+    const report = await matchImportService.importMatches(content, { format, week, dryRun });
+    
+    console.log(`DEBUG: Match import (${format}${dryRun ? ', dry run' : ''}): ${report.matched}/${report.totalRows} rows matched, ${report.imported} games imported`);
+    res.json(report);
+  } catch (error) {
+    console.error('Error importing match data:', error);
+    res.status(500).json({ message: 'Error importing match data', error: error.message });
+  }
+});
+
+// Add or update pro matches in the calendar (admin only). Body: { matches: [{ id, week, region, teamA, teamB, startTime }] }
+app.post('/api/admin/pro-matches', auth, async (req, res) => {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ message: 'Only admins can edit the pro match calendar' });
+  }
+  
+  const { matches } = req.body;
+  if (!Array.isArray(matches) || matches.length === 0) {
+    return res.status(400).json({ message: 'A list of matches is required' });
+  }
+  
+  const valid = [];
+  const errors = [];
+  matches.forEach((match, index) => {
+    const startTime = new Date(match.startTime);
+    const week = parseInt(match.week);
+    if (!match.id || !match.teamA || !match.teamB) {
+      errors.push({ index, message: 'Match id, teamA and teamB are required' });
+    } else if (!week || week < 1) {
+      errors.push({ index, message: 'Week must be 1 or higher' });
+    } else if (!match.startTime || isNaN(startTime.getTime())) {
+      errors.push({ index, message: 'A valid start time is required' });
+    } else {
+      valid.push({
+        id: String(match.id),
+        week,
+        region: match.region || null,
+        teamA: match.teamA,
+        teamB: match.teamB,
+        startTime
+      });
+    }
+  });
+  
+  try {
+    const saved = await ProMatch.upsertMatches(valid);
+    res.json({ saved, errors });
+  } catch (error) {
+    console.error('Error saving pro matches:', error);
+    res.status(500).json({ message: 'Error saving pro matches', error: error.message });
+  }
+});
+
+// Get the pro match calendar, optionally for one week or pro team
+app.get('/api/pro-matches', async (req, res) => {
+  const { week, team } = req.query;
+  const query = {};
+  
+  if (week) query.week = parseInt(week) || 0;
+  if (team) query.$or = [{ teamA: team }, { teamB: team }];
+  
+  try {
+    const matches = await ProMatch.find(query).sort({ startTime: 1 });
+    res.json(matches);
+  } catch (error) {
+    console.error('Error getting pro matches:', error);
+    res.status(500).json({ message: 'Error getting pro matches', error: error.message });
+  }
+});
+
 // Get players by region
 app.get('/api/players/region/:region', (req, res) => {
   const { region } = req.params;
@@ -749,6 +911,60 @@ app.post('/api/players/:id/update', async (req, res) => {
   }
 });
 
+// Get a player's game log, optionally filtered by week
+app.get('/api/players/:id/games', async (req, res) => {
+  const { id } = req.params;
+  const { week } = req.query;
+  
+  try {
+    const query = { playerId: id };
+    if (week) {
+      query.week = parseInt(week);
+    }
+    
+    const games = await GameLog.find(query).sort({ week: 1, playedAt: 1 });
+    res.json(games);
+  } catch (error) {
+    console.error(`Error getting game log for player ${id}:`, error);
+    res.status(500).json({ message: 'Error getting game log', error: error.message });
+  }
+});
+
+// Record a game in a player's stat ledger (admin only)
+app.post('/api/players/:id/games', auth, async (req, res) => {
+  const { id } = req.params;
+  const game = req.body;
+  
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ message: 'Only admins can record games' });
+  }
+  
+  if (!game.matchId || !game.week) {
+    return res.status(400).json({ message: 'matchId and week are required' });
+  }
+  
+  try {
+    const player = await Player.findOne({ id });
+    
+    if (!player) {
+      return res.status(404).json({ message: 'Player not found' });
+    }
+    
+    const created = await player.recordGame(game);
+    
+    if (!created) {
+      return res.json({ message: 'Game already recorded', created: false, player });
+    }
+    
+    await playerService.syncPlayerTotals(player);
+    
+    res.status(201).json({ message: 'Game recorded successfully', created: true, player });
+  } catch (error) {
+    console.error(`Error recording game for player ${id}:`, error);
+    res.status(500).json({ message: 'Error recording game', error: error.message });
+  }
+});
+
 // API endpoint to update player image
 app.post('/api/players/:id/update-image', auth, async (req, res) => {
   const { id } = req.params;
@@ -830,7 +1046,8 @@ app.get('/api/teams/my-teams', auth, async (req, res) => {
       
       return {
         ...team,
-        ...leagueInfo
+        ...leagueInfo,
+        startingSlots: getStartingSlots(getTeamRosterTemplate(team))
       };
     });
     
@@ -841,6 +1058,150 @@ app.get('/api/teams/my-teams', auth, async (req, res) => {
   }
 });
 
+// Get the kickoff time and lock state of every player on a team for the current week
+app.get('/api/teams/:id/lineup-locks', async (req, res) => {
+  const { id } = req.params;
+  const team = teamService.getTeamById(id);
+  
+  if (!team) {
+    return res.status(404).json({ message: 'Team not found' });
+  }
+  
+  try {
+    const { week, locks } = await getLineupLocks(team, team.getPlayerIds());
+    
+    res.json({ week, locks: Object.fromEntries(locks) });
+  } catch (error) {
+    console.error(`Error getting lineup locks for team ${id}:`, error);
+    res.status(500).json({ message: 'Error getting lineup locks', error: error.message });
+  }
+});
+
+// Get the lineup a team started in a week: the frozen snapshot, or the current lineup if the week hasn't locked
+app.get('/api/teams/:id/lineup/:week', async (req, res) => {
+  const { id } = req.params;
+  const week = parseInt(req.params.week);
+  
+  if (!week || week < 1) {
+    return res.status(400).json({ message: 'Week must be 1 or higher' });
+  }
+  
+  try {
+    const teamDoc = await FantasyTeam.findOne({ id });
+    
+    if (!teamDoc) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+    
+    // Points are for this week, under the league's scoring rules
+    const leagueDoc = teamDoc.leagueId ? await League.findOne({ id: teamDoc.leagueId }, 'scoringRules rosterTemplate') : null;
+    
+    // The league's starting slots, plus any a frozen lineup used before the template changed
+    const snapshot = await LineupSnapshot.findOne({ teamId: id, week });
+    const templateSlots = getStartingSlots(leagueDoc && leagueDoc.rosterTemplate);
+    const starters = {};
+    for (const slot of LineupSnapshot.STARTING_SLOTS) {
+      const playerId = snapshot ? snapshot.starters[slot] : teamDoc.players[slot]?.playerId || null;
+      if (playerId || templateSlots.includes(slot)) starters[slot] = playerId;
+    }
+    const bench = snapshot ? snapshot.bench : teamDoc.players.BENCH;
+    
+    const playerDocs = await Player.find({ id: { $in: [...Object.values(starters).filter(Boolean), ...bench] } });
+    const playersById = new Map(playerDocs.map(player => [player.id, player]));
+    const describe = async playerId => {
+      const player = playersById.get(playerId);
+      if (!player) return null;
+      return {
+        id: player.id,
+        name: player.name,
+        position: player.position,
+        team: player.team,
+        points: await player.getWeeklyPoints(week, leagueDoc ? leagueDoc.scoringRules : null)
+      };
+    };
+    
+    const players = {};
+    for (const slot of Object.keys(starters)) {
+      players[slot] = starters[slot] ? await describe(starters[slot]) : null;
+    }
+    
+    res.json({
+      teamId: id,
+      week,
+      frozen: !!snapshot,
+      lockedAt: snapshot ? snapshot.lockedAt : null,
+      players,
+      bench: (await Promise.all(bench.map(describe))).filter(Boolean)
+    });
+  } catch (error) {
+    console.error(`Error getting week ${week} lineup for team ${id}:`, error);
+    res.status(500).json({ message: 'Error getting lineup', error: error.message });
+  }
+});
+
+// Get the players a team is keeping into next season and the draft round each one costs
+app.get('/api/teams/:id/keepers', async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const teamDoc = await FantasyTeam.findOne({ id });
+    if (!teamDoc) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+    
+    const leagueDoc = teamDoc.leagueId ? await League.findOne({ id: teamDoc.leagueId }) : null;
+    if (!leagueDoc) {
+      return res.status(400).json({ message: 'Team is not in a league' });
+    }
+    
+    res.json({
+      keeperSettings: normalizeKeeperSettings(leagueDoc.keeperSettings),
+      keepers: seasonRolloverService.getKeeperCosts(leagueDoc, [teamDoc])
+    });
+  } catch (error) {
+    console.error(`Error getting keepers for team ${id}:`, error);
+    res.status(500).json({ message: 'Error getting keepers', error: error.message });
+  }
+});
+
+// Choose the players a team keeps when its league rolls over (team owner only)
+app.put('/api/teams/:id/keepers', auth, async (req, res) => {
+  const { id } = req.params;
+  const { playerIds } = req.body;
+  
+  try {
+    const teamDoc = await FantasyTeam.findOne({ id });
+    if (!teamDoc) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+    
+    if (teamDoc.userId !== req.user.id && !req.user.isAdmin) {
+      return res.status(403).json({ message: 'You do not own this team' });
+    }
+    
+    const leagueDoc = teamDoc.leagueId ? await League.findOne({ id: teamDoc.leagueId }) : null;
+    if (!leagueDoc) {
+      return res.status(400).json({ message: 'Team is not in a league' });
+    }
+    
+    const errors = seasonRolloverService.validateKeepers(leagueDoc, teamDoc, playerIds);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: `Invalid keepers: ${errors.join('; ')}`, errors });
+    }
+    
+    teamDoc.keepers = playerIds;
+    await teamDoc.save();
+    
+    res.json({
+      keeperSettings: normalizeKeeperSettings(leagueDoc.keeperSettings),
+      keepers: seasonRolloverService.getKeeperCosts(leagueDoc, [teamDoc])
+    });
+  } catch (error) {
+    console.error(`Error setting keepers for team ${id}:`, error);
+    res.status(500).json({ message: 'Error setting keepers', error: error.message });
+  }
+});
+
 // Get team by ID
 app.get('/api/teams/:id', (req, res) => {
   const { id } = req.params;
@@ -912,6 +1273,12 @@ app.get('/api/leagues/:id', (req, res) => {
     creatorId: league.creatorId,
     memberIds: league.memberIds || [],
     currentWeek: league.currentWeek || 1,
+    scoringRules: normalizeScoringRules(league.scoringRules),
+    divisions: normalizeDivisions(league.divisions),
+    rosterTemplate: normalizeRosterTemplate(league.rosterTemplate),
+    startingSlots: getStartingSlots(league.rosterTemplate),
+    keeperSettings: normalizeKeeperSettings(league.keeperSettings),
+    season: league.season || 1,
     teams: Array.isArray(league.teams) ? league.teams.map(team => {
       // If team is an object, extract just the necessary properties
       if (typeof team === 'object' && team !== null) {
@@ -1096,7 +1463,7 @@ app.post('/api/leagues/:id/join', auth, async (req, res) => {
         console.log(`DEBUG: Updating existing team ${team.id}`);
         existingTeam.name = team.name;
         existingTeam.owner = team.owner;
-        existingTeam.players = team.players;
+        existingTeam.players = team.toRosterData();
         existingTeam.leagueId = team.leagueId;
         existingTeam.userId = team.userId;
         
@@ -1112,7 +1479,7 @@ app.post('/api/leagues/:id/join', auth, async (req, res) => {
           owner: team.owner,
           userId: req.user.id, // Add the user ID from the auth token
           leagueId: id, // Use the leagueId parameter directly
-          players: team.players
+          players: team.toRosterData()
         });
         
         await newTeam.save()
@@ -1255,6 +1622,35 @@ app.post('/api/teams', auth, async (req, res) => {
     res.status(201).json(team);
   });
 
+// Lineup locks for the week a team's league is playing, keyed by player ID
+async function getLineupLocks(team, playerIds) {
+  const leagueDoc = team.leagueId ? await League.findOne({ id: team.leagueId }, 'currentWeek') : null;
+  const week = (leagueDoc && leagueDoc.currentWeek) || 1;
+  const players = await Player.find({ id: { $in: playerIds } }, 'id team teamCode');
+  
+  return { week, locks: await ProMatch.getLineupLocks(players, week) };
+}
+
+// The roster template of a team's league (the default for teams outside a league)
+function getTeamRosterTemplate(team) {
+  const league = team.leagueId ? leagueService.leagues.find(l => l.id === team.leagueId) : null;
+  return normalizeRosterTemplate(league && league.rosterTemplate);
+}
+
+// The first of these players whose match this week has already started, if any
+async function findLockedPlayer(team, playerIds) {
+  const ids = playerIds.filter(Boolean);
+  if (ids.length === 0) return null;
+  
+  const { locks } = await getLineupLocks(team, ids);
+  return ids.find(playerId => locks.get(playerId)?.locked) || null;
+}
+
+function lineupLockMessage(playerId) {
+  const player = playerService.getPlayerById(playerId);
+  return `${player ? player.name : 'This player'}'s match this week has already started, so their slot is locked`;
+}
+
 // Add player to team
 app.post('/api/teams/:teamId/players', auth, async (req, res) => {
   const { teamId } = req.params;
@@ -1278,17 +1674,65 @@ app.post('/api/teams/:teamId/players', auth, async (req, res) => {
     return res.status(404).json({ message: 'Player not found' });
   }
   
-  const success = team.addPlayer(player, slot);
+  // Once the week locks its lineups are frozen before anything moves; the snapshot
+  // follows the move afterwards for slots whose match hasn't started
+  await LineupSnapshot.freezeIfWeekLocked(team.leagueId);
+  
+  // Players whose match has started this week can't be moved into or out of a slot
+  const occupant = LIST_SLOTS.includes(slot) ? null : team.players[slot];
+  const lockedPlayerId = await findLockedPlayer(team, [playerId, occupant && occupant.id]);
+  if (lockedPlayerId) {
+    return res.status(400).json({ message: lineupLockMessage(lockedPlayerId), lockedPlayerId });
+  }
+  
+  // Only a free agent in the team's league can be added
+  const alreadyOnTeam = team.hasPlayer(playerId);
+  if (team.leagueId && !alreadyOnTeam) {
+    const waiverClearsAt = await waiverService.getWaiverClearTime(playerId, team.leagueId);
+    if (waiverClearsAt) {
+      return res.status(400).json({
+        message: 'Player is on waivers; submit a waiver claim instead',
+        waiverClearsAt
+      });
+    }
+  }
+  
+  // The league may lock rosters for the playoffs or limit how many players a team picks up
+  const leagueDoc = team.leagueId && !alreadyOnTeam ? await League.findOne({ id: team.leagueId }) : null;
+  if (leagueDoc) {
+    const restriction = await waiverService.getAddRestriction(leagueDoc, team.id);
+    if (restriction) {
+      return res.status(400).json({ message: restriction });
+    }
+  }
+  if (team.leagueId && !(await Player.claimForTeam(playerId, team.leagueId, team.id))) {
+    return res.status(400).json({ message: 'Player is already on another team in this league' });
+  }
+  
+  const success = team.addPlayer(player, slot, getTeamRosterTemplate(team));
   if (!success) {
+    if (team.leagueId && !alreadyOnTeam) await Player.releaseFromTeam(playerId, team.leagueId, team.id);
     return res.status(400).json({ message: `Cannot add player to ${slot} slot` });
   }
   
+  if (team.leagueId && !alreadyOnTeam) {
+    await Transaction.record({
+      leagueId: team.leagueId,
+      type: 'add',
+      teamId: team.id,
+      userId: req.user.id,
+      added: [playerId],
+      season: leagueDoc ? leagueDoc.season : null,
+      week: leagueDoc ? leagueDoc.currentWeek : null
+    });
+  }
+  
   // Save teams to MongoDB
   FantasyTeam.findOne({ id: teamId })
     .then(existingTeam => {
       if (existingTeam) {
         console.log(`DEBUG: Updating existing team ${teamId}`);
-        existingTeam.players = team.players;
+        existingTeam.players = team.toRosterData();
         return existingTeam.save()
           .then(() => {
             console.log(`DEBUG: Updated team ${teamId} in MongoDB`);
@@ -1307,7 +1751,7 @@ app.post('/api/teams/:teamId/players', auth, async (req, res) => {
           owner: team.owner,
           userId: req.user.id, // Add the user ID from the auth token
           leagueId: league.id, // Add the league ID
-          players: team.players
+          players: team.toRosterData()
         });
         
         return newTeam.save()
@@ -1316,6 +1760,7 @@ app.post('/api/teams/:teamId/players', auth, async (req, res) => {
           });
       }
     })
+    .then(() => LineupSnapshot.syncIfWeekLocked(team.leagueId, [teamId]))
     .then(() => {
       res.json(team);
     })
@@ -1340,17 +1785,42 @@ app.post('/api/teams/:teamId/remove-player', auth, async (req, res) => {
     return res.status(403).json({ message: 'You do not own this team' });
   }
   
+  await LineupSnapshot.freezeIfWeekLocked(team.leagueId);
+  if (await findLockedPlayer(team, [playerId])) {
+    return res.status(400).json({ message: lineupLockMessage(playerId), lockedPlayerId: playerId });
+  }
+  
+  const leagueDoc = team.leagueId ? await League.findOne({ id: team.leagueId }) : null;
+  if (leagueDoc && isRosterLocked(leagueDoc, normalizeTransactionSettings(leagueDoc.transactionSettings))) {
+    return res.status(400).json({ message: ROSTER_LOCK_MESSAGE });
+  }
+  
   const success = team.removePlayer(playerId);
   if (!success) {
     return res.status(404).json({ message: 'Player not found on team' });
   }
   
+  // The player is a free agent in the league again, after a spell on waivers
+  if (team.leagueId) {
+    await Player.releaseFromTeam(playerId, team.leagueId, team.id);
+    await waiverService.placeOnWaivers(playerId, team.leagueId);
+    await Transaction.record({
+      leagueId: team.leagueId,
+      type: 'drop',
+      teamId: team.id,
+      userId: req.user.id,
+      dropped: [playerId],
+      season: leagueDoc ? leagueDoc.season : null,
+      week: leagueDoc ? leagueDoc.currentWeek : null
+    });
+  }
+  
   // Save teams to MongoDB
   FantasyTeam.findOne({ id: teamId })
     .then(existingTeam => {
       if (existingTeam) {
         console.log(`DEBUG: Updating existing team ${teamId}`);
-        existingTeam.players = team.players;
+        existingTeam.players = team.toRosterData();
         return existingTeam.save()
           .then(() => {
             console.log(`DEBUG: Updated team ${teamId} in MongoDB`);
@@ -1361,7 +1831,7 @@ app.post('/api/teams/:teamId/remove-player', auth, async (req, res) => {
           id: teamId,
           name: team.name,
           owner: team.owner,
-          players: team.players
+          players: team.toRosterData()
         });
         return newTeam.save()
           .then(() => {
@@ -1369,6 +1839,7 @@ app.post('/api/teams/:teamId/remove-player', auth, async (req, res) => {
           });
       }
     })
+    .then(() => LineupSnapshot.syncIfWeekLocked(team.leagueId, [teamId]))
     .then(() => {
       res.json(team);
     })
@@ -1441,85 +1912,915 @@ app.get('/api/leagues/:id', async (req, res) => {
 });
 
 // Get league standings
-app.get('/api/leagues/:id/standings', (req, res) => {
+app.get('/api/leagues/:id/standings', async (req, res) => {
   console.log(`Getting standings for league ${req.params.id}`);
   const { id } = req.params;
   
   try {
-    // Get the original league from the in-memory store, not the serialized version
-    const originalLeague = leagueService.leagues.find(league => league.id === id);
+    const leagueDoc = await League.findOne({ id });
     
-    if (!originalLeague) {
+    if (!leagueDoc) {
       return res.status(404).json({ message: 'League not found' });
     }
     
-    // Use the original league instance which has class methods
-    const standings = originalLeague.updateStandings ? originalLeague.updateStandings() : [];
+    // Recomputed from the stored schedule so the table always reflects the latest scores
+    const standings = await leagueDoc.updateStandings();
+    
+    const teams = await FantasyTeam.find({ id: { $in: leagueDoc.teams } }, 'id name owner');
+    const teamsById = new Map(teams.map(team => [team.id, team]));
     
     console.log(`Successfully retrieved standings for league ${id}`);
-    res.json(standings);
+    res.json(standings.map(standing => {
+      const team = teamsById.get(standing.teamId);
+      return {
+        ...(typeof standing.toObject === 'function' ? standing.toObject() : standing),
+        team: {
+          id: standing.teamId,
+          name: team ? team.name : 'Unknown team',
+          owner: team ? team.owner : 'unknown'
+        },
+        totalPoints: standing.points
+      };
+    }));
   } catch (error) {
     console.error(`Error getting standings for league ${id}:`, error);
     res.status(500).json({ message: 'Error getting league standings', error: error.message });
   }
 });
 
-// Get league matchups for a specific week
-app.get('/api/leagues/:id/matchups/:week', (req, res) => {
-  console.log(`Getting matchups for league ${req.params.id} week ${req.params.week}`);
-  const { id, week } = req.params;
+// Get a league's tiebreaker order and the tiebreakers to choose from
+app.get('/api/leagues/:id/tiebreakers', async (req, res) => {
+  const { id } = req.params;
   
   try {
-    // Get the original league from the in-memory store, not the serialized version
-    const originalLeague = leagueService.leagues.find(league => league.id === id);
+    const leagueDoc = await League.findOne({ id }, 'id tiebreakers');
     
-    if (!originalLeague) {
+    if (!leagueDoc) {
       return res.status(404).json({ message: 'League not found' });
     }
     
-    const weekNumber = parseInt(week) || originalLeague.currentWeek || 1;
-    
-    // Use the original league instance which has class methods
-    const matchups = originalLeague.getWeekMatchups ? originalLeague.getWeekMatchups(weekNumber) : [];
-    
-    console.log(`Successfully retrieved matchups for league ${id} week ${weekNumber}`);
-    res.json(matchups);
+    res.json({ tiebreakers: leagueDoc.tiebreakers, available: TIEBREAKERS });
   } catch (error) {
-    console.error(`Error getting matchups for league ${id} week ${week}:`, error);
-    res.status(500).json({ message: 'Error getting league matchups', error: error.message });
+    console.error(`Error getting tiebreakers for league ${id}:`, error);
+    res.status(500).json({ message: 'Error getting tiebreakers', error: error.message });
   }
 });
 
-// Calculate scores for a specific week
-app.post('/api/leagues/:id/calculate/:week', (req, res) => {
-  console.log(`Calculating scores for league ${req.params.id} week ${req.params.week}`);
-  const { id, week } = req.params;
+// Change the order tiebreakers are applied in (commissioner only)
+app.put('/api/leagues/:id/tiebreakers', auth, async (req, res) => {
+  const { id } = req.params;
+  const { tiebreakers } = req.body;
   
   try {
-    // Get the original league from the in-memory store, not the serialized version
-    const originalLeague = leagueService.leagues.find(league => league.id === id);
+    const leagueDoc = await League.findOne({ id });
     
-    if (!originalLeague) {
-      console.log(`League ${id} not found`);
+    if (!leagueDoc) {
       return res.status(404).json({ message: 'League not found' });
     }
     
-    const weekNumber = parseInt(week) || originalLeague.currentWeek || 1;
-    
-    // Calculate scores for the week
-    const success = originalLeague.calculateWeekScores ? originalLeague.calculateWeekScores(weekNumber) : false;
-    
-    if (!success) {
-      return res.status(400).json({ message: 'Failed to calculate scores' });
+    if (leagueDoc.creatorId !== req.user.id && !req.user.isAdmin) {
+      return res.status(403).json({ message: 'Only the league commissioner can change tiebreakers' });
     }
     
-    // Update standings after calculating scores
-    if (originalLeague.updateStandings) {
-      originalLeague.updateStandings();
+    const errors = validateTiebreakers(tiebreakers);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: `Invalid tiebreakers: ${errors.join('; ')}`, errors });
     }
     
-    // Get the updated matchups
+    leagueDoc.tiebreakers = tiebreakers;
+    await leagueDoc.updateStandings();
+    await leagueDoc.save();
+    
+    // Keep the in-memory league ranking teams the same way
+    const league = leagueService.leagues.find(l => l.id === id);
+    if (league) {
+      league.tiebreakers = [...tiebreakers];
+      league.standings = leagueDoc.standings;
+    }
+    
+    res.json({ tiebreakers: leagueDoc.tiebreakers, available: TIEBREAKERS });
+  } catch (error) {
+    console.error(`Error updating tiebreakers for league ${id}:`, error);
+    res.status(500).json({ message: 'Error updating tiebreakers', error: error.message });
+  }
+});
+
+// Get a league's divisions and whether they can be changed right now
+app.get('/api/leagues/:id/divisions', async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const leagueDoc = await League.findOne({ id });
+    
+    if (!leagueDoc) {
+      return res.status(404).json({ message: 'League not found' });
+    }
+    
+    res.json({
+      divisions: normalizeDivisions(leagueDoc.divisions),
+      locked: leagueDoc.isSeasonInProgress()
+    });
+  } catch (error) {
+    console.error(`Error getting divisions for league ${id}:`, error);
+    res.status(500).json({ message: 'Error getting divisions', error: error.message });
+  }
+});
+
+// Define or rebalance a league's divisions between seasons (commissioner only)
+app.put('/api/leagues/:id/divisions', auth, async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const leagueDoc = await League.findOne({ id });
+    
+    if (!leagueDoc) {
+      return res.status(404).json({ message: 'League not found' });
+    }
+    
+    if (leagueDoc.creatorId !== req.user.id && !req.user.isAdmin) {
+      return res.status(403).json({ message: 'Only the league commissioner can change divisions' });
+    }
+    
+    if (leagueDoc.isSeasonInProgress()) {
+      return res.status(400).json({ message: 'Divisions can only be changed between seasons' });
+    }
+    
+    const divisions = normalizeDivisions(req.body.divisions);
+    const errors = validateDivisions(divisions, leagueDoc.teams);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: `Invalid divisions: ${errors.join('; ')}`, errors });
+    }
+    
+    leagueDoc.divisions = divisions;
+    await leagueDoc.updateStandings();
+    await leagueDoc.save();
+    
+    // The in-memory league schedules and ranks with the same divisions
+    const league = leagueService.leagues.find(l => l.id === id);
+    if (league) {
+      league.divisions = divisions;
+      league.standings = leagueDoc.standings;
+    }
+    
+    res.json({ divisions: normalizeDivisions(leagueDoc.divisions), locked: false });
+  } catch (error) {
+    console.error(`Error updating divisions for league ${id}:`, error);
+    res.status(500).json({ message: 'Error updating divisions', error: error.message });
+  }
+});
+
+// Get a league's roster template and the slots it gives every team
+app.get('/api/leagues/:id/roster-template', async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const leagueDoc = await League.findOne({ id }, 'rosterTemplate');
+    
+    if (!leagueDoc) {
+      return res.status(404).json({ message: 'League not found' });
+    }
+    
+    const rosterTemplate = normalizeRosterTemplate(leagueDoc.rosterTemplate);
+    res.json({ rosterTemplate, startingSlots: getStartingSlots(rosterTemplate) });
+  } catch (error) {
+    console.error(`Error getting roster template for league ${id}:`, error);
+    res.status(500).json({ message: 'Error getting roster template', error: error.message });
+  }
+});
+
+// Change the roster slots every team in a league has (commissioner only)
+app.put('/api/leagues/:id/roster-template', auth, async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const leagueDoc = await League.findOne({ id });
+    
+    if (!leagueDoc) {
+      return res.status(404).json({ message: 'League not found' });
+    }
+    
+    if (leagueDoc.creatorId !== req.user.id && !req.user.isAdmin) {
+      return res.status(403).json({ message: 'Only the league commissioner can change roster slots' });
+    }
+    
+    const draftState = draftRooms.getDraftState(id);
+    if (draftState && draftState.draftStarted && !draftState.draftComplete) {
+      return res.status(400).json({ message: 'Roster slots cannot be changed during a draft' });
+    }
+    
+    const rosterTemplate = normalizeRosterTemplate(req.body.rosterTemplate);
+    const errors = validateRosterTemplate(rosterTemplate);
+    
+    // Nobody loses a player: teams have to clear slots the new template drops first
+    const teamDocs = await FantasyTeam.find({ leagueId: id });
+    for (const teamDoc of teamDocs) {
+      const overflow = getRosterOverflow(teamDoc.players, rosterTemplate);
+      if (overflow.length > 0) {
+        const slots = [...new Set(overflow.map(({ slot }) => slot))].join(', ');
+        errors.push(`${teamDoc.name} has ${overflow.length} player(s) that would not fit (${slots})`);
+      }
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ message: `Invalid roster template: ${errors.join('; ')}`, errors });
+    }
+    
+    leagueDoc.rosterTemplate = rosterTemplate;
+    await leagueDoc.save();
+    
+    // Roster moves and the next draft use the new slots
+    const league = leagueService.leagues.find(l => l.id === id);
+    if (league) {
+      league.rosterTemplate = rosterTemplate;
+    }
+    if (draftRooms.rooms.has(id)) {
+      draftRooms.getRoom(id).setRosterTemplate(rosterTemplate);
+    }
+    
+    res.json({ rosterTemplate, startingSlots: getStartingSlots(rosterTemplate) });
+  } catch (error) {
+    console.error(`Error updating roster template for league ${id}:`, error);
+    res.status(500).json({ message: 'Error updating roster template', error: error.message });
+  }
+});
+
+// Get the league's keeper rules, this season's keepers and the keepers each team has chosen for next season
+app.get('/api/leagues/:id/keepers', async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const leagueDoc = await League.findOne({ id });
+    if (!leagueDoc) {
+      return res.status(404).json({ message: 'League not found' });
+    }
+    
+    const teamDocs = await FantasyTeam.find({ leagueId: id });
+    
+    res.json({
+      season: leagueDoc.season || 1,
+      keeperSettings: normalizeKeeperSettings(leagueDoc.keeperSettings),
+      draftOrder: leagueDoc.draftOrder,
+      keepers: leagueDoc.keepers,
+      nextSeasonKeepers: seasonRolloverService.getKeeperCosts(leagueDoc, teamDocs).map(keeper => ({
+        ...keeper,
+        playerName: playerService.getPlayerById(keeper.playerId)?.name || keeper.playerId
+      }))
+    });
+  } catch (error) {
+    console.error(`Error getting keepers for league ${id}:`, error);
+    res.status(500).json({ message: 'Error getting keepers', error: error.message });
+  }
+});
+
+// Set whether the league is redraft, keeper or dynasty, and its keeper rules (commissioner only)
+app.put('/api/leagues/:id/keeper-settings', auth, async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const leagueDoc = await League.findOne({ id });
+    if (!leagueDoc) {
+      return res.status(404).json({ message: 'League not found' });
+    }
+    
+    if (leagueDoc.creatorId !== req.user.id && !req.user.isAdmin) {
+      return res.status(403).json({ message: 'Only the league commissioner can change the keeper rules' });
+    }
+    
+    const keeperSettings = normalizeKeeperSettings(req.body.keeperSettings);
+    const errors = validateKeeperSettings(keeperSettings);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: `Invalid keeper settings: ${errors.join('; ')}`, errors });
+    }
+    
+    leagueDoc.keeperSettings = keeperSettings;
+    await leagueDoc.save();
+    
+    const league = leagueService.getLeagueById(id);
+    if (league) {
+      league.keeperSettings = keeperSettings;
+    }
+    
+    res.json({ keeperSettings });
+  } catch (error) {
+    console.error(`Error updating keeper settings for league ${id}:`, error);
+    res.status(500).json({ message: 'Error updating keeper settings', error: error.message });
+  }
+});
+
+// Archive the finished season and start the next one with the same teams (commissioner only)
+app.post('/api/leagues/:id/rollover', auth, async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const leagueDoc = await League.findOne({ id });
+    if (!leagueDoc) {
+      return res.status(404).json({ message: 'League not found' });
+    }
+    
+    if (leagueDoc.creatorId !== req.user.id && !req.user.isAdmin) {
+      return res.status(403).json({ message: 'Only the league commissioner can start the next season' });
+    }
+    
+    if (!leagueDoc.isSeasonComplete()) {
+      return res.status(400).json({ message: 'The season is not over yet' });
+    }
+    
+    const draftState = draftRooms.getDraftState(id);
+    if (draftState && draftState.draftStarted && !draftState.draftComplete) {
+      return res.status(400).json({ message: 'A draft is in progress' });
+    }
+    
+    const result = await seasonRolloverService.rollover(id);
+    
+    const league = leagueService.getLeagueById(id);
+    if (league) {
+      league.season = result.season;
+    }
+    
+    // The old draft makes way for the new season's, including one only saved to disk
+    draftRooms.getRoom(id).resetDraft();
+    
+    const teamOwners = (await FantasyTeam.find({ leagueId: id }, 'userId')).map(team => team.userId);
+    await Notification.notifyUsers(
+      [...leagueDoc.memberIds, ...teamOwners].filter(userId => userId !== req.user.id),
+      {
+        leagueId: id,
+        type: 'seasonStarted',
+        title: `${leagueDoc.name} season ${result.season} has begun`,
+        message: 'Last season is in the league history. Check the draft order for the new season.',
+        link: `/leagues/${id}`
+      }
+    );
+    
+    res.json({ message: `Season ${result.season} started`, ...result });
+  } catch (error) {
+    console.error(`Error rolling over league ${id}:`, error);
+    res.status(500).json({ message: 'Error starting the next season', error: error.message });
+  }
+});
+
+// Get the league's history from its archived seasons: past champions, head-to-head records,
+// the record book and each manager's career across every league they've played in
+app.get('/api/leagues/:id/history', async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const leagueDoc = await League.findOne({ id }, 'id name season');
+    if (!leagueDoc) {
+      return res.status(404).json({ message: 'League not found' });
+    }
+    
+    const seasons = (await LeagueSeason.find({ leagueId: id }).sort({ season: 1 })).map(season => season.toObject());
+    const userIds = [...new Set(seasons.flatMap(season => season.rosters.map(roster => roster.userId)).filter(Boolean))];
+    const careerSeasons = userIds.length > 0
+      ? (await LeagueSeason.find({ 'rosters.userId': { $in: userIds } })).map(season => season.toObject())
+      : [];
+    
+    res.json({
+      leagueId: id,
+      currentSeason: leagueDoc.season || 1,
+      ...buildLeagueHistory(seasons),
+      careers: buildCareers(careerSeasons, userIds)
+    });
+  } catch (error) {
+    console.error(`Error getting history for league ${id}:`, error);
+    res.status(500).json({ message: 'Error getting league history', error: error.message });
+  }
+});
+
+// Get the players nobody in the league has on their roster
+app.get('/api/leagues/:id/free-agents', async (req, res) => {
+  const { id } = req.params;
+  const { position, region, search } = req.query;
+  
+  try {
+    const leagueDoc = await League.findOne({ id }, 'id playerPool waiverSettings');
+    
+    if (!leagueDoc) {
+      return res.status(404).json({ message: 'League not found' });
+    }
+    
+    // Leagues with a player pool only offer players from it
+    const league = leagueService.getLeagueById(id, false);
+    const pool = league && league.playerPool && league.playerPool.length > 0 ? league.playerPool : leagueDoc.playerPool;
+    const poolIds = pool.map(player => typeof player === 'object' ? player.id : player);
+    
+    const freeAgents = await Player.findFreeAgents(id, {
+      playerIds: poolIds.length > 0 ? poolIds : undefined,
+      position: position ? position.toUpperCase() : undefined,
+      region,
+      search
+    });
+    
+    // Players on waivers can only be claimed, not added straight away
+    const { periodHours } = waiverService.getSettings(leagueDoc);
+    res.json(freeAgents.map(player => ({
+      ...player.toJSON(),
+      waiverClearsAt: player.getWaiverClearTime(id, periodHours)
+    })));
+  } catch (error) {
+    console.error(`Error getting free agents for league ${id}:`, error);
+    res.status(500).json({ message: 'Error getting free agents', error: error.message });
+  }
+});
+
+// Get the league's waiver settings and order, and the current user's claims
+app.get('/api/leagues/:id/waivers', auth, async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const leagueDoc = await League.findOne({ id });
+    
+    if (!leagueDoc) {
+      return res.status(404).json({ message: 'League not found' });
+    }
+    
+    const teams = await FantasyTeam.find({ leagueId: id }, 'id name userId');
+    const teamNames = new Map(teams.map(team => [team.id, team.name]));
+    const settings = waiverService.getSettings(leagueDoc);
+    const myTeam = teams.find(team => team.userId === req.user.id);
+    
+    const priority = waiverService.getPriorityOrder(leagueDoc, teams.map(team => team.id))
+      .map((teamId, index) => ({
+        rank: index + 1,
+        teamId,
+        name: teamNames.get(teamId),
+        faabBalance: settings.mode === 'faab' ? waiverService.getFaabBalance(leagueDoc, teamId) : null
+      }));
+    
+    const claims = myTeam
+      ? await WaiverClaim.find({ leagueId: id, teamId: myTeam.id }).sort({ createdAt: -1 }).limit(50)
+      : [];
+    const playerName = playerId => playerService.getPlayerById(playerId)?.name || playerId;
+    
+    res.json({
+      settings,
+      priority,
+      myTeamId: myTeam ? myTeam.id : null,
+      claims: claims.map(claim => ({
+        ...claim.toObject(),
+        playerName: playerName(claim.playerId),
+        dropPlayerName: claim.dropPlayerId ? playerName(claim.dropPlayerId) : null
+      }))
+    });
+  } catch (error) {
+    console.error(`Error getting waivers for league ${id}:`, error);
+    res.status(500).json({ message: 'Error getting waivers', error: error.message });
+  }
+});
+
+// Submit a waiver claim, with an optional FAAB bid and a player to drop if it wins
+app.post('/api/leagues/:id/waivers/claims', auth, async (req, res) => {
+  const { id } = req.params;
+  const { playerId, dropPlayerId = null, bid } = req.body;
+  
+  if (!playerId) {
+    return res.status(400).json({ message: 'Player ID is required' });
+  }
+  
+  try {
+    const leagueDoc = await League.findOne({ id });
+    
+    if (!leagueDoc) {
+      return res.status(404).json({ message: 'League not found' });
+    }
+    
+    const teamDoc = await FantasyTeam.findOne({ leagueId: id, userId: req.user.id });
+    if (!teamDoc) {
+      return res.status(403).json({ message: 'You do not have a team in this league' });
+    }
+    
+    const player = await Player.findOne({ id: playerId });
+    if (!player) {
+      return res.status(404).json({ message: 'Player not found' });
+    }
+    if (player.getOwner(id)) {
+      return res.status(400).json({ message: 'Player is already on a team in this league' });
+    }
+    
+    const restriction = await waiverService.getAddRestriction(leagueDoc, teamDoc.id);
+    if (restriction) {
+      return res.status(400).json({ message: restriction });
+    }
+    
+    const team = teamService.getTeamById(teamDoc.id);
+    const rosterIds = team ? null : teamDoc.getPlayerIds();
+    if (dropPlayerId && !(team ? team.hasPlayer(dropPlayerId) : rosterIds.includes(dropPlayerId))) {
+      return res.status(400).json({ message: 'You can only drop a player on your roster' });
+    }
+    
+    const settings = waiverService.getSettings(leagueDoc);
+    let amount = 0;
+    if (settings.mode === 'faab') {
+      const balance = waiverService.getFaabBalance(leagueDoc, teamDoc.id);
+      amount = bid === undefined || bid === null || bid === '' ? 0 : Number(bid);
+      if (!Number.isInteger(amount) || amount < 0 || amount > balance) {
+        return res.status(400).json({ message: `Bid must be a whole number from $0 to $${balance}` });
+      }
+    }
+    
+    const existing = await WaiverClaim.findOne({ leagueId: id, teamId: teamDoc.id, playerId, status: 'pending' });
+    if (existing) {
+      return res.status(400).json({ message: 'You already have a pending claim for this player' });
+    }
+    
+    const claim = await WaiverClaim.create({
+      leagueId: id,
+      teamId: teamDoc.id,
+      userId: req.user.id,
+      playerId,
+      dropPlayerId,
+      bid: amount
+    });
+    
+    res.status(201).json(claim);
+  } catch (error) {
+    console.error(`Error submitting waiver claim in league ${id}:`, error);
+    res.status(500).json({ message: 'Error submitting waiver claim', error: error.message });
+  }
+});
+
+// Withdraw a pending waiver claim
+app.delete('/api/leagues/:id/waivers/claims/:claimId', auth, async (req, res) => {
+  const { id, claimId } = req.params;
+  
+  try {
+    const claim = await WaiverClaim.findOne({ id: claimId, leagueId: id });
+    
+    if (!claim) {
+      return res.status(404).json({ message: 'Waiver claim not found' });
+    }
+    
+    if (claim.userId !== req.user.id && !req.user.isAdmin) {
+      return res.status(403).json({ message: 'You can only cancel your own claims' });
+    }
+    
+    if (claim.status !== 'pending') {
+      return res.status(400).json({ message: 'This claim has already been processed' });
+    }
+    
+    claim.status = 'cancelled';
+    await claim.save();
+    
+    res.json(claim);
+  } catch (error) {
+    console.error(`Error cancelling waiver claim ${claimId}:`, error);
+    res.status(500).json({ message: 'Error cancelling waiver claim', error: error.message });
+  }
+});
+
+// Change how the league's waivers work (commissioner only)
+app.put('/api/leagues/:id/waivers/settings', auth, async (req, res) => {
+  const { id } = req.params;
+  const { mode, periodHours, faabBudget } = req.body;
+  
+  try {
+    const leagueDoc = await League.findOne({ id });
+    
+    if (!leagueDoc) {
+      return res.status(404).json({ message: 'League not found' });
+    }
+    
+    if (leagueDoc.creatorId !== req.user.id && !req.user.isAdmin) {
+      return res.status(403).json({ message: 'Only the league commissioner can change waiver settings' });
+    }
+    
+    const settings = waiverService.getSettings(leagueDoc);
+    
+    if (mode !== undefined) {
+      if (!['rolling', 'reverseStandings', 'faab'].includes(mode)) {
+        return res.status(400).json({ message: 'Waiver mode must be rolling, reverseStandings or faab' });
+      }
+      settings.mode = mode;
+    }
+    
+    if (periodHours !== undefined) {
+      const hours = Number(periodHours);
+      if (!Number.isFinite(hours) || hours < 0 || hours > 14 * 24) {
+        return res.status(400).json({ message: 'Waiver period must be between 0 and 336 hours' });
+      }
+      settings.periodHours = hours;
+    }
+    
+    if (faabBudget !== undefined) {
+      const budget = Number(faabBudget);
+      if (!Number.isInteger(budget) || budget < 0 || budget > 10000) {
+        return res.status(400).json({ message: 'FAAB budget must be between $0 and $10000' });
+      }
+      
+      // Teams keep what they've spent; only the budget around it changes
+      const change = budget - settings.faabBudget;
+      for (const [teamId, balance] of leagueDoc.faabBalances) {
+        leagueDoc.faabBalances.set(teamId, Math.max(0, balance + change));
+      }
+      settings.faabBudget = budget;
+    }
+    
+    leagueDoc.waiverSettings = settings;
+    await leagueDoc.save();
+    
+    res.json(leagueDoc.waiverSettings);
+  } catch (error) {
+    console.error(`Error updating waiver settings for league ${id}:`, error);
+    res.status(500).json({ message: 'Error updating waiver settings', error: error.message });
+  }
+});
+
+// Get the league's trade review settings and the trades currently in review
+app.get('/api/leagues/:id/trades/review', auth, async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const leagueDoc = await League.findOne({ id });
+    
+    if (!leagueDoc) {
+      return res.status(404).json({ message: 'League not found' });
+    }
+    
+    const settings = tradeService.getSettings(leagueDoc);
+    const teams = await FantasyTeam.find({ leagueId: id }, 'id name userId');
+    const teamNames = new Map(teams.map(team => [team.id, team.name]));
+    const myTeam = teams.find(team => team.userId === req.user.id);
+    const trades = await Trade.find({ leagueId: id, status: 'review' }).sort({ reviewEndsAt: 1 });
+    
+    res.json({
+      settings,
+      isCommissioner: leagueDoc.creatorId === req.user.id || !!req.user.isAdmin,
+      myTeamId: myTeam ? myTeam.id : null,
+      trades: trades.map(trade => {
+        const tradeTeamIds = trade.getTeamIds();
+        const inTrade = myTeam && tradeTeamIds.includes(myTeam.id);
+        return {
+          ...trade.toObject(),
+          assets: trade.getAssets(),
+          teams: tradeTeamIds.map(teamId => ({ teamId, name: teamNames.get(teamId) || 'Unknown Team' })),
+          proposingTeamName: teamNames.get(trade.proposingTeamId) || 'Unknown Team',
+          receivingTeamName: teamNames.get(trade.receivingTeamId) || 'Unknown Team',
+          vetoCount: trade.vetoes.length,
+          vetoesNeeded: tradeService.getVetoThreshold(settings, Math.max(0, teams.length - tradeTeamIds.length)),
+          hasVoted: !!myTeam && trade.vetoes.some(vote => vote.teamId === myTeam.id),
+          canVote: trade.reviewMode === 'league' && !!myTeam && !inTrade
+        };
+      })
+    });
+  } catch (error) {
+    console.error(`Error getting trade review for league ${id}:`, error);
+    res.status(500).json({ message: 'Error getting trade review', error: error.message });
+  }
+});
+
+// Change how the league reviews accepted trades. Commissioner only; trades already in review keep their period
+app.put('/api/leagues/:id/trades/settings', auth, async (req, res) => {
+  const { id } = req.params;
+  const { reviewMode, reviewHours, vetoVotes } = req.body;
+  
+  try {
+    const leagueDoc = await League.findOne({ id });
+    
+    if (!leagueDoc) {
+      return res.status(404).json({ message: 'League not found' });
+    }
+    
+    if (leagueDoc.creatorId !== req.user.id && !req.user.isAdmin) {
+      return res.status(403).json({ message: 'Only the league commissioner can change trade settings' });
+    }
+    
+    const settings = tradeService.getSettings(leagueDoc);
+    
+    if (reviewMode !== undefined) {
+      if (!TradeService.REVIEW_MODES.includes(reviewMode)) {
+        return res.status(400).json({ message: 'Trade review must be none, commissioner or league' });
+      }
+      settings.reviewMode = reviewMode;
+    }
+    
+    if (reviewHours !== undefined) {
+      const hours = Number(reviewHours);
+      if (!Number.isFinite(hours) || hours < 0 || hours > 7 * 24) {
+        return res.status(400).json({ message: 'Review period must be between 0 and 168 hours' });
+      }
+      settings.reviewHours = hours;
+    }
+    
+    if (vetoVotes !== undefined) {
+      const votes = vetoVotes === null ? null : Number(vetoVotes);
+      if (votes !== null && (!Number.isInteger(votes) || votes < 1)) {
+        return res.status(400).json({ message: 'Votes to veto must be a whole number of at least 1' });
+      }
+      settings.vetoVotes = votes;
+    }
+    
+    leagueDoc.tradeSettings = settings;
+    await leagueDoc.save();
+    
+    res.json(leagueDoc.tradeSettings);
+  } catch (error) {
+    console.error(`Error updating trade settings for league ${id}:`, error);
+    res.status(500).json({ message: 'Error updating trade settings', error: error.message });
+  }
+});
+
+// Get a league's trade deadline, add limits and playoff roster lock, with the adds the
+// user's team has made so far
+app.get('/api/leagues/:id/transaction-settings', auth, async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const leagueDoc = await League.findOne({ id });
+    
+    if (!leagueDoc) {
+      return res.status(404).json({ message: 'League not found' });
+    }
+    
+    const transactionSettings = normalizeTransactionSettings(leagueDoc.transactionSettings);
+    const myTeam = await FantasyTeam.findOne({ leagueId: id, userId: req.user.id }, 'id');
+    
+    res.json({
+      transactionSettings,
+      currentWeek: leagueDoc.currentWeek,
+      rosterLocked: isRosterLocked(leagueDoc, transactionSettings),
+      tradeRestriction: tradeService.getTradeRestriction(leagueDoc),
+      myAdds: myTeam ? await Transaction.countAdds(leagueDoc, myTeam.id) : null
+    });
+  } catch (error) {
+    console.error(`Error getting transaction settings for league ${id}:`, error);
+    res.status(500).json({ message: 'Error getting transaction settings', error: error.message });
+  }
+});
+
+// Change the league's trade deadline, add limits and playoff roster lock (commissioner only)
+app.put('/api/leagues/:id/transaction-settings', auth, async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const leagueDoc = await League.findOne({ id });
+    
+    if (!leagueDoc) {
+      return res.status(404).json({ message: 'League not found' });
+    }
+    
+    if (leagueDoc.creatorId !== req.user.id && !req.user.isAdmin) {
+      return res.status(403).json({ message: 'Only the league commissioner can change transaction settings' });
+    }
+    
+    const transactionSettings = normalizeTransactionSettings({
+      ...normalizeTransactionSettings(leagueDoc.transactionSettings),
+      ...req.body.transactionSettings
+    });
+    
+    const errors = validateTransactionSettings(transactionSettings);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: `Invalid transaction settings: ${errors.join('; ')}`, errors });
+    }
+    
+    leagueDoc.transactionSettings = transactionSettings;
+    await leagueDoc.save();
+    
+    res.json(normalizeTransactionSettings(leagueDoc.transactionSettings));
+  } catch (error) {
+    console.error(`Error updating transaction settings for league ${id}:`, error);
+    res.status(500).json({ message: 'Error updating transaction settings', error: error.message });
+  }
+});
+
+// Get the draft picks each team owns for the seasons whose picks can be traded
+app.get('/api/leagues/:id/draft-picks', auth, async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const leagueDoc = await League.findOne({ id });
+    
+    if (!leagueDoc) {
+      return res.status(404).json({ message: 'League not found' });
+    }
+    
+    const teams = await FantasyTeam.find({ leagueId: id }, 'id name');
+    const picks = getTeamPicks(leagueDoc, teams.map(team => team.id));
+    
+    res.json({
+      seasons: getTradableSeasons(leagueDoc),
+      rounds: getStartingSlots(leagueDoc.rosterTemplate).length,
+      teams: teams.map(team => ({ teamId: team.id, name: team.name, picks: picks.get(team.id) }))
+    });
+  } catch (error) {
+    console.error(`Error getting draft picks for league ${id}:`, error);
+    res.status(500).json({ message: 'Error getting draft picks', error: error.message });
+  }
+});
+
+// Get the league's transaction log, newest first
+app.get('/api/leagues/:id/transactions', async (req, res) => {
+  const { id } = req.params;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  
+  try {
+    const leagueDoc = await League.findOne({ id }, 'id');
+    
+    if (!leagueDoc) {
+      return res.status(404).json({ message: 'League not found' });
+    }
+    
+    const transactions = await Transaction.find({ leagueId: id }).sort({ createdAt: -1 }).limit(limit);
+    const teams = await FantasyTeam.find({ leagueId: id }, 'id name');
+    const teamNames = new Map(teams.map(team => [team.id, team.name]));
+    const describePlayer = playerId => {
+      const player = playerService.getPlayerById(playerId);
+      return { id: playerId, name: player ? player.name : playerId };
+    };
+    
+    res.json(transactions.map(transaction => ({
+      ...transaction.toObject(),
+      teamName: teamNames.get(transaction.teamId) || null,
+      addedPlayers: transaction.added.map(describePlayer),
+      droppedPlayers: transaction.dropped.map(describePlayer)
+    })));
+  } catch (error) {
+    console.error(`Error getting transactions for league ${id}:`, error);
+    res.status(500).json({ message: 'Error getting transactions', error: error.message });
+  }
+});
+
+// Get league matchups for a specific week
+app.get('/api/leagues/:id/matchups/:week', (req, res) => {
+  console.log(`Getting matchups for league ${req.params.id} week ${req.params.week}`);
+  const { id, week } = req.params;
+  
+  try {
+    // Get the original league from the in-memory store, not the serialized version
+    const originalLeague = leagueService.leagues.find(league => league.id === id);
+    
+    if (!originalLeague) {
+      return res.status(404).json({ message: 'League not found' });
+    }
+    
+    const weekNumber = parseInt(week) || originalLeague.currentWeek || 1;
+    
+    // Use the original league instance which has class methods
     const matchups = originalLeague.getWeekMatchups ? originalLeague.getWeekMatchups(weekNumber) : [];
+    
+    console.log(`Successfully retrieved matchups for league ${id} week ${weekNumber}`);
+    res.json(matchups);
+  } catch (error) {
+    console.error(`Error getting matchups for league ${id} week ${week}:`, error);
+    res.status(500).json({ message: 'Error getting league matchups', error: error.message });
+  }
+});
+
+// Keep the in-memory league and teams in sync with scored weeks so auto-save doesn't overwrite the scores
+async function syncLeagueScoresToMemory(leagueDoc, weeks) {
+  const originalLeague = leagueService.leagues.find(league => league.id === leagueDoc.id);
+  if (originalLeague) {
+    originalLeague.schedule = leagueDoc.schedule;
+    originalLeague.standings = leagueDoc.standings;
+  }
+  
+  const teamIds = new Set();
+  for (const week of weeks) {
+    for (const matchup of [...leagueDoc.getWeekMatchups(week), ...leagueDoc.getPlayoffMatchups(week)]) {
+      if (matchup.teamA) teamIds.add(matchup.teamA);
+      if (matchup.teamB) teamIds.add(matchup.teamB);
+    }
+  }
+  
+  for (const teamId of teamIds) {
+    const team = teamService.getTeamById(teamId);
+    const teamDoc = await FantasyTeam.findOne({ id: teamId });
+    if (team && teamDoc) {
+      team.weeklyPoints = Object.fromEntries(teamDoc.weeklyPoints);
+      team.totalPoints = teamDoc.totalPoints;
+    }
+  }
+}
+
+// Calculate scores for a specific week
+app.post('/api/leagues/:id/calculate/:week', async (req, res) => {
+  console.log(`Calculating scores for league ${req.params.id} week ${req.params.week}`);
+  const { id, week } = req.params;
+  
+  try {
+    // Score from the MongoDB document so the league's own scoring rules are applied
+    const leagueDoc = await League.findOne({ id });
+    
+    if (!leagueDoc) {
+      console.log(`League ${id} not found`);
+      return res.status(404).json({ message: 'League not found' });
+    }
+    
+    const weekNumber = parseInt(week) || leagueDoc.currentWeek || 1;
+    
+    // Calculate scores for the week (also updates standings)
+    const success = await leagueDoc.calculateWeekScores(weekNumber);
+    
+    if (!success) {
+      return res.status(400).json({ message: 'Failed to calculate scores' });
+    }
+    
+    await leagueDoc.save();
+    await syncLeagueScoresToMemory(leagueDoc, [weekNumber]);
+    
+    // Get the updated matchups
+    const matchups = leagueDoc.isPlayoffWeek(weekNumber)
+      ? leagueDoc.getPlayoffMatchups(weekNumber)
+      : leagueDoc.getWeekMatchups(weekNumber);
     res.json(matchups);
     console.log(`Successfully calculated scores for league ${id} week ${weekNumber}`);
   } catch (error) {
@@ -1528,6 +2829,319 @@ app.post('/api/leagues/:id/calculate/:week', (req, res) => {
   }
 });
 
+// Update a league's scoring rules (commissioner only)
+app.put('/api/leagues/:id/scoring', auth, async (req, res) => {
+  const { id } = req.params;
+  const scoringRules = req.body.scoringRules || req.body;
+  
+  try {
+    const leagueDoc = await League.findOne({ id });
+    
+    if (!leagueDoc) {
+      return res.status(404).json({ message: 'League not found' });
+    }
+    
+    // Check if user is authorized (league creator or admin)
+    if (leagueDoc.creatorId !== req.user.id && !req.user.isAdmin) {
+      return res.status(403).json({ message: 'Only the league commissioner can change scoring rules' });
+    }
+    
+    const errors = validateScoringRules(scoringRules);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid scoring rules', errors });
+    }
+    
+    // Merge the submitted rules over the league's current ruleset
+    const currentRules = normalizeScoringRules(leagueDoc.scoringRules);
+    const updatedRules = normalizeScoringRules({
+      statWeights: { ...currentRules.statWeights, ...(scoringRules.statWeights || {}) },
+      positionMultipliers: { ...currentRules.positionMultipliers, ...(scoringRules.positionMultipliers || {}) },
+      bonuses: scoringRules.bonuses !== undefined ? scoringRules.bonuses : currentRules.bonuses
+    });
+    
+    leagueDoc.scoringRules = updatedRules;
+    
+    // Rescore weeks that have already been played under the new rules
+    const recalculatedWeeks = await leagueDoc.recalculateScoredWeeks();
+    await leagueDoc.save();
+    
+    // Update the in-memory league as well
+    const league = leagueService.getLeagueById(id, false);
+    if (league) {
+      league.scoringRules = updatedRules;
+    }
+    await syncLeagueScoresToMemory(leagueDoc, recalculatedWeeks);
+    
+    console.log(`DEBUG: Updated scoring rules for league ${id}, rescored weeks: ${recalculatedWeeks.join(', ') || 'none'}`);
+    res.json({
+      message: 'Scoring rules updated successfully',
+      scoringRules: updatedRules,
+      recalculatedWeeks
+    });
+  } catch (error) {
+    console.error(`Error updating scoring rules for league ${id}:`, error);
+    res.status(500).json({ message: 'Error updating scoring rules', error: error.message });
+  }
+});
+
+// Get a league's playoff settings, bracket and champion
+app.get('/api/leagues/:id/playoffs', async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const leagueDoc = await League.findOne({ id }, 'id teams playoffSettings playoffs champion');
+    
+    if (!leagueDoc) {
+      return res.status(404).json({ message: 'League not found' });
+    }
+    
+    const teams = await FantasyTeam.find({ id: { $in: leagueDoc.teams } }, 'id name');
+    const teamNames = new Map(teams.map(team => [team.id, team.name]));
+    
+    const playoffs = leagueDoc.playoffs ? leagueDoc.playoffs.toObject() : null;
+    if (playoffs) {
+      playoffs.matchups = playoffs.matchups.map(matchup => ({
+        ...matchup,
+        teamAName: matchup.teamA ? teamNames.get(matchup.teamA) || 'Unknown team' : null,
+        teamBName: matchup.teamB ? teamNames.get(matchup.teamB) || 'Unknown team' : null
+      }));
+    }
+    
+    res.json({
+      settings: normalizePlayoffSettings(leagueDoc.playoffSettings),
+      playoffs,
+      champion: leagueDoc.champion
+    });
+  } catch (error) {
+    console.error(`Error getting playoffs for league ${id}:`, error);
+    res.status(500).json({ message: 'Error getting playoffs', error: error.message });
+  }
+});
+
+// Update a league's playoff settings (commissioner only)
+app.put('/api/leagues/:id/playoffs/settings', auth, async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const leagueDoc = await League.findOne({ id });
+    
+    if (!leagueDoc) {
+      return res.status(404).json({ message: 'League not found' });
+    }
+    
+    if (leagueDoc.creatorId !== req.user.id && !req.user.isAdmin) {
+      return res.status(403).json({ message: 'Only the league commissioner can change playoff settings' });
+    }
+    
+    const settings = normalizePlayoffSettings({
+      ...normalizePlayoffSettings(leagueDoc.playoffSettings),
+      ...req.body
+    });
+    
+    const errors = validatePlayoffSettings(settings, leagueDoc.teams.length);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: `Invalid playoff settings: ${errors.join('; ')}`, errors });
+    }
+    
+    leagueDoc.playoffSettings = settings;
+    await leagueDoc.save();
+    
+    res.json(normalizePlayoffSettings(leagueDoc.playoffSettings));
+  } catch (error) {
+    console.error(`Error updating playoff settings for league ${id}:`, error);
+    res.status(500).json({ message: 'Error updating playoff settings', error: error.message });
+  }
+});
+
+// Seed the playoffs from the standings and build the bracket (commissioner only)
+app.post('/api/leagues/:id/playoffs', auth, async (req, res) => {
+  const { id } = req.params;
+  const startWeek = req.body.startWeek !== undefined ? parseInt(req.body.startWeek) : null;
+  
+  try {
+    const leagueDoc = await League.findOne({ id });
+    
+    if (!leagueDoc) {
+      return res.status(404).json({ message: 'League not found' });
+    }
+    
+    if (leagueDoc.creatorId !== req.user.id && !req.user.isAdmin) {
+      return res.status(403).json({ message: 'Only the league commissioner can start the playoffs' });
+    }
+    
+    // Once a playoff game has been decided the bracket stays as it is
+    if (leagueDoc.playoffs && leagueDoc.playoffs.matchups.some(matchup => matchup.winner && !matchup.bye)) {
+      return res.status(400).json({ message: 'The playoffs are already under way' });
+    }
+    
+    const errors = validatePlayoffSettings(normalizePlayoffSettings(leagueDoc.playoffSettings), leagueDoc.teams.length);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: `Invalid playoff settings: ${errors.join('; ')}`, errors });
+    }
+    
+    if (startWeek !== null && (!Number.isInteger(startWeek) || startWeek <= leagueDoc.schedule.length)) {
+      return res.status(400).json({ message: `Playoffs must start after the regular season (week ${leagueDoc.schedule.length})` });
+    }
+    
+    const playoffs = await leagueDoc.generatePlayoffs(startWeek);
+    if (!playoffs) {
+      return res.status(400).json({ message: 'Failed to generate playoffs' });
+    }
+    
+    await leagueDoc.save();
+    
+    // Keep the in-memory standings in line with the seeding
+    const league = leagueService.getLeagueById(id, false);
+    if (league) {
+      league.standings = leagueDoc.standings;
+    }
+    
+    res.status(201).json(leagueDoc.playoffs);
+  } catch (error) {
+    console.error(`Error generating playoffs for league ${id}:`, error);
+    res.status(500).json({ message: 'Error generating playoffs', error: error.message });
+  }
+});
+
+// Schedule the league's draft to open and start on its own (commissioner only)
+app.post('/api/leagues/:id/schedule-draft', auth, async (req, res) => {
+  const { id } = req.params;
+  const { draftDateTime, draftType = 'snake', draftOrder, auctionBudget } = req.body;
+  
+  try {
+    const leagueDoc = await League.findOne({ id });
+    
+    if (!leagueDoc) {
+      return res.status(404).json({ message: 'League not found' });
+    }
+    
+    if (leagueDoc.creatorId !== req.user.id && !req.user.isAdmin) {
+      return res.status(403).json({ message: 'Only the league commissioner can schedule the draft' });
+    }
+    
+    // A draft replaces every roster, which would undo what a dynasty league carried over
+    if (normalizeKeeperSettings(leagueDoc.keeperSettings).mode === 'dynasty' && (leagueDoc.season || 1) > 1) {
+      return res.status(400).json({ message: 'Dynasty leagues keep their rosters from season to season' });
+    }
+    
+    const scheduledAt = new Date(draftDateTime);
+    if (!draftDateTime || isNaN(scheduledAt.getTime())) {
+      return res.status(400).json({ message: 'A valid draft date and time is required' });
+    }
+    if (scheduledAt <= new Date()) {
+      return res.status(400).json({ message: 'The draft must be scheduled in the future' });
+    }
+    
+    if (draftType !== 'snake' && draftType !== 'auction') {
+      return res.status(400).json({ message: 'Draft type must be snake or auction' });
+    }
+    
+    let budget = null;
+    if (draftType === 'auction') {
+      budget = auctionBudget === undefined || auctionBudget === null || auctionBudget === '' ? 200 : Number(auctionBudget);
+      // At least $1 for every starting slot
+      const minBudget = getStartingSlots(leagueDoc.rosterTemplate).length;
+      if (!Number.isInteger(budget) || budget < minBudget || budget > 10000) {
+        return res.status(400).json({ message: `Auction budget must be between $${minBudget} and $10000` });
+      }
+    }
+    
+    // The draft order is every team in the league: the one given, last season's finish, or random
+    const teamIds = (await FantasyTeam.find({ leagueId: id }, 'id')).map(team => team.id);
+    const isTeamOrder = order => Array.isArray(order) && order.length === teamIds.length &&
+      new Set(order).size === teamIds.length && order.every(teamId => teamIds.includes(teamId));
+    let order;
+    if (draftOrder) {
+      if (!isTeamOrder(draftOrder)) {
+        return res.status(400).json({ message: 'Draft order must list each team in the league once' });
+      }
+      order = draftOrder;
+    } else if (isTeamOrder(leagueDoc.draftOrder)) {
+      order = [...leagueDoc.draftOrder];
+    } else {
+      order = [...teamIds].sort(() => Math.random() - 0.5);
+    }
+    
+    leagueDoc.draftSchedule = {
+      scheduledAt,
+      draftType,
+      draftOrder: order,
+      auctionBudget: budget,
+      status: 'scheduled',
+      remindersSent: [],
+      scheduledBy: req.user.id,
+      error: null
+    };
+    await leagueDoc.save();
+    
+    // Let everyone else in the league know
+    const teamOwners = (await FantasyTeam.find({ leagueId: id }, 'userId')).map(team => team.userId);
+    await Notification.notifyUsers(
+      [...leagueDoc.memberIds, ...teamOwners].filter(userId => userId !== req.user.id),
+      {
+        leagueId: id,
+        type: 'draftScheduled',
+        title: `${leagueDoc.name} draft scheduled`,
+        message: `The ${draftType} draft starts at ${scheduledAt.toISOString()}.`,
+        link: `/leagues/${id}`
+      }
+    );
+    
+    console.log(`DEBUG: Scheduled ${draftType} draft for league ${id} at ${scheduledAt.toISOString()}`);
+    res.json({ message: 'Draft scheduled successfully', draftSchedule: leagueDoc.draftSchedule });
+  } catch (error) {
+    console.error(`Error scheduling draft for league ${id}:`, error);
+    res.status(500).json({ message: 'Error scheduling draft', error: error.message });
+  }
+});
+
+// Cancel the league's scheduled draft (commissioner only)
+app.delete('/api/leagues/:id/schedule-draft', auth, async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const leagueDoc = await League.findOne({ id });
+    
+    if (!leagueDoc) {
+      return res.status(404).json({ message: 'League not found' });
+    }
+    
+    if (leagueDoc.creatorId !== req.user.id && !req.user.isAdmin) {
+      return res.status(403).json({ message: 'Only the league commissioner can cancel the draft' });
+    }
+    
+    if (!leagueDoc.draftSchedule || !['scheduled', 'open'].includes(leagueDoc.draftSchedule.status)) {
+      return res.status(400).json({ message: 'There is no upcoming draft to cancel' });
+    }
+    
+    leagueDoc.draftSchedule.status = 'cancelled';
+    await leagueDoc.save();
+    
+    res.json({ message: 'Scheduled draft cancelled', draftSchedule: leagueDoc.draftSchedule });
+  } catch (error) {
+    console.error(`Error cancelling scheduled draft for league ${id}:`, error);
+    res.status(500).json({ message: 'Error cancelling scheduled draft', error: error.message });
+  }
+});
+
+// Get the league's draft schedule, with the server's clock for countdowns
+app.get('/api/leagues/:id/draft-schedule', async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const leagueDoc = await League.findOne({ id }, 'id draftSchedule');
+    
+    if (!leagueDoc) {
+      return res.status(404).json({ message: 'League not found' });
+    }
+    
+    res.json({ draftSchedule: leagueDoc.draftSchedule || null, serverTime: new Date().toISOString() });
+  } catch (error) {
+    console.error(`Error getting draft schedule for league ${id}:`, error);
+    res.status(500).json({ message: 'Error getting draft schedule', error: error.message });
+  }
+});
+
 // Generate a schedule for the league
 app.post('/api/leagues/:id/schedule', async (req, res) => {
   const { id } = req.params;
@@ -1560,42 +3174,13 @@ app.post('/api/leagues/:id/update-stats', async (req, res) => {
   
   if (!league || !riotApiService) {
     return res.status(404).json({ message: 'League or Riot API service not found' });
-  }
-  
-  try {
-    await updateRealTimeStats(league, riotApiService);
-    // Save updated player data
-    for (const player of playerService.getAllPlayers()) {
-      const existingPlayer = await Player.findOne({ id: player.id });
-      
-      if (existingPlayer) {
-        console.log(`DEBUG: Updating existing player ${player.id}`);
-        existingPlayer.stats = playerService.getPlayerById(player.id).stats;
-        
-        await existingPlayer.save()
-          .then(() => {
-            console.log(`DEBUG: Updated player ${player.id} with stats`);
-          });
-      } else {
-        console.log(`DEBUG: Creating new player ${player.id}`);
-        const newPlayer = new Player({
-          id: player.id,
-          name: playerService.getPlayerById(player.id).name,
-          position: playerService.getPlayerById(player.id).position,
-          team: playerService.getPlayerById(player.id).team,
-          region: playerService.getPlayerById(player.id).region,
-          homeLeague: playerService.getPlayerById(player.id).homeLeague,
-          firstName: playerService.getPlayerById(player.id).firstName,
-          lastName: playerService.getPlayerById(player.id).lastName,
-          stats: playerService.getPlayerById(player.id).stats,
-          fantasyPoints: playerService.getPlayerById(player.id).fantasyPoints
-        });
-        await newPlayer.save()
-          .then(() => {
-            console.log(`DEBUG: Created new player ${player.id} with stats`);
-          });
-      }
-    }
+  }
+  
+  try {
+    // Stats are recorded in the game log as they're fetched
+    await updateRealTimeStats(league, riotApiService);
+    playerService.clearCache();
+    
     // Save updated league data
     await saveLeagueData()
       .then(() => {
@@ -1609,7 +3194,7 @@ app.post('/api/leagues/:id/update-stats', async (req, res) => {
 });
 
 // API endpoint to advance the league to the next week
-app.post('/api/leagues/:id/advance-week', auth, (req, res) => {
+app.post('/api/leagues/:id/advance-week', auth, async (req, res) => {
   const { id } = req.params;
   const league = leagueService.getLeagueById(id);
   
@@ -1622,6 +3207,16 @@ app.post('/api/leagues/:id/advance-week', auth, (req, res) => {
     return res.status(403).json({ message: 'Not authorized to advance week' });
   }
   
+  // The week that's ending keeps the lineups it was played with
+  if (league.currentWeek >= 1) {
+    try {
+      await LineupSnapshot.freezeLeagueWeek(id, league.currentWeek);
+    } catch (error) {
+      console.error(`Error freezing week ${league.currentWeek} lineups for league ${id}:`, error);
+      return res.status(500).json({ message: 'Error freezing lineups', error: error.message });
+    }
+  }
+  
   // Advance the week
   league.currentWeek += 1;
   
@@ -1650,7 +3245,6 @@ app.post('/api/leagues/:id/advance-week', auth, (req, res) => {
 // API endpoint to generate a schedule for a league
 app.post('/api/leagues/:id/generate-schedule', auth, async (req, res) => {
   const { id } = req.params;
-  const { weeks } = req.body;
   
   const league = leagueService.getLeagueById(id);
   
@@ -1663,9 +3257,15 @@ app.post('/api/leagues/:id/generate-schedule', auth, async (req, res) => {
     return res.status(403).json({ message: 'Not authorized to generate schedule' });
   }
   
+  const options = parseScheduleOptions(req.body, normalizeDivisions(league.divisions));
+  const errors = validateScheduleOptions(options, (league.teams || []).map(team => team.id));
+  if (errors.length > 0) {
+    return res.status(400).json({ message: `Invalid schedule options: ${errors.join('; ')}`, errors });
+  }
+  
   // Generate the schedule
   try {
-    await generateSchedule(league, weeks || 9);
+    await generateSchedule(league, options.weeks, options);
   } catch (error) {
     return res.status(400).json({
       message: 'Failed to generate schedule',
@@ -1678,7 +3278,7 @@ app.post('/api/leagues/:id/generate-schedule', auth, async (req, res) => {
       console.log(`DEBUG: Saved league data to MongoDB`);
     })
     .then(() => {
-      res.json(league.schedule);
+      res.json({ schedule: league.schedule, settings: league.scheduleSettings });
     })
     .catch(error => {
       console.error('Error saving league data:', error);
@@ -1700,43 +3300,12 @@ app.post('/api/leagues/:id/update-stats', auth, (req, res) => {
     return res.status(403).json({ message: 'Not authorized to update stats' });
   }
   
+  // Stats are recorded in the game log as they're fetched
   updateRealTimeStats(league, riotApiService)
     .then(() => {
-      // Save updated player data
-      const promises = playerService.getAllPlayers().map(player => {
-        return Player.findOne({ id: player.id })
-          .then(existingPlayer => {
-            if (existingPlayer) {
-              console.log(`DEBUG: Updating existing player ${player.id}`);
-              existingPlayer.stats = player.stats;
-              return existingPlayer.save()
-                .then(() => {
-                  console.log(`DEBUG: Updated player ${player.id} with stats`);
-                });
-            } else {
-              console.log(`DEBUG: Creating new player ${player.id}`);
-              const newPlayer = new Player({
-                id: player.id,
-                name: player.name,
-                position: player.position,
-                team: player.team,
-                region: player.region,
-                homeLeague: player.homeLeague,
-                firstName: player.firstName,
-                lastName: player.lastName,
-                stats: player.stats,
-                fantasyPoints: player.fantasyPoints
-              });
-              return newPlayer.save()
-                .then(() => {
-                  console.log(`DEBUG: Created new player ${player.id} with stats`);
-                });
-            }
-          });
-      });
+      playerService.clearCache();
       
-      return Promise.all(promises)
-        .then(() => saveLeagueData())
+      return saveLeagueData()
         .then(() => {
           console.log(`DEBUG: Saved league data to MongoDB`);
         })
@@ -1751,7 +3320,7 @@ app.post('/api/leagues/:id/update-stats', auth, (req, res) => {
 });
 
 // API endpoint to add a player to a team
-app.post('/api/teams/:teamId/add-player', auth,(req, res) => {
+app.post('/api/teams/:teamId/add-player', auth, async (req, res) => {
   const { teamId } = req.params;
   const { playerId, slot } = req.body;
   
@@ -1773,17 +3342,65 @@ app.post('/api/teams/:teamId/add-player', auth,(req, res) => {
     return res.status(404).json({ message: 'Player not found' });
   }
   
-  const success = team.addPlayer(player, slot);
+  // Once the week locks its lineups are frozen before anything moves; the snapshot
+  // follows the move afterwards for slots whose match hasn't started
+  await LineupSnapshot.freezeIfWeekLocked(team.leagueId);
+  
+  // Players whose match has started this week can't be moved into or out of a slot
+  const occupant = LIST_SLOTS.includes(slot) ? null : team.players[slot];
+  const lockedPlayerId = await findLockedPlayer(team, [playerId, occupant && occupant.id]);
+  if (lockedPlayerId) {
+    return res.status(400).json({ message: lineupLockMessage(lockedPlayerId), lockedPlayerId });
+  }
+  
+  // Only a free agent in the team's league can be added
+  const alreadyOnTeam = team.hasPlayer(playerId);
+  if (team.leagueId && !alreadyOnTeam) {
+    const waiverClearsAt = await waiverService.getWaiverClearTime(playerId, team.leagueId);
+    if (waiverClearsAt) {
+      return res.status(400).json({
+        message: 'Player is on waivers; submit a waiver claim instead',
+        waiverClearsAt
+      });
+    }
+  }
+  
+  // The league may lock rosters for the playoffs or limit how many players a team picks up
+  const leagueDoc = team.leagueId && !alreadyOnTeam ? await League.findOne({ id: team.leagueId }) : null;
+  if (leagueDoc) {
+    const restriction = await waiverService.getAddRestriction(leagueDoc, team.id);
+    if (restriction) {
+      return res.status(400).json({ message: restriction });
+    }
+  }
+  if (team.leagueId && !(await Player.claimForTeam(playerId, team.leagueId, team.id))) {
+    return res.status(400).json({ message: 'Player is already on another team in this league' });
+  }
+  
+  const success = team.addPlayer(player, slot, getTeamRosterTemplate(team));
   if (!success) {
+    if (team.leagueId && !alreadyOnTeam) await Player.releaseFromTeam(playerId, team.leagueId, team.id);
     return res.status(400).json({ message: `Cannot add player to ${slot} slot` });
   }
   
+  if (team.leagueId && !alreadyOnTeam) {
+    await Transaction.record({
+      leagueId: team.leagueId,
+      type: 'add',
+      teamId: team.id,
+      userId: req.user.id,
+      added: [playerId],
+      season: leagueDoc ? leagueDoc.season : null,
+      week: leagueDoc ? leagueDoc.currentWeek : null
+    });
+  }
+  
   // Save teams to MongoDB
   FantasyTeam.findOne({ id: teamId })
     .then(existingTeam => {
       if (existingTeam) {
         console.log(`DEBUG: Updating existing team ${teamId}`);
-        existingTeam.players = team.players;
+        existingTeam.players = team.toRosterData();
         return existingTeam.save()
           .then(() => {
             console.log(`DEBUG: Updated team ${teamId} in MongoDB`);
@@ -1802,7 +3419,7 @@ app.post('/api/teams/:teamId/add-player', auth,(req, res) => {
           owner: team.owner,
           userId: req.user.id, // Add the user ID from the auth token
           leagueId: league.id, // Add the league ID
-          players: team.players
+          players: team.toRosterData()
         });
         
         return newTeam.save()
@@ -1811,6 +3428,7 @@ app.post('/api/teams/:teamId/add-player', auth,(req, res) => {
           });
       }
     })
+    .then(() => LineupSnapshot.syncIfWeekLocked(team.leagueId, [teamId]))
     .then(() => {
       res.json(team);
     })
@@ -1835,17 +3453,42 @@ app.post('/api/teams/:teamId/remove-player', auth, async (req, res) => {
     return res.status(403).json({ message: 'Not authorized to modify this team' });
   }
   
+  await LineupSnapshot.freezeIfWeekLocked(team.leagueId);
+  if (await findLockedPlayer(team, [playerId])) {
+    return res.status(400).json({ message: lineupLockMessage(playerId), lockedPlayerId: playerId });
+  }
+  
+  const leagueDoc = team.leagueId ? await League.findOne({ id: team.leagueId }) : null;
+  if (leagueDoc && isRosterLocked(leagueDoc, normalizeTransactionSettings(leagueDoc.transactionSettings))) {
+    return res.status(400).json({ message: ROSTER_LOCK_MESSAGE });
+  }
+  
   const success = team.removePlayer(playerId);
   if (!success) {
     return res.status(404).json({ message: 'Player not found on team' });
   }
   
+  // The player is a free agent in the league again, after a spell on waivers
+  if (team.leagueId) {
+    await Player.releaseFromTeam(playerId, team.leagueId, team.id);
+    await waiverService.placeOnWaivers(playerId, team.leagueId);
+    await Transaction.record({
+      leagueId: team.leagueId,
+      type: 'drop',
+      teamId: team.id,
+      userId: req.user.id,
+      dropped: [playerId],
+      season: leagueDoc ? leagueDoc.season : null,
+      week: leagueDoc ? leagueDoc.currentWeek : null
+    });
+  }
+  
   // Save teams to MongoDB
   FantasyTeam.findOne({ id: teamId })
     .then(existingTeam => {
       if (existingTeam) {
         console.log(`DEBUG: Updating existing team ${teamId}`);
-        existingTeam.players = team.players;
+        existingTeam.players = team.toRosterData();
         return existingTeam.save()
           .then(() => {
             console.log(`DEBUG: Updated team ${teamId} in MongoDB`);
@@ -1856,7 +3499,7 @@ app.post('/api/teams/:teamId/remove-player', auth, async (req, res) => {
           id: teamId,
           name: team.name,
           owner: team.owner,
-          players: team.players
+          players: team.toRosterData()
         });
         return newTeam.save()
           .then(() => {
@@ -1864,6 +3507,7 @@ app.post('/api/teams/:teamId/remove-player', auth, async (req, res) => {
           });
       }
     })
+    .then(() => LineupSnapshot.syncIfWeekLocked(team.leagueId, [teamId]))
     .then(() => {
       res.json(team);
     })
@@ -1887,21 +3531,19 @@ app.get('/api/league', (req, res) => {
 
 // Trade System Endpoints
 
-// Propose a trade
+// Propose a trade. The offer lists each player or draft pick that changes hands
+// ({ type, fromTeamId, toTeamId, ... }), so it can take in up to four teams.
 app.post('/api/trades/propose', auth, async (req, res) => {
   try {
-    const { proposingTeamId, receivingTeamId, proposedPlayers, requestedPlayers } = req.body;
+    const { proposingTeamId } = req.body;
     
-    if (!proposingTeamId || !receivingTeamId || !proposedPlayers || !requestedPlayers) {
+    if (!proposingTeamId) {
       return res.status(400).json({ message: 'Missing required trade information' });
     }
     
-    // Check if both teams exist
     const proposingTeam = teamService.getTeamById(proposingTeamId);
-    const receivingTeam = teamService.getTeamById(receivingTeamId);
-    
-    if (!proposingTeam || !receivingTeam) {
-      return res.status(404).json({ message: 'One or both teams not found' });
+    if (!proposingTeam) {
+      return res.status(404).json({ message: 'Proposing team not found' });
     }
     
     // Check if user owns the proposing team
@@ -1909,57 +3551,24 @@ app.post('/api/trades/propose', auth, async (req, res) => {
       return res.status(403).json({ message: 'You can only propose trades for your own team' });
     }
     
-    // Check if teams are in the same league
-    if (proposingTeam.leagueId !== receivingTeam.leagueId) {
-      return res.status(400).json({ message: 'Teams must be in the same league to trade' });
+    const offer = tradeService.buildOffer(proposingTeamId, req.body);
+    if (!offer.assets) {
+      return res.status(400).json({ message: 'Missing required trade information' });
     }
     
-    // Validate that the proposing team has all the proposed players
-    for (const playerInfo of proposedPlayers) {
-      const position = playerInfo.position;
-      const playerId = playerInfo.id;
-      
-      // Check if the player is in the roster at the specified position
-      const playerAtPosition = proposingTeam.players[position];
-      if (!playerAtPosition || playerAtPosition.id !== playerId) {
-        return res.status(400).json({ 
-          message: `Invalid player trade: Player ${playerId} is not in position ${position} on proposing team` 
-        });
-      }
+    const leagueDoc = await League.findOne({ id: proposingTeam.leagueId });
+    const restriction = tradeService.getTradeRestriction(leagueDoc);
+    if (restriction) {
+      return res.status(400).json({ message: restriction });
     }
     
-    // Validate that the receiving team has all the requested players
-    for (const playerInfo of requestedPlayers) {
-      const position = playerInfo.position;
-      const playerId = playerInfo.id;
-      
-      // Check if the player is in the roster at the specified position
-      const playerAtPosition = receivingTeam.players[position];
-      if (!playerAtPosition || playerAtPosition.id !== playerId) {
-        return res.status(400).json({ 
-          message: `Invalid player request: Player ${playerId} is not in position ${position} on receiving team` 
-        });
-      }
+    const errors = tradeService.validateOffer(offer, leagueDoc);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: `Invalid trade: ${errors.join('; ')}`, errors });
     }
     
-    // Create a new trade proposal
-    const tradeId = `trade_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
-    const newTrade = new Trade({
-      id: tradeId,
-      proposingTeamId: proposingTeamId,
-      receivingTeamId: receivingTeamId,
-      proposedPlayers: proposedPlayers,
-      requestedPlayers: requestedPlayers,
-      status: 'pending',
-      leagueId: proposingTeam.leagueId,
-      createdBy: req.user.id,
-      createdAt: new Date()
-    });
-    
-    await newTrade.save()
-      .then(() => {
-        console.log(`DEBUG: Saved new trade proposal ${tradeId}`);
-      });
+    const newTrade = await tradeService.propose(offer, leagueDoc, req.user.id);
+    console.log(`DEBUG: Saved new trade proposal ${newTrade.id}`);
     
     res.status(201).json({ 
       message: 'Trade proposal submitted successfully', 
@@ -1985,20 +3594,30 @@ app.get('/api/trades/team/:teamId', auth, async (req, res) => {
     if (team.userId !== req.user.id) {
       // Check if user is league commissioner
       const league = leagueService.getLeagueByTeamId(teamId);
-      if (!league || league.commissioner !== req.user.id) {
+      if (!league || league.creatorId !== req.user.id) {
         return res.status(403).json({ message: 'Unauthorized to view trades for this team' });
       }
     }
     
-    // Find all trades for this team (either proposing or receiving)
+    // Find all trades this team is part of, however many teams are in them
     const trades = await Trade.find({
       $or: [
         { proposingTeamId: teamId },
-        { receivingTeamId: teamId }
+        { receivingTeamId: teamId },
+        { teamIds: teamId }
       ]
     }).sort({ createdAt: -1 });
     
-    res.json(trades);
+    // Trades saved before multi-team trades only list players, so send everything as assets
+    res.json(trades.map(trade => ({
+      ...trade.toObject(),
+      assets: trade.getAssets(),
+      teams: trade.getTeamIds().map(tradeTeamId => ({
+        teamId: tradeTeamId,
+        name: teamService.getTeamById(tradeTeamId)?.name || 'Unknown Team'
+      })),
+      awaitingTeamIds: trade.status === 'pending' ? trade.getAwaitingTeamIds() : []
+    })));
   } catch (error) {
     console.error('Error fetching team trades:', error);
     res.status(500).json({ message: 'Failed to fetch trades' });
@@ -2025,6 +3644,49 @@ app.get('/api/trades/league/:leagueId', auth, async (req, res) => {
   }
 });
 
+// Score a trade for each team in it: send a saved trade's { tradeId }, or an offer being
+// put together ({ proposingTeamId, assets, drops }, as for proposing)
+app.post('/api/trades/analyze', auth, async (req, res) => {
+  try {
+    const { tradeId, proposingTeamId } = req.body;
+    let offer;
+    let leagueId;
+    
+    if (tradeId) {
+      const trade = await Trade.findOne({ id: tradeId });
+      if (!trade) {
+        return res.status(404).json({ message: 'Trade not found' });
+      }
+      
+      offer = { proposingTeamId: trade.proposingTeamId, assets: trade.getAssets(), drops: trade.drops };
+      leagueId = trade.leagueId;
+    } else {
+      const proposingTeam = proposingTeamId ? teamService.getTeamById(proposingTeamId) : null;
+      if (!proposingTeam) {
+        return res.status(404).json({ message: 'Proposing team not found' });
+      }
+      
+      offer = tradeService.buildOffer(proposingTeamId, req.body);
+      if (!offer.assets) {
+        return res.status(400).json({ message: 'Missing required trade information' });
+      }
+      leagueId = proposingTeam.leagueId;
+    }
+    
+    // Roster room doesn't matter here; the analysis shows what the trade would do
+    const leagueDoc = await League.findOne({ id: leagueId });
+    const errors = tradeService.validateAssets(offer, leagueDoc);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: `Invalid trade: ${errors.join('; ')}`, errors });
+    }
+    
+    res.json(await tradeService.analyze(offer, leagueDoc));
+  } catch (error) {
+    console.error('Error analyzing trade:', error);
+    res.status(500).json({ message: 'Failed to analyze trade', error: error.message });
+  }
+});
+
 // Get a specific trade
 app.get('/api/trades/:tradeId', auth, async (req, res) => {
   try {
@@ -2036,14 +3698,15 @@ app.get('/api/trades/:tradeId', auth, async (req, res) => {
       return res.status(404).json({ message: 'Trade not found' });
     }
     
-    res.json(trade);
+    res.json({ ...trade.toObject(), assets: trade.getAssets() });
   } catch (error) {
     console.error('Error fetching trade:', error);
     res.status(500).json({ message: 'Failed to fetch trade' });
   }
 });
 
-// Accept a trade
+// Accept a trade. Every team in it has to accept; once the last one does it goes through
+// right away, or after the league's review period if it has one
 app.post('/api/trades/:tradeId/accept', auth, async (req, res) => {
   try {
     const { tradeId } = req.params;
@@ -2056,20 +3719,22 @@ app.post('/api/trades/:tradeId/accept', auth, async (req, res) => {
     }
     
     // Get the teams involved
-    const proposingTeam = teamService.getTeamById(trade.proposingTeamId);
-    const receivingTeam = teamService.getTeamById(trade.receivingTeamId);
-    
-    if (!proposingTeam || !receivingTeam) {
-      return res.status(404).json({ message: 'One or both teams not found' });
+    const teams = trade.getTeamIds().map(teamId => teamService.getTeamById(teamId));
+    if (teams.some(team => !team)) {
+      return res.status(404).json({ message: 'One or more teams not found' });
     }
     
-    // Check if user owns the receiving team or is league commissioner
-    if (receivingTeam.userId !== req.user.id) {
-      // Check if user is league commissioner
-      const league = leagueService.getLeagueById(receivingTeam.leagueId);
-      if (!league || league.commissioner !== req.user.id) {
-        return res.status(403).json({ message: 'Unauthorized to accept this trade' });
-      }
+    const leagueDoc = await League.findOne({ id: trade.leagueId });
+    const isCommissioner = !!leagueDoc && leagueDoc.creatorId === req.user.id;
+    
+    // Managers accept for their own teams; the commissioner accepts for everyone still to
+    const awaiting = trade.getAwaitingTeamIds();
+    const accepting = isCommissioner
+      ? awaiting
+      : awaiting.filter(teamId => teams.find(team => team.id === teamId).userId === req.user.id);
+    
+    if (accepting.length === 0) {
+      return res.status(403).json({ message: 'Unauthorized to accept this trade' });
     }
     
     // Check if the trade is still pending
@@ -2077,55 +3742,37 @@ app.post('/api/trades/:tradeId/accept', auth, async (req, res) => {
       return res.status(400).json({ message: `Trade cannot be accepted because it is ${trade.status}` });
     }
     
-    // Execute the trade - swap players between teams
-    const proposedPlayersCopy = [...trade.proposedPlayers];
-    const requestedPlayersCopy = [...trade.requestedPlayers];
-    
-    // Swap players from proposing team to receiving team
-    for (const playerInfo of proposedPlayersCopy) {
-      const position = playerInfo.position;
-      const player = proposingTeam.players[position];
-      receivingTeam.addPlayerToPosition(player, position);
-      proposingTeam.removePlayerFromPosition(position);
+    const restriction = tradeService.getTradeRestriction(leagueDoc);
+    if (restriction) {
+      return res.status(400).json({ message: restriction });
     }
     
-    // Swap players from receiving team to proposing team
-    for (const playerInfo of requestedPlayersCopy) {
-      const position = playerInfo.position;
-      const player = receivingTeam.players[position];
-      proposingTeam.addPlayerToPosition(player, position);
-      receivingTeam.removePlayerFromPosition(position);
-    }
+    trade.acceptedBy = [...trade.acceptedBy, ...accepting];
+    const remaining = trade.getAwaitingTeamIds();
     
-    // Update trade status
-    trade.status = 'accepted';
-    trade.completedAt = new Date();
-    await trade.save()
-      .then(() => {
-        console.log(`DEBUG: Updated trade ${tradeId} to accepted`);
+    if (remaining.length > 0) {
+      // Don't let a team sign up for a trade that can no longer go through
+      const failure = tradeService.checkTrade(trade, leagueDoc);
+      if (failure) {
+        return res.status(400).json({ message: failure });
+      }
+      
+      await trade.save();
+      return res.json({ 
+        message: `Trade accepted; waiting on ${remaining.length} more team${remaining.length === 1 ? '' : 's'}`,
+        trade: trade
       });
-    
-    // Save teams to DB
-    const proposingTeamDoc = await FantasyTeam.findOne({ id: proposingTeam.id });
-    if (proposingTeamDoc) {
-      proposingTeamDoc.players = proposingTeam.players;
-      proposingTeamDoc.save()
-        .then(() => {
-          console.log(`DEBUG: Updated team ${proposingTeam.id} in MongoDB`);
-        });
     }
     
-    const receivingTeamDoc = await FantasyTeam.findOne({ id: receivingTeam.id });
-    if (receivingTeamDoc) {
-      receivingTeamDoc.players = receivingTeam.players;
-      receivingTeamDoc.save()
-        .then(() => {
-          console.log(`DEBUG: Updated team ${receivingTeam.id} in MongoDB`);
-        });
+    const failure = await tradeService.accept(trade, leagueDoc);
+    if (failure) {
+      return res.status(400).json({ message: failure });
     }
     
     res.json({ 
-      message: 'Trade accepted and executed successfully',
+      message: trade.status === 'review'
+        ? `Trade accepted; it goes through when the review period ends on ${trade.reviewEndsAt.toUTCString()}`
+        : 'Trade accepted and executed successfully',
       trade: trade
     });
   } catch (error) {
@@ -2134,6 +3781,169 @@ app.post('/api/trades/:tradeId/accept', auth, async (req, res) => {
   }
 });
 
+// Answer a pending trade with a different offer. The original is marked countered and the
+// counter-offer goes back out to every team in it
+app.post('/api/trades/:tradeId/counter', auth, async (req, res) => {
+  try {
+    const { tradeId } = req.params;
+    const trade = await Trade.findOne({ id: tradeId });
+    
+    if (!trade) {
+      return res.status(404).json({ message: 'Trade not found' });
+    }
+    
+    // The counter comes from one of the teams the offer was sent to
+    const counteringTeam = trade.getTeamIds()
+      .filter(teamId => teamId !== trade.proposingTeamId)
+      .map(teamId => teamService.getTeamById(teamId))
+      .find(team => team && team.userId === req.user.id);
+    
+    if (!counteringTeam) {
+      return res.status(403).json({ message: 'Only teams that received this offer can counter it' });
+    }
+    
+    if (trade.status !== 'pending') {
+      return res.status(400).json({ message: `Trade cannot be countered because it is ${trade.status}` });
+    }
+    
+    const offer = tradeService.buildOffer(counteringTeam.id, req.body);
+    if (!offer.assets) {
+      return res.status(400).json({ message: 'Missing required trade information' });
+    }
+    
+    const leagueDoc = await League.findOne({ id: trade.leagueId });
+    const restriction = tradeService.getTradeRestriction(leagueDoc);
+    if (restriction) {
+      return res.status(400).json({ message: restriction });
+    }
+    
+    const errors = tradeService.validateOffer(offer, leagueDoc);
+    if (!offer.assets.some(asset => [asset.fromTeamId, asset.toTeamId].includes(trade.proposingTeamId))) {
+      errors.push('A counter-offer has to include the team that made the original offer');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ message: `Invalid trade: ${errors.join('; ')}`, errors });
+    }
+    
+    const counterTrade = await tradeService.propose(offer, leagueDoc, req.user.id, trade);
+    
+    res.status(201).json({ 
+      message: 'Counter-offer sent',
+      trade: counterTrade
+    });
+  } catch (error) {
+    console.error('Error countering trade:', error);
+    res.status(500).json({ message: 'Failed to counter trade', error: error.message });
+  }
+});
+
+// Vote to veto a trade in league review. Only teams that aren't part of the trade get a vote
+app.post('/api/trades/:tradeId/veto', auth, async (req, res) => {
+  try {
+    const { tradeId } = req.params;
+    const trade = await Trade.findOne({ id: tradeId });
+    
+    if (!trade) {
+      return res.status(404).json({ message: 'Trade not found' });
+    }
+    
+    if (trade.status !== 'review' || trade.reviewMode !== 'league') {
+      return res.status(400).json({ message: 'This trade is not up for a league vote' });
+    }
+    
+    const leagueDoc = await League.findOne({ id: trade.leagueId });
+    const voterTeam = await FantasyTeam.findOne({ leagueId: trade.leagueId, userId: req.user.id });
+    
+    if (!leagueDoc || !voterTeam) {
+      return res.status(403).json({ message: 'Only teams in this league can vote on its trades' });
+    }
+    
+    if (trade.getTeamIds().includes(voterTeam.id)) {
+      return res.status(403).json({ message: 'Teams in the trade cannot vote on it' });
+    }
+    
+    const result = await tradeService.castVeto(trade, leagueDoc, voterTeam.id, req.user.id);
+    
+    res.json({ 
+      message: result.vetoed ? 'Trade vetoed' : `Veto recorded (${result.vetoes} of ${result.needed})`,
+      ...result,
+      trade
+    });
+  } catch (error) {
+    console.error('Error vetoing trade:', error);
+    res.status(500).json({ message: 'Failed to veto trade', error: error.message });
+  }
+});
+
+// Approve a trade that is in review, carrying it out now instead of when the period ends
+app.post('/api/trades/:tradeId/approve', auth, async (req, res) => {
+  try {
+    const { tradeId } = req.params;
+    const trade = await Trade.findOne({ id: tradeId });
+    
+    if (!trade) {
+      return res.status(404).json({ message: 'Trade not found' });
+    }
+    
+    const leagueDoc = await League.findOne({ id: trade.leagueId }, 'creatorId');
+    
+    if (!leagueDoc || (leagueDoc.creatorId !== req.user.id && !req.user.isAdmin)) {
+      return res.status(403).json({ message: 'Only the league commissioner can approve trades' });
+    }
+    
+    if (trade.status !== 'review') {
+      return res.status(400).json({ message: `Trade cannot be approved because it is ${trade.status}` });
+    }
+    
+    const failure = await tradeService.complete(trade, req.user.id);
+    if (failure) {
+      return res.status(400).json({ message: failure, trade });
+    }
+    
+    res.json({ 
+      message: 'Trade approved and executed successfully',
+      trade: trade
+    });
+  } catch (error) {
+    console.error('Error approving trade:', error);
+    res.status(500).json({ message: 'Failed to approve trade', error: error.message });
+  }
+});
+
+// Reverse a trade that is in review so it never goes through
+app.post('/api/trades/:tradeId/reverse', auth, async (req, res) => {
+  try {
+    const { tradeId } = req.params;
+    const trade = await Trade.findOne({ id: tradeId });
+    
+    if (!trade) {
+      return res.status(404).json({ message: 'Trade not found' });
+    }
+    
+    const leagueDoc = await League.findOne({ id: trade.leagueId });
+    
+    if (!leagueDoc || (leagueDoc.creatorId !== req.user.id && !req.user.isAdmin)) {
+      return res.status(403).json({ message: 'Only the league commissioner can reverse trades' });
+    }
+    
+    if (trade.status !== 'review') {
+      return res.status(400).json({ message: `Trade cannot be reversed because it is ${trade.status}` });
+    }
+    
+    if (!(await tradeService.veto(trade, leagueDoc, req.user.id, 'The commissioner reversed the trade'))) {
+      return res.status(400).json({ message: 'Trade cannot be reversed because it is no longer in review' });
+    }
+    
+    res.json({ 
+      message: 'Trade reversed',
+      trade: trade
+    });
+  } catch (error) {
+    console.error('Error reversing trade:', error);
+    res.status(500).json({ message: 'Failed to reverse trade', error: error.message });
+  }
+});
+
 // Reject a trade
 app.post('/api/trades/:tradeId/reject', auth, async (req, res) => {
   try {
@@ -2146,18 +3956,20 @@ app.post('/api/trades/:tradeId/reject', auth, async (req, res) => {
       return res.status(404).json({ message: 'Trade not found' });
     }
     
-    // Get the receiving team
-    const receivingTeam = teamService.getTeamById(trade.receivingTeamId);
+    // Any team the offer was sent to can turn it down
+    const receivingTeams = trade.getTeamIds()
+      .filter(teamId => teamId !== trade.proposingTeamId)
+      .map(teamId => teamService.getTeamById(teamId));
     
-    if (!receivingTeam) {
+    if (receivingTeams.some(team => !team)) {
       return res.status(404).json({ message: 'Receiving team not found' });
     }
     
-    // Check if user owns the receiving team or is league commissioner
-    if (receivingTeam.userId !== req.user.id) {
+    // Check if user owns a receiving team or is league commissioner
+    if (!receivingTeams.some(team => team.userId === req.user.id)) {
       // Check if user is league commissioner
-      const league = leagueService.getLeagueById(receivingTeam.leagueId);
-      if (!league || league.commissioner !== req.user.id) {
+      const league = leagueService.getLeagueById(trade.leagueId);
+      if (!league || league.creatorId !== req.user.id) {
         return res.status(403).json({ message: 'Unauthorized to reject this trade' });
       }
     }
@@ -2208,7 +4020,7 @@ app.post('/api/trades/:tradeId/cancel', auth, async (req, res) => {
     if (proposingTeam.userId !== req.user.id && !req.user.isAdmin) {
       // Check if user is league commissioner
       const league = leagueService.getLeagueById(proposingTeam.leagueId);
-      if (!league || league.commissioner !== req.user.id) {
+      if (!league || league.creatorId !== req.user.id) {
         return res.status(403).json({ message: 'Unauthorized to cancel this trade' });
       }
     }
@@ -2414,6 +4226,58 @@ app.delete('/api/friends/:friendId', auth, async (req, res) => {
   }
 });
 
+// NOTIFICATION ENDPOINTS
+
+// Get the user's latest notifications
+app.get('/api/notifications', auth, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    
+    const notifications = await Notification.find({ userId }).sort({ createdAt: -1 }).limit(50);
+    const unreadCount = await Notification.countDocuments({ userId, read: false });
+    
+    return res.json({ notifications, unreadCount });
+  } catch (error) {
+    console.error('Error getting notifications:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark all of the user's notifications as read
+app.put('/api/notifications/read-all', auth, async (req, res) => {
+  try {
+    await Notification.updateMany({ userId: req.user.id, read: false }, { $set: { read: true } });
+    
+    return res.json({ message: 'Notifications marked as read' });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark a notification as read
+app.put('/api/notifications/:id/read', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.id },
+      { $set: { read: true } },
+      { new: true }
+    );
+    
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    
+    return res.json(notification);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    console.error('Error marking notification as read:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // MESSAGING ENDPOINTS
 
 // Get user conversations
@@ -2966,12 +4830,14 @@ async function saveLeagueData() {
       existingLeague.creatorId = league.creatorId;
       existingLeague.description = league.description || '';
       existingLeague.isPublic = league.isPublic !== undefined ? league.isPublic : true;
+      existingLeague.scoringRules = normalizeScoringRules(league.scoringRules);
       
       // Make sure schedule has the required week field
       if (league.schedule && Array.isArray(league.schedule)) {
         existingLeague.schedule = league.schedule.map(weekSchedule => ({
           week: weekSchedule.week || 1, // Ensure week is always set
-          matchups: weekSchedule.matchups || []
+          matchups: weekSchedule.matchups || [],
+          byes: weekSchedule.byes || []
         }));
       }
       
@@ -2990,11 +4856,13 @@ async function saveLeagueData() {
         creatorId: league.creatorId,
         description: league.description || '',
         isPublic: league.isPublic !== undefined ? league.isPublic : true,
+        scoringRules: normalizeScoringRules(league.scoringRules),
         // Make sure schedule has the required week field
         schedule: league.schedule && Array.isArray(league.schedule) ? 
           league.schedule.map(weekSchedule => ({
             week: weekSchedule.week || 1, // Ensure week is always set
-            matchups: weekSchedule.matchups || []
+            matchups: weekSchedule.matchups || [],
+            byes: weekSchedule.byes || []
           })) : []
       });
       
@@ -3007,11 +4875,28 @@ async function saveLeagueData() {
   return true;
 }
 
+// Read schedule options from a request body; weeks defaults to 9 and null means full cycles.
+// Divisions always come from the league itself.
+function parseScheduleOptions(body = {}, divisions = []) {
+  const toInteger = value => (value === undefined || value === null || value === '' ? null : Number(value));
+  
+  return {
+    ...DEFAULT_SCHEDULE_OPTIONS,
+    weeks: body.weeks === undefined ? 9 : toInteger(body.weeks),
+    doubleRoundRobin: !!body.doubleRoundRobin,
+    divisions,
+    divisionWeight: toInteger(body.divisionWeight) ?? DEFAULT_SCHEDULE_OPTIONS.divisionWeight,
+    rivalryWeek: toInteger(body.rivalryWeek),
+    rivalries: Array.isArray(body.rivalries) ? body.rivalries : [],
+    seed: body.seed === undefined || body.seed === null || body.seed === '' ? null : String(body.seed)
+  };
+}
+
 // Helper function to generate a schedule for a league
-async function generateSchedule(league, weeksPerSeason = 9) {
+async function generateSchedule(league, weeksPerSeason = 9, options = {}) {
   console.log(`\n========== GENERATING SCHEDULE ==========`);
   console.log(`League: ${league.id} (${league.name})`);
-  console.log(`Weeks: ${weeksPerSeason}`);
+  console.log(`Weeks: ${weeksPerSeason || 'one full cycle'}`);
   console.log(`Teams: ${league.teams.length}`);
   
   if (!league.teams || league.teams.length < 2) {
@@ -3025,70 +4910,11 @@ async function generateSchedule(league, weeksPerSeason = 9) {
     teamMap[team.id] = team.name || 'Unknown Team';
   });
   
-  console.log('\nTeams in league:');
-  league.teams.forEach(team => {
-    console.log(`- ${team.id}: ${team.name || 'Unknown Team'}`);
-  });
-  
-  const teams = league.teams.map(team => team.id);
-  
-  // Generate round-robin schedule
-  const schedule = [];
-  
-  // If odd number of teams, add a "bye" team
-  if (teams.length % 2 !== 0) {
-    teams.push('bye');
-    console.log('\nAdded BYE team for odd number of teams');
-  }
-  
-  const totalRounds = teams.length - 1;
-  const matchesPerRound = teams.length / 2;
-  
-  console.log(`\nGenerating ${Math.min(totalRounds, weeksPerSeason)} weeks with ${matchesPerRound} matches per week`);
-  
-  // Create rounds
-  for (let round = 0; round < totalRounds && round < weeksPerSeason; round++) {
-    const weekSchedule = {
-      week: round + 1,
-      matchups: []
-    };
-    
-    console.log(`\n----- WEEK ${round + 1} MATCHUPS -----`);
-    
-    // Create matches for this round
-    for (let match = 0; match < matchesPerRound; match++) {
-      const home = teams[match];
-      const away = teams[teams.length - 1 - match];
-      
-      // Skip matches involving the "bye" team
-      if (home !== 'bye' && away !== 'bye') {
-        const matchup = {
-          teamA: home,
-          teamB: away,
-          scoreA: 0,
-          scoreB: 0,
-          winner: null
-        };
-        
-        weekSchedule.matchups.push(matchup);
-        
-        // Log the matchup with team names
-        console.log(`Matchup ${match + 1}: ${teamMap[home] || home} vs ${teamMap[away] || away} (${home} vs ${away})`);
-      } else {
-        // Log the bye
-        const teamWithBye = home === 'bye' ? away : home;
-        console.log(`BYE: ${teamMap[teamWithBye] || teamWithBye} (${teamWithBye})`);
-      }
-    }
-    
-    // Rotate teams for next round (first team stays fixed, others rotate)
-    teams.splice(1, 0, teams.pop());
-    
-    schedule.push(weekSchedule);
-  }
+  const settings = { ...DEFAULT_SCHEDULE_OPTIONS, ...options, weeks: weeksPerSeason || null };
+  const { schedule, seed } = generateRoundRobinSchedule(league.teams.map(team => team.id), settings);
   
   console.log(`\n========== SCHEDULE SUMMARY ==========`);
-  console.log(`Generated ${schedule.length} weeks of matchups`);
+  console.log(`Generated ${schedule.length} weeks of matchups from seed "${seed}"`);
   
   // Print a summary of all matchups by week
   schedule.forEach(week => {
@@ -3096,10 +4922,20 @@ async function generateSchedule(league, weeksPerSeason = 9) {
     week.matchups.forEach((matchup, idx) => {
       console.log(`  ${idx + 1}. ${teamMap[matchup.teamA]} vs ${teamMap[matchup.teamB]} (${matchup.teamA} vs ${matchup.teamB})`);
     });
+    week.byes.forEach(teamId => console.log(`  BYE: ${teamMap[teamId] || teamId}`));
   });
   
   // Save the schedule to the league
   league.schedule = schedule;
+  league.scheduleSettings = { ...settings, seed };
+  
+  // Callers may hold a resolved copy of the league; keep the in-memory league in step so
+  // the next saveLeagueData doesn't write the old schedule back
+  const liveLeague = leagueService.getLeagueById(league.id, false);
+  if (liveLeague && liveLeague !== league) {
+    liveLeague.schedule = schedule;
+    liveLeague.scheduleSettings = league.scheduleSettings;
+  }
   
   // Save to MongoDB
   try {
@@ -3107,15 +4943,16 @@ async function generateSchedule(league, weeksPerSeason = 9) {
     if (leagueDoc) {
       console.log(`\nUpdating league ${league.id} in MongoDB with new schedule`);
       leagueDoc.schedule = schedule;
+      leagueDoc.scheduleSettings = league.scheduleSettings;
       await leagueDoc.save();
       console.log(`Successfully saved schedule to MongoDB for league ${league.id}`);
-      console.log(`MongoDB league now has ${leagueDoc.schedule.length} weeks in schedule`);
     } else {
       console.log(`\nLeague ${league.id} not found in MongoDB, creating new document`);
       const newLeague = new League({
         id: league.id,
         name: league.name,
-        schedule: schedule
+        schedule: schedule,
+        scheduleSettings: league.scheduleSettings
       });
       await newLeague.save();
       console.log(`Created new league document in MongoDB with schedule`);
@@ -3265,7 +5102,7 @@ server.listen(PORT, async () => {
               owner: team.owner,
               userId: team.userId,
               leagueId: team.leagueId,
-              players: team.players,
+              players: team.toRosterData(),
               totalPoints: team.totalPoints || 0,
               weeklyPoints: team.weeklyPoints || {}
             });
@@ -3278,7 +5115,7 @@ server.listen(PORT, async () => {
               owner: team.owner,
               userId: team.userId,
               leagueId: team.leagueId,
-              players: team.players || {},
+              players: team.toRosterData(),
               totalPoints: team.totalPoints || 0,
               weeklyPoints: team.weeklyPoints || {}
             });
@@ -3296,53 +5133,33 @@ server.listen(PORT, async () => {
   }, SAVE_INTERVAL);
 });
 
-// Initialize WebSocket server for draft room using DraftRoom class
-const DraftRoom = require('./draftRoom');
-const draftRoom = new DraftRoom(server);
+// Initialize per-league draft rooms; clients connect to /ws?leagueId=<id>&token=<jwt>
+const { DraftRoomManager } = require('./draftRoom');
+const draftRooms = new DraftRoomManager(server, {
+  onDraftComplete: (leagueId, draftState) => draftResultService.saveDraftResults(leagueId, draftState),
+  // Autopick chooses from the league's in-memory player pool
+  getPlayerPool: async (leagueId) => {
+    const league = leagueService.getLeagueById(leagueId, false);
+    if (!league) return [];
+    return (league.playerPool || [])
+      .map(player => typeof player === 'object' ? player : playerService.getPlayerById(player))
+      .filter(Boolean);
+  },
+  pickTimeLimit: parseInt(process.env.DRAFT_PICK_SECONDS || 90) // Default: 90 seconds per pick
+});
 
-// Add WebSocket server to handle /ws and /wss paths
-const wss = new WebSocket.Server({ noServer: true });
+// Drafts the server stopped in the middle of pick up their clocks again
+draftRooms.restoreRooms();
 
-// Handle WebSocket upgrade requests
-server.on('upgrade', (request, socket, head) => {
-  const pathname = new URL(request.url, `http://${request.headers.host}`).pathname;
-  
-  if (pathname === '/ws' || pathname === '/wss') {
-    wss.handleUpgrade(request, socket, head, (ws) => {
-      wss.emit('connection', ws, request);
-    });
-  } else {
-    socket.destroy();
-  }
-});
+// Scheduled drafts open and start themselves in their league's room
+const DraftSchedulerService = require('./services/DraftSchedulerService');
+const draftSchedulerService = new DraftSchedulerService(draftRooms);
+draftSchedulerService.start();
 
-// Handle WebSocket connections
-wss.on('connection', (ws, request) => {
-  console.log('New client connected to WebSocket server');
-  
-  ws.on('message', (message) => {
-    try {
-      const data = JSON.parse(message);
-      draftRoom.handleMessage(ws, data);
-    } catch (error) {
-      console.error('Error handling message:', error);
-    }
-  });
-  
-  ws.on('close', () => {
-    if (draftRoom.clients.has(ws)) {
-      const userData = draftRoom.clients.get(ws);
-      console.log(`Client disconnected: ${userData.username}`);
-      draftRoom.clients.delete(ws);
-      draftRoom.broadcastParticipantStatus();
-    }
-  });
-  
-  // Send current draft state to new client
-  ws.send(JSON.stringify({
-    type: 'draftState',
-    data: draftRoom.draftState
-  }));
-});
+// Claims on players coming off waivers are settled in the background
+waiverService.start();
+
+// So are trades whose review period has ended
+tradeService.start();
 
 console.log('WebSocket server initialized on main server instance for /ws and /wss paths');
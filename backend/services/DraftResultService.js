@@ -0,0 +1,187 @@
+// services/DraftResultService.js
+const { Player, FantasyTeam, League } = require('../models');
+
+const { STARTING_SLOTS, LIST_SLOTS } = require('../helpers/rosterTemplate');
+
+/**
+ * Writes a completed draft room's results to the league: each participant's
+ * roster goes onto their FantasyTeam, drafted players are marked as owned in the league and
+ * the pick history is stored on the league.
+ *
+ * Everything is checked before anything is written. The full set of writes is then
+ * recorded on the league as a pending commit, and each write is idempotent, so a save
+ * that fails or is cut off part-way is finished by reconcilePendingDrafts on startup
+ * rather than leaving teams half-drafted.
+ */
+class DraftResultService {
+  constructor(teamService = null, playerService = null) {
+    this.teamService = teamService;
+    this.playerService = playerService;
+  }
+  
+  /**
+   * Save a completed draft
+   * @param {String} leagueId - League the draft belongs to
+   * @param {Object} draftState - The draft room's state
+   * @returns {Object} - Summary of what was saved
+   */
+  async saveDraftResults(leagueId, draftState) {
+    const leagueDoc = await League.findOne({ id: leagueId });
+    if (!leagueDoc) {
+      throw new Error(`League ${leagueId} not found`);
+    }
+    
+    // Map each participant's roster onto their team in this league
+    const rosters = [];
+    for (const [username, draftTeam] of Object.entries(draftState.teams || {})) {
+      const teamDoc = await FantasyTeam.findOne({ id: draftTeam.teamId, leagueId });
+      if (!teamDoc) {
+        throw new Error(`No team in league ${leagueId} for ${username}`);
+      }
+      if (draftTeam.userId && teamDoc.userId !== draftTeam.userId) {
+        throw new Error(`Team ${teamDoc.id} does not belong to ${username}`);
+      }
+      
+      const players = {};
+      for (const slot of LIST_SLOTS) {
+        players[slot] = (draftTeam.players[slot] || []).map(player => player.id);
+      }
+      for (const slot of STARTING_SLOTS) {
+        players[slot] = { playerId: draftTeam.players[slot]?.id || null };
+      }
+      
+      rosters.push({ teamDoc, players });
+    }
+    
+    const teamIds = rosters.map(({ teamDoc }) => teamDoc.id);
+    const picks = (draftState.draftHistory || []).map(pick => ({
+      round: pick.round,
+      pick: pick.pick,
+      username: pick.user,
+      userId: draftState.teams[pick.user]?.userId || null,
+      teamId: draftState.teams[pick.user]?.teamId || null,
+      playerId: pick.player.id,
+      playerName: pick.player.name,
+      position: pick.position,
+      price: pick.price ?? null,
+      keeper: !!pick.keeper
+    }));
+    
+    const ownerPath = `owners.${leagueId}`;
+    const draftedIds = picks.map(pick => pick.playerId);
+    const draftedPlayers = await Player.find({ id: { $in: draftedIds } }, 'id owners');
+    if (draftedPlayers.length !== new Set(draftedIds).size) {
+      const found = new Set(draftedPlayers.map(player => player.id));
+      throw new Error(`Unknown drafted players: ${draftedIds.filter(id => !found.has(id)).join(', ')}`);
+    }
+    
+    // Players these teams owned before the draft lose that ownership unless drafted again
+    const releasedPlayers = await Player.find(
+      { [ownerPath]: { $in: teamIds }, id: { $nin: draftedIds } },
+      'id owners'
+    );
+    
+    leagueDoc.pendingDraftCommit = {
+      startedAt: new Date(),
+      rosters: rosters.map(({ teamDoc, players }) => ({ teamId: teamDoc.id, players })),
+      releasedPlayerIds: releasedPlayers.map(player => player.id),
+      draftResults: {
+        completedAt: new Date(),
+        draftType: draftState.draftType || 'snake',
+        draftMode: draftState.draftMode,
+        draftOrder: draftState.draftOrder || [],
+        picks
+      }
+    };
+    await leagueDoc.save();
+    
+    try {
+      await this.applyDraftCommit(leagueId, leagueDoc.toObject().pendingDraftCommit);
+    } catch (error) {
+      console.error(`Error saving draft results for league ${leagueId}, it will be finished on the next startup:`, error);
+      throw error;
+    }
+    
+    this.syncTeamsToMemory(rosters);
+    
+    console.log(`Saved draft results for league ${leagueId}: ${rosters.length} teams, ${picks.length} picks`);
+    return { leagueId, teams: rosters.length, picks: picks.length };
+  }
+  
+  /**
+   * Make the writes of a pending draft commit. Each one sets the final value, so running a
+   * commit again after it was cut off part-way is safe.
+   * @param {String} leagueId - League the draft belongs to
+   * @param {Object} commit - The league's pendingDraftCommit
+   */
+  async applyDraftCommit(leagueId, commit) {
+    for (const { teamId, players } of commit.rosters) {
+      await FantasyTeam.updateOne({ id: teamId, leagueId }, { $set: { players } });
+    }
+    
+    const ownerPath = `owners.${leagueId}`;
+    const ownerUpdates = commit.draftResults.picks.map(pick => ({
+      updateOne: { filter: { id: pick.playerId }, update: { $set: { [ownerPath]: pick.teamId } } }
+    }));
+    if (commit.releasedPlayerIds.length > 0) {
+      ownerUpdates.push({
+        updateMany: { filter: { id: { $in: commit.releasedPlayerIds } }, update: { $unset: { [ownerPath]: '' } } }
+      });
+    }
+    if (ownerUpdates.length > 0) {
+      await Player.bulkWrite(ownerUpdates);
+    }
+    
+    // The results and clearing the commit are one write, so the draft is either pending or saved
+    await League.updateOne(
+      { id: leagueId },
+      { $set: { draftResults: commit.draftResults }, $unset: { pendingDraftCommit: '' } }
+    );
+  }
+  
+  /**
+   * Finish draft saves that were interrupted, e.g. by a failed write or a restart
+   * @returns {Number} - Drafts finished
+   */
+  async reconcilePendingDrafts() {
+    const leagues = await League.find({ pendingDraftCommit: { $ne: null } }, 'id pendingDraftCommit');
+    let finished = 0;
+    
+    for (const league of leagues) {
+      try {
+        await this.applyDraftCommit(league.id, league.toObject().pendingDraftCommit);
+        finished++;
+        console.log(`Finished the interrupted draft save for league ${league.id}`);
+      } catch (error) {
+        console.error(`Error finishing the draft save for league ${league.id}:`, error);
+      }
+    }
+    
+    return finished;
+  }
+  
+  /**
+   * Copy the saved rosters into the in-memory teams so the next auto-save doesn't overwrite them
+   */
+  syncTeamsToMemory(rosters) {
+    if (!this.teamService || !this.playerService) return;
+    
+    for (const { teamDoc, players } of rosters) {
+      const team = this.teamService.getTeamById(teamDoc.id);
+      if (!team) continue;
+      
+      for (const slot of STARTING_SLOTS) {
+        team.players[slot] = players[slot].playerId
+          ? this.playerService.getPlayerById(players[slot].playerId) || null
+          : null;
+      }
+      for (const slot of LIST_SLOTS) {
+        team.players[slot] = players[slot]
+          .map(playerId => this.playerService.getPlayerById(playerId))
+          .filter(Boolean);
+      }
+    }
+  }
+}
+
+module.exports = DraftResultService;
@@ -0,0 +1,202 @@
+// services/DraftSchedulerService.js
+const os = require('os');
+const { League, FantasyTeam, User, Notification, JobLock } = require('../models');
+
+const LOCK_NAME = 'draftScheduler';
+const REMINDER_LEAD_MINUTES = [24 * 60, 60, 10]; // Members are reminded this long before the draft
+const OPEN_LEAD_MINUTES = 30; // The draft room opens this long before the draft starts
+const MISSED_AFTER_MINUTES = 60; // A draft this late (e.g. the server was down) isn't started automatically
+
+const formatLeadTime = (minutes) => {
+  if (minutes >= 60 * 24) return `${minutes / (60 * 24)} day${minutes === 60 * 24 ? '' : 's'}`;
+  if (minutes >= 60) return `${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+  return `${minutes} minutes`;
+};
+
+/**
+ * Watches leagues with a scheduled draft: sends reminders at fixed lead times,
+ * opens the league's draft room shortly before, and starts the draft on time.
+ */
+class DraftSchedulerService {
+  constructor(draftRooms, checkInterval = 30 * 1000) { // Default 30 seconds
+    this.draftRooms = draftRooms;
+    this.checkInterval = checkInterval;
+    this.owner = `${os.hostname()}:${process.pid}:${Date.now()}`;
+    this.timerId = null;
+    this.isChecking = false;
+  }
+  
+  /**
+   * Start checking scheduled drafts
+   */
+  start() {
+    if (this.timerId) {
+      return false;
+    }
+    
+    console.log(`Checking scheduled drafts every ${this.checkInterval / 1000} seconds`);
+    this.check();
+    this.timerId = setInterval(() => this.check(), this.checkInterval);
+    return true;
+  }
+  
+  /**
+   * Stop checking scheduled drafts
+   */
+  stop() {
+    if (!this.timerId) {
+      return false;
+    }
+    
+    clearInterval(this.timerId);
+    this.timerId = null;
+    return true;
+  }
+  
+  /**
+   * Handle every scheduled draft that is due for a reminder, opening or start
+   */
+  async check(now = new Date()) {
+    if (this.isChecking) return;
+    this.isChecking = true;
+    
+    try {
+      // Only one process runs the scheduler at a time
+      if (!(await JobLock.acquire(LOCK_NAME, this.owner, 5 * 60 * 1000))) {
+        return;
+      }
+      
+      try {
+        const leagues = await League.find({ 'draftSchedule.status': { $in: ['scheduled', 'open'] } });
+        for (const league of leagues) {
+          try {
+            await this.processLeague(league, now);
+          } catch (error) {
+            console.error(`Error processing scheduled draft for league ${league.id}:`, error);
+          }
+        }
+      } finally {
+        await JobLock.release(LOCK_NAME, this.owner);
+      }
+    } catch (error) {
+      console.error('Error checking scheduled drafts:', error);
+    } finally {
+      this.isChecking = false;
+    }
+  }
+  
+  /**
+   * Move one league's scheduled draft along
+   * @param {Object} league - League document with a draft schedule
+   * @param {Date} now - Current time
+   */
+  async processLeague(league, now) {
+    const schedule = league.draftSchedule;
+    const minutesUntil = (schedule.scheduledAt.getTime() - now.getTime()) / 60000;
+    
+    if (minutesUntil < -MISSED_AFTER_MINUTES) {
+      await this.updateStatus(league.id, 'failed', 'The scheduled time passed before the draft could start');
+      return;
+    }
+    
+    // Only the closest reminder is due; longer ones that were missed are skipped
+    const dueReminder = REMINDER_LEAD_MINUTES
+      .filter(lead => minutesUntil > 0 && minutesUntil <= lead)
+      .sort((a, b) => a - b)[0];
+    if (dueReminder && !schedule.remindersSent.includes(dueReminder)) {
+      await this.sendReminder(league, dueReminder);
+    }
+    
+    if (schedule.status === 'scheduled' && minutesUntil <= OPEN_LEAD_MINUTES) {
+      const teams = await this.getDraftTeams(league.id);
+      const room = this.draftRooms.getRoom(league.id);
+      room.setRosterTemplate(league.rosterTemplate);
+      room.setTradedPicks(league);
+      await room.loadKeepers(league);
+      room.openScheduledDraft(schedule, teams);
+      await this.updateStatus(league.id, 'open');
+    }
+    
+    if (minutesUntil <= 0) {
+      await this.startDraft(league);
+    }
+  }
+  
+  /**
+   * Remind every member once for this lead time
+   */
+  async sendReminder(league, lead) {
+    // Mark the reminder as sent first so two processes can't both send it
+    const result = await League.updateOne(
+      { id: league.id, 'draftSchedule.remindersSent': { $ne: lead } },
+      { $push: { 'draftSchedule.remindersSent': lead } }
+    );
+    if (result.modifiedCount === 0) return;
+    
+    const teams = await FantasyTeam.find({ leagueId: league.id }, 'userId');
+    await Notification.notifyUsers(
+      [...league.memberIds, ...teams.map(team => team.userId)],
+      {
+        leagueId: league.id,
+        type: 'draftReminder',
+        title: `${league.name} draft starts in ${formatLeadTime(lead)}`,
+        message: `The ${league.draftSchedule.draftType} draft starts at ${league.draftSchedule.scheduledAt.toISOString()}.`,
+        link: `/leagues/${league.id}`
+      }
+    );
+    
+    console.log(`Sent ${formatLeadTime(lead)} draft reminder for league ${league.id}`);
+  }
+  
+  async startDraft(league) {
+    const schedule = league.draftSchedule;
+    const teams = await this.getDraftTeams(league.id);
+    const room = this.draftRooms.getRoom(league.id);
+    
+    // Make sure everyone is in, even if the server restarted after the room opened
+    room.setRosterTemplate(league.rosterTemplate);
+    room.setTradedPicks(league);
+    await room.loadKeepers(league);
+    room.openScheduledDraft(schedule, teams);
+    
+    const usernamesByTeam = new Map(teams.map(team => [team.teamId, team.username]));
+    const error = room.startScheduledDraft({
+      draftType: schedule.draftType,
+      budget: schedule.auctionBudget || undefined,
+      draftOrder: schedule.draftOrder.map(teamId => usernamesByTeam.get(teamId)).filter(Boolean)
+    });
+    
+    if (error) {
+      await this.updateStatus(league.id, 'failed', error);
+      room.broadcastError(`The scheduled draft could not start: ${error}`);
+      return;
+    }
+    
+    await this.updateStatus(league.id, 'started');
+  }
+  
+  /**
+   * The draft participants for a league: every team that has an owner
+   */
+  async getDraftTeams(leagueId) {
+    const teams = await FantasyTeam.find({ leagueId, userId: { $ne: null } });
+    const users = await User.find({ id: { $in: teams.map(team => team.userId) } }, 'id username');
+    const usernames = new Map(users.map(user => [user.id, user.username]));
+    
+    return teams
+      .filter(team => usernames.has(team.userId))
+      .map(team => ({ username: usernames.get(team.userId), userId: team.userId, teamId: team.id }));
+  }
+  
+  async updateStatus(leagueId, status, error = null) {
+    await League.updateOne(
+      { id: leagueId },
+      { $set: { 'draftSchedule.status': status, 'draftSchedule.error': error } }
+    );
+    console.log(`Scheduled draft for league ${leagueId} is now ${status}${error ? `: ${error}` : ''}`);
+  }
+}
+
+DraftSchedulerService.REMINDER_LEAD_MINUTES = REMINDER_LEAD_MINUTES;
+
+module.exports = DraftSchedulerService;
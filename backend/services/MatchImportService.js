@@ -0,0 +1,453 @@
+// services/MatchImportService.js
+const { Player, GameLog } = require('../models');
+const { STAT_KEYS, TEAM_POSITION } = require('../helpers/scoringRules');
+
+/*
+ * Imports pro match results from local files into the game log.
+ *
+ * CSV: Oracle's Elixir-style export, one row per player per game. Columns used:
+ *   gameid, date, side (Blue/Red), position (top/jng/mid/bot/sup), playername,
+ *   teamname, gamelength (seconds), kills, deaths, assists, total cs,
+ *   visionscore, barons, dragons, towers
+ * Team summary rows (position "team") are the team's own line, scored in a
+ * roster's TEAM slot on the objectives it took. An optional "week" column
+ * overrides the week passed to the importer. A "teamcode" column, if present,
+ * is preferred over teamname when matching players.
+ *
+ * JSON:
+ *   {
+ *     "games": [{
+ *       "matchId": "LCK-2025-W1-T1-GEN-G1",
+ *       "week": 1,
+ *       "playedAt": "2025-01-15T08:00:00Z",
+ *       "duration": 1925,
+ *       "teams": { "BLUE": "T1", "RED": "GEN" },
+ *       "players": [{
+ *         "name": "Faker",
+ *         "team": "T1",
+ *         "position": "MID",
+ *         "stats": { "kills": 4, "deaths": 1, "assists": 7, "cs": 312, "visionScore": 28 }
+ *       }]
+ *     }]
+ *   }
+ * A player's side and opponent are taken from "teams"; they can also be given
+ * per player as "side" and "opponent". A pro team's own line is a player with
+ * position "TEAM", named after the team.
+ *
+ * Team lines are recorded against the team's TEAM entry, which the first import
+ * of a team creates from a player on its roster.
+ */
+
+const POSITION_ALIASES = {
+  TOP: 'TOP',
+  JNG: 'JUNGLE',
+  JUNGLE: 'JUNGLE',
+  JUNGLER: 'JUNGLE',
+  MID: 'MID',
+  MIDDLE: 'MID',
+  BOT: 'ADC',
+  ADC: 'ADC',
+  BOTTOM: 'ADC',
+  SUP: 'SUPPORT',
+  SUPPORT: 'SUPPORT',
+  UTILITY: 'SUPPORT',
+  TEAM: TEAM_POSITION
+};
+
+// Oracle's Elixir column -> game log stat
+const CSV_STAT_COLUMNS = {
+  kills: 'kills',
+  deaths: 'deaths',
+  assists: 'assists',
+  'total cs': 'cs',
+  visionscore: 'visionScore',
+  barons: 'baronKills',
+  dragons: 'dragonKills',
+  towers: 'turretKills'
+};
+
+const normalizeName = value => String(value || '').trim().toLowerCase();
+const normalizePosition = value => POSITION_ALIASES[String(value || '').trim().toUpperCase()] || null;
+
+const normalizeSide = value => {
+  const side = String(value || '').trim().toUpperCase();
+  return side === 'BLUE' || side === 'RED' ? side : null;
+};
+
+const parseDate = value => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : null;
+};
+
+/**
+ * Split CSV text into rows of fields, handling quoted fields and escaped quotes
+ * @param {String} text - CSV content
+ * @returns {Array} - Array of rows (arrays of strings)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  // Drop blank lines
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Convert an Oracle's Elixir-style CSV export into import rows
+ * @param {String} content - CSV content
+ * @param {Number} defaultWeek - Week used when a row has no week column
+ * @returns {Object} - { rows, errors }
+ */
+function parseCsvRows(content, defaultWeek) {
+  const [header, ...records] = parseCsv(content);
+  const rows = [];
+  const errors = [];
+  
+  if (!header) {
+    return { rows, errors: [{ line: 1, message: 'File is empty' }] };
+  }
+  
+  const columns = header.map(normalizeName);
+  for (const required of ['gameid', 'position', 'playername', 'teamname']) {
+    if (!columns.includes(required)) {
+      errors.push({ line: 1, message: `Missing required column "${required}"` });
+    }
+  }
+  if (errors.length > 0) {
+    return { rows, errors };
+  }
+  
+  // Track the teams on each side of every game so opponents can be filled in
+  const gameSides = new Map();
+  
+  records.forEach((fields, index) => {
+    const line = index + 2;
+    const record = Object.fromEntries(columns.map((column, i) => [column, (fields[i] || '').trim()]));
+    
+    const side = normalizeSide(record.side);
+    const team = record.teamcode || record.teamname;
+    if (side) {
+      if (!gameSides.has(record.gameid)) gameSides.set(record.gameid, {});
+      gameSides.get(record.gameid)[side] = team;
+    }
+    
+    const stats = {};
+    for (const [column, stat] of Object.entries(CSV_STAT_COLUMNS)) {
+      stats[stat] = Number(record[column]) || 0;
+    }
+    
+    rows.push({
+      line,
+      matchId: record.gameid,
+      week: parseInt(record.week) || defaultWeek || null,
+      playedAt: parseDate(record.date ? record.date.replace(' ', 'T') + 'Z' : null),
+      duration: Number(record.gamelength) || null,
+      side,
+      opponent: null,
+      name: record.playername || record.teamname,
+      team,
+      teamName: record.teamname,
+      rawPosition: record.position,
+      position: normalizePosition(record.position),
+      stats
+    });
+  });
+  
+  for (const row of rows) {
+    const sides = gameSides.get(row.matchId) || {};
+    row.opponent = row.side === 'BLUE' ? sides.RED || null : row.side === 'RED' ? sides.BLUE || null : null;
+  }
+  
+  return { rows, errors };
+}
+
+/**
+ * Convert the documented JSON format into import rows
+ * @param {String|Object} content - JSON content
+ * @param {Number} defaultWeek - Week used when a game has no week
+ * @returns {Object} - { rows, errors }
+ */
+function parseJsonRows(content, defaultWeek) {
+  const rows = [];
+  const errors = [];
+  let data;
+  
+  try {
+    data = typeof content === 'string' ? JSON.parse(content) : content;
+  } catch (error) {
+    return { rows, errors: [{ line: null, message: `Invalid JSON: ${error.message}` }] };
+  }
+  
+  const games = Array.isArray(data) ? data : data?.games;
+  if (!Array.isArray(games)) {
+    return { rows, errors: [{ line: null, message: 'Expected a "games" array' }] };
+  }
+  
+  games.forEach((game, gameIndex) => {
+    if (!game.matchId || !Array.isArray(game.players)) {
+      errors.push({ line: `games[${gameIndex}]`, message: 'Each game needs a matchId and a players array' });
+      return;
+    }
+    
+    const teams = game.teams || {};
+    
+    game.players.forEach((player, playerIndex) => {
+      const side = normalizeSide(player.side)
+        || normalizeSide(Object.keys(teams).find(key => normalizeName(teams[key]) === normalizeName(player.team)));
+      const opponentSide = side === 'BLUE' ? 'RED' : side === 'RED' ? 'BLUE' : null;
+      
+      const stats = {};
+      for (const stat of STAT_KEYS) {
+        stats[stat] = Number(player.stats?.[stat]) || 0;
+      }
+      
+      rows.push({
+        line: `games[${gameIndex}].players[${playerIndex}]`,
+        matchId: String(game.matchId),
+        week: parseInt(player.week ?? game.week) || defaultWeek || null,
+        playedAt: parseDate(game.playedAt),
+        duration: Number(game.duration) || null,
+        side,
+        opponent: player.opponent || (opponentSide ? teams[opponentSide] || null : null),
+        name: player.name,
+        team: player.team,
+        teamName: player.team,
+        rawPosition: player.position,
+        position: normalizePosition(player.position),
+        stats
+      });
+    });
+  });
+  
+  return { rows, errors };
+}
+
+class MatchImportService {
+  /**
+   * @param {Object} playerService - In-memory player service to keep in sync (optional)
+   */
+  constructor(playerService = null) {
+    this.playerService = playerService;
+  }
+  
+  /**
+   * Parse import content in the given format
+   * @param {String|Object} content - File content
+   * @param {String} format - "csv" or "json"
+   * @param {Number} defaultWeek - Week for rows that don't specify one
+   * @returns {Object} - { rows, errors }
+   */
+  parse(content, format, defaultWeek = null) {
+    if (format === 'csv') {
+      return parseCsvRows(String(content), defaultWeek);
+    }
+    if (format === 'json') {
+      return parseJsonRows(content, defaultWeek);
+    }
+    return { rows: [], errors: [{ line: null, message: `Unsupported format "${format}"` }] };
+  }
+  
+  /**
+   * Find the player for each row by name, team code and position. Team lines are
+   * matched by team alone.
+   * @param {Array} rows - Parsed import rows
+   * @returns {Object} - { unmatched: rows that could not be matched, with a reason,
+   *   newTeams: TEAM entries to create for teams imported for the first time }
+   */
+  async matchPlayers(rows) {
+    const players = await Player.find({}, 'id name position team teamCode region homeLeague');
+    const newTeams = new Map();
+    
+    const playersByName = new Map();
+    for (const player of players) {
+      const key = normalizeName(player.name);
+      if (!playersByName.has(key)) playersByName.set(key, []);
+      playersByName.get(key).push(player);
+    }
+    
+    const unmatched = [];
+    
+    for (const row of rows) {
+      const report = reason => unmatched.push({
+        line: row.line,
+        matchId: row.matchId,
+        name: row.name,
+        team: row.team,
+        position: row.rawPosition,
+        reason
+      });
+      
+      if (!row.position) {
+        report('Unknown position');
+        continue;
+      }
+      
+      const teamKeys = [row.team, row.teamName].map(normalizeName).filter(Boolean);
+      const onTeam = player =>
+        teamKeys.includes(normalizeName(player.teamCode)) || teamKeys.includes(normalizeName(player.team));
+      
+      if (row.position === TEAM_POSITION) {
+        const entry = players.find(player => player.position === TEAM_POSITION && onTeam(player));
+        if (entry) {
+          row.playerId = entry.id;
+          continue;
+        }
+        
+        const rosterPlayer = players.find(onTeam);
+        if (!rosterPlayer) {
+          report('No players from this team');
+          continue;
+        }
+        
+        const id = `team_${normalizeName(rosterPlayer.teamCode || rosterPlayer.team).replace(/[^a-z0-9]+/g, '_')}`;
+        if (!newTeams.has(id)) {
+          newTeams.set(id, {
+            id,
+            name: rosterPlayer.team,
+            position: TEAM_POSITION,
+            team: rosterPlayer.team,
+            teamCode: rosterPlayer.teamCode,
+            region: rosterPlayer.region,
+            homeLeague: rosterPlayer.homeLeague
+          });
+        }
+        row.playerId = id;
+        continue;
+      }
+      
+      let candidates = playersByName.get(normalizeName(row.name)) || [];
+      if (candidates.length === 0) {
+        report('No player with this name');
+        continue;
+      }
+      
+      candidates = candidates.filter(onTeam);
+      if (candidates.length === 0) {
+        report('Player found but on a different team');
+        continue;
+      }
+      
+      candidates = candidates.filter(player => player.position === row.position);
+      if (candidates.length === 0) {
+        report('Player found but at a different position');
+        continue;
+      }
+      if (candidates.length > 1) {
+        report('Multiple players match this name, team and position');
+        continue;
+      }
+      
+      row.playerId = candidates[0].id;
+    }
+    
+    return { unmatched, newTeams: [...newTeams.values()] };
+  }
+  
+  /**
+   * Import match results into the game log
+   * @param {String|Object} content - File content
+   * @param {Object} options - { format, week, dryRun }
+   * @returns {Object} - Import report
+   */
+  async importMatches(content, { format = 'csv', week = null, dryRun = false } = {}) {
+    const { rows, errors } = this.parse(content, format, week);
+    
+    const invalidRows = rows.filter(row => !row.matchId || !row.week);
+    for (const row of invalidRows) {
+      errors.push({ line: row.line, message: row.matchId ? 'No week given for this row' : 'Missing game id' });
+    }
+    
+    const validRows = rows.filter(row => row.matchId && row.week);
+    const { unmatched, newTeams } = await this.matchPlayers(validRows);
+    const matchedRows = validRows.filter(row => row.playerId);
+    
+    const report = {
+      dryRun,
+      format,
+      totalRows: rows.length,
+      matched: matchedRows.length,
+      imported: 0,
+      duplicates: 0,
+      playersUpdated: 0,
+      teamsCreated: newTeams.map(team => team.id),
+      unmatched,
+      errors
+    };
+    
+    if (dryRun) {
+      return report;
+    }
+    
+    for (const team of newTeams) {
+      await Player.create(team);
+      if (this.playerService) {
+        this.playerService.addPlayerFromData(team);
+      }
+    }
+    
+    const updatedPlayerIds = new Set();
+    
+    for (const row of matchedRows) {
+      const { created } = await GameLog.recordGame(row.playerId, row);
+      if (created) {
+        report.imported++;
+        updatedPlayerIds.add(row.playerId);
+      } else {
+        report.duplicates++;
+      }
+    }
+    
+    // Re-derive totals once per player rather than once per game
+    for (const playerId of updatedPlayerIds) {
+      const player = await Player.findOne({ id: playerId });
+      if (!player) continue;
+      
+      await player.recalculateFromGameLog();
+      await player.save();
+      
+      if (this.playerService) {
+        await this.playerService.syncPlayerTotals(player);
+      }
+    }
+    
+    report.playersUpdated = updatedPlayerIds.size;
+    return report;
+  }
+}
+
+module.exports = MatchImportService;
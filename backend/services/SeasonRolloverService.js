@@ -0,0 +1,219 @@
+// services/SeasonRolloverService.js
+const { League, FantasyTeam, Player, LeagueSeason, LineupSnapshot, WaiverClaim, Trade } = require('../models');
+const {
+  STARTING_SLOTS,
+  LIST_SLOTS,
+  normalizeRosterTemplate,
+  getStartingSlots,
+  getRosterPlayerIds,
+  findOpenSlot
+} = require('../helpers/rosterTemplate');
+const { normalizeKeeperSettings, assignKeeperRounds, getNextDraftOrder } = require('../helpers/keepers');
+
+const emptyRoster = () => ({
+  ...Object.fromEntries(STARTING_SLOTS.map(slot => [slot, { playerId: null }])),
+  ...Object.fromEntries(LIST_SLOTS.map(slot => [slot, []]))
+});
+
+/**
+ * Ends a league's season and opens the next one. The finished season's schedule,
+ * standings, playoffs, draft and rosters are archived as a LeagueSeason, then the
+ * league starts again with the same teams and a draft order from the final standings.
+ *
+ * What each roster keeps depends on the league type: nothing in a redraft league,
+ * the manager's chosen keepers in a keeper league and everyone in a dynasty league.
+ */
+class SeasonRolloverService {
+  constructor(teamService = null, playerService = null, leagueService = null) {
+    this.teamService = teamService;
+    this.playerService = playerService;
+    this.leagueService = leagueService;
+  }
+  
+  /**
+   * Check the keepers a manager wants against the league's rules
+   * @param {Object} leagueDoc - League document
+   * @param {Object} teamDoc - The manager's team
+   * @param {Array} playerIds - Players to keep
+   * @returns {Array} - List of error messages (empty if valid)
+   */
+  validateKeepers(leagueDoc, teamDoc, playerIds) {
+    const settings = normalizeKeeperSettings(leagueDoc.keeperSettings);
+    if (settings.mode !== 'keeper') {
+      return ['This league does not use keepers'];
+    }
+    if (!Array.isArray(playerIds)) {
+      return ['Keepers must be a list of players'];
+    }
+    
+    const errors = [];
+    if (playerIds.length > settings.maxKeepers) {
+      errors.push(`Teams can keep at most ${settings.maxKeepers} player(s)`);
+    }
+    if (new Set(playerIds).size !== playerIds.length) {
+      errors.push('Each player can only be kept once');
+    }
+    
+    const rosterIds = teamDoc.getPlayerIds();
+    for (const playerId of playerIds) {
+      if (!rosterIds.includes(playerId)) {
+        errors.push(`Player ${playerId} is not on ${teamDoc.name}`);
+      }
+    }
+    
+    return errors;
+  }
+  
+  /**
+   * The keepers each team would carry into next season and the draft round each one costs.
+   * Keepers who have left the roster since they were chosen don't count.
+   * @param {Object} leagueDoc - League document
+   * @param {Array} teamDocs - The league's teams
+   * @returns {Array} - [{ teamId, playerId, round }]
+   */
+  getKeeperCosts(leagueDoc, teamDocs) {
+    const settings = normalizeKeeperSettings(leagueDoc.keeperSettings);
+    if (settings.mode !== 'keeper') return [];
+    
+    const rounds = getStartingSlots(leagueDoc.rosterTemplate).length;
+    const picks = leagueDoc.draftResults ? leagueDoc.draftResults.picks : [];
+    
+    return teamDocs.flatMap(teamDoc => {
+      const rosterIds = teamDoc.getPlayerIds();
+      const playerIds = (teamDoc.keepers || []).filter(playerId => rosterIds.includes(playerId)).slice(0, settings.maxKeepers);
+      const teamPicks = picks.filter(pick => pick.teamId === teamDoc.id);
+      return assignKeeperRounds(playerIds, teamPicks, settings, rounds).map(keeper => ({ teamId: teamDoc.id, ...keeper }));
+    });
+  }
+  
+  /**
+   * Archive the league's finished season and start the next one
+   * @param {String} leagueId - League to roll over
+   * @returns {Object} - { season, draftOrder, keepers }
+   */
+  async rollover(leagueId) {
+    const leagueDoc = await League.findOne({ id: leagueId });
+    if (!leagueDoc) {
+      throw new Error(`League ${leagueId} not found`);
+    }
+    
+    const teamDocs = await FantasyTeam.find({ leagueId });
+    const settings = normalizeKeeperSettings(leagueDoc.keeperSettings);
+    const template = normalizeRosterTemplate(leagueDoc.rosterTemplate);
+    
+    // Archiving first means a second rollover of the same season fails on the archive's unique index
+    await LeagueSeason.archive(leagueDoc, teamDocs);
+    
+    const teamIds = leagueDoc.teams.map(team => (typeof team === 'object' ? team.id : team));
+    const draftOrder = getNextDraftOrder(teamIds, leagueDoc.standings, leagueDoc.playoffs);
+    const keeperCosts = this.getKeeperCosts(leagueDoc, teamDocs);
+    
+    const keeperPlayers = await Player.find({ id: { $in: keeperCosts.map(keeper => keeper.playerId) } }, 'id position');
+    const positions = new Map(keeperPlayers.map(player => [player.id, player.position]));
+    
+    // Each roster starts the new season with what the league type lets it keep;
+    // a keeper the roster template no longer has room for is let go
+    const rosters = [];
+    const keepers = [];
+    for (const teamDoc of teamDocs) {
+      let players;
+      if (settings.mode === 'dynasty') {
+        players = teamDoc.toObject().players;
+      } else {
+        players = emptyRoster();
+        for (const keeper of keeperCosts.filter(keeper => keeper.teamId === teamDoc.id)) {
+          const slot = findOpenSlot(players, { id: keeper.playerId, position: positions.get(keeper.playerId) }, template);
+          if (!slot) continue;
+          
+          if (LIST_SLOTS.includes(slot)) {
+            players[slot].push(keeper.playerId);
+          } else {
+            players[slot] = { playerId: keeper.playerId };
+          }
+          keepers.push(keeper);
+        }
+      }
+      rosters.push({ teamDoc, players });
+    }
+    
+    const keptIds = rosters.flatMap(({ players }) => getRosterPlayerIds(players));
+    for (const { teamDoc, players } of rosters) {
+      teamDoc.players = players;
+      teamDoc.keepers = [];
+      teamDoc.totalPoints = 0;
+      teamDoc.weeklyPoints = new Map();
+      teamDoc.wins = 0;
+      teamDoc.losses = 0;
+      await teamDoc.save();
+    }
+    
+    // Released players are free agents again, and nobody starts the season on waivers
+    const ownerPath = `owners.${leagueId}`;
+    await Player.updateMany({ [ownerPath]: { $in: teamIds }, id: { $nin: keptIds } }, { $unset: { [ownerPath]: '' } });
+    await Player.updateMany({ [`waiverClearsAt.${leagueId}`]: { $exists: true } }, { $unset: { [`waiverClearsAt.${leagueId}`]: '' } });
+    
+    // Weeks start again from 1, so last season's lineups, claims and open trades have to go
+    await LineupSnapshot.deleteMany({ teamId: { $in: teamIds } });
+    await WaiverClaim.updateMany(
+      { leagueId, status: 'pending' },
+      { $set: { status: 'cancelled', reason: 'The season ended' } }
+    );
+    await Trade.updateMany(
+      { leagueId, status: { $in: ['pending', 'review'] } },
+      { $set: { status: 'cancelled', reason: 'The season ended', completedAt: new Date() } }
+    );
+    
+    leagueDoc.season = (leagueDoc.season || 1) + 1;
+    leagueDoc.schedule = [];
+    leagueDoc.scheduleSettings = null;
+    leagueDoc.currentWeek = 0;
+    leagueDoc.standings = [];
+    leagueDoc.playoffs = null;
+    leagueDoc.champion = null;
+    leagueDoc.draftResults = null;
+    leagueDoc.draftSchedule = null;
+    leagueDoc.draftOrder = draftOrder;
+    leagueDoc.keepers = keepers;
+    leagueDoc.waiverPriority = [...draftOrder]; // Worst finish gets first claim too
+    leagueDoc.faabBalances = new Map();
+    await leagueDoc.save();
+    
+    this.syncToMemory(leagueId, rosters);
+    
+    console.log(`League ${leagueId} rolled over to season ${leagueDoc.season} (${settings.mode}, ${keepers.length} keepers)`);
+    return { season: leagueDoc.season, draftOrder, keepers };
+  }
+  
+  /**
+   * Copy the new season into the in-memory league and teams so the next auto-save doesn't undo it
+   */
+  syncToMemory(leagueId, rosters) {
+    const league = this.leagueService && this.leagueService.getLeagueById(leagueId);
+    if (league) {
+      league.schedule = [];
+      league.standings = [];
+      league.currentWeek = 0;
+    }
+    
+    if (!this.teamService || !this.playerService) return;
+    
+    for (const { teamDoc, players } of rosters) {
+      const team = this.teamService.getTeamById(teamDoc.id);
+      if (!team) continue;
+      
+      for (const slot of STARTING_SLOTS) {
+        const playerId = players[slot] && players[slot].playerId;
+        team.players[slot] = playerId ? this.playerService.getPlayerById(playerId) || null : null;
+      }
+      for (const slot of LIST_SLOTS) {
+        team.players[slot] = (players[slot] || [])
+          .map(playerId => this.playerService.getPlayerById(playerId))
+          .filter(Boolean);
+      }
+      team.totalPoints = 0;
+      team.weeklyPoints = {};
+    }
+  }
+}
+
+module.exports = SeasonRolloverService;
@@ -0,0 +1,236 @@
+// services/StatsUpdaterService.js
+const os = require('os');
+const { League, JobLock } = require('../models');
+const { refreshPlayerFromRiotApi, recordPlayerGames } = require('../fantasy-core');
+
+const LOCK_NAME = 'statsUpdater';
+
+/**
+ * Periodically refreshes player stats for every league. Players shared between
+ * leagues are only fetched once per run, and each league's last run is persisted.
+ * Fetched matches go into the game log, so a match seen on several runs counts once.
+ */
+class StatsUpdaterService {
+  constructor(leagueService, playerService, riotApiService, updateInterval = 30 * 60 * 1000) { // Default 30 min
+    this.leagueService = leagueService;
+    this.playerService = playerService;
+    this.riotApiService = riotApiService;
+    this.updateInterval = updateInterval;
+    // A run that outlives this is treated as crashed and its lock can be taken over
+    this.lockTimeout = Math.max(updateInterval, 60 * 60 * 1000);
+    this.owner = `${os.hostname()}:${process.pid}:${Date.now()}`;
+    this.timerId = null;
+    this.nextRunAt = null;
+    this.isUpdating = false;
+  }
+  
+  /**
+   * Start automatic updates
+   */
+  start() {
+    if (this.timerId) {
+      console.log('Stats updater is already running');
+      return false;
+    }
+    
+    console.log(`Starting automatic stats updates every ${this.updateInterval / 60000} minutes`);
+    
+    // Do an initial update
+    this.update();
+    
+    // Set up interval for future updates
+    this.timerId = setInterval(() => this.update(), this.updateInterval);
+    this.nextRunAt = new Date(Date.now() + this.updateInterval);
+    return true;
+  }
+  
+  /**
+   * Stop automatic updates
+   */
+  stop() {
+    if (!this.timerId) {
+      return false;
+    }
+    
+    clearInterval(this.timerId);
+    this.timerId = null;
+    this.nextRunAt = null;
+    console.log('Stopped automatic stats updates');
+    return true;
+  }
+  
+  /**
+   * Run a scheduled update cycle
+   */
+  async update() {
+    if (this.timerId) {
+      this.nextRunAt = new Date(Date.now() + this.updateInterval);
+    }
+    
+    if (!(await this.beginRun())) {
+      console.log('Stats update already in progress, skipping');
+      return null;
+    }
+    
+    try {
+      return await this.runUpdate();
+    } catch (error) {
+      console.error('Error during stats update:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Start an update immediately, in the background
+   * @returns {Boolean} - False if another update is already in progress
+   */
+  async runNow() {
+    if (!(await this.beginRun())) {
+      return false;
+    }
+    
+    this.runUpdate().catch(error => console.error('Error during stats update:', error));
+    return true;
+  }
+  
+  /**
+   * Claim the in-process flag and the persisted lock
+   */
+  async beginRun() {
+    if (this.isUpdating) {
+      return false;
+    }
+    
+    this.isUpdating = true;
+    
+    try {
+      if (await JobLock.acquire(LOCK_NAME, this.owner, this.lockTimeout)) {
+        return true;
+      }
+    } catch (error) {
+      console.error('Error acquiring stats updater lock:', error);
+    }
+    
+    this.isUpdating = false;
+    return false;
+  }
+  
+  /**
+   * Refresh every player in every league's pool, then record each league's outcome.
+   * Must only be called after beginRun() succeeds.
+   */
+  async runUpdate() {
+    console.log('Updating player stats from Riot API for all leagues...');
+    
+    try {
+      const leagues = this.leagueService.getAllLeagues();
+      
+      // Collect each unique player once, remembering which leagues they belong to
+      const playerLeagues = new Map();
+      for (const league of leagues) {
+        for (const poolPlayer of league.playerPool || []) {
+          const player = typeof poolPlayer === 'object'
+            ? poolPlayer
+            : this.playerService.getPlayerById(poolPlayer);
+          if (!player) continue;
+          
+          if (!playerLeagues.has(player.id)) {
+            playerLeagues.set(player.id, { player, leagueIds: new Set() });
+          }
+          playerLeagues.get(player.id).leagueIds.add(league.id);
+        }
+      }
+      
+      const updated = new Set();
+      const failed = new Map();
+      
+      if (this.riotApiService) {
+        for (const [playerId, { player, leagueIds }] of playerLeagues) {
+          try {
+            const games = await refreshPlayerFromRiotApi(player, this.riotApiService);
+            if (games) {
+              // Games the pro calendar can't place go in the latest week among the player's leagues
+              const currentWeeks = leagues.filter(league => leagueIds.has(league.id)).map(league => league.currentWeek || 0);
+              await recordPlayerGames(player, games, { fallbackWeek: Math.max(1, ...currentWeeks) });
+              updated.add(playerId);
+            }
+          } catch (error) {
+            console.error(`Error updating stats for ${player.name}:`, error);
+            failed.set(playerId, error.message);
+          }
+        }
+      }
+      
+      const lastRunAt = new Date();
+      const results = [];
+      
+      for (const league of leagues) {
+        let playersUpdated = 0;
+        let playersFailed = 0;
+        let lastError = null;
+        
+        for (const [playerId, { leagueIds }] of playerLeagues) {
+          if (!leagueIds.has(league.id)) continue;
+          if (updated.has(playerId)) playersUpdated++;
+          if (failed.has(playerId)) {
+            playersFailed++;
+            lastError = failed.get(playerId);
+          }
+        }
+        
+        let outcome = 'success';
+        let error = null;
+        if (!this.riotApiService) {
+          outcome = 'failed';
+          error = 'Riot API service is not configured';
+        } else if (playersFailed > 0) {
+          outcome = playersUpdated > 0 ? 'partial' : 'failed';
+          error = lastError;
+        }
+        
+        const statsUpdate = { lastRunAt, outcome, playersUpdated, playersFailed, error };
+        await League.updateOne({ id: league.id }, { $set: { statsUpdate } });
+        results.push({ leagueId: league.id, ...statsUpdate });
+      }
+      
+      this.playerService.clearCache();
+      
+      console.log(`Stats update completed: ${updated.size} of ${playerLeagues.size} players updated across ${leagues.length} leagues`);
+      return results;
+    } finally {
+      this.isUpdating = false;
+      await JobLock.release(LOCK_NAME, this.owner).catch(error =>
+        console.error('Error releasing stats updater lock:', error)
+      );
+    }
+  }
+  
+  /**
+   * Get the scheduler state and each league's last run
+   */
+  async getStatus() {
+    const [lock, leagueDocs] = await Promise.all([
+      JobLock.findOne({ name: LOCK_NAME }),
+      League.find({}, 'id name statsUpdate')
+    ]);
+    
+    const lockHeld = lock && lock.owner && lock.expiresAt > new Date();
+    
+    return {
+      running: !!this.timerId,
+      updating: this.isUpdating,
+      updateInterval: this.updateInterval,
+      nextRunAt: this.nextRunAt,
+      lock: lockHeld
+        ? { owner: lock.owner, lockedAt: lock.lockedAt, expiresAt: lock.expiresAt, ownedByThisProcess: lock.owner === this.owner }
+        : null,
+      leagues: leagueDocs.map(league => ({
+        leagueId: league.id,
+        name: league.name,
+        ...(league.statsUpdate?.toObject ? league.statsUpdate.toObject() : league.statsUpdate || {})
+      }))
+    };
+  }
+}
+
+module.exports = StatsUpdaterService;
@@ -0,0 +1,654 @@
+// services/TradeService.js
+const os = require('os');
+const { League, FantasyTeam, Player, Trade, Transaction, Notification, JobLock, LineupSnapshot, GameLog, ProMatch } = require('../models');
+const { normalizeRosterTemplate, findOpenSlot, planIncomingSlots } = require('../helpers/rosterTemplate');
+const { pickKey, validatePick, transferPick } = require('../helpers/draftPicks');
+const { summarizePlayer, remainingGames, replacementLevels, valuePlayer, analyzeTrade } = require('../helpers/tradeAnalysis');
+const { normalizeTransactionSettings, getTradeRestriction, isRosterLocked, ROSTER_LOCK_MESSAGE } = require('../helpers/transactionLimits');
+
+const LOCK_NAME = 'trades';
+const REVIEW_MODES = ['none', 'commissioner', 'league'];
+const DEFAULT_SETTINGS = { reviewMode: 'none', reviewHours: 24, vetoVotes: null };
+const REPLACEMENT_CANDIDATES = 5; // Top free agents per position considered for replacement level
+
+/**
+ * Checks and carries out trades. A trade is a set of players and future draft picks
+ * moving between two to four teams, plus any players cut to make roster room.
+ *
+ * Once every team has accepted, a trade either goes through right away or waits out a
+ * review period in which the commissioner can approve or reverse it, or the rest of the
+ * league can vote it down. Trades still standing when the period ends go through then.
+ */
+class TradeService {
+  constructor(teamService, playerService, waiverService = null, checkInterval = 5 * 60 * 1000) { // Default 5 minutes
+    this.teamService = teamService;
+    this.playerService = playerService;
+    this.waiverService = waiverService;
+    this.checkInterval = checkInterval;
+    this.owner = `${os.hostname()}:${process.pid}:${Date.now()}`;
+    this.timerId = null;
+    this.isChecking = false;
+  }
+  
+  /**
+   * Start processing trades whose review period is over
+   */
+  start() {
+    if (this.timerId) {
+      return false;
+    }
+    
+    console.log(`Processing reviewed trades every ${this.checkInterval / 1000} seconds`);
+    this.check();
+    this.timerId = setInterval(() => this.check(), this.checkInterval);
+    return true;
+  }
+  
+  /**
+   * Stop processing trades
+   */
+  stop() {
+    if (!this.timerId) {
+      return false;
+    }
+    
+    clearInterval(this.timerId);
+    this.timerId = null;
+    return true;
+  }
+  
+  /**
+   * Carry out every trade whose review period has ended without a veto
+   */
+  async check(now = new Date()) {
+    if (this.isChecking) return;
+    this.isChecking = true;
+    
+    try {
+      // Only one process carries out trades at a time
+      if (!(await JobLock.acquire(LOCK_NAME, this.owner, 5 * 60 * 1000))) {
+        return;
+      }
+      
+      try {
+        await this.processDue(now);
+      } finally {
+        await JobLock.release(LOCK_NAME, this.owner);
+      }
+    } catch (error) {
+      console.error('Error processing trades:', error);
+    } finally {
+      this.isChecking = false;
+    }
+  }
+  
+  /**
+   * Carry out the trades whose review period ended by the given time
+   * @param {Date} now - Current time
+   */
+  async processDue(now) {
+    const trades = await Trade.find({ status: 'review', reviewEndsAt: { $lte: now } }).sort({ reviewEndsAt: 1 });
+    for (const trade of trades) {
+      try {
+        await this.complete(trade, null, now);
+      } catch (error) {
+        console.error(`Error processing trade ${trade.id}:`, error);
+      }
+    }
+  }
+  
+  /**
+   * A league's trade settings with defaults filled in
+   */
+  getSettings(leagueDoc) {
+    const settings = (leagueDoc && leagueDoc.tradeSettings) || {};
+    return {
+      reviewMode: settings.reviewMode || DEFAULT_SETTINGS.reviewMode,
+      reviewHours: settings.reviewHours ?? DEFAULT_SETTINGS.reviewHours,
+      vetoVotes: settings.vetoVotes ?? DEFAULT_SETTINGS.vetoVotes
+    };
+  }
+  
+  /**
+   * Why trades can't be proposed or accepted in a league right now: the trade deadline
+   * has passed or rosters are locked for the playoffs
+   * @param {Object} leagueDoc - The league
+   * @returns {String|null} - The reason, or null if trading is open
+   */
+  getTradeRestriction(leagueDoc) {
+    if (!leagueDoc) return null;
+    return getTradeRestriction(leagueDoc, normalizeTransactionSettings(leagueDoc.transactionSettings));
+  }
+  
+  /**
+   * Votes it takes to veto a trade in league review: the league's setting, or a majority
+   * of the teams not in the trade, and never more than there are teams to vote
+   * @param {Object} settings - League trade settings
+   * @param {Number} voters - Teams that can vote on the trade
+   */
+  getVetoThreshold(settings, voters) {
+    const needed = settings.vetoVotes || Math.floor(voters / 2) + 1;
+    return Math.max(1, Math.min(needed, voters));
+  }
+  
+  /**
+   * Turn a trade request into an offer: a list of assets plus drops. Two-team requests
+   * can still list proposedPlayers and requestedPlayers instead of assets.
+   * @param {String} proposingTeamId - Team making the offer
+   * @param {Object} body - { assets, drops } or { receivingTeamId, proposedPlayers, requestedPlayers, drops }
+   * @returns {Object} - { proposingTeamId, assets, drops }
+   */
+  buildOffer(proposingTeamId, body) {
+    const { receivingTeamId, proposedPlayers, requestedPlayers } = body;
+    let assets = body.assets;
+    
+    if (!Array.isArray(assets) && receivingTeamId && Array.isArray(proposedPlayers) && Array.isArray(requestedPlayers)) {
+      assets = [
+        ...proposedPlayers.map(playerInfo => ({ type: 'player', fromTeamId: proposingTeamId, toTeamId: receivingTeamId, playerId: playerInfo.id })),
+        ...requestedPlayers.map(playerInfo => ({ type: 'player', fromTeamId: receivingTeamId, toTeamId: proposingTeamId, playerId: playerInfo.id }))
+      ];
+    }
+    
+    // Names and slots come from the rosters, whatever the client sent
+    const describe = asset => {
+      const fromTeam = this.teamService.getTeamById(asset.fromTeamId);
+      if (asset.type === 'pick') {
+        return {
+          type: 'pick',
+          fromTeamId: asset.fromTeamId,
+          toTeamId: asset.toTeamId,
+          season: Number(asset.season),
+          round: Number(asset.round),
+          originalTeamId: asset.originalTeamId || asset.fromTeamId
+        };
+      }
+      
+      const player = this.playerService.getPlayerById(asset.playerId);
+      return {
+        type: 'player',
+        fromTeamId: asset.fromTeamId,
+        toTeamId: asset.toTeamId,
+        playerId: asset.playerId,
+        name: player ? player.name : '',
+        position: fromTeam ? fromTeam.findSlot(asset.playerId) : null
+      };
+    };
+    
+    return {
+      proposingTeamId,
+      assets: Array.isArray(assets) ? assets.filter(Boolean).map(describe) : null,
+      drops: Array.isArray(body.drops)
+        ? body.drops.filter(Boolean).map(drop => ({
+          teamId: drop.teamId,
+          playerId: drop.playerId,
+          name: this.playerService.getPlayerById(drop.playerId)?.name || ''
+        }))
+        : []
+    };
+  }
+  
+  // Every team in an offer, the team making it first
+  getOfferTeamIds(offer) {
+    return [...new Set([offer.proposingTeamId, ...offer.assets.flatMap(asset => [asset.fromTeamId, asset.toTeamId])])];
+  }
+  
+  /**
+   * Check an offer against the league and the rosters as they are now: every asset has to
+   * belong to the team giving it up, and every roster needs room for what it gets
+   * @param {Object} offer - { proposingTeamId, assets, drops }
+   * @param {Object} leagueDoc - The teams' league
+   * @returns {Array} - List of error messages (empty if valid)
+   */
+  validateOffer(offer, leagueDoc) {
+    const errors = this.validateAssets(offer, leagueDoc);
+    return errors.length > 0 ? errors : this.checkRosterRoom(offer, leagueDoc);
+  }
+  
+  /**
+   * Check that every team is in the league and every player, pick and drop belongs to
+   * the team giving it up
+   * @returns {Array} - List of error messages (empty if valid)
+   */
+  validateAssets(offer, leagueDoc) {
+    const { proposingTeamId, assets, drops } = offer;
+    if (!Array.isArray(assets) || assets.length === 0) {
+      return ['A trade needs at least one player or pick to change hands'];
+    }
+    if (!leagueDoc) {
+      return ['League not found'];
+    }
+    
+    const teamIds = this.getOfferTeamIds(offer);
+    if (teamIds.length < 2 || teamIds.length > Trade.MAX_TRADE_TEAMS) {
+      return [`A trade is between 2 and ${Trade.MAX_TRADE_TEAMS} teams`];
+    }
+    
+    const teams = new Map(teamIds.map(teamId => [teamId, this.teamService.getTeamById(teamId)]));
+    const missingTeam = teamIds.find(teamId => !teams.get(teamId) || teams.get(teamId).leagueId !== leagueDoc.id);
+    if (missingTeam) {
+      return [`Team ${missingTeam} is not in this league`];
+    }
+    
+    const errors = [];
+    if (!assets.some(asset => asset.fromTeamId === proposingTeamId || asset.toTeamId === proposingTeamId)) {
+      errors.push('The team making the offer has to be part of it');
+    }
+    
+    const leagueTeamIds = leagueDoc.teams.map(team => (typeof team === 'object' ? team.id : team));
+    const seen = new Set();
+    for (const asset of assets) {
+      const fromTeam = teams.get(asset.fromTeamId);
+      if (asset.fromTeamId === asset.toTeamId) {
+        errors.push(`${fromTeam.name} can't trade with itself`);
+        continue;
+      }
+      
+      if (asset.type === 'pick') {
+        const key = `pick:${pickKey(asset)}`;
+        if (seen.has(key)) errors.push(`The season ${asset.season} round ${asset.round} pick is in the trade more than once`);
+        seen.add(key);
+        
+        const pickError = validatePick(leagueDoc, asset, asset.fromTeamId, leagueTeamIds);
+        if (pickError) errors.push(pickError);
+      } else {
+        const key = `player:${asset.playerId}`;
+        if (seen.has(key)) errors.push(`${asset.name || asset.playerId} is in the trade more than once`);
+        seen.add(key);
+        
+        if (!fromTeam.hasPlayer(asset.playerId)) {
+          errors.push(`${asset.name || asset.playerId} is no longer on ${fromTeam.name}`);
+        }
+      }
+    }
+    
+    const dropped = new Set();
+    for (const drop of drops || []) {
+      const team = teams.get(drop.teamId);
+      if (!team) {
+        errors.push('Only teams in the trade can drop players');
+      } else if (!team.hasPlayer(drop.playerId)) {
+        errors.push(`${drop.name || drop.playerId} is no longer on ${team.name}`);
+      } else if (seen.has(`player:${drop.playerId}`) || dropped.has(drop.playerId)) {
+        errors.push(`${drop.name || drop.playerId} can't be both traded and dropped`);
+      }
+      dropped.add(drop.playerId);
+    }
+    
+    return errors;
+  }
+  
+  /**
+   * Check that every roster in an offer has room for what it gets once its outgoing
+   * and dropped players are gone
+   * @returns {Array} - List of error messages (empty if valid)
+   */
+  checkRosterRoom(offer, leagueDoc) {
+    const { assets, drops } = offer;
+    const teams = new Map(this.getOfferTeamIds(offer).map(teamId => [teamId, this.teamService.getTeamById(teamId)]));
+    const errors = [];
+    
+    // Everyone leaves first, then each roster takes in what it gets
+    const template = normalizeRosterTemplate(leagueDoc.rosterTemplate);
+    const playerAssets = assets.filter(asset => asset.type !== 'pick');
+    for (const [teamId, team] of teams) {
+      const leaving = [
+        ...playerAssets.filter(asset => asset.fromTeamId === teamId).map(asset => asset.playerId),
+        ...(drops || []).filter(drop => drop.teamId === teamId).map(drop => drop.playerId)
+      ];
+      const incoming = playerAssets
+        .filter(asset => asset.toTeamId === teamId)
+        .map(asset => this.playerService.getPlayerById(asset.playerId))
+        .filter(Boolean);
+      
+      if (!planIncomingSlots(team.players, leaving, incoming, template)) {
+        errors.push(`${team.name} does not have roster room for this trade; add a player for them to drop`);
+      }
+    }
+    
+    return errors;
+  }
+  
+  /**
+   * Save a checked offer and let the other teams know about it
+   * @param {Object} offer - Offer from buildOffer that passed validateOffer
+   * @param {Object} leagueDoc - The teams' league
+   * @param {String} userId - Manager making the offer
+   * @param {Object|null} original - The trade this offer counters, if any
+   * @returns {Object} - The new trade
+   */
+  async propose(offer, leagueDoc, userId, original = null, now = new Date()) {
+    const teamIds = this.getOfferTeamIds(offer);
+    const trade = await Trade.create({
+      id: `trade_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+      proposingTeamId: offer.proposingTeamId,
+      receivingTeamId: teamIds[1],
+      teamIds,
+      assets: offer.assets,
+      drops: offer.drops,
+      status: 'pending',
+      leagueId: leagueDoc.id,
+      createdBy: userId,
+      counterOf: original ? original.id : null,
+      createdAt: now
+    });
+    
+    // A counter-offer replaces the offer it answers
+    if (original) {
+      original.status = 'countered';
+      original.counteredBy = trade.id;
+      original.completedAt = now;
+      await original.save();
+    }
+    
+    const proposer = this.teamService.getTeamById(offer.proposingTeamId);
+    const others = teamIds.slice(1).map(teamId => this.teamService.getTeamById(teamId)).filter(Boolean);
+    for (const team of others) {
+      await Notification.notifyUsers([team.userId], {
+        leagueId: leagueDoc.id,
+        type: 'tradeOffer',
+        title: original ? `${proposer.name} sent a counter-offer` : `${proposer.name} sent you a trade offer`,
+        message: others.length > 1 ? `A ${teamIds.length}-team trade in ${leagueDoc.name}` : `A trade in ${leagueDoc.name}`,
+        link: `/teams/${team.id}`
+      });
+    }
+    
+    return trade;
+  }
+  
+  /**
+   * Why a saved trade can't go through with the rosters as they are now, or null if it can
+   */
+  checkTrade(trade, leagueDoc) {
+    const errors = this.validateOffer({ proposingTeamId: trade.proposingTeamId, assets: trade.getAssets(), drops: trade.drops }, leagueDoc);
+    return errors.length > 0 ? errors[0] : null;
+  }
+  
+  /**
+   * Score an offer for each team in it from season points, recent form, the pro matches
+   * each player has left and how their production compares to the best free agent at
+   * their position, and show how each team's best starting lineup changes
+   * @param {Object} offer - Offer that passed validateAssets
+   * @param {Object} leagueDoc - The teams' league
+   * @returns {Object} - { currentWeek, remainingWeeks, replacement, teams }
+   */
+  async analyze(offer, leagueDoc, now = new Date()) {
+    const currentWeek = leagueDoc.currentWeek || 1;
+    const playoffWeeks = ((leagueDoc.playoffs && leagueDoc.playoffs.matchups) || []).flatMap(matchup => matchup.weeks);
+    const finalWeek = Math.max(leagueDoc.schedule.length, ...playoffWeeks);
+    const remainingWeeks = Math.max(0, finalWeek - currentWeek + 1);
+    
+    const teams = this.getOfferTeamIds(offer).map(teamId => this.teamService.getTeamById(teamId));
+    const reserveIds = new Set(teams.flatMap(team => (team.players.IR || []).map(player => player.id)));
+    const rosterIds = teams.flatMap(team => team.getPlayerIds());
+    
+    // The best few free agents at each position set the replacement level
+    const pool = (leagueDoc.playerPool || []).map(player => (typeof player === 'object' ? player.id : player));
+    const freeAgents = await Player.findFreeAgents(leagueDoc.id, { playerIds: pool.length > 0 ? pool : undefined });
+    const perPosition = {};
+    const candidates = freeAgents.filter(player => (perPosition[player.position] = (perPosition[player.position] || 0) + 1) <= REPLACEMENT_CANDIDATES);
+    
+    const games = await GameLog.find({ playerId: { $in: [...rosterIds, ...candidates.map(player => player.id)] } }, 'playerId week stats');
+    const gamesByPlayer = new Map();
+    for (const game of games) {
+      gamesByPlayer.set(game.playerId, [...(gamesByPlayer.get(game.playerId) || []), game]);
+    }
+    const gamesFor = playerId => gamesByPlayer.get(playerId) || [];
+    const matches = await ProMatch.find({ week: { $gte: currentWeek, $lte: finalWeek }, startTime: { $gt: now } }, 'teamA teamB');
+    
+    const replacement = replacementLevels(
+      candidates.map(player => summarizePlayer(player, gamesFor(player.id), leagueDoc.scoringRules, currentWeek))
+    );
+    const value = playerId => {
+      const player = this.playerService.getPlayerById(playerId);
+      if (!player) return null;
+      const summary = summarizePlayer(player, gamesFor(playerId), leagueDoc.scoringRules, currentWeek);
+      return valuePlayer(summary, remainingGames(summary, matches, remainingWeeks), replacement);
+    };
+    
+    const analysis = analyzeTrade(
+      offer,
+      teams.map(team => {
+        const valued = team.getPlayerIds().map(value).filter(Boolean);
+        return {
+          teamId: team.id,
+          name: team.name,
+          players: valued.filter(player => !reserveIds.has(player.playerId)),
+          reserve: valued.filter(player => reserveIds.has(player.playerId))
+        };
+      }),
+      normalizeRosterTemplate(leagueDoc.rosterTemplate)
+    );
+    
+    return {
+      currentWeek,
+      remainingWeeks,
+      replacement: Object.fromEntries(Object.entries(replacement).map(([position, perGame]) => [position, Math.round(perGame * 10) / 10])),
+      teams: analysis
+    };
+  }
+  
+  /**
+   * Every team has accepted: carry the trade out, or start its review period
+   * @param {Object} trade - Pending trade
+   * @param {Object} leagueDoc - The trade's league
+   * @returns {String|null} - Why the trade can't go through, or null if it was accepted
+   */
+  async accept(trade, leagueDoc, now = new Date()) {
+    const failure = this.checkTrade(trade, leagueDoc);
+    if (failure) return failure;
+    
+    const settings = this.getSettings(leagueDoc);
+    trade.acceptedAt = now;
+    trade.reviewMode = settings.reviewMode;
+    
+    if (settings.reviewMode === 'none') {
+      await this.execute(trade, leagueDoc, now);
+      return null;
+    }
+    
+    trade.status = 'review';
+    trade.reviewEndsAt = new Date(now.getTime() + settings.reviewHours * 60 * 60 * 1000);
+    await trade.save();
+    
+    // Whoever can step in hears about it: the commissioner, or the teams not in the trade
+    const teams = await FantasyTeam.find({ leagueId: leagueDoc.id }, 'id userId');
+    const reviewers = settings.reviewMode === 'commissioner'
+      ? [leagueDoc.creatorId]
+      : teams.filter(team => !trade.getTeamIds().includes(team.id)).map(team => team.userId);
+    await Notification.notifyUsers(reviewers, {
+      leagueId: leagueDoc.id,
+      type: 'tradeReview',
+      title: 'A trade is up for review',
+      message: settings.reviewMode === 'commissioner'
+        ? `A trade in ${leagueDoc.name} goes through on ${trade.reviewEndsAt.toUTCString()} unless you reverse it.`
+        : `A trade in ${leagueDoc.name} goes through on ${trade.reviewEndsAt.toUTCString()} unless enough teams vote to veto it.`,
+      link: `/leagues/${leagueDoc.id}`
+    });
+    
+    return null;
+  }
+  
+  /**
+   * Record a veto vote from a team that isn't in the trade; enough of them vetoes the trade
+   * @returns {Object} - { vetoes, needed, vetoed }
+   */
+  async castVeto(trade, leagueDoc, teamId, userId, now = new Date()) {
+    if (!trade.vetoes.some(vote => vote.teamId === teamId)) {
+      trade.vetoes.push({ teamId, userId, createdAt: now });
+    }
+    
+    const teamCount = await FantasyTeam.countDocuments({ leagueId: leagueDoc.id });
+    const needed = this.getVetoThreshold(this.getSettings(leagueDoc), Math.max(0, teamCount - trade.getTeamIds().length));
+    
+    if (trade.vetoes.length >= needed) {
+      const vetoed = await this.veto(trade, leagueDoc, null, 'The league voted to veto the trade', now);
+      return { vetoes: trade.vetoes.length, needed, vetoed };
+    }
+    
+    await trade.save();
+    return { vetoes: trade.vetoes.length, needed, vetoed: false };
+  }
+  
+  /**
+   * End a trade's review early: the commissioner approves it, or the period simply ran out
+   * @param {Object} trade - Trade in review
+   * @param {String|null} decidedBy - Commissioner who approved it, if any
+   * @returns {String|null} - Why the trade couldn't go through, or null if it did
+   */
+  async complete(trade, decidedBy = null, now = new Date()) {
+    const leagueDoc = await League.findOne({ id: trade.leagueId });
+    
+    // Rosters that locked for the playoffs during the review stay as they are; a trade
+    // deadline that passed during the review doesn't stop a trade accepted before it
+    const locked = leagueDoc && isRosterLocked(leagueDoc, normalizeTransactionSettings(leagueDoc.transactionSettings));
+    const failure = locked ? ROSTER_LOCK_MESSAGE : this.checkTrade(trade, leagueDoc);
+    const update = failure
+      ? { status: 'failed', reason: failure, decidedBy, completedAt: now }
+      : { status: 'accepted', decidedBy, completedAt: now };
+    if (!(await this.endReview(trade, update))) {
+      return 'The trade is no longer in review';
+    }
+    
+    if (failure) {
+      await this.notifyTeams(trade, leagueDoc, 'The trade didn\'t go through', failure);
+      return failure;
+    }
+    
+    await this.execute(trade, leagueDoc, now);
+    return null;
+  }
+  
+  /**
+   * Claim a trade's way out of review and apply the same change to the copy in hand
+   * @returns {Boolean} - Whether the claim won; false if the trade already left review
+   */
+  async endReview(trade, update) {
+    if (!(await Trade.endReview(trade.id, update))) return false;
+    trade.set(update);
+    return true;
+  }
+  
+  /**
+   * Stop a trade in review from going through
+   * @param {String|null} decidedBy - Commissioner who reversed it, or null for a league vote
+   * @returns {Boolean} - Whether it was vetoed; false if the trade already left review
+   */
+  async veto(trade, leagueDoc, decidedBy, reason, now = new Date()) {
+    if (!(await this.endReview(trade, { status: 'vetoed', decidedBy, reason, completedAt: now }))) {
+      return false;
+    }
+    // Keeps the vote that decided it
+    await trade.save();
+    
+    await this.notifyTeams(trade, leagueDoc, 'Your trade was vetoed', reason);
+    return true;
+  }
+  
+  /**
+   * Move the traded players and picks to their new teams and cut the dropped players
+   */
+  async execute(trade, leagueDoc, now = new Date()) {
+    const leagueId = trade.leagueId;
+    const teams = new Map(trade.getTeamIds().map(teamId => [teamId, this.teamService.getTeamById(teamId)]));
+    const assets = trade.getAssets();
+    
+    // Once the week locks its lineups are frozen before anything moves
+    await LineupSnapshot.freezeIfWeekLocked(leagueId, now);
+    
+    // Everyone leaves first, then joins their new team in the first slot that fits
+    const template = normalizeRosterTemplate(leagueDoc && leagueDoc.rosterTemplate);
+    const moves = assets
+      .filter(asset => asset.type !== 'pick')
+      .map(asset => ({
+        from: teams.get(asset.fromTeamId),
+        to: teams.get(asset.toTeamId),
+        playerId: asset.playerId,
+        player: this.playerService.getPlayerById(asset.playerId)
+      }));
+    
+    for (const move of moves) {
+      move.from.removePlayer(move.playerId);
+    }
+    for (const drop of trade.drops) {
+      teams.get(drop.teamId).removePlayer(drop.playerId);
+    }
+    for (const move of moves) {
+      const slot = findOpenSlot(move.to.players, move.player, template);
+      move.to.addPlayer(move.player, slot, template);
+    }
+    
+    // Traded players now belong to their new teams in the league; dropped ones go on waivers
+    if (leagueId && moves.length > 0) {
+      await Player.bulkWrite(moves.map(({ playerId, to }) => ({
+        updateOne: { filter: { id: playerId }, update: { $set: { [`owners.${leagueId}`]: to.id } } }
+      })));
+    }
+    for (const drop of trade.drops) {
+      await Player.releaseFromTeam(drop.playerId, leagueId, drop.teamId);
+      if (this.waiverService) {
+        await this.waiverService.placeOnWaivers(drop.playerId, leagueId, now);
+      }
+    }
+    
+    const picks = assets.filter(asset => asset.type === 'pick');
+    if (leagueDoc && picks.length > 0) {
+      let tradedPicks = leagueDoc.tradedPicks;
+      for (const pick of picks) {
+        tradedPicks = transferPick(tradedPicks, pick, pick.toTeamId);
+      }
+      leagueDoc.tradedPicks = tradedPicks;
+      await leagueDoc.save();
+    }
+    
+    for (const team of teams.values()) {
+      await FantasyTeam.updateOne({ id: team.id }, { $set: { players: team.toRosterData() } });
+    }
+    await LineupSnapshot.syncIfWeekLocked(leagueId, [...teams.keys()], now);
+    
+    trade.status = 'accepted';
+    trade.completedAt = now;
+    await trade.save();
+    
+    for (const team of teams.values()) {
+      await Transaction.record({
+        leagueId,
+        type: 'trade',
+        teamId: team.id,
+        userId: team.id === trade.proposingTeamId ? trade.createdBy : team.userId || null,
+        added: moves.filter(move => move.to === team).map(move => move.playerId),
+        dropped: [
+          ...moves.filter(move => move.from === team).map(move => move.playerId),
+          ...trade.drops.filter(drop => drop.teamId === team.id).map(drop => drop.playerId)
+        ],
+        referenceId: trade.id,
+        season: leagueDoc ? leagueDoc.season : null,
+        week: leagueDoc ? leagueDoc.currentWeek : null
+      });
+    }
+    
+    if (trade.reviewMode && trade.reviewMode !== 'none') {
+      await this.notifyTeams(trade, leagueDoc, 'Your trade went through', 'The review period is over and the players have moved.');
+    }
+    
+    console.log(`Trade ${trade.id} executed between ${[...teams.keys()].join(', ')}`);
+  }
+  
+  /**
+   * Let every manager in a trade know what happened to it
+   */
+  async notifyTeams(trade, leagueDoc, title, message) {
+    const teams = await FantasyTeam.find({ id: { $in: trade.getTeamIds() } }, 'userId');
+    await Notification.notifyUsers(teams.map(team => team.userId), {
+      leagueId: trade.leagueId,
+      type: 'tradeResult',
+      title,
+      message: message || '',
+      link: leagueDoc ? `/leagues/${leagueDoc.id}` : null
+    });
+  }
+}
+
+TradeService.REVIEW_MODES = REVIEW_MODES;
+TradeService.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+module.exports = TradeService;
@@ -0,0 +1,317 @@
+// services/WaiverService.js
+const os = require('os');
+const { League, FantasyTeam, Player, WaiverClaim, Transaction, Notification, JobLock, LineupSnapshot } = require('../models');
+const { normalizeRosterTemplate, findOpenSlot } = require('../helpers/rosterTemplate');
+const { normalizeTransactionSettings, getAddRestriction } = require('../helpers/transactionLimits');
+
+const LOCK_NAME = 'waivers';
+const DEFAULT_SETTINGS = { mode: 'rolling', periodHours: 48, faabBudget: 100 };
+
+/**
+ * Runs each league's waiver wire: players who were dropped or whose pro match started
+ * stay on waivers for the league's waiver period, and claims on them are settled once
+ * they clear, by FAAB bid or by waiver priority. Every move goes into the league's
+ * transaction log.
+ */
+class WaiverService {
+  constructor(teamService, playerService, checkInterval = 5 * 60 * 1000) { // Default 5 minutes
+    this.teamService = teamService;
+    this.playerService = playerService;
+    this.checkInterval = checkInterval;
+    this.owner = `${os.hostname()}:${process.pid}:${Date.now()}`;
+    this.timerId = null;
+    this.isChecking = false;
+  }
+  
+  /**
+   * Start processing waivers
+   */
+  start() {
+    if (this.timerId) {
+      return false;
+    }
+    
+    console.log(`Processing waivers every ${this.checkInterval / 1000} seconds`);
+    this.check();
+    this.timerId = setInterval(() => this.check(), this.checkInterval);
+    return true;
+  }
+  
+  /**
+   * Stop processing waivers
+   */
+  stop() {
+    if (!this.timerId) {
+      return false;
+    }
+    
+    clearInterval(this.timerId);
+    this.timerId = null;
+    return true;
+  }
+  
+  /**
+   * Settle the claims on every player that has cleared waivers
+   */
+  async check(now = new Date()) {
+    if (this.isChecking) return;
+    this.isChecking = true;
+    
+    try {
+      // Only one process settles claims at a time
+      if (!(await JobLock.acquire(LOCK_NAME, this.owner, 5 * 60 * 1000))) {
+        return;
+      }
+      
+      try {
+        const leagueIds = await WaiverClaim.distinct('leagueId', { status: 'pending' });
+        for (const leagueId of leagueIds) {
+          try {
+            await this.processLeague(leagueId, now);
+          } catch (error) {
+            console.error(`Error processing waivers for league ${leagueId}:`, error);
+          }
+        }
+      } finally {
+        await JobLock.release(LOCK_NAME, this.owner);
+      }
+    } catch (error) {
+      console.error('Error processing waivers:', error);
+    } finally {
+      this.isChecking = false;
+    }
+  }
+  
+  /**
+   * Settle one league's claims on players that are off waivers
+   * @param {String} leagueId - League to process
+   * @param {Date} now - Current time
+   */
+  async processLeague(leagueId, now) {
+    const leagueDoc = await League.findOne({ id: leagueId });
+    if (!leagueDoc) return;
+    
+    const settings = this.getSettings(leagueDoc);
+    const claims = await WaiverClaim.find({ leagueId, status: 'pending' }).sort({ createdAt: 1 });
+    const players = await Player.find({ id: { $in: [...new Set(claims.map(claim => claim.playerId))] } });
+    const playersById = new Map(players.map(player => [player.id, player]));
+    
+    // Claims on players still on waivers wait for a later run
+    let ready = claims.filter(claim => {
+      const player = playersById.get(claim.playerId);
+      return !player || !player.getWaiverClearTime(leagueId, settings.periodHours, now);
+    });
+    if (ready.length === 0) return;
+    
+    // Claims that go through mid-week only change the week's lineup in slots that haven't locked
+    await LineupSnapshot.freezeIfWeekLocked(leagueId, now);
+    
+    const teams = await FantasyTeam.find({ leagueId }, 'id name');
+    const teamNames = new Map(teams.map(team => [team.id, team.name]));
+    const order = this.getPriorityOrder(leagueDoc, teams.map(team => team.id));
+    const rank = teamId => (order.includes(teamId) ? order.indexOf(teamId) : order.length);
+    
+    while (ready.length > 0) {
+      // Highest bid first in FAAB leagues, then waiver priority, then the earliest claim
+      ready.sort((a, b) =>
+        (settings.mode === 'faab' ? b.bid - a.bid : 0) ||
+        rank(a.teamId) - rank(b.teamId) ||
+        a.createdAt - b.createdAt
+      );
+      const claim = ready.shift();
+      
+      const failure = await this.executeClaim(leagueDoc, claim, settings, now);
+      if (failure) {
+        await this.settleClaim(leagueDoc, claim, 'failed', failure, now);
+        continue;
+      }
+      
+      await this.settleClaim(leagueDoc, claim, 'won', null, now);
+      
+      // The winner goes to the back of the rolling order
+      if (settings.mode !== 'reverseStandings') {
+        order.splice(order.indexOf(claim.teamId), 1);
+        order.push(claim.teamId);
+      }
+      
+      const winnerName = teamNames.get(claim.teamId) || 'Another team';
+      for (const other of ready.filter(pending => pending.playerId === claim.playerId)) {
+        await this.settleClaim(leagueDoc, other, 'lost', `${winnerName} won the claim`, now);
+      }
+      ready = ready.filter(pending => pending.playerId !== claim.playerId);
+    }
+    
+    if (settings.mode !== 'reverseStandings') {
+      leagueDoc.waiverPriority = order;
+    }
+    await leagueDoc.save();
+  }
+  
+  /**
+   * Move a winning claim's players between the roster and the free-agent pool
+   * @returns {String|null} - Why the claim failed, or null if it went through
+   */
+  async executeClaim(leagueDoc, claim, settings, now) {
+    const team = this.teamService.getTeamById(claim.teamId);
+    if (!team || team.leagueId !== leagueDoc.id) return 'The team is no longer in this league';
+    
+    const player = this.playerService.getPlayerById(claim.playerId);
+    if (!player) return 'Player not found';
+    if (team.hasPlayer(player.id)) return 'Player is already on your roster';
+    
+    if (claim.dropPlayerId && !team.hasPlayer(claim.dropPlayerId)) {
+      return 'The player to drop is no longer on your roster';
+    }
+    
+    if (settings.mode === 'faab' && claim.bid > this.getFaabBalance(leagueDoc, team.id)) {
+      return 'Not enough FAAB left for this bid';
+    }
+    
+    const restriction = await this.getAddRestriction(leagueDoc, team.id);
+    if (restriction) return restriction;
+    
+    // The slot the claimed player takes once the dropped player (if any) is gone
+    const template = normalizeRosterTemplate(leagueDoc.rosterTemplate);
+    const slot = findOpenSlot(team.players, player, template, claim.dropPlayerId);
+    if (!slot) return 'No roster spot for this player';
+    
+    if (!(await Player.claimForTeam(player.id, leagueDoc.id, team.id))) {
+      return 'Player is already on another team in this league';
+    }
+    
+    if (claim.dropPlayerId) {
+      team.removePlayer(claim.dropPlayerId);
+      await Player.releaseFromTeam(claim.dropPlayerId, leagueDoc.id, team.id);
+      await Player.putOnWaivers(claim.dropPlayerId, leagueDoc.id, this.getClearTime(settings, now));
+    }
+    
+    team.addPlayer(player, slot, template);
+    await FantasyTeam.updateOne({ id: team.id }, { $set: { players: team.toRosterData() } });
+    await LineupSnapshot.syncIfWeekLocked(leagueDoc.id, [team.id], now);
+    
+    if (settings.mode === 'faab') {
+      leagueDoc.faabBalances.set(team.id, this.getFaabBalance(leagueDoc, team.id) - claim.bid);
+    }
+    
+    await Transaction.record({
+      leagueId: leagueDoc.id,
+      type: 'waiver',
+      teamId: team.id,
+      userId: claim.userId,
+      added: [player.id],
+      dropped: claim.dropPlayerId ? [claim.dropPlayerId] : [],
+      bid: settings.mode === 'faab' ? claim.bid : null,
+      referenceId: claim.id,
+      season: leagueDoc.season,
+      week: leagueDoc.currentWeek
+    });
+    
+    return null;
+  }
+  
+  /**
+   * Record a claim's outcome and let the manager know
+   */
+  async settleClaim(leagueDoc, claim, status, reason, now) {
+    claim.status = status;
+    claim.reason = reason;
+    claim.processedAt = now;
+    await claim.save();
+    
+    const player = this.playerService.getPlayerById(claim.playerId);
+    const playerName = player ? player.name : 'a player';
+    await Notification.notifyUsers([claim.userId], {
+      leagueId: leagueDoc.id,
+      type: 'waiverResult',
+      title: status === 'won' ? `You claimed ${playerName}` : `Your claim for ${playerName} didn't go through`,
+      message: reason || `${playerName} has joined your roster in ${leagueDoc.name}.`,
+      link: `/teams/${claim.teamId}`
+    });
+  }
+  
+  /**
+   * Why a team can't pick up a player right now: its league has locked rosters for the
+   * playoffs, or the team has used up its adds for the week or the season
+   * @param {Object} leagueDoc - The team's league
+   * @param {String} teamId - Team making the pickup
+   * @returns {Promise<String|null>} - The reason, or null if the pickup is allowed
+   */
+  async getAddRestriction(leagueDoc, teamId) {
+    const settings = normalizeTransactionSettings(leagueDoc.transactionSettings);
+    return getAddRestriction(leagueDoc, settings, await Transaction.countAdds(leagueDoc, teamId));
+  }
+  
+  /**
+   * A league's waiver settings with defaults filled in
+   */
+  getSettings(leagueDoc) {
+    const settings = leagueDoc.waiverSettings || {};
+    return {
+      mode: settings.mode || DEFAULT_SETTINGS.mode,
+      periodHours: settings.periodHours ?? DEFAULT_SETTINGS.periodHours,
+      faabBudget: settings.faabBudget ?? DEFAULT_SETTINGS.faabBudget
+    };
+  }
+  
+  /**
+   * Waiver order for a league's teams, first claim first
+   * @param {Object} leagueDoc - League document
+   * @param {Array} teamIds - Every team in the league
+   */
+  getPriorityOrder(leagueDoc, teamIds) {
+    if (this.getSettings(leagueDoc).mode === 'reverseStandings') {
+      // Worst record first; fewer points breaks ties
+      const standings = new Map((leagueDoc.standings || []).map(standing => [standing.teamId, standing]));
+      const record = teamId => standings.get(teamId) || { wins: 0, points: 0 };
+      return [...teamIds].sort((a, b) =>
+        record(a).wins - record(b).wins || record(a).points - record(b).points
+      );
+    }
+    
+    const order = (leagueDoc.waiverPriority || []).filter(teamId => teamIds.includes(teamId));
+    for (const teamId of teamIds) {
+      if (!order.includes(teamId)) order.push(teamId);
+    }
+    return order;
+  }
+  
+  getFaabBalance(leagueDoc, teamId) {
+    const balance = leagueDoc.faabBalances?.get(teamId);
+    return balance ?? this.getSettings(leagueDoc).faabBudget;
+  }
+  
+  getClearTime(settings, now = new Date()) {
+    return new Date(now.getTime() + settings.periodHours * 60 * 60 * 1000);
+  }
+  
+  /**
+   * When a player comes off waivers in a league
+   * @returns {Date|null} - Clear time, or null if they can be added right away
+   */
+  async getWaiverClearTime(playerId, leagueId, now = new Date()) {
+    const [leagueDoc, player] = await Promise.all([
+      League.findOne({ id: leagueId }, 'waiverSettings'),
+      Player.findOne({ id: playerId }, 'id waiverClearsAt lastMatchAt')
+    ]);
+    if (!leagueDoc || !player) return null;
+    
+    return player.getWaiverClearTime(leagueId, this.getSettings(leagueDoc).periodHours, now);
+  }
+  
+  /**
+   * Put a player a team just dropped on waivers for the league's waiver period
+   */
+  async placeOnWaivers(playerId, leagueId, now = new Date()) {
+    const leagueDoc = await League.findOne({ id: leagueId }, 'waiverSettings');
+    if (!leagueDoc) return;
+    
+    const settings = this.getSettings(leagueDoc);
+    if (settings.periodHours > 0) {
+      await Player.putOnWaivers(playerId, leagueId, this.getClearTime(settings, now));
+    }
+  }
+}
+
+WaiverService.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+module.exports = WaiverService;
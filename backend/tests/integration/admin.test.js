@@ -0,0 +1,72 @@
+const request = require('supertest');
+const { League, JobLock } = require('../../models');
+const { createTestUser, createTestAdmin } = require('../testUtils');
+
+// Get express app
+let app;
+
+beforeAll(() => {
+  // Import the app after the MongoDB connection is established
+  app = require('../../server');
+});
+
+describe('Admin API', () => {
+  let userToken;
+  let adminToken;
+
+  beforeEach(async () => {
+    const user = await createTestUser();
+    const admin = await createTestAdmin();
+
+    userToken = user.token;
+    adminToken = admin.token;
+  });
+
+  describe('GET /api/admin/stats-updater/status', () => {
+    it('should return the last run for each league', async () => {
+      await League.create({
+        id: 'stats_league',
+        name: 'Stats League',
+        creatorId: 'someone',
+        statsUpdate: { lastRunAt: new Date(), outcome: 'partial', playersUpdated: 8, playersFailed: 2 }
+      });
+
+      const response = await request(app)
+        .get('/api/admin/stats-updater/status')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('running');
+      expect(response.body.lock).toBeNull();
+
+      const league = response.body.leagues.find(l => l.leagueId === 'stats_league');
+      expect(league.outcome).toBe('partial');
+      expect(league.playersUpdated).toBe(8);
+    });
+
+    it('should return 403 if user is not admin', async () => {
+      await request(app)
+        .get('/api/admin/stats-updater/status')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/admin/stats-updater/run', () => {
+    it('should return 409 while another process holds the update lock', async () => {
+      await JobLock.create({
+        name: 'statsUpdater',
+        owner: 'other-host:1234:0',
+        lockedAt: new Date(),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+      });
+
+      const response = await request(app)
+        .post('/api/admin/stats-updater/run')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+
+      expect(response.body).toHaveProperty('message');
+    });
+  });
+});
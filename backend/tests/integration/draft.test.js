@@ -1,6 +1,12 @@
 const request = require('supertest');
 const mongoose = require('mongoose');
-const { League, FantasyTeam, Player } = require('../../models');
+const os = require('os');
+const path = require('path');
+const { League, FantasyTeam, Player, Notification } = require('../../models');
+const jwt = require('jsonwebtoken');
+const { DraftRoom, DraftRoomManager } = require('../../draftRoom');
+const DraftResultService = require('../../services/DraftResultService');
+const DraftSchedulerService = require('../../services/DraftSchedulerService');
 const { createTestUser } = require('../testUtils');
 
 // Get express app
@@ -256,4 +262,390 @@ describe('Draft API', () => {
       expect(response.body).toHaveProperty('message');
     });
   });
+
+  describe('Draft room authorization', () => {
+    let draftRooms;
+    let owner;
+    let outsider;
+
+    const signToken = user => jwt.sign({ id: user.id }, process.env.JWT_SECRET || 'your_jwt_secret');
+
+    beforeEach(async () => {
+      draftRooms = new DraftRoomManager(null, { dataDir: path.join(os.tmpdir(), 'draft-room-tests') });
+
+      owner = (await createTestUser({ id: 'owner_id', username: 'owner', email: 'owner@example.com' })).user;
+      outsider = (await createTestUser({ id: 'outsider_id', username: 'outsider', email: 'outsider@example.com' })).user;
+
+      await League.create({ id: 'room_league', name: 'Room League', creatorId: owner.id, memberIds: [owner.id] });
+      await FantasyTeam.create({ id: 'room_team', name: 'Owner Team', owner: 'owner', userId: owner.id, leagueId: 'room_league' });
+    });
+
+    it('should place team owners in their league\'s room', async () => {
+      const { user, room } = await draftRooms.authorize('room_league', signToken(owner));
+
+      expect(room.leagueId).toBe('room_league');
+      expect(user.teamId).toBe('room_team');
+      expect(user.isCommissioner).toBe(true);
+      expect(draftRooms.getRoom('room_league')).toBe(room);
+    });
+
+    it('should start drafts from the room in the league\'s draft order', async () => {
+      const leagueId = `order_league_${Date.now()}`;
+      await League.create({ id: leagueId, name: 'Order League', creatorId: owner.id, draftOrder: ['rival_team', 'owner_team'] });
+      await FantasyTeam.create({ id: 'owner_team', name: 'Owner Team', owner: 'owner', userId: owner.id, leagueId });
+
+      const { user, room } = await draftRooms.authorize(leagueId, signToken(owner));
+      const ws = { readyState: 1, send: jest.fn(), on: jest.fn() };
+      room.handleJoin(ws, user);
+      room.handleJoin(ws, { username: 'rival', userId: 'rival_id', teamId: 'rival_team', isCommissioner: false });
+      room.handleStartDraft(ws, user, {});
+      room.clearPickClock();
+
+      expect(room.draftState.draftOrder).toEqual(['rival', 'owner']);
+    });
+
+    it('should reject users who are not in the league', async () => {
+      await expect(draftRooms.authorize('room_league', signToken(outsider)))
+        .rejects.toMatchObject({ status: 403 });
+    });
+
+    it('should reject connections without a valid token', async () => {
+      await expect(draftRooms.authorize('room_league', 'not-a-token'))
+        .rejects.toMatchObject({ status: 401 });
+    });
+  });
+
+  describe('Saving completed drafts', () => {
+    const draftResultService = new DraftResultService();
+
+    const faker = { id: 'result_mid', name: 'Faker', team: 'T1', position: 'MID' };
+    const zeus = { id: 'result_top', name: 'Zeus', team: 'T1', position: 'TOP' };
+
+    const completedDraft = () => ({
+      draftMode: 'timed',
+      draftOrder: ['alice', 'bob'],
+      teams: {
+        alice: { name: 'alice', userId: 'alice_id', teamId: 'alice_team', players: { MID: faker, BENCH: [] } },
+        bob: { name: 'bob', userId: 'bob_id', teamId: 'bob_team', players: { TOP: zeus, BENCH: [] } }
+      },
+      draftHistory: [
+        { round: 1, pick: 1, user: 'alice', player: faker, position: 'MID' },
+        { round: 1, pick: 2, user: 'bob', player: zeus, position: 'TOP' }
+      ]
+    });
+
+    beforeEach(async () => {
+      await League.create({ id: 'results_league', name: 'Results League', creatorId: 'alice_id' });
+      await FantasyTeam.create({ id: 'alice_team', name: 'Alice Team', owner: 'alice', userId: 'alice_id', leagueId: 'results_league' });
+      await Player.create({ ...faker, region: 'LCK' });
+      await Player.create({ ...zeus, region: 'LCK' });
+    });
+
+    it('should write rosters, player owners and pick history to the league', async () => {
+      await FantasyTeam.create({ id: 'bob_team', name: 'Bob Team', owner: 'bob', userId: 'bob_id', leagueId: 'results_league' });
+
+      const result = await draftResultService.saveDraftResults('results_league', completedDraft());
+      expect(result.teams).toBe(2);
+      expect(result.picks).toBe(2);
+
+      const aliceTeam = await FantasyTeam.findOne({ id: 'alice_team' });
+      expect(aliceTeam.players.MID.playerId).toBe('result_mid');
+
+      const zeusDoc = await Player.findOne({ id: 'result_top' });
+      expect(zeusDoc.getOwner('results_league')).toBe('bob_team');
+
+      const league = await League.findOne({ id: 'results_league' });
+      expect(league.draftResults.picks).toHaveLength(2);
+      expect(league.draftResults.picks[1].teamId).toBe('bob_team');
+    });
+
+    it('should not write anything if a participant has no team in the league', async () => {
+      await expect(draftResultService.saveDraftResults('results_league', completedDraft()))
+        .rejects.toThrow('No team in league results_league for bob');
+
+      const aliceTeam = await FantasyTeam.findOne({ id: 'alice_team' });
+      expect(aliceTeam.players.MID.playerId).toBeNull();
+
+      const fakerDoc = await Player.findOne({ id: 'result_mid' });
+      expect(fakerDoc.getOwner('results_league')).toBeNull();
+
+      const league = await League.findOne({ id: 'results_league' });
+      expect(league.draftResults).toBeNull();
+    });
+
+    it('should finish a save that was cut off part-way', async () => {
+      await FantasyTeam.create({ id: 'bob_team', name: 'Bob Team', owner: 'bob', userId: 'bob_id', leagueId: 'results_league' });
+
+      // Rosters are written, then the player owners fail
+      const bulkWrite = jest.spyOn(Player, 'bulkWrite').mockRejectedValueOnce(new Error('Connection lost'));
+      await expect(draftResultService.saveDraftResults('results_league', completedDraft()))
+        .rejects.toThrow('Connection lost');
+      bulkWrite.mockRestore();
+
+      let league = await League.findOne({ id: 'results_league' });
+      expect(league.draftResults).toBeNull();
+      expect(league.pendingDraftCommit.rosters).toHaveLength(2);
+      expect((await Player.findOne({ id: 'result_top' })).getOwner('results_league')).toBeNull();
+
+      // As on the next startup
+      expect(await draftResultService.reconcilePendingDrafts()).toBe(1);
+
+      league = await League.findOne({ id: 'results_league' });
+      expect(league.pendingDraftCommit).toBeNull();
+      expect(league.draftResults.picks).toHaveLength(2);
+      expect((await FantasyTeam.findOne({ id: 'bob_team' })).players.TOP.playerId).toBe('result_top');
+      expect((await Player.findOne({ id: 'result_top' })).getOwner('results_league')).toBe('bob_team');
+    });
+  });
+
+  describe('Pick clock', () => {
+    const commissioner = { username: 'alice', userId: 'alice_id', teamId: 'alice_team', isCommissioner: true };
+    const member = { username: 'bob', userId: 'bob_id', teamId: 'bob_team', isCommissioner: false };
+    const ws = { readyState: 1, send: jest.fn(), on: jest.fn() };
+    const poolPlayer = (id, position, average) => ({
+      id, name: id, position, team: 'T1', region: 'LCK', getAverageFantasyPoints: () => average
+    });
+    let room;
+
+    beforeEach(() => {
+      room = new DraftRoom(`clock_${Date.now()}`, path.join(os.tmpdir(), 'draft-room-tests'), {
+        pickTimeLimit: 30,
+        getPlayerPool: async () => [poolPlayer('low_mid', 'MID', 2), poolPlayer('high_top', 'TOP', 9)]
+      });
+      room.handleJoin(ws, commissioner);
+      room.handleJoin(ws, member);
+      room.handleStartDraft(ws, commissioner, {});
+    });
+
+    afterEach(() => {
+      room.clearPickClock();
+    });
+
+    it('should put the first pick on the server clock', () => {
+      const { pickClock } = room.getDraftState();
+      expect(pickClock.paused).toBe(false);
+      expect(pickClock.remainingMs).toBeGreaterThan(25000);
+      expect(pickClock.remainingMs).toBeLessThanOrEqual(30000);
+    });
+
+    it('should autopick the best available player when time runs out', async () => {
+      await room.autoPick();
+
+      const [pick] = room.draftState.draftHistory;
+      expect(pick.player.id).toBe('high_top');
+      expect(pick.autoPicked).toBe(true);
+      expect(room.draftState.pickClock.paused).toBe(false);
+    });
+
+    it('should only let the commissioner pause and resume the clock', () => {
+      room.handlePauseDraft(ws, member);
+      expect(room.draftState.pickClock.paused).toBe(false);
+
+      room.handlePauseDraft(ws, commissioner);
+      expect(room.draftState.pickClock.paused).toBe(true);
+
+      room.handleResumeDraft(ws, commissioner);
+      expect(room.draftState.pickClock.paused).toBe(false);
+    });
+  });
+
+  describe('Pick queue', () => {
+    const alice = { username: 'alice', userId: 'alice_id', teamId: 'alice_team', isCommissioner: true };
+    const bob = { username: 'bob', userId: 'bob_id', teamId: 'bob_team', isCommissioner: false };
+    const ws = { readyState: 1, send: jest.fn(), on: jest.fn() };
+    const faker = { id: 'queue_mid', name: 'Faker', position: 'MID', team: 'T1' };
+    const zeus = { id: 'queue_top', name: 'Zeus', position: 'TOP', team: 'T1' };
+    let room;
+
+    beforeEach(() => {
+      room = new DraftRoom(`queue_${Date.now()}`, path.join(os.tmpdir(), 'draft-room-tests'), {
+        getPlayerPool: async () => []
+      });
+      room.handleJoin(ws, alice);
+      room.handleJoin(ws, bob);
+    });
+
+    afterEach(() => {
+      room.clearPickClock();
+    });
+
+    it('should keep queues private and in the order the manager sets', () => {
+      room.handleQueueAdd(ws, alice, { player: faker });
+      room.handleQueueAdd(ws, alice, { player: zeus });
+      room.handleQueueReorder(ws, alice, { playerIds: ['queue_top', 'queue_mid'] });
+
+      expect(room.draftState.queues.alice.map(player => player.id)).toEqual(['queue_top', 'queue_mid']);
+      expect(room.getDraftState()).not.toHaveProperty('queues');
+    });
+
+    it('should remove drafted players from every queue and autopick from the queue', async () => {
+      room.handleQueueAdd(ws, alice, { player: faker });
+      room.handleQueueAdd(ws, bob, { player: faker });
+      room.handleQueueAdd(ws, bob, { player: zeus });
+      room.handleStartDraft(ws, alice, { mode: 'untimed' });
+      room.draftState.draftOrder = ['alice', 'bob'];
+
+      room.handleDraftPlayer(ws, alice, { player: faker });
+
+      expect(room.draftState.queues.alice).toHaveLength(0);
+      expect(room.draftState.queues.bob.map(player => player.id)).toEqual(['queue_top']);
+
+      await room.autoPick();
+      expect(room.draftState.draftHistory[1].user).toBe('bob');
+      expect(room.draftState.draftHistory[1].player.id).toBe('queue_top');
+    });
+  });
+
+  describe('Auction draft', () => {
+    const alice = { username: 'alice', userId: 'alice_id', teamId: 'alice_team', isCommissioner: true };
+    const bob = { username: 'bob', userId: 'bob_id', teamId: 'bob_team', isCommissioner: false };
+    const ws = { readyState: 1, send: jest.fn(), on: jest.fn() };
+    const faker = { id: 'auction_mid', name: 'Faker', position: 'MID', team: 'T1' };
+    let room;
+
+    beforeEach(() => {
+      room = new DraftRoom(`auction_${Date.now()}`, path.join(os.tmpdir(), 'draft-room-tests'));
+      room.handleJoin(ws, alice);
+      room.handleJoin(ws, bob);
+      room.handleStartDraft(ws, alice, { draftType: 'auction', budget: 20, mode: 'untimed' });
+      room.draftState.draftOrder = ['alice', 'bob'];
+    });
+
+    afterEach(() => {
+      room.clearPickClock();
+    });
+
+    it('should give the player to the high bidder and charge their bid', () => {
+      room.handleNominate(ws, alice, { player: faker, amount: 2 });
+      room.handleBid(ws, bob, { amount: 5 });
+      room.closeBidding();
+
+      const [pick] = room.draftState.draftHistory;
+      expect(pick.user).toBe('bob');
+      expect(pick.price).toBe(5);
+      expect(room.draftState.auction.budgets).toEqual({ alice: 20, bob: 15 });
+      expect(room.draftState.teams.bob.players.MID.id).toBe('auction_mid');
+      expect(room.draftState.draftOrder[room.draftState.currentPickIndex]).toBe('bob');
+    });
+
+    it('should keep enough budget to fill the rest of the roster', () => {
+      room.handleNominate(ws, alice, { player: faker, amount: 1 });
+      room.handleBid(ws, bob, { amount: 16 });
+
+      // $20 budget with five more spots to fill after this one leaves a $15 maximum
+      expect(room.draftState.auction.nomination.highBidder).toBe('alice');
+      expect(room.getDraftState().auction.maxBids.bob).toBe(15);
+    });
+
+    it('should only let the manager whose turn it is nominate', () => {
+      room.handleNominate(ws, bob, { player: faker, amount: 1 });
+
+      expect(room.draftState.auction.nomination).toBeNull();
+    });
+  });
+
+  describe('Draft room state on disk', () => {
+    const ws = { readyState: 1, send: jest.fn(), on: jest.fn() };
+    let dataDir;
+
+    beforeEach(() => {
+      dataDir = path.join(os.tmpdir(), `draft-state-tests-${Date.now()}`);
+    });
+
+    it('should not bring a reset draft back after a restart', () => {
+      const room = new DraftRoom('state_league', dataDir);
+      room.handleJoin(ws, { username: 'alice', userId: 'alice_id', teamId: 'alice_team' });
+      room.draftState.draftStarted = true;
+      room.draftState.draftComplete = true;
+      room.saveDraftState();
+
+      room.resetDraft();
+
+      const restarted = new DraftRoom('state_league', dataDir);
+      expect(restarted.draftState.draftStarted).toBe(false);
+      expect(restarted.draftState.participants).toEqual([]);
+    });
+
+    it('should reopen rooms with a draft in progress when the server starts', () => {
+      const room = new DraftRoom('state_live', dataDir, { pickTimeLimit: 30 });
+      room.handleJoin(ws, { username: 'alice', userId: 'alice_id', teamId: 'alice_team' });
+      room.handleJoin(ws, { username: 'bob', userId: 'bob_id', teamId: 'bob_team' });
+      room.startDraft();
+      room.clearPickClock(); // The saved state still has the pick on the clock
+      const finished = new DraftRoom('state_done', dataDir);
+      finished.draftState.draftStarted = true;
+      finished.draftState.draftComplete = true;
+      finished.saveDraftState();
+
+      const draftRooms = new DraftRoomManager(null, { dataDir });
+      expect(draftRooms.restoreRooms()).toBe(1);
+
+      expect(draftRooms.getRoom('state_live').pickTimer).not.toBeNull();
+      expect(draftRooms.getDraftState('state_done')).toBeNull();
+      draftRooms.getRoom('state_live').clearPickClock();
+    });
+  });
+
+  describe('Scheduled drafts', () => {
+    let draftRooms;
+    let scheduler;
+
+    const scheduleDraft = (scheduledAt) => League.create({
+      id: 'scheduled_league',
+      name: 'Scheduled League',
+      creatorId: 'alice_id',
+      memberIds: ['alice_id', 'bob_id'],
+      draftSchedule: { scheduledAt, draftType: 'snake', draftOrder: ['bob_team', 'alice_team'] }
+    });
+
+    beforeEach(async () => {
+      // A fresh directory each time so no saved room state carries over between tests
+      draftRooms = new DraftRoomManager(null, { dataDir: path.join(os.tmpdir(), `draft-scheduler-tests-${Date.now()}`) });
+      scheduler = new DraftSchedulerService(draftRooms);
+
+      await createTestUser({ id: 'alice_id', username: 'alice', email: 'alice@example.com' });
+      await createTestUser({ id: 'bob_id', username: 'bob', email: 'bob@example.com' });
+      await FantasyTeam.create([
+        { id: 'alice_team', name: 'Alice Team', owner: 'alice', userId: 'alice_id', leagueId: 'scheduled_league' },
+        { id: 'bob_team', name: 'Bob Team', owner: 'bob', userId: 'bob_id', leagueId: 'scheduled_league' }
+      ]);
+    });
+
+    afterEach(() => {
+      draftRooms.getRoom('scheduled_league').clearPickClock();
+    });
+
+    it('should open the room with every team and remind members ahead of time', async () => {
+      await scheduleDraft(new Date(Date.now() + 5 * 60 * 1000));
+
+      await scheduler.check();
+
+      const draftState = draftRooms.getDraftState('scheduled_league');
+      expect(draftState.participants.sort()).toEqual(['alice', 'bob']);
+      expect(draftState.draftStarted).toBe(false);
+      expect(draftState.scheduledDraft.startsInMs).toBeGreaterThan(0);
+
+      const league = await League.findOne({ id: 'scheduled_league' });
+      expect(league.draftSchedule.status).toBe('open');
+      expect(league.draftSchedule.remindersSent).toEqual([10]);
+      expect(await Notification.countDocuments({ leagueId: 'scheduled_league', type: 'draftReminder' })).toBe(2);
+
+      // Checking again doesn't send the same reminder twice
+      await scheduler.check();
+      expect(await Notification.countDocuments({ leagueId: 'scheduled_league', type: 'draftReminder' })).toBe(2);
+    });
+
+    it('should start the draft in the scheduled order when the time comes', async () => {
+      await scheduleDraft(new Date(Date.now() - 1000));
+
+      await scheduler.check();
+
+      const draftState = draftRooms.getDraftState('scheduled_league');
+      expect(draftState.draftStarted).toBe(true);
+      expect(draftState.draftOrder).toEqual(['bob', 'alice']);
+
+      const league = await League.findOne({ id: 'scheduled_league' });
+      expect(league.draftSchedule.status).toBe('started');
+    });
+  });
 });
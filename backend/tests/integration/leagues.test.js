@@ -1,6 +1,8 @@
 const request = require('supertest');
 const mongoose = require('mongoose');
-const { League, FantasyTeam } = require('../../models');
+const { League, FantasyTeam, Player, Notification, WaiverClaim, Transaction, LeagueSeason } = require('../../models');
+const core = require('../../fantasy-core');
+const WaiverService = require('../../services/WaiverService');
 const { createTestUser, createTestAdmin } = require('../testUtils');
 
 // Get express app
@@ -294,4 +296,1261 @@ describe('Leagues API', () => {
       expect(response.body).toHaveProperty('message');
     });
   });
+
+  describe('PUT /api/leagues/:id/scoring', () => {
+    let scoringLeagueId;
+
+    beforeEach(async () => {
+      const league = new League({
+        name: 'Scoring League',
+        creatorId: userId,
+        memberIds: [userId]
+      });
+      await league.save();
+      scoringLeagueId = league.id;
+    });
+
+    it('should update scoring rules for the commissioner', async () => {
+      const scoringRules = {
+        statWeights: { kills: 4, deaths: -2 },
+        positionMultipliers: { SUPPORT: 1.5 },
+        bonuses: [
+          { stat: 'kills', min: 10, points: 2, label: '10+ kills' },
+          { stat: 'deaths', max: 0, points: 3, label: 'Deathless game' }
+        ]
+      };
+
+      const response = await request(app)
+        .put(`/api/leagues/${scoringLeagueId}/scoring`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ scoringRules })
+        .expect(200);
+
+      expect(response.body.scoringRules.statWeights.kills).toBe(4);
+      expect(response.body.scoringRules.statWeights.assists).toBe(1.5);
+      expect(response.body.scoringRules.positionMultipliers.SUPPORT).toBe(1.5);
+      expect(response.body.scoringRules.bonuses.length).toBe(2);
+
+      // Verify in database
+      const updatedLeague = await League.findOne({ id: scoringLeagueId });
+      expect(updatedLeague.scoringRules.statWeights.kills).toBe(4);
+      expect(updatedLeague.scoringRules.bonuses[1].max).toBe(0);
+    });
+
+    it('should return 400 for invalid rules', async () => {
+      const response = await request(app)
+        .put(`/api/leagues/${scoringLeagueId}/scoring`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ scoringRules: { statWeights: { pentakills: 10 } } })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('errors');
+    });
+
+    it('should return 403 if user is not the commissioner', async () => {
+      const otherUser = await createTestUser({ username: 'other', email: 'other@example.com' });
+
+      const response = await request(app)
+        .put(`/api/leagues/${scoringLeagueId}/scoring`)
+        .set('Authorization', `Bearer ${otherUser.token}`)
+        .send({ scoringRules: { statWeights: { kills: 5 } } })
+        .expect(403);
+
+      expect(response.body).toHaveProperty('message');
+    });
+  });
+
+  describe('POST /api/leagues/:id/schedule-draft', () => {
+    let draftLeagueId;
+
+    beforeEach(async () => {
+      const league = new League({
+        name: 'Draft League',
+        creatorId: userId,
+        memberIds: [userId, 'member_2']
+      });
+      await league.save();
+      draftLeagueId = league.id;
+
+      await FantasyTeam.create([
+        { id: 'draft_team_1', name: 'Team One', owner: 'testuser', userId, leagueId: draftLeagueId },
+        { id: 'draft_team_2', name: 'Team Two', owner: 'member', userId: 'member_2', leagueId: draftLeagueId }
+      ]);
+    });
+
+    it('should save the schedule with every team in the draft order and notify members', async () => {
+      const draftDateTime = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
+
+      const response = await request(app)
+        .post(`/api/leagues/${draftLeagueId}/schedule-draft`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ draftDateTime, draftType: 'auction', auctionBudget: 150 })
+        .expect(200);
+
+      expect(response.body.draftSchedule.status).toBe('scheduled');
+      expect(response.body.draftSchedule.draftOrder.sort()).toEqual(['draft_team_1', 'draft_team_2']);
+
+      const updatedLeague = await League.findOne({ id: draftLeagueId });
+      expect(updatedLeague.draftSchedule.draftType).toBe('auction');
+      expect(updatedLeague.draftSchedule.auctionBudget).toBe(150);
+      expect(updatedLeague.draftSchedule.scheduledAt.getTime()).toBe(draftDateTime.getTime());
+
+      // The commissioner doesn't notify themselves
+      const notifications = await Notification.find({ leagueId: draftLeagueId });
+      expect(notifications.map(n => n.userId)).toEqual(['member_2']);
+    });
+
+    it('should return 400 for a time in the past', async () => {
+      await request(app)
+        .post(`/api/leagues/${draftLeagueId}/schedule-draft`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ draftDateTime: new Date(Date.now() - 60 * 1000), draftType: 'snake' })
+        .expect(400);
+    });
+
+    it('should return 400 if the draft order leaves out a team', async () => {
+      await request(app)
+        .post(`/api/leagues/${draftLeagueId}/schedule-draft`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ draftDateTime: new Date(Date.now() + 60 * 60 * 1000), draftOrder: ['draft_team_1'] })
+        .expect(400);
+    });
+
+    it('should return 403 if user is not the commissioner', async () => {
+      const otherUser = await createTestUser({ username: 'other', email: 'other@example.com' });
+
+      await request(app)
+        .post(`/api/leagues/${draftLeagueId}/schedule-draft`)
+        .set('Authorization', `Bearer ${otherUser.token}`)
+        .send({ draftDateTime: new Date(Date.now() + 60 * 60 * 1000) })
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/leagues/:id/free-agents', () => {
+    beforeEach(async () => {
+      await League.create([
+        { id: 'fa_league_a', name: 'League A', creatorId: userId },
+        { id: 'fa_league_b', name: 'League B', creatorId: userId }
+      ]);
+      await Player.create([
+        { id: 'fa_faker', name: 'Faker', position: 'MID', team: 'T1', region: 'LCK', fantasyPoints: 30 },
+        { id: 'fa_chovy', name: 'Chovy', position: 'MID', team: 'GEN', region: 'LCK', fantasyPoints: 25 },
+        { id: 'fa_zeus', name: 'Zeus', position: 'TOP', team: 'HLE', region: 'LCK', fantasyPoints: 20 }
+      ]);
+      await Player.claimForTeam('fa_faker', 'fa_league_a', 'team_a1');
+    });
+
+    it('should leave out players rostered in that league only', async () => {
+      const leagueA = await request(app).get('/api/leagues/fa_league_a/free-agents').expect(200);
+      expect(leagueA.body.map(p => p.id)).toEqual(['fa_chovy', 'fa_zeus']);
+
+      const leagueB = await request(app).get('/api/leagues/fa_league_b/free-agents').expect(200);
+      expect(leagueB.body.map(p => p.id)).toEqual(['fa_faker', 'fa_chovy', 'fa_zeus']);
+    });
+
+    it('should filter by position and search', async () => {
+      const byPosition = await request(app)
+        .get('/api/leagues/fa_league_b/free-agents?position=mid')
+        .expect(200);
+      expect(byPosition.body.map(p => p.id)).toEqual(['fa_faker', 'fa_chovy']);
+
+      const bySearch = await request(app)
+        .get('/api/leagues/fa_league_b/free-agents?search=gen')
+        .expect(200);
+      expect(bySearch.body.map(p => p.id)).toEqual(['fa_chovy']);
+    });
+
+    it('should not let a second team in the league claim a rostered player', async () => {
+      expect(await Player.claimForTeam('fa_faker', 'fa_league_a', 'team_a2')).toBe(false);
+      expect(await Player.claimForTeam('fa_faker', 'fa_league_b', 'team_b1')).toBe(true);
+
+      await Player.releaseFromTeam('fa_faker', 'fa_league_a', 'team_a1');
+      expect(await Player.claimForTeam('fa_faker', 'fa_league_a', 'team_a2')).toBe(true);
+    });
+
+    it('should return 404 if league is not found', async () => {
+      await request(app)
+        .get('/api/leagues/nonexistent_league/free-agents')
+        .expect(404);
+    });
+  });
+
+  describe('Waivers', () => {
+    let otherToken;
+    let coreTeams;
+    let corePlayers;
+    let waiverService;
+
+    beforeEach(async () => {
+      const other = await createTestUser({ username: 'otheruser', email: 'other@example.com' });
+      otherToken = other.token;
+      const otherId = other.user._id.toString();
+
+      await League.create({
+        id: 'wv_league',
+        name: 'Waiver League',
+        creatorId: userId,
+        waiverSettings: { mode: 'faab', periodHours: 24, faabBudget: 100 },
+        waiverPriority: ['wv_team_1', 'wv_team_2']
+      });
+      await FantasyTeam.create([
+        { id: 'wv_team_1', name: 'Team One', owner: 'testuser', userId, leagueId: 'wv_league' },
+        { id: 'wv_team_2', name: 'Team Two', owner: 'otheruser', userId: otherId, leagueId: 'wv_league' }
+      ]);
+      await Player.create([
+        { id: 'wv_faker', name: 'Faker', position: 'MID', team: 'T1', region: 'LCK' },
+        { id: 'wv_zeus', name: 'Zeus', position: 'TOP', team: 'HLE', region: 'LCK' }
+      ]);
+
+      // In-memory rosters the service moves players on
+      corePlayers = {
+        wv_faker: new core.Player('wv_faker', 'Faker', 'MID', 'T1', 'LCK'),
+        wv_zeus: new core.Player('wv_zeus', 'Zeus', 'TOP', 'HLE', 'LCK')
+      };
+      coreTeams = {};
+      for (const [teamId, ownerId] of [['wv_team_1', userId], ['wv_team_2', otherId]]) {
+        coreTeams[teamId] = new core.FantasyTeam(teamId, teamId, 'owner');
+        coreTeams[teamId].leagueId = 'wv_league';
+        coreTeams[teamId].userId = ownerId;
+      }
+      waiverService = new WaiverService(
+        { getTeamById: teamId => coreTeams[teamId] },
+        { getPlayerById: playerId => corePlayers[playerId] }
+      );
+    });
+
+    it('should let the commissioner change waiver settings', async () => {
+      const response = await request(app)
+        .put('/api/leagues/wv_league/waivers/settings')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ mode: 'rolling', periodHours: 12 })
+        .expect(200);
+
+      expect(response.body.mode).toBe('rolling');
+      expect(response.body.periodHours).toBe(12);
+    });
+
+    it('should return 403 if user is not the commissioner', async () => {
+      await request(app)
+        .put('/api/leagues/wv_league/waivers/settings')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ mode: 'rolling' })
+        .expect(403);
+    });
+
+    it('should only accept bids the team can afford', async () => {
+      await request(app)
+        .post('/api/leagues/wv_league/waivers/claims')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ playerId: 'wv_faker', bid: 150 })
+        .expect(400);
+
+      const response = await request(app)
+        .post('/api/leagues/wv_league/waivers/claims')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ playerId: 'wv_faker', bid: 30 })
+        .expect(201);
+
+      expect(response.body.teamId).toBe('wv_team_1');
+      expect(response.body.status).toBe('pending');
+    });
+
+    it('should show players on waivers in the free-agent list', async () => {
+      await Player.putOnWaivers('wv_zeus', 'wv_league', new Date(Date.now() + 60 * 60 * 1000));
+
+      const response = await request(app).get('/api/leagues/wv_league/free-agents').expect(200);
+      const zeus = response.body.find(player => player.id === 'wv_zeus');
+      const faker = response.body.find(player => player.id === 'wv_faker');
+
+      expect(zeus.waiverClearsAt).not.toBeNull();
+      expect(faker.waiverClearsAt).toBeNull();
+    });
+
+    it('should wait for the player to clear waivers, then award the highest bid', async () => {
+      const clearsAt = new Date(Date.now() + 60 * 60 * 1000);
+      await Player.putOnWaivers('wv_faker', 'wv_league', clearsAt);
+      await WaiverClaim.create([
+        { id: 'wv_claim_1', leagueId: 'wv_league', teamId: 'wv_team_1', userId, playerId: 'wv_faker', bid: 10 },
+        { id: 'wv_claim_2', leagueId: 'wv_league', teamId: 'wv_team_2', userId: coreTeams.wv_team_2.userId, playerId: 'wv_faker', bid: 25 }
+      ]);
+
+      await waiverService.processLeague('wv_league', new Date());
+      expect((await WaiverClaim.findOne({ id: 'wv_claim_2' })).status).toBe('pending');
+
+      await waiverService.processLeague('wv_league', new Date(clearsAt.getTime() + 1000));
+
+      expect((await WaiverClaim.findOne({ id: 'wv_claim_2' })).status).toBe('won');
+      expect((await WaiverClaim.findOne({ id: 'wv_claim_1' })).status).toBe('lost');
+      expect((await Player.findOne({ id: 'wv_faker' })).getOwner('wv_league')).toBe('wv_team_2');
+      expect(coreTeams.wv_team_2.players.MID.id).toBe('wv_faker');
+
+      const league = await League.findOne({ id: 'wv_league' });
+      expect(league.faabBalances.get('wv_team_2')).toBe(75);
+      expect(league.waiverPriority).toEqual(['wv_team_1', 'wv_team_2']);
+
+      const transactions = await Transaction.find({ leagueId: 'wv_league' });
+      expect(transactions).toHaveLength(1);
+      expect(transactions[0]).toMatchObject({ type: 'waiver', teamId: 'wv_team_2', bid: 25 });
+    });
+
+    it('should give ties to the team with the best rolling priority and drop the claimed player', async () => {
+      await League.updateOne({ id: 'wv_league' }, { $set: { 'waiverSettings.mode': 'rolling' } });
+      coreTeams.wv_team_2.addPlayer(corePlayers.wv_zeus, 'TOP');
+      await Player.claimForTeam('wv_zeus', 'wv_league', 'wv_team_2');
+      await WaiverClaim.create([
+        { id: 'wv_claim_1', leagueId: 'wv_league', teamId: 'wv_team_2', userId: coreTeams.wv_team_2.userId, playerId: 'wv_faker', dropPlayerId: 'wv_zeus' },
+        { id: 'wv_claim_2', leagueId: 'wv_league', teamId: 'wv_team_1', userId, playerId: 'wv_faker' }
+      ]);
+
+      await waiverService.processLeague('wv_league', new Date());
+
+      expect((await WaiverClaim.findOne({ id: 'wv_claim_2' })).status).toBe('won');
+      expect((await WaiverClaim.findOne({ id: 'wv_claim_1' })).status).toBe('lost');
+      expect((await League.findOne({ id: 'wv_league' })).waiverPriority).toEqual(['wv_team_2', 'wv_team_1']);
+      expect(coreTeams.wv_team_2.hasPlayer('wv_zeus')).toBe(true);
+    });
+
+    it('should reject claims once a team has used its adds for the week', async () => {
+      await request(app)
+        .put('/api/leagues/wv_league/transaction-settings')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ transactionSettings: { maxAddsPerWeek: 1, maxAddsPerSeason: 10 } })
+        .expect(200);
+      await Transaction.record({ leagueId: 'wv_league', type: 'add', teamId: 'wv_team_1', added: ['wv_zeus'], season: 1, week: 0 });
+
+      const response = await request(app)
+        .post('/api/leagues/wv_league/waivers/claims')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ playerId: 'wv_faker', bid: 10 })
+        .expect(400);
+
+      expect(response.body.message).toBe('Your team has reached its limit of 1 add in week 0');
+
+      const settings = await request(app)
+        .get('/api/leagues/wv_league/transaction-settings')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(settings.body.myAdds).toEqual({ week: 1, season: 1 });
+    });
+
+    it('should fail claims while rosters are locked for the playoffs', async () => {
+      await League.updateOne({ id: 'wv_league' }, {
+        $set: {
+          transactionSettings: { playoffRosterLock: true },
+          playoffs: { status: 'inProgress', rounds: 1, startWeek: 2, endWeek: 2 }
+        }
+      });
+      await WaiverClaim.create({ id: 'wv_claim_1', leagueId: 'wv_league', teamId: 'wv_team_1', userId, playerId: 'wv_faker', bid: 10 });
+
+      await waiverService.processLeague('wv_league', new Date());
+
+      const claim = await WaiverClaim.findOne({ id: 'wv_claim_1' });
+      expect(claim.status).toBe('failed');
+      expect(claim.reason).toBe('Rosters are locked for the playoffs');
+      expect(coreTeams.wv_team_1.hasPlayer('wv_faker')).toBe(false);
+    });
+
+    it('should only let the commissioner set a trade deadline', async () => {
+      await request(app)
+        .put('/api/leagues/wv_league/transaction-settings')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ transactionSettings: { tradeDeadlineWeek: 8 } })
+        .expect(403);
+
+      const response = await request(app)
+        .put('/api/leagues/wv_league/transaction-settings')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ transactionSettings: { tradeDeadlineWeek: 0 } })
+        .expect(400);
+
+      expect(response.body.errors).toEqual(['The trade deadline must be a week number of at least 1']);
+    });
+  });
+
+  describe('Playoffs', () => {
+    const teamIds = ['po_team_1', 'po_team_2', 'po_team_3', 'po_team_4', 'po_team_5', 'po_team_6'];
+
+    beforeEach(async () => {
+      await League.create({
+        id: 'po_league',
+        name: 'Playoff League',
+        creatorId: userId,
+        teams: teamIds,
+        // A one-week regular season that seeds po_team_1 first and po_team_6 last
+        schedule: [{
+          week: 1,
+          matchups: [
+            { teamA: 'po_team_1', teamB: 'po_team_6', scoreA: 100, scoreB: 10, winner: 'po_team_1' },
+            { teamA: 'po_team_2', teamB: 'po_team_5', scoreA: 90, scoreB: 20, winner: 'po_team_2' },
+            { teamA: 'po_team_3', teamB: 'po_team_4', scoreA: 80, scoreB: 30, winner: 'po_team_3' }
+          ]
+        }]
+      });
+      await FantasyTeam.create(teamIds.map((id, i) => ({
+        id,
+        name: `Team ${i + 1}`,
+        owner: 'testuser',
+        userId,
+        leagueId: 'po_league'
+      })));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    // Each team scores its points for the week straight from this table
+    const mockWeeklyPoints = (pointsByTeam) => {
+      jest.spyOn(FantasyTeam.prototype, 'calculateWeeklyPoints').mockImplementation(async function(week) {
+        const points = pointsByTeam[this.id]?.[week] ?? 0;
+        this.weeklyPoints.set(week.toString(), points);
+        return points;
+      });
+    };
+
+    it('should reject settings that leave an uneven second round', async () => {
+      const response = await request(app)
+        .put('/api/leagues/po_league/playoffs/settings')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ teams: 6, byes: 1 })
+        .expect(400);
+
+      expect(response.body.errors).toHaveLength(1);
+    });
+
+    it('should return 403 if user is not the commissioner', async () => {
+      const other = await createTestUser({ username: 'otheruser', email: 'other@example.com' });
+
+      await request(app)
+        .post('/api/leagues/po_league/playoffs')
+        .set('Authorization', `Bearer ${other.token}`)
+        .send({})
+        .expect(403);
+    });
+
+    it('should seed the bracket from the standings and give the top seeds byes', async () => {
+      await request(app)
+        .put('/api/leagues/po_league/playoffs/settings')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ teams: 6, byes: 2 })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/leagues/po_league/playoffs')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({})
+        .expect(201);
+
+      expect(response.body.seeds).toEqual(teamIds);
+      expect(response.body.startWeek).toBe(2);
+      expect(response.body.endWeek).toBe(4);
+
+      const byes = response.body.matchups.filter(matchup => matchup.bye);
+      expect(byes.map(matchup => matchup.teamA).sort()).toEqual(['po_team_1', 'po_team_2']);
+
+      // Seed 4 plays seed 5 for the right to face the top seed
+      const semifinal = response.body.matchups.find(matchup => matchup.id === 'winners-2-0');
+      expect(semifinal.teamA).toBe('po_team_1');
+      expect(semifinal.teamB).toBeNull();
+    });
+
+    it('should add up two-week rounds, advance the winners and crown a champion', async () => {
+      await League.updateOne({ id: 'po_league' }, {
+        $set: { playoffSettings: { teams: 4, byes: 0, weeksPerRound: 2, consolation: true } }
+      });
+      mockWeeklyPoints({
+        po_team_1: { 2: 50, 3: 50, 4: 10, 5: 10 },
+        po_team_4: { 2: 80, 3: 30 },
+        po_team_2: { 2: 60, 3: 60, 4: 40, 5: 40 },
+        po_team_3: { 2: 10, 3: 10 },
+        po_team_5: { 2: 0, 3: 0, 4: 5, 5: 5 },
+        po_team_6: { 2: 0, 3: 0, 4: 1, 5: 1 }
+      });
+
+      await request(app)
+        .post('/api/leagues/po_league/playoffs')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({})
+        .expect(201);
+
+      // The first round isn't decided until its second week
+      let response = await request(app).post('/api/leagues/po_league/calculate/2').expect(200);
+      expect(response.body.every(matchup => matchup.winner === null)).toBe(true);
+
+      await request(app).post('/api/leagues/po_league/calculate/3').expect(200);
+      await request(app).post('/api/leagues/po_league/calculate/4').expect(200);
+      response = await request(app).post('/api/leagues/po_league/calculate/5').expect(200);
+
+      const final = response.body.find(matchup => matchup.id === 'winners-2-0');
+      expect(final.teamA).toBe('po_team_4');
+      expect(final.teamB).toBe('po_team_2');
+      expect(final.winner).toBe('po_team_2');
+
+      const consolationFinal = response.body.find(matchup => matchup.id === 'consolation-1-0');
+      expect(consolationFinal.winner).toBe('po_team_5');
+
+      const playoffs = await request(app).get('/api/leagues/po_league/playoffs').expect(200);
+      expect(playoffs.body.playoffs.status).toBe('complete');
+      expect(playoffs.body.champion).toMatchObject({ teamId: 'po_team_2', teamName: 'Team 2' });
+
+      // Playoff games don't change the regular-season standings
+      const leagueDoc = await League.findOne({ id: 'po_league' });
+      expect(leagueDoc.standings.find(standing => standing.teamId === 'po_team_2').wins).toBe(1);
+      expect(leagueDoc.standings.find(standing => standing.teamId === 'po_team_4').losses).toBe(1);
+    });
+
+    it('should not regenerate a bracket once a playoff game is decided', async () => {
+      mockWeeklyPoints({ po_team_1: { 2: 10 } });
+
+      await request(app)
+        .post('/api/leagues/po_league/playoffs')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({})
+        .expect(201);
+      await request(app).post('/api/leagues/po_league/calculate/2').expect(200);
+
+      await request(app)
+        .post('/api/leagues/po_league/playoffs')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({})
+        .expect(400);
+    });
+  });
+
+  describe('Standings', () => {
+    const teamIds = ['st_team_1', 'st_team_2', 'st_team_3', 'st_team_4'];
+    const game = (teamA, teamB, scoreA, scoreB) => ({
+      teamA,
+      teamB,
+      scoreA,
+      scoreB,
+      winner: scoreA === scoreB ? 'TIE' : scoreA > scoreB ? teamA : teamB
+    });
+
+    beforeEach(async () => {
+      await League.create({
+        id: 'st_league',
+        name: 'Standings League',
+        creatorId: userId,
+        teams: teamIds,
+        // st_team_1 and st_team_2 finish 1-1, but st_team_2 has far more points
+        schedule: [
+          { week: 1, matchups: [game('st_team_1', 'st_team_2', 80, 70), game('st_team_3', 'st_team_4', 150, 10)] },
+          { week: 2, matchups: [game('st_team_3', 'st_team_1', 150, 10), game('st_team_2', 'st_team_4', 200, 20)] }
+        ]
+      });
+      await FantasyTeam.create(teamIds.map((id, i) => ({
+        id,
+        name: `Team ${i + 1}`,
+        owner: 'testuser',
+        userId,
+        leagueId: 'st_league'
+      })));
+    });
+
+    it('should break ties head-to-head and report points against and streaks', async () => {
+      const response = await request(app)
+        .get('/api/leagues/st_league/standings')
+        .expect(200);
+
+      expect(response.body.map(standing => standing.teamId)).toEqual(['st_team_3', 'st_team_1', 'st_team_2', 'st_team_4']);
+
+      const first = response.body.find(standing => standing.teamId === 'st_team_1');
+      expect(first.team.name).toBe('Team 1');
+      expect(first.totalPoints).toBe(90);
+      expect(first.pointsAgainst).toBe(220);
+      expect(first.streak).toBe('L1');
+      expect(response.body[0].streak).toBe('W2');
+    });
+
+    it('should rank with the commissioner\'s tiebreaker order', async () => {
+      await request(app)
+        .put('/api/leagues/st_league/tiebreakers')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ tiebreakers: ['pointsFor', 'headToHead'] })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/leagues/st_league/standings')
+        .expect(200);
+
+      expect(response.body.map(standing => standing.teamId)).toEqual(['st_team_3', 'st_team_2', 'st_team_1', 'st_team_4']);
+    });
+
+    it('should return 400 for unknown or repeated tiebreakers', async () => {
+      const response = await request(app)
+        .put('/api/leagues/st_league/tiebreakers')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ tiebreakers: ['pointsFor', 'pointsFor', 'coinFlip'] })
+        .expect(400);
+
+      expect(response.body.errors).toHaveLength(2);
+    });
+
+    it('should return 403 if user is not the commissioner', async () => {
+      const other = await createTestUser({ username: 'otheruser', email: 'other@example.com' });
+
+      await request(app)
+        .put('/api/leagues/st_league/tiebreakers')
+        .set('Authorization', `Bearer ${other.token}`)
+        .send({ tiebreakers: ['pointsFor'] })
+        .expect(403);
+    });
+
+    it('should count ties as half a win', async () => {
+      const league = await League.findOne({ id: 'st_league' });
+      league.schedule.push({ week: 3, matchups: [game('st_team_1', 'st_team_4', 50, 50), game('st_team_2', 'st_team_3', 60, 90)] });
+      await league.updateStandings();
+
+      const fourth = league.standings.find(standing => standing.teamId === 'st_team_4');
+      expect(fourth.ties).toBe(1);
+      expect(fourth.winPct).toBeCloseTo(1 / 6);
+      expect(fourth.streak).toBe('T1');
+    });
+
+    it('should mark teams that clinched or were eliminated from the playoffs', async () => {
+      // st_team_1 is 3-0 and st_team_4 is 0-3 with a week to play
+      const league = new League({
+        id: 'st_race',
+        name: 'Playoff Race',
+        creatorId: userId,
+        teams: teamIds,
+        playoffSettings: { teams: 2, byes: 0 },
+        schedule: [
+          { week: 1, matchups: [game('st_team_1', 'st_team_2', 90, 80), game('st_team_3', 'st_team_4', 90, 80)] },
+          { week: 2, matchups: [game('st_team_1', 'st_team_3', 90, 80), game('st_team_2', 'st_team_4', 90, 80)] },
+          { week: 3, matchups: [game('st_team_1', 'st_team_4', 90, 80), game('st_team_2', 'st_team_3', 90, 80)] },
+          { week: 4, matchups: [
+            { teamA: 'st_team_1', teamB: 'st_team_2', scoreA: 0, scoreB: 0, winner: null },
+            { teamA: 'st_team_3', teamB: 'st_team_4', scoreA: 0, scoreB: 0, winner: null }
+          ] }
+        ]
+      });
+      await league.updateStandings();
+
+      const status = Object.fromEntries(league.standings.map(standing => [standing.teamId, standing.status]));
+      expect(status).toEqual({ st_team_1: 'clinched', st_team_2: null, st_team_3: null, st_team_4: 'eliminated' });
+      expect(league.standings[0].remainingGames).toBe(1);
+    });
+
+    it('should compare winning percentages when byes leave teams with different game counts', async () => {
+      // st_team_1 is 2-0 and done; st_team_2 is 2-1 and can at best finish 3-1, a lower percentage
+      const league = new League({
+        id: 'st_byes',
+        name: 'Uneven Race',
+        creatorId: userId,
+        teams: teamIds.slice(0, 3),
+        playoffSettings: { teams: 1, byes: 0 },
+        schedule: [
+          { week: 1, matchups: [game('st_team_1', 'st_team_2', 90, 80)] },
+          { week: 2, matchups: [game('st_team_1', 'st_team_3', 90, 80)] },
+          { week: 3, matchups: [game('st_team_2', 'st_team_3', 90, 80)] },
+          { week: 4, matchups: [game('st_team_2', 'st_team_3', 90, 80)] },
+          { week: 5, matchups: [{ teamA: 'st_team_2', teamB: 'st_team_3', scoreA: 0, scoreB: 0, winner: null }] }
+        ]
+      });
+      await league.updateStandings();
+
+      const status = Object.fromEntries(league.standings.map(standing => [standing.teamId, standing.status]));
+      expect(status).toEqual({ st_team_1: 'clinched', st_team_2: 'eliminated', st_team_3: 'eliminated' });
+    });
+  });
+
+  describe('Divisions', () => {
+    const teamIds = ['dv_team_1', 'dv_team_2', 'dv_team_3', 'dv_team_4'];
+    const divisions = [
+      { name: 'North', conference: 'East', teamIds: ['dv_team_1', 'dv_team_2'] },
+      { name: 'South', conference: 'West', teamIds: ['dv_team_3', 'dv_team_4'] }
+    ];
+
+    beforeEach(async () => {
+      await League.create({
+        id: 'dv_league',
+        name: 'Division League',
+        creatorId: userId,
+        teams: teamIds
+      });
+      await FantasyTeam.create(teamIds.map((id, i) => ({
+        id,
+        name: `Team ${i + 1}`,
+        owner: 'testuser',
+        userId,
+        leagueId: 'dv_league'
+      })));
+    });
+
+    it('should let the commissioner define divisions in conferences', async () => {
+      const response = await request(app)
+        .put('/api/leagues/dv_league/divisions')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ divisions })
+        .expect(200);
+
+      expect(response.body.divisions).toEqual(divisions);
+
+      const standings = await request(app)
+        .get('/api/leagues/dv_league/standings')
+        .expect(200);
+
+      const third = standings.body.find(standing => standing.teamId === 'dv_team_3');
+      expect(third.division).toBe('South');
+      expect(third.conference).toBe('West');
+    });
+
+    it('should return 400 if a team is left out of every division', async () => {
+      const response = await request(app)
+        .put('/api/leagues/dv_league/divisions')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ divisions: [divisions[0], { name: 'South', teamIds: ['dv_team_3'] }] })
+        .expect(400);
+
+      expect(response.body.errors).toEqual([
+        'Team dv_team_4 is not in a division',
+        'Either every division or no division belongs to a conference'
+      ]);
+    });
+
+    it('should return 403 if user is not the commissioner', async () => {
+      const other = await createTestUser({ username: 'otheruser', email: 'other@example.com' });
+
+      await request(app)
+        .put('/api/leagues/dv_league/divisions')
+        .set('Authorization', `Bearer ${other.token}`)
+        .send({ divisions })
+        .expect(403);
+    });
+
+    it('should only rebalance divisions between seasons', async () => {
+      await League.updateOne({ id: 'dv_league' }, {
+        schedule: [{
+          week: 1,
+          matchups: [{ teamA: 'dv_team_1', teamB: 'dv_team_3', scoreA: 90, scoreB: 80, winner: 'dv_team_1' }]
+        }]
+      });
+
+      const response = await request(app)
+        .get('/api/leagues/dv_league/divisions')
+        .expect(200);
+      expect(response.body.locked).toBe(true);
+
+      await request(app)
+        .put('/api/leagues/dv_league/divisions')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ divisions })
+        .expect(400);
+    });
+
+    it('should seed division winners ahead of better records', async () => {
+      const game = (teamA, teamB, scoreA, scoreB) => ({ teamA, teamB, scoreA, scoreB, winner: scoreA > scoreB ? teamA : teamB });
+      const league = new League({
+        id: 'dv_seeding',
+        name: 'Division Seeding',
+        creatorId: userId,
+        teams: teamIds,
+        divisions,
+        playoffSettings: { teams: 2, byes: 0 },
+        // Both North teams finish ahead of the South winner
+        schedule: [
+          { week: 1, matchups: [game('dv_team_1', 'dv_team_3', 90, 80), game('dv_team_2', 'dv_team_4', 90, 80)] },
+          { week: 2, matchups: [game('dv_team_1', 'dv_team_4', 90, 80), game('dv_team_2', 'dv_team_3', 90, 80)] },
+          { week: 3, matchups: [game('dv_team_1', 'dv_team_2', 90, 80), game('dv_team_3', 'dv_team_4', 90, 80)] }
+        ]
+      });
+
+      const playoffs = await league.generatePlayoffs();
+
+      expect(league.standings.map(standing => standing.teamId)).toEqual(['dv_team_1', 'dv_team_2', 'dv_team_3', 'dv_team_4']);
+      expect(league.standings[2].divisionRank).toBe(1);
+      expect(playoffs.seeds).toEqual(['dv_team_1', 'dv_team_3']);
+    });
+
+    it('should count the spots division winners are seeded into when marking the playoff race', async () => {
+      const game = (teamA, teamB, scoreA, scoreB) => ({ teamA, teamB, scoreA, scoreB, winner: scoreA > scoreB ? teamA : teamB });
+      const league = new League({
+        id: 'dv_race',
+        name: 'Division Race',
+        creatorId: userId,
+        teams: teamIds,
+        divisions,
+        playoffSettings: { teams: 2, byes: 0 },
+        // Both North teams are 2-0 and both South teams 0-2 with a week to play
+        schedule: [
+          { week: 1, matchups: [game('dv_team_1', 'dv_team_3', 90, 80), game('dv_team_2', 'dv_team_4', 90, 80)] },
+          { week: 2, matchups: [game('dv_team_1', 'dv_team_4', 90, 80), game('dv_team_2', 'dv_team_3', 90, 80)] },
+          { week: 3, matchups: [
+            { teamA: 'dv_team_1', teamB: 'dv_team_2', scoreA: 0, scoreB: 0, winner: null },
+            { teamA: 'dv_team_3', teamB: 'dv_team_4', scoreA: 0, scoreB: 0, winner: null }
+          ] }
+        ]
+      });
+      const statuses = () => Object.fromEntries(league.standings.map(standing => [standing.teamId, standing.status]));
+
+      // Either North team can still lose the division, and either South team can still win it
+      await league.updateStandings();
+      expect(statuses()).toEqual({ dv_team_1: null, dv_team_2: null, dv_team_3: null, dv_team_4: null });
+
+      league.schedule[2].matchups = [game('dv_team_1', 'dv_team_2', 90, 80), game('dv_team_3', 'dv_team_4', 90, 80)];
+      await league.updateStandings();
+      expect(statuses()).toEqual({ dv_team_1: 'clinched', dv_team_2: 'eliminated', dv_team_3: 'clinched', dv_team_4: 'eliminated' });
+    });
+
+    it('should schedule with the league\'s divisions', () => {
+      const league = new League({
+        id: 'dv_schedule',
+        name: 'Division Schedule',
+        creatorId: userId,
+        teams: teamIds,
+        divisions
+      });
+      league.generateSchedule(null, { seed: 'divisions', divisionWeight: 3 });
+
+      const rivalGames = league.schedule
+        .flatMap(week => week.matchups)
+        .filter(matchup => [matchup.teamA, matchup.teamB].sort().join('|') === 'dv_team_1|dv_team_2');
+      expect(rivalGames).toHaveLength(3);
+      expect(league.scheduleSettings.divisions.map(division => division.name)).toEqual(['North', 'South']);
+    });
+  });
+
+  describe('Roster templates', () => {
+    beforeEach(async () => {
+      await League.create({
+        id: 'rt_league',
+        name: 'Roster League',
+        creatorId: userId,
+        teams: ['rt_team']
+      });
+      await FantasyTeam.create({
+        id: 'rt_team',
+        name: 'Deep Bench',
+        owner: 'testuser',
+        userId,
+        leagueId: 'rt_league',
+        players: { BENCH: ['rt_p1', 'rt_p2', 'rt_p3'] }
+      });
+    });
+
+    it('should start leagues with the standard roster', async () => {
+      const response = await request(app)
+        .get('/api/leagues/rt_league/roster-template')
+        .expect(200);
+
+      expect(response.body.rosterTemplate).toEqual({ flex: 1, teamSlot: false, bench: 3, reserve: 0 });
+      expect(response.body.startingSlots).toEqual(['TOP', 'JUNGLE', 'MID', 'ADC', 'SUPPORT', 'FLEX']);
+    });
+
+    it('should let the commissioner add FLEX, pro team and reserve slots', async () => {
+      const response = await request(app)
+        .put('/api/leagues/rt_league/roster-template')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ rosterTemplate: { flex: 2, teamSlot: true, bench: 4, reserve: 1 } })
+        .expect(200);
+
+      expect(response.body.startingSlots).toEqual(['TOP', 'JUNGLE', 'MID', 'ADC', 'SUPPORT', 'FLEX', 'FLEX2', 'TEAM']);
+
+      const league = await League.findOne({ id: 'rt_league' });
+      expect(league.rosterTemplate.reserve).toBe(1);
+    });
+
+    it('should return 400 if a team would lose players', async () => {
+      const response = await request(app)
+        .put('/api/leagues/rt_league/roster-template')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ rosterTemplate: { bench: 1 } })
+        .expect(400);
+
+      expect(response.body.errors).toEqual(['Deep Bench has 2 player(s) that would not fit (BENCH)']);
+    });
+
+    it('should return 400 for an invalid template', async () => {
+      const response = await request(app)
+        .put('/api/leagues/rt_league/roster-template')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ rosterTemplate: { flex: 4, reserve: -1 } })
+        .expect(400);
+
+      expect(response.body.errors).toEqual([
+        'FLEX slots must be between 0 and 3',
+        'Reserve slots must be between 0 and 3'
+      ]);
+    });
+
+    it('should return 403 if user is not the commissioner', async () => {
+      const other = await createTestUser({ username: 'otheruser', email: 'other@example.com' });
+
+      await request(app)
+        .put('/api/leagues/rt_league/roster-template')
+        .set('Authorization', `Bearer ${other.token}`)
+        .send({ rosterTemplate: { flex: 2 } })
+        .expect(403);
+    });
+  });
+
+  describe('Season rollover', () => {
+    beforeEach(async () => {
+      await League.create({
+        id: 'ro_league',
+        name: 'Rollover League',
+        creatorId: userId,
+        teams: ['ro_team_1', 'ro_team_2'],
+        keeperSettings: { mode: 'keeper', maxKeepers: 1, roundCost: 1 },
+        schedule: [{
+          week: 1,
+          matchups: [{ teamA: 'ro_team_1', teamB: 'ro_team_2', scoreA: 90, scoreB: 40, winner: 'ro_team_1' }]
+        }],
+        standings: [
+          { teamId: 'ro_team_1', rank: 1, wins: 1 },
+          { teamId: 'ro_team_2', rank: 2, losses: 1 }
+        ],
+        draftResults: {
+          completedAt: new Date(),
+          picks: [{ round: 3, pick: 5, username: 'testuser', teamId: 'ro_team_1', playerId: 'ro_faker' }]
+        }
+      });
+      await Player.create([
+        { id: 'ro_faker', name: 'Faker', position: 'MID', team: 'T1', region: 'LCK', owners: { ro_league: 'ro_team_1' } },
+        { id: 'ro_zeus', name: 'Zeus', position: 'TOP', team: 'T1', region: 'LCK', owners: { ro_league: 'ro_team_1' } },
+        { id: 'ro_ruler', name: 'Ruler', position: 'ADC', team: 'GEN', region: 'LCK', owners: { ro_league: 'ro_team_2' } }
+      ]);
+      await FantasyTeam.create([
+        {
+          id: 'ro_team_1',
+          name: 'Champs',
+          owner: 'testuser',
+          userId,
+          leagueId: 'ro_league',
+          players: { MID: { playerId: 'ro_faker' }, TOP: { playerId: 'ro_zeus' } },
+          keepers: ['ro_faker']
+        },
+        {
+          id: 'ro_team_2',
+          name: 'Chumps',
+          owner: 'testuser',
+          leagueId: 'ro_league',
+          players: { ADC: { playerId: 'ro_ruler' } }
+        }
+      ]);
+    });
+
+    it('should let a manager keep players under the league limit', async () => {
+      const response = await request(app)
+        .put('/api/teams/ro_team_1/keepers')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ playerIds: ['ro_zeus', 'ro_faker'] })
+        .expect(400);
+
+      expect(response.body.errors).toEqual(['Teams can keep at most 1 player(s)']);
+
+      // Zeus was never drafted, so keeping him costs the last round
+      const kept = await request(app)
+        .put('/api/teams/ro_team_1/keepers')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ playerIds: ['ro_zeus'] })
+        .expect(200);
+
+      expect(kept.body.keepers).toEqual([{ teamId: 'ro_team_1', playerId: 'ro_zeus', round: 6 }]);
+    });
+
+    it('should return 400 if the season is not over', async () => {
+      await League.updateOne({ id: 'ro_league' }, { $set: { 'schedule.0.matchups.0.winner': null } });
+
+      const response = await request(app)
+        .post('/api/leagues/ro_league/rollover')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(400);
+
+      expect(response.body.message).toBe('The season is not over yet');
+    });
+
+    it('should return 403 if user is not the commissioner', async () => {
+      const other = await createTestUser({ username: 'otheruser', email: 'other@example.com' });
+
+      await request(app)
+        .post('/api/leagues/ro_league/rollover')
+        .set('Authorization', `Bearer ${other.token}`)
+        .expect(403);
+    });
+
+    it('should archive the season and start the next one with the keepers', async () => {
+      const response = await request(app)
+        .post('/api/leagues/ro_league/rollover')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      // Worst record drafts first; Faker went in round 3, so he costs round 2
+      expect(response.body.season).toBe(2);
+      expect(response.body.draftOrder).toEqual(['ro_team_2', 'ro_team_1']);
+      expect(response.body.keepers).toEqual([{ teamId: 'ro_team_1', playerId: 'ro_faker', round: 2 }]);
+
+      const archive = await LeagueSeason.findOne({ leagueId: 'ro_league', season: 1 });
+      expect(archive.standings).toHaveLength(2);
+      expect(archive.rosters.find(roster => roster.teamId === 'ro_team_1').players.TOP).toBe('ro_zeus');
+
+      const league = await League.findOne({ id: 'ro_league' });
+      expect(league.season).toBe(2);
+      expect(league.schedule).toHaveLength(0);
+      expect(league.standings).toHaveLength(0);
+      expect(league.draftResults).toBeNull();
+
+      const champs = await FantasyTeam.findOne({ id: 'ro_team_1' });
+      const chumps = await FantasyTeam.findOne({ id: 'ro_team_2' });
+      expect(champs.getPlayerIds()).toEqual(['ro_faker']);
+      expect(chumps.getPlayerIds()).toEqual([]);
+
+      const zeus = await Player.findOne({ id: 'ro_zeus' });
+      expect(zeus.getOwner('ro_league')).toBeNull();
+    });
+
+    it('should carry full rosters forward in a dynasty league', async () => {
+      await request(app)
+        .put('/api/leagues/ro_league/keeper-settings')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ keeperSettings: { mode: 'dynasty' } })
+        .expect(200);
+
+      await request(app)
+        .post('/api/leagues/ro_league/rollover')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      const champs = await FantasyTeam.findOne({ id: 'ro_team_1' });
+      expect(champs.getPlayerIds()).toEqual(['ro_zeus', 'ro_faker']);
+
+      // There is no redraft to schedule
+      await request(app)
+        .post('/api/leagues/ro_league/schedule-draft')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ draftDateTime: new Date(Date.now() + 60 * 60 * 1000).toISOString() })
+        .expect(400);
+    });
+  });
+
+  describe('League history', () => {
+    let rivalId;
+
+    const archivedSeason = (leagueId, season, { schedule, standings, champion }) => ({
+      leagueId,
+      season,
+      leagueName: 'History League',
+      schedule,
+      standings,
+      playoffs: champion ? { status: 'complete', seeds: ['hist_team_1', 'hist_team_2'], matchups: [] } : null,
+      champion,
+      rosters: [
+        { teamId: 'hist_team_1', teamName: 'Dynasty', owner: 'testuser', userId },
+        { teamId: 'hist_team_2', teamName: 'Rivals', owner: 'rival', userId: rivalId }
+      ]
+    });
+
+    beforeEach(async () => {
+      const rival = await createTestUser({ username: 'rival', email: 'rival@example.com' });
+      rivalId = rival.user._id.toString();
+
+      await League.create({ id: 'hist_league', name: 'History League', creatorId: userId, teams: ['hist_team_1', 'hist_team_2'], season: 3 });
+      await LeagueSeason.create([
+        archivedSeason('hist_league', 1, {
+          schedule: [
+            { week: 1, matchups: [{ teamA: 'hist_team_1', teamB: 'hist_team_2', scoreA: 120, scoreB: 80, winner: 'hist_team_1' }] },
+            { week: 2, matchups: [{ teamA: 'hist_team_2', teamB: 'hist_team_1', scoreA: 60, scoreB: 60, winner: 'TIE' }] }
+          ],
+          standings: [
+            { teamId: 'hist_team_1', rank: 1, wins: 1, losses: 0, ties: 1, points: 180 },
+            { teamId: 'hist_team_2', rank: 2, wins: 0, losses: 1, ties: 1, points: 140 }
+          ],
+          champion: { teamId: 'hist_team_1', teamName: 'Dynasty' }
+        }),
+        archivedSeason('hist_league', 2, {
+          schedule: [
+            { week: 1, matchups: [{ teamA: 'hist_team_1', teamB: 'hist_team_2', scoreA: 70, scoreB: 150, winner: 'hist_team_2' }] }
+          ],
+          standings: [
+            { teamId: 'hist_team_2', rank: 1, wins: 1, losses: 0, ties: 0, points: 150 },
+            { teamId: 'hist_team_1', rank: 2, wins: 0, losses: 1, ties: 0, points: 70 }
+          ],
+          champion: { teamId: 'hist_team_2', teamName: 'Rivals' }
+        }),
+        // A season the same managers played in another league counts towards their careers only
+        archivedSeason('other_league', 1, {
+          schedule: [
+            { week: 1, matchups: [{ teamA: 'hist_team_1', teamB: 'hist_team_2', scoreA: 200, scoreB: 10, winner: 'hist_team_1' }] }
+          ],
+          standings: [
+            { teamId: 'hist_team_1', rank: 1, wins: 1, losses: 0, ties: 0, points: 200 },
+            { teamId: 'hist_team_2', rank: 2, wins: 0, losses: 1, ties: 0, points: 10 }
+          ],
+          champion: null
+        })
+      ]);
+    });
+
+    it('should list past champions and head-to-head records', async () => {
+      const response = await request(app)
+        .get('/api/leagues/hist_league/history')
+        .expect(200);
+
+      expect(response.body.currentSeason).toBe(3);
+      expect(response.body.seasons).toHaveLength(2);
+      expect(response.body.champions.map(champion => [champion.season, champion.owner])).toEqual([[1, 'testuser'], [2, 'rival']]);
+
+      expect(response.body.headToHead).toHaveLength(1);
+      const record = response.body.headToHead[0];
+      const userWins = record.managerA.userId === userId ? record.winsA : record.winsB;
+      expect(userWins).toBe(1);
+      expect(record.ties).toBe(1);
+      expect(record.games).toBe(3);
+    });
+
+    it('should keep a record book of the best weeks and seasons', async () => {
+      const response = await request(app)
+        .get('/api/leagues/hist_league/history')
+        .expect(200);
+
+      const { highestWeeks, highestSeasons, mostWins } = response.body.records;
+      expect(highestWeeks[0]).toMatchObject({ season: 2, week: 1, teamName: 'Rivals', points: 150 });
+      expect(highestSeasons[0]).toMatchObject({ season: 1, teamName: 'Dynasty', points: 180 });
+      expect(mostWins[0].wins).toBe(1);
+    });
+
+    it('should total each manager\'s career across every league', async () => {
+      const response = await request(app)
+        .get('/api/leagues/hist_league/history')
+        .expect(200);
+
+      const career = response.body.careers.find(entry => entry.userId === userId);
+      expect(career).toMatchObject({
+        owner: 'testuser',
+        seasons: 3,
+        leagues: 2,
+        wins: 2,
+        losses: 1,
+        ties: 1,
+        points: 450,
+        playoffAppearances: 2,
+        championships: 1
+      });
+    });
+
+    it('should return 404 if the league does not exist', async () => {
+      await request(app)
+        .get('/api/leagues/no_such_league/history')
+        .expect(404);
+    });
+  });
+
+  describe('Schedule generation', () => {
+    const buildLeague = (count) => new League({
+      id: 'sched_league',
+      name: 'Schedule League',
+      creatorId: userId,
+      teams: Array.from({ length: count }, (_, i) => `sched_team_${i + 1}`)
+    });
+
+    const meetingCounts = (schedule) => {
+      const counts = {};
+      for (const week of schedule) {
+        for (const matchup of week.matchups) {
+          const key = [matchup.teamA, matchup.teamB].sort().join('|');
+          counts[key] = (counts[key] || 0) + 1;
+        }
+      }
+      return counts;
+    };
+
+    it('should give every team one bye in a full cycle with an odd team count', () => {
+      const league = buildLeague(5);
+      expect(league.generateSchedule(null, { seed: 'odd' })).toBe(true);
+
+      expect(league.schedule).toHaveLength(5);
+      const byes = league.schedule.flatMap(week => week.byes);
+      expect([...byes].sort()).toEqual([...league.teams].sort());
+      expect(Object.values(meetingCounts(league.schedule))).toEqual(Array(10).fill(1));
+    });
+
+    it('should give the same schedule for the same seed', () => {
+      const first = buildLeague(8);
+      const second = buildLeague(8);
+      first.generateSchedule(9, { seed: 'repeatable' });
+      second.generateSchedule(9, { seed: 'repeatable' });
+
+      expect(second.toObject().schedule).toEqual(first.toObject().schedule);
+      expect(first.scheduleSettings.seed).toBe('repeatable');
+    });
+
+    it('should swap home and away for the second meeting in a double round robin', () => {
+      const league = buildLeague(4);
+      league.generateSchedule(null, { seed: 'double', doubleRoundRobin: true });
+
+      expect(league.schedule).toHaveLength(6);
+      const matchups = league.schedule.flatMap(week => week.matchups);
+      for (const teamId of league.teams) {
+        expect(matchups.filter(matchup => matchup.teamA === teamId)).toHaveLength(3);
+      }
+
+      const first = matchups.find(matchup => [matchup.teamA, matchup.teamB].includes('sched_team_1'));
+      const rematch = matchups.filter(matchup =>
+        matchup.teamA === first.teamB && matchup.teamB === first.teamA
+      );
+      expect(rematch).toHaveLength(1);
+    });
+
+    it('should schedule division rivals more often', () => {
+      const league = buildLeague(6);
+      league.generateSchedule(null, {
+        seed: 'divisions',
+        divisions: [
+          { name: 'North', teamIds: ['sched_team_1', 'sched_team_2', 'sched_team_3'] },
+          { name: 'South', teamIds: ['sched_team_4', 'sched_team_5', 'sched_team_6'] }
+        ],
+        divisionWeight: 2
+      });
+
+      const counts = meetingCounts(league.schedule);
+      expect(counts['sched_team_1|sched_team_2']).toBe(2);
+      expect(counts['sched_team_4|sched_team_6']).toBe(2);
+      expect(counts['sched_team_1|sched_team_4']).toBe(1);
+    });
+
+    it('should put rivals against each other in the rivalry week', () => {
+      const league = buildLeague(6);
+      league.generateSchedule(5, {
+        seed: 'rivals',
+        rivalryWeek: 3,
+        rivalries: [['sched_team_1', 'sched_team_6']]
+      });
+
+      const week = league.schedule[2];
+      expect(week.matchups.some(matchup =>
+        [matchup.teamA, matchup.teamB].sort().join('|') === 'sched_team_1|sched_team_6'
+      )).toBe(true);
+      expect(week.matchups).toHaveLength(3);
+    });
+
+    describe('POST /api/leagues/:id/generate-schedule', () => {
+      const teamIds = Array.from({ length: 5 }, (_, i) => `bye_team_${i + 1}`);
+
+      beforeEach(() => {
+        const league = global.leagueService.createLeague('Bye League', 8, { id: 'bye_league', creatorId: userId });
+        for (const teamId of teamIds) {
+          league.teams.push(new core.FantasyTeam(teamId, teamId, 'testuser'));
+        }
+      });
+
+      afterEach(() => {
+        global.leagueService.leagues = global.leagueService.leagues.filter(league => league.id !== 'bye_league');
+      });
+
+      it('should keep each week\'s byes when the schedule is saved', async () => {
+        await request(app)
+          .post('/api/leagues/bye_league/generate-schedule')
+          .set('Authorization', `Bearer ${userToken}`)
+          .send({ weeks: 5, seed: 'byes' })
+          .expect(200);
+
+        const savedLeague = await League.findOne({ id: 'bye_league' });
+        expect(savedLeague.schedule).toHaveLength(5);
+        expect(savedLeague.schedule.flatMap(week => week.byes).sort()).toEqual(teamIds);
+      });
+    });
+  });
 });
@@ -1,6 +1,8 @@
 const request = require('supertest');
 const mongoose = require('mongoose');
-const { Player } = require('../../models');
+const { Player, GameLog, ProMatch } = require('../../models');
+const core = require('../../fantasy-core');
+const StatsUpdaterService = require('../../services/StatsUpdaterService');
 const { createTestUser, createTestAdmin } = require('../testUtils');
 
 // Get express app
@@ -179,4 +181,263 @@ describe('Players API', () => {
       expect(response.body).toHaveProperty('message');
     });
   });
+
+  describe('POST /api/players/:id/games', () => {
+    const game = {
+      matchId: 'LCS-2024-W1-TSM-C9',
+      week: 1,
+      opponent: 'C9',
+      side: 'blue',
+      duration: 1920,
+      stats: { kills: 4, deaths: 2, assists: 6, cs: 250 }
+    };
+
+    beforeEach(async () => {
+      await Player.create({
+        id: 'ledger_player',
+        name: 'LedgerPlayer',
+        position: 'TOP',
+        team: 'TSM',
+        region: 'LCS'
+      });
+    });
+
+    it('should record a game and derive totals from the game log', async () => {
+      const response = await request(app)
+        .post('/api/players/ledger_player/games')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(game)
+        .expect(201);
+
+      expect(response.body.created).toBe(true);
+
+      const player = await Player.findOne({ id: 'ledger_player' });
+      expect(player.stats.kills).toBe(4);
+      expect(player.stats.gamesPlayed).toBe(1);
+      // 4*3 - 2*1 + 6*1.5 + 250*0.01
+      expect(player.fantasyPoints).toBeCloseTo(21.5);
+      expect(player.weeklyPoints.get('1')).toBeCloseTo(21.5);
+
+      const gameLog = await GameLog.findOne({ playerId: 'ledger_player', matchId: game.matchId });
+      expect(gameLog.side).toBe('BLUE');
+      expect(gameLog.opponent).toBe('C9');
+    });
+
+    it('should ignore a match that has already been recorded', async () => {
+      await request(app)
+        .post('/api/players/ledger_player/games')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(game)
+        .expect(201);
+
+      const response = await request(app)
+        .post('/api/players/ledger_player/games')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(game)
+        .expect(200);
+
+      expect(response.body.created).toBe(false);
+
+      const player = await Player.findOne({ id: 'ledger_player' });
+      expect(player.stats.gamesPlayed).toBe(1);
+      expect(await GameLog.countDocuments({ playerId: 'ledger_player' })).toBe(1);
+    });
+
+    it('should return 403 if user is not admin', async () => {
+      const response = await request(app)
+        .post('/api/players/ledger_player/games')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(game)
+        .expect(403);
+
+      expect(response.body).toHaveProperty('message');
+    });
+  });
+
+  describe('POST /api/admin/import-matches', () => {
+    const csv = [
+      'gameid,date,side,position,playername,teamname,gamelength,kills,deaths,assists,total cs,visionscore',
+      'LCS-G1,2024-06-01 20:00:00,Blue,top,ImportTop,TSM,1800,3,1,5,280,18',
+      'LCS-G1,2024-06-01 20:00:00,Red,mid,Unknown,C9,1800,1,4,2,240,12',
+      'LCS-G1,2024-06-01 20:00:00,Red,team,,C9,1800,1,4,2,240,12'
+    ].join('\n');
+
+    beforeEach(async () => {
+      await Player.create({
+        id: 'import_top',
+        name: 'ImportTop',
+        position: 'TOP',
+        team: 'Team SoloMid',
+        teamCode: 'TSM',
+        region: 'LCS'
+      });
+    });
+
+    it('should report unmatched rows without importing on a dry run', async () => {
+      const response = await request(app)
+        .post('/api/admin/import-matches?format=csv&week=1&dryRun=true')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(200);
+
+      expect(response.body.totalRows).toBe(3);
+      expect(response.body.matched).toBe(1);
+      expect(response.body.imported).toBe(0);
+      expect(response.body.unmatched.map(row => row.name)).toEqual(['Unknown', 'C9']);
+      expect(response.body.unmatched[1].reason).toBe('No players from this team');
+      expect(await GameLog.countDocuments({ playerId: 'import_top' })).toBe(0);
+    });
+
+    it('should import matched rows into the game log', async () => {
+      const response = await request(app)
+        .post('/api/admin/import-matches?format=csv&week=1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(200);
+
+      expect(response.body.imported).toBe(1);
+
+      const gameLog = await GameLog.findOne({ playerId: 'import_top', matchId: 'LCS-G1' });
+      expect(gameLog.opponent).toBe('C9');
+      expect(gameLog.side).toBe('BLUE');
+      expect(gameLog.stats.cs).toBe(280);
+
+      const player = await Player.findOne({ id: 'import_top' });
+      expect(player.stats.gamesPlayed).toBe(1);
+    });
+
+    it('should record team lines against the team\'s entry, scored on objectives', async () => {
+      const teamCsv = [
+        'gameid,date,side,position,playername,teamname,gamelength,kills,deaths,assists,total cs,visionscore,barons,dragons,towers',
+        'LCS-G2,2024-06-08 20:00:00,Blue,team,,TSM,1800,15,6,30,1100,90,1,3,9'
+      ].join('\n');
+
+      const response = await request(app)
+        .post('/api/admin/import-matches?format=csv&week=2')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Content-Type', 'text/csv')
+        .send(teamCsv)
+        .expect(200);
+
+      expect(response.body.imported).toBe(1);
+      expect(response.body.teamsCreated).toEqual(['team_tsm']);
+
+      const team = await Player.findOne({ id: 'team_tsm' });
+      expect(team.position).toBe('TEAM');
+      expect(team.teamCode).toBe('TSM');
+      expect(team.region).toBe('LCS');
+      // 1 baron, 3 dragons and 9 towers at the default weights; kills and the rest don't count
+      expect(team.fantasyPoints).toBe(1 * 4 + 3 * 2 + 9 * 3);
+
+      // The entry is reused by later imports
+      const again = await request(app)
+        .post('/api/admin/import-matches?format=csv&week=2')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Content-Type', 'text/csv')
+        .send(teamCsv)
+        .expect(200);
+      expect(again.body.teamsCreated).toEqual([]);
+      expect(again.body.duplicates).toBe(1);
+    });
+
+    it('should return 403 if user is not admin', async () => {
+      await request(app)
+        .post('/api/admin/import-matches?format=csv&week=1')
+        .set('Authorization', `Bearer ${userToken}`)
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(403);
+    });
+  });
+
+  describe('Scheduled stats updates', () => {
+    let corePlayer;
+    let statsUpdater;
+
+    const recentGames = [
+      { matchId: 'NA1_100', playedAt: new Date('2024-06-01T20:00:00Z'), stats: { kills: 4, deaths: 2, assists: 6, cs: 250 } },
+      { matchId: 'NA1_101', playedAt: new Date('2024-06-08T20:00:00Z'), stats: { kills: 2, deaths: 3, assists: 8, cs: 200 } }
+    ];
+
+    beforeEach(async () => {
+      await Player.create({ id: 'riot_player', name: 'RiotPlayer', position: 'TOP', team: 'TSM', region: 'LCS' });
+      await ProMatch.create({ id: 'riot_m1', week: 3, teamA: 'TSM', teamB: 'C9', startTime: new Date('2024-06-05T18:00:00Z') });
+
+      corePlayer = new core.Player('riot_player', 'RiotPlayer', 'TOP', 'TSM', 'LCS');
+      const riotApiService = {
+        getSummonerByName: async () => ({ id: 'summoner', puuid: 'puuid' }),
+        getCurrentGame: async () => null,
+        getPlayerGames: async () => recentGames
+      };
+      statsUpdater = new StatsUpdaterService(
+        { getAllLeagues: () => [{ id: 'riot_league', currentWeek: 2, playerPool: [corePlayer] }] },
+        { getPlayerById: () => corePlayer, clearCache: () => {} },
+        riotApiService
+      );
+    });
+
+    it('should count the same matches once however many times it runs', async () => {
+      await statsUpdater.runUpdate();
+      const first = await Player.findOne({ id: 'riot_player' });
+
+      await statsUpdater.runUpdate();
+      const second = await Player.findOne({ id: 'riot_player' });
+
+      expect(await GameLog.countDocuments({ playerId: 'riot_player' })).toBe(2);
+      expect(second.stats.gamesPlayed).toBe(2);
+      expect(second.fantasyPoints).toBeCloseTo(first.fantasyPoints);
+      expect(corePlayer.fantasyPoints).toBeCloseTo(first.fantasyPoints);
+    });
+
+    it('should put each match in the week the pro calendar has it in', async () => {
+      await statsUpdater.runUpdate();
+
+      // Before the calendar's first match the league's current week is used
+      expect((await GameLog.findOne({ matchId: 'NA1_100' })).week).toBe(2);
+      expect((await GameLog.findOne({ matchId: 'NA1_101' })).week).toBe(3);
+    });
+  });
+
+  describe('In-memory player scoring', () => {
+    let playerService;
+
+    beforeEach(async () => {
+      await Player.create({ id: 'ledger_player', name: 'LedgerPlayer', position: 'MID', team: 'TSM', region: 'LCS' });
+
+      playerService = new core.PlayerService();
+      playerService.loadPlayersFromData(await Player.find({ id: 'ledger_player' }));
+    });
+
+    it('should replace a corrected game instead of adding it again', async () => {
+      await playerService.updatePlayerStats('ledger_player', { matchId: 'LCS-G1', week: 1, stats: { kills: 10 } });
+      await playerService.updatePlayerStats('ledger_player', { matchId: 'LCS-G1', week: 1, stats: { kills: 4 } });
+
+      const player = playerService.getPlayerById('ledger_player');
+      const stored = await Player.findOne({ id: 'ledger_player' });
+
+      expect(await GameLog.countDocuments({ playerId: 'ledger_player' })).toBe(1);
+      expect(player.stats.kills).toBe(4);
+      expect(player.stats.gamesPlayed).toBe(1);
+      expect(stored.stats.kills).toBe(4);
+      expect(player.fantasyPoints).toBeCloseTo(stored.fantasyPoints);
+    });
+
+    it('should score weeks from the game log after loading players', async () => {
+      await GameLog.recordGame('ledger_player', { matchId: 'LCS-G2', week: 2, stats: { kills: 3, assists: 5 } });
+      await GameLog.recordGame('ledger_player', { matchId: 'LCS-G3', week: 2, stats: { kills: 1, deaths: 2 } });
+
+      // As on server startup: players first, then their logged games
+      playerService.loadPlayersFromData(await Player.find({ id: 'ledger_player' }));
+      playerService.loadWeeklyGames(await GameLog.getWeeklyStatLines());
+
+      const player = playerService.getPlayerById('ledger_player');
+      const stored = await Player.findOne({ id: 'ledger_player' });
+
+      expect(player.getWeeklyPoints(2)).toBeGreaterThan(0);
+      expect(player.getWeeklyPoints(2)).toBeCloseTo(await stored.getWeeklyPoints(2));
+      expect(player.getWeeklyPoints(1)).toBe(0);
+    });
+  });
 });
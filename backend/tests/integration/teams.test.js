@@ -1,7 +1,7 @@
 const request = require('supertest');
 const mongoose = require('mongoose');
-const { FantasyTeam, League, Player } = require('../../models');
-const { createTestUser } = require('../testUtils');
+const { FantasyTeam, League, Player, ProMatch, LineupSnapshot } = require('../../models');
+const { createTestUser, createTestAdmin } = require('../testUtils');
 
 // Get express app
 let app;
@@ -245,4 +245,172 @@ describe('Teams API', () => {
       expect(response.body).toHaveProperty('message');
     });
   });
+
+  describe('Lineup locks', () => {
+    const hour = 60 * 60 * 1000;
+
+    beforeEach(async () => {
+      await ProMatch.create([
+        { id: 'lock_m1', week: 1, region: 'LCK', teamA: 'T1', teamB: 'Gen.G', startTime: new Date(Date.now() - hour) },
+        { id: 'lock_m2', week: 1, region: 'LCK', teamA: 'HLE', teamB: 'KT', startTime: new Date(Date.now() + hour) },
+        { id: 'lock_m3', week: 2, region: 'LCK', teamA: 'HLE', teamB: 'T1', startTime: new Date(Date.now() + 48 * hour) }
+      ]);
+    });
+
+    it('should lock players whose team has already played that week', async () => {
+      const locks = await ProMatch.getLineupLocks([
+        { id: 'faker', team: 'T1 Esports', teamCode: 'T1' },
+        { id: 'zeus', team: 'HLE' },
+        { id: 'caps', team: 'G2' }
+      ], 1);
+
+      expect(locks.get('faker').locked).toBe(true);
+      expect(locks.get('zeus')).toMatchObject({ locked: false });
+      expect(locks.get('zeus').kickoff).toBeInstanceOf(Date);
+      expect(locks.get('caps')).toEqual({ kickoff: null, locked: false });
+    });
+
+    it('should list the calendar for a week', async () => {
+      const response = await request(app)
+        .get('/api/pro-matches?week=1')
+        .expect(200);
+
+      expect(response.body.map(match => match.id)).toEqual(['lock_m1', 'lock_m2']);
+    });
+
+    it('should let admins add matches to the calendar', async () => {
+      const admin = await createTestAdmin();
+
+      const response = await request(app)
+        .post('/api/admin/pro-matches')
+        .set('Authorization', `Bearer ${admin.token}`)
+        .send({
+          matches: [
+            { id: 'lock_m4', week: 2, teamA: 'DK', teamB: 'KT', startTime: new Date().toISOString() },
+            { id: 'lock_m5', week: 2, teamA: 'DK' }
+          ]
+        })
+        .expect(200);
+
+      expect(response.body.saved).toBe(1);
+      expect(response.body.errors).toHaveLength(1);
+      expect(await ProMatch.findOne({ id: 'lock_m4' })).not.toBeNull();
+    });
+
+    it('should return 403 for non-admins', async () => {
+      await request(app)
+        .post('/api/admin/pro-matches')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ matches: [{ id: 'lock_m4', week: 2, teamA: 'DK', teamB: 'KT', startTime: new Date().toISOString() }] })
+        .expect(403);
+    });
+  });
+
+  describe('Roster slots', () => {
+    beforeEach(async () => {
+      await Player.create([
+        { id: 'slot_faker', name: 'Faker', position: 'MID', team: 'T1', region: 'LCK', weeklyPoints: { 1: 30 } },
+        { id: 'slot_chovy', name: 'Chovy', position: 'MID', team: 'GEN', region: 'LCK', weeklyPoints: { 1: 20 } },
+        { id: 'slot_t1', name: 'T1', position: 'TEAM', team: 'T1', region: 'LCK', weeklyPoints: { 1: 12 } },
+        { id: 'slot_zeus', name: 'Zeus', position: 'TOP', team: 'T1', region: 'LCK', weeklyPoints: { 1: 15 } }
+      ]);
+    });
+
+    it('should score extra FLEX and pro team slots but not the reserve', async () => {
+      const team = await FantasyTeam.create({
+        id: 'slot_team',
+        name: 'Slot Team',
+        owner: 'testuser',
+        players: {
+          MID: { playerId: 'slot_faker' },
+          FLEX2: { playerId: 'slot_chovy' },
+          TEAM: { playerId: 'slot_t1' },
+          IR: ['slot_zeus']
+        }
+      });
+
+      expect(team.getPlayerIds()).toEqual(['slot_faker', 'slot_chovy', 'slot_t1', 'slot_zeus']);
+      expect(team.getPlayerSlot('slot_zeus')).toBe('IR');
+      expect(await team.calculateWeeklyPoints(1)).toBe(62);
+    });
+
+    it('should remove a player from the reserve', async () => {
+      const team = new FantasyTeam({ id: 'slot_ir', name: 'IR Team', players: { IR: ['slot_zeus'] } });
+
+      expect(team.removePlayer('slot_zeus')).toBe(true);
+      expect(team.getPlayerIds()).toEqual([]);
+    });
+  });
+
+  describe('GET /api/teams/:id/lineup/:week', () => {
+    beforeEach(async () => {
+      await Player.create([
+        { id: 'snap_faker', name: 'Faker', position: 'MID', team: 'T1', region: 'LCK', weeklyPoints: { 1: 30 } },
+        { id: 'snap_chovy', name: 'Chovy', position: 'MID', team: 'GEN', region: 'LCK', weeklyPoints: { 1: 10 } }
+      ]);
+      await FantasyTeam.create({
+        id: 'snap_team',
+        name: 'Snapshot Team',
+        owner: 'testuser',
+        leagueId: 'snap_league',
+        players: { MID: { playerId: 'snap_faker' } }
+      });
+    });
+
+    it('should keep the frozen lineup after the roster changes', async () => {
+      await LineupSnapshot.freezeLeagueWeek('snap_league', 1);
+      await FantasyTeam.updateOne({ id: 'snap_team' }, { $set: { 'players.MID.playerId': 'snap_chovy' } });
+
+      const week1 = await request(app).get('/api/teams/snap_team/lineup/1').expect(200);
+      expect(week1.body.frozen).toBe(true);
+      expect(week1.body.players.MID).toMatchObject({ id: 'snap_faker', points: 30 });
+
+      const week2 = await request(app).get('/api/teams/snap_team/lineup/2').expect(200);
+      expect(week2.body.frozen).toBe(false);
+      expect(week2.body.players.MID.id).toBe('snap_chovy');
+    });
+
+    it('should score a frozen week from its snapshot', async () => {
+      await LineupSnapshot.freezeLeagueWeek('snap_league', 1);
+      await FantasyTeam.updateOne({ id: 'snap_team' }, { $set: { 'players.MID.playerId': 'snap_chovy' } });
+
+      const team = await FantasyTeam.findOne({ id: 'snap_team' });
+      expect(await team.calculateWeeklyPoints(1)).toBe(30);
+    });
+
+    it('should not overwrite a lineup that is already frozen', async () => {
+      expect(await LineupSnapshot.freezeLeagueWeek('snap_league', 1)).toBe(1);
+      await FantasyTeam.updateOne({ id: 'snap_team' }, { $set: { 'players.MID.playerId': 'snap_chovy' } });
+      expect(await LineupSnapshot.freezeLeagueWeek('snap_league', 1)).toBe(0);
+
+      const snapshot = await LineupSnapshot.findOne({ teamId: 'snap_team', week: 1 });
+      expect(snapshot.starters.MID).toBe('snap_faker');
+    });
+
+    it('should follow lineup moves in slots whose match has not started', async () => {
+      const hour = 60 * 60 * 1000;
+      await ProMatch.create([
+        { id: 'snap_m1', week: 1, region: 'LCK', teamA: 'T1', teamB: 'KT', startTime: new Date(Date.now() - hour) },
+        { id: 'snap_m2', week: 1, region: 'LCK', teamA: 'GEN', teamB: 'HLE', startTime: new Date(Date.now() + hour) }
+      ]);
+      await Player.create({ id: 'snap_peyz', name: 'Peyz', position: 'ADC', team: 'GEN', region: 'LCK' });
+      await FantasyTeam.updateOne({ id: 'snap_team' }, { $set: { 'players.ADC.playerId': 'snap_chovy' } });
+
+      expect(await LineupSnapshot.freezeIfWeekLocked('snap_league')).toBe(1);
+      await FantasyTeam.updateOne({ id: 'snap_team' }, {
+        $set: { 'players.MID.playerId': 'snap_chovy', 'players.ADC.playerId': 'snap_peyz' }
+      });
+      expect(await LineupSnapshot.syncIfWeekLocked('snap_league', ['snap_team'])).toBe(1);
+
+      const snapshot = await LineupSnapshot.findOne({ teamId: 'snap_team', week: 1 });
+      expect(snapshot.starters.MID).toBe('snap_faker');
+      expect(snapshot.starters.ADC).toBe('snap_peyz');
+    });
+
+    it('should return 404 if team is not found', async () => {
+      await request(app)
+        .get('/api/teams/nonexistent_team/lineup/1')
+        .expect(404);
+    });
+  });
 });
@@ -1,6 +1,8 @@
 const request = require('supertest');
 const mongoose = require('mongoose');
-const { Trade, FantasyTeam, Player, League } = require('../../models');
+const { Trade, FantasyTeam, Player, League, Transaction, GameLog } = require('../../models');
+const core = require('../../fantasy-core');
+const TradeService = require('../../services/TradeService');
 const { createTestUser } = require('../testUtils');
 
 // Get express app
@@ -352,4 +354,382 @@ describe('Trades API', () => {
       expect(response.body).toHaveProperty('message');
     });
   });
+
+  describe('Trade review', () => {
+    let voterToken;
+    let coreTeams;
+    let corePlayers;
+    let tradeService;
+
+    const createReviewTrade = (overrides = {}) => Trade.create({
+      id: 'rv_trade',
+      proposingTeamId: 'rv_team_1',
+      receivingTeamId: 'rv_team_2',
+      proposedPlayers: [{ id: 'rv_faker', position: 'MID', name: 'Faker' }],
+      requestedPlayers: [{ id: 'rv_chovy', position: 'MID', name: 'Chovy' }],
+      leagueId: 'rv_league',
+      createdBy: userId,
+      ...overrides
+    });
+
+    beforeEach(async () => {
+      const ids = [userId];
+      for (const name of ['rvtwo', 'rvthree', 'rvfour']) {
+        const member = await createTestUser({ username: name, email: `${name}@example.com` });
+        ids.push(member.user._id.toString());
+        if (name === 'rvthree') voterToken = member.token;
+      }
+
+      await League.create({
+        id: 'rv_league',
+        name: 'Review League',
+        creatorId: userId,
+        teams: ['rv_team_1', 'rv_team_2', 'rv_team_3', 'rv_team_4'],
+        tradeSettings: { reviewMode: 'league', reviewHours: 24 }
+      });
+      await FantasyTeam.create(ids.map((ownerId, index) => ({
+        id: `rv_team_${index + 1}`,
+        name: `Review Team ${index + 1}`,
+        owner: `owner${index + 1}`,
+        userId: ownerId,
+        leagueId: 'rv_league'
+      })));
+      await Player.create([
+        { id: 'rv_faker', name: 'Faker', position: 'MID', team: 'T1', region: 'LCK', owners: { rv_league: 'rv_team_1' } },
+        { id: 'rv_chovy', name: 'Chovy', position: 'MID', team: 'GEN', region: 'LCK', owners: { rv_league: 'rv_team_2' } }
+      ]);
+
+      // In-memory rosters the service moves players between
+      corePlayers = {
+        rv_faker: new core.Player('rv_faker', 'Faker', 'MID', 'T1', 'LCK'),
+        rv_chovy: new core.Player('rv_chovy', 'Chovy', 'MID', 'GEN', 'LCK')
+      };
+      coreTeams = {};
+      ids.forEach((ownerId, index) => {
+        const teamId = `rv_team_${index + 1}`;
+        coreTeams[teamId] = new core.FantasyTeam(teamId, `Review Team ${index + 1}`, `owner${index + 1}`);
+        coreTeams[teamId].leagueId = 'rv_league';
+        coreTeams[teamId].userId = ownerId;
+      });
+      coreTeams.rv_team_1.addPlayer(corePlayers.rv_faker, 'MID');
+      coreTeams.rv_team_2.addPlayer(corePlayers.rv_chovy, 'MID');
+
+      tradeService = new TradeService(
+        { getTeamById: teamId => coreTeams[teamId] },
+        { getPlayerById: playerId => corePlayers[playerId] }
+      );
+    });
+
+    it('should hold an accepted trade for review instead of moving players', async () => {
+      const trade = await createReviewTrade();
+      const leagueDoc = await League.findOne({ id: 'rv_league' });
+
+      expect(await tradeService.accept(trade, leagueDoc)).toBeNull();
+
+      const saved = await Trade.findOne({ id: 'rv_trade' });
+      expect(saved.status).toBe('review');
+      expect(saved.reviewMode).toBe('league');
+      expect(saved.reviewEndsAt.getTime()).toBeGreaterThan(Date.now());
+      expect(coreTeams.rv_team_1.hasPlayer('rv_faker')).toBe(true);
+    });
+
+    it('should carry out the trade once the review period ends', async () => {
+      const reviewEndsAt = new Date(Date.now() + 60 * 60 * 1000);
+      await createReviewTrade({ status: 'review', reviewMode: 'league', reviewEndsAt });
+
+      await tradeService.processDue(new Date());
+      expect((await Trade.findOne({ id: 'rv_trade' })).status).toBe('review');
+
+      await tradeService.processDue(new Date(reviewEndsAt.getTime() + 1000));
+
+      expect((await Trade.findOne({ id: 'rv_trade' })).status).toBe('accepted');
+      expect(coreTeams.rv_team_1.players.MID.id).toBe('rv_chovy');
+      expect(coreTeams.rv_team_2.players.MID.id).toBe('rv_faker');
+      expect((await Player.findOne({ id: 'rv_faker' })).getOwner('rv_league')).toBe('rv_team_2');
+      expect(await Transaction.countDocuments({ leagueId: 'rv_league', type: 'trade' })).toBe(2);
+    });
+
+    it('should let only one decision take a trade out of review', async () => {
+      await createReviewTrade({ status: 'review', reviewMode: 'commissioner', reviewEndsAt: new Date(Date.now() - 1000) });
+      const leagueDoc = await League.findOne({ id: 'rv_league' });
+      const [due, reversed] = [await Trade.findOne({ id: 'rv_trade' }), await Trade.findOne({ id: 'rv_trade' })];
+
+      expect(await tradeService.complete(due)).toBeNull();
+      expect(await tradeService.veto(reversed, leagueDoc, userId, 'The commissioner reversed the trade')).toBe(false);
+      expect(await tradeService.complete(reversed)).toBe('The trade is no longer in review');
+
+      expect((await Trade.findOne({ id: 'rv_trade' })).status).toBe('accepted');
+      expect(await Transaction.countDocuments({ leagueId: 'rv_league', type: 'trade' })).toBe(2);
+    });
+
+    it('should fail a trade still in review when rosters lock for the playoffs', async () => {
+      await createReviewTrade({ status: 'review', reviewMode: 'league', reviewEndsAt: new Date(Date.now() - 1000) });
+      await League.updateOne({ id: 'rv_league' }, {
+        $set: {
+          transactionSettings: { playoffRosterLock: true },
+          playoffs: { status: 'inProgress', rounds: 1, startWeek: 4, endWeek: 4 }
+        }
+      });
+
+      await tradeService.processDue(new Date());
+
+      const trade = await Trade.findOne({ id: 'rv_trade' });
+      expect(trade.status).toBe('failed');
+      expect(trade.reason).toBe('Rosters are locked for the playoffs');
+      expect(coreTeams.rv_team_1.players.MID.id).toBe('rv_faker');
+    });
+
+    it('should veto the trade once a majority of the other teams vote against it', async () => {
+      await createReviewTrade({ status: 'review', reviewMode: 'league', reviewEndsAt: new Date(Date.now() + 60 * 60 * 1000) });
+
+      // Teams in the trade don't get a vote
+      await request(app)
+        .post('/api/trades/rv_trade/veto')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+
+      const response = await request(app)
+        .post('/api/trades/rv_trade/veto')
+        .set('Authorization', `Bearer ${voterToken}`)
+        .expect(200);
+
+      // Two teams can vote, so it takes both of them
+      expect(response.body).toMatchObject({ vetoes: 1, needed: 2, vetoed: false });
+
+      const trade = await Trade.findOne({ id: 'rv_trade' });
+      const leagueDoc = await League.findOne({ id: 'rv_league' });
+      const fourth = await FantasyTeam.findOne({ id: 'rv_team_4' });
+      const result = await tradeService.castVeto(trade, leagueDoc, fourth.id, fourth.userId);
+
+      expect(result.vetoed).toBe(true);
+      expect((await Trade.findOne({ id: 'rv_trade' })).status).toBe('vetoed');
+    });
+
+    it('should let the commissioner reverse a trade in review', async () => {
+      await createReviewTrade({ status: 'review', reviewMode: 'commissioner', reviewEndsAt: new Date(Date.now() + 60 * 60 * 1000) });
+
+      await request(app)
+        .post('/api/trades/rv_trade/reverse')
+        .set('Authorization', `Bearer ${voterToken}`)
+        .expect(403);
+
+      const response = await request(app)
+        .post('/api/trades/rv_trade/reverse')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.trade.status).toBe('vetoed');
+      expect(response.body.trade.decidedBy).toBe(userId);
+    });
+
+    it('should let only the commissioner change how trades are reviewed', async () => {
+      await request(app)
+        .put('/api/leagues/rv_league/trades/settings')
+        .set('Authorization', `Bearer ${voterToken}`)
+        .send({ reviewMode: 'none' })
+        .expect(403);
+
+      await request(app)
+        .put('/api/leagues/rv_league/trades/settings')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ reviewMode: 'everyone' })
+        .expect(400);
+
+      const response = await request(app)
+        .put('/api/leagues/rv_league/trades/settings')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ reviewMode: 'commissioner', reviewHours: 12 })
+        .expect(200);
+
+      expect(response.body).toMatchObject({ reviewMode: 'commissioner', reviewHours: 12, vetoVotes: null });
+    });
+  });
+
+  describe('Multi-team trades, draft picks and counter-offers', () => {
+    let coreTeams;
+    let corePlayers;
+    let tradeService;
+    let leagueDoc;
+
+    const playerAsset = (playerId, fromTeamId, toTeamId) => ({ type: 'player', playerId, fromTeamId, toTeamId });
+    const pickAsset = (season, round, fromTeamId, toTeamId) => ({ type: 'pick', season, round, fromTeamId, toTeamId });
+
+    beforeEach(async () => {
+      const ids = [userId];
+      for (const name of ['mttwo', 'mtthree']) {
+        const member = await createTestUser({ username: name, email: `${name}@example.com` });
+        ids.push(member.user._id.toString());
+      }
+
+      leagueDoc = await League.create({
+        id: 'mt_league',
+        name: 'Multi-Team League',
+        creatorId: userId,
+        teams: ['mt_team_1', 'mt_team_2', 'mt_team_3']
+      });
+      await FantasyTeam.create(ids.map((ownerId, index) => ({
+        id: `mt_team_${index + 1}`,
+        name: `Multi Team ${index + 1}`,
+        owner: `owner${index + 1}`,
+        userId: ownerId,
+        leagueId: 'mt_league'
+      })));
+      await Player.create([
+        { id: 'mt_faker', name: 'Faker', position: 'MID', team: 'T1', region: 'LCK', owners: { mt_league: 'mt_team_1' } },
+        { id: 'mt_canyon', name: 'Canyon', position: 'JUNGLE', team: 'DK', region: 'LCK', owners: { mt_league: 'mt_team_2' } },
+        { id: 'mt_zeus', name: 'Zeus', position: 'TOP', team: 'HLE', region: 'LCK', owners: { mt_league: 'mt_team_3' } }
+      ]);
+
+      corePlayers = {
+        mt_faker: new core.Player('mt_faker', 'Faker', 'MID', 'T1', 'LCK'),
+        mt_canyon: new core.Player('mt_canyon', 'Canyon', 'JUNGLE', 'DK', 'LCK'),
+        mt_zeus: new core.Player('mt_zeus', 'Zeus', 'TOP', 'HLE', 'LCK')
+      };
+      coreTeams = {};
+      ids.forEach((ownerId, index) => {
+        const teamId = `mt_team_${index + 1}`;
+        coreTeams[teamId] = new core.FantasyTeam(teamId, `Multi Team ${index + 1}`, `owner${index + 1}`);
+        coreTeams[teamId].leagueId = 'mt_league';
+        coreTeams[teamId].userId = ownerId;
+      });
+      coreTeams.mt_team_1.addPlayer(corePlayers.mt_faker, 'MID');
+      coreTeams.mt_team_2.addPlayer(corePlayers.mt_canyon, 'JUNGLE');
+      coreTeams.mt_team_3.addPlayer(corePlayers.mt_zeus, 'TOP');
+
+      tradeService = new TradeService(
+        { getTeamById: teamId => coreTeams[teamId] },
+        { getPlayerById: playerId => corePlayers[playerId] }
+      );
+    });
+
+    it('should carry out a three-team trade once every team accepts', async () => {
+      const offer = tradeService.buildOffer('mt_team_1', {
+        assets: [
+          playerAsset('mt_faker', 'mt_team_1', 'mt_team_2'),
+          playerAsset('mt_canyon', 'mt_team_2', 'mt_team_3'),
+          playerAsset('mt_zeus', 'mt_team_3', 'mt_team_1')
+        ]
+      });
+      expect(tradeService.validateOffer(offer, leagueDoc)).toEqual([]);
+
+      const trade = await tradeService.propose(offer, leagueDoc, userId);
+      expect(trade.teamIds).toEqual(['mt_team_1', 'mt_team_2', 'mt_team_3']);
+      expect(trade.getAwaitingTeamIds()).toEqual(['mt_team_2', 'mt_team_3']);
+
+      trade.acceptedBy = ['mt_team_2', 'mt_team_3'];
+      expect(await tradeService.accept(trade, leagueDoc)).toBeNull();
+
+      expect(trade.status).toBe('accepted');
+      expect(coreTeams.mt_team_1.players.TOP.id).toBe('mt_zeus');
+      expect(coreTeams.mt_team_2.players.MID.id).toBe('mt_faker');
+      expect(coreTeams.mt_team_3.players.JUNGLE.id).toBe('mt_canyon');
+      expect(await Transaction.countDocuments({ leagueId: 'mt_league', type: 'trade' })).toBe(3);
+    });
+
+    it('should trade draft picks and only let their owner trade them', async () => {
+      const offer = tradeService.buildOffer('mt_team_1', {
+        assets: [
+          playerAsset('mt_faker', 'mt_team_1', 'mt_team_2'),
+          pickAsset(2, 1, 'mt_team_2', 'mt_team_1')
+        ]
+      });
+      const trade = await tradeService.propose(offer, leagueDoc, userId);
+      await tradeService.accept(trade, leagueDoc);
+
+      const saved = await League.findOne({ id: 'mt_league' });
+      expect(saved.tradedPicks.map(pick => pick.toObject())).toEqual([
+        expect.objectContaining({ season: 2, round: 1, originalTeamId: 'mt_team_2', ownerTeamId: 'mt_team_1' })
+      ]);
+
+      // The pick is mt_team_1's now, so mt_team_2 can't trade it again
+      const again = tradeService.buildOffer('mt_team_2', {
+        assets: [pickAsset(2, 1, 'mt_team_2', 'mt_team_3'), playerAsset('mt_zeus', 'mt_team_3', 'mt_team_2')]
+      });
+      expect(tradeService.validateOffer(again, saved)).toContain('Team mt_team_2 does not own the season 2 round 1 pick');
+
+      const response = await request(app)
+        .get('/api/leagues/mt_league/draft-picks')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.seasons).toEqual([1, 2]);
+      const picksOf = teamId => response.body.teams.find(team => team.teamId === teamId).picks;
+      expect(picksOf('mt_team_1')).toHaveLength(response.body.rounds * 2 + 1);
+      expect(picksOf('mt_team_2')).toHaveLength(response.body.rounds * 2 - 1);
+    });
+
+    it('should reject picks outside the tradable seasons and players the team does not have', () => {
+      const offer = tradeService.buildOffer('mt_team_1', {
+        assets: [pickAsset(5, 1, 'mt_team_1', 'mt_team_2'), playerAsset('mt_canyon', 'mt_team_1', 'mt_team_2')]
+      });
+      const errors = tradeService.validateOffer(offer, leagueDoc);
+
+      expect(errors).toContain('Only picks for seasons 1 and 2 can be traded');
+      expect(errors).toContain('Canyon is no longer on Multi Team 1');
+    });
+
+    it('should replace the original offer with a counter-offer', async () => {
+      const original = await tradeService.propose(
+        tradeService.buildOffer('mt_team_1', { assets: [playerAsset('mt_faker', 'mt_team_1', 'mt_team_2')] }),
+        leagueDoc,
+        userId
+      );
+
+      const counter = await tradeService.propose(
+        tradeService.buildOffer('mt_team_2', {
+          assets: [playerAsset('mt_faker', 'mt_team_1', 'mt_team_2'), pickAsset(1, 3, 'mt_team_2', 'mt_team_1')]
+        }),
+        leagueDoc,
+        coreTeams.mt_team_2.userId,
+        original
+      );
+
+      expect(counter.counterOf).toBe(original.id);
+      expect(counter.getAwaitingTeamIds()).toEqual(['mt_team_1']);
+
+      const saved = await Trade.findOne({ id: original.id });
+      expect(saved.status).toBe('countered');
+      expect(saved.counteredBy).toBe(counter.id);
+    });
+
+    it('should stop trades after the deadline and while rosters are locked for the playoffs', () => {
+      leagueDoc.transactionSettings = { tradeDeadlineWeek: 3, playoffRosterLock: true };
+
+      leagueDoc.currentWeek = 3;
+      expect(tradeService.getTradeRestriction(leagueDoc)).toBeNull();
+
+      leagueDoc.currentWeek = 4;
+      expect(tradeService.getTradeRestriction(leagueDoc)).toBe('The trade deadline (week 3) has passed');
+
+      leagueDoc.transactionSettings = { tradeDeadlineWeek: null, playoffRosterLock: true };
+      leagueDoc.playoffs = { status: 'inProgress', rounds: 1, startWeek: 4, endWeek: 4 };
+      expect(tradeService.getTradeRestriction(leagueDoc)).toBe('Rosters are locked for the playoffs');
+    });
+
+    it('should project how a trade changes each team\'s starting lineup', async () => {
+      leagueDoc.currentWeek = 2;
+      leagueDoc.schedule = [1, 2, 3, 4].map(week => ({ week, matchups: [] }));
+      await GameLog.create([1, 2].flatMap(week => [
+        { playerId: 'mt_faker', matchId: `mt_t1_${week}`, week, stats: { kills: 10, assists: 8, cs: 300 } },
+        { playerId: 'mt_canyon', matchId: `mt_dk_${week}`, week, stats: { kills: 2, deaths: 4, assists: 3, cs: 150 } }
+      ]));
+
+      const analysis = await tradeService.analyze(
+        tradeService.buildOffer('mt_team_1', {
+          assets: [playerAsset('mt_faker', 'mt_team_1', 'mt_team_2'), playerAsset('mt_canyon', 'mt_team_2', 'mt_team_1')]
+        }),
+        leagueDoc
+      );
+
+      expect(analysis.remainingWeeks).toBe(3);
+      const [first, second] = analysis.teams;
+      expect(first.teamId).toBe('mt_team_1');
+      expect(first.gives).toEqual([expect.objectContaining({ playerId: 'mt_faker', name: 'Faker' })]);
+      expect(first.restOfSeason.change).toBeLessThan(0);
+      expect(first.lineup.change).toBeLessThan(0);
+      expect(first.verdict).toBe('loses');
+      expect(second.lineup.change).toBe(-first.lineup.change);
+      expect(second.verdict).toBe('gains');
+    });
+  });
 });
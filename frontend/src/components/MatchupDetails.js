@@ -50,6 +50,7 @@ const PlayerCard = ({ player, position }) => {
             position === 'MID' ? 'purple' :
             position === 'ADC' ? 'orange' :
             position === 'SUPPORT' ? 'blue' :
+            position === 'TEAM' ? 'teal' :
             'gray'
           }
         >
@@ -64,8 +65,11 @@ const PlayerCard = ({ player, position }) => {
   );
 };
 
-const TeamColumn = ({ team, isLeft, isLoading }) => {
-  const playerPositions = ['TOP', 'JUNGLE', 'MID', 'ADC', 'SUPPORT', 'FLEX'];
+const TeamColumn = ({ team, lineup, isLeft, isLoading }) => {
+  // The lineup lists the league's starting slots; without one fall back to the standard roster
+  const playerPositions = lineup
+    ? Object.keys(lineup.players)
+    : ['TOP', 'JUNGLE', 'MID', 'ADC', 'SUPPORT', 'FLEX'];
   
   if (isLoading) {
     return (
@@ -127,6 +131,13 @@ const TeamColumn = ({ team, isLeft, isLoading }) => {
         <Stat mt={2}>
           <StatLabel color="gray.400">Total Points</StatLabel>
           <StatNumber color="yellow.300">{team?.totalPoints?.toFixed(1) || '0.0'}</StatNumber>
+          {lineup && (
+            <StatHelpText color="gray.400" mb={0}>
+              {lineup.frozen
+                ? `Lineup locked ${new Date(lineup.lockedAt).toLocaleString()}`
+                : 'Current lineup (week not locked yet)'}
+            </StatHelpText>
+          )}
         </Stat>
       </Box>
       
@@ -134,7 +145,7 @@ const TeamColumn = ({ team, isLeft, isLoading }) => {
         {playerPositions.map(position => (
           <Box key={position} width="100%">
             <PlayerCard 
-              player={team?.players?.[position]} 
+              player={lineup ? lineup.players[position] : team?.players?.[position]} 
               position={position} 
             />
           </Box>
@@ -145,9 +156,11 @@ const TeamColumn = ({ team, isLeft, isLoading }) => {
 };
 
 const MatchupDetails = ({ matchup }) => {
-  const { getTeamById, loading } = useApi();
+  const { getTeamById, getTeamLineup, loading } = useApi();
   const [homeTeam, setHomeTeam] = useState(null);
   const [awayTeam, setAwayTeam] = useState(null);
+  const [homeLineup, setHomeLineup] = useState(null); // Lineups actually started this week
+  const [awayLineup, setAwayLineup] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const mapSize = useBreakpointValue({ base: "200px", md: "300px", lg: "400px" });
   
@@ -177,6 +190,15 @@ const MatchupDetails = ({ matchup }) => {
         } else {
           setAwayTeam(matchup.awayTeam || {});
         }
+        
+        const homeTeamId = matchup.homeTeamId || matchup.homeTeam?.id;
+        const awayTeamId = matchup.awayTeamId || matchup.awayTeam?.id;
+        const [homeLineupData, awayLineupData] = await Promise.all([
+          homeTeamId ? getTeamLineup(homeTeamId, matchup.week).catch(() => null) : null,
+          awayTeamId ? getTeamLineup(awayTeamId, matchup.week).catch(() => null) : null
+        ]);
+        setHomeLineup(homeLineupData);
+        setAwayLineup(awayLineupData);
       } catch (error) {
         console.error('Error fetching team details:', error);
       } finally {
@@ -185,7 +207,7 @@ const MatchupDetails = ({ matchup }) => {
     };
     
     fetchTeamDetails();
-  }, [matchup, getTeamById]);
+  }, [matchup, getTeamById, getTeamLineup]);
   
   if (!matchup) {
     return (
@@ -247,6 +269,7 @@ const MatchupDetails = ({ matchup }) => {
         <GridItem>
           <TeamColumn 
             team={homeTeam} 
+            lineup={homeLineup}
             isLeft={true} 
             isLoading={isLoading}
           />
@@ -321,6 +344,7 @@ const MatchupDetails = ({ matchup }) => {
         <GridItem>
           <TeamColumn 
             team={awayTeam} 
+            lineup={awayLineup}
             isLeft={false} 
             isLoading={isLoading}
           />
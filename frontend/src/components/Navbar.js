@@ -6,11 +6,14 @@ import {
   MenuList, MenuItem, Avatar, useBreakpointValue,
   Drawer, DrawerOverlay, DrawerContent, DrawerCloseButton, 
   DrawerHeader, DrawerBody, useDisclosure, IconButton,
-  HStack, VStack, Text, Divider
+  HStack, VStack, Text, Divider, Badge
 } from '@chakra-ui/react';
-import { ChevronDownIcon, HamburgerIcon } from '@chakra-ui/icons';
+import { ChevronDownIcon, HamburgerIcon, BellIcon } from '@chakra-ui/icons';
 import { useAuth } from '../context/AuthContext';
 import { useLeague } from '../context/LeagueContext';
+import { useApi } from '../context/ApiContext';
+
+const NOTIFICATION_POLL_INTERVAL = 60 * 1000; // Check for new notifications every minute
 
 const NavLink = ({ to, children, isMobile = false }) => {
   const location = useLocation();
@@ -50,6 +53,114 @@ const NavLink = ({ to, children, isMobile = false }) => {
   );
 };
 
+const NotificationBell = () => {
+  const { getNotifications, markNotificationRead, markAllNotificationsRead } = useApi();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const navigate = useNavigate();
+  
+  useEffect(() => {
+    const fetchNotifications = async () => {
+      try {
+        const data = await getNotifications();
+        setNotifications(data.notifications || []);
+        setUnreadCount(data.unreadCount || 0);
+      } catch (error) {
+        console.error('NAVBAR: Error fetching notifications:', error);
+      }
+    };
+    
+    fetchNotifications();
+    const interval = setInterval(fetchNotifications, NOTIFICATION_POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [getNotifications]);
+  
+  const handleOpenNotification = async (notification) => {
+    if (!notification.read) {
+      setNotifications(prev => prev.map(n => n._id === notification._id ? { ...n, read: true } : n));
+      setUnreadCount(prev => Math.max(0, prev - 1));
+      markNotificationRead(notification._id).catch(error => 
+        console.error('NAVBAR: Error marking notification as read:', error)
+      );
+    }
+    
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+  
+  const handleMarkAllRead = async () => {
+    setNotifications(prev => prev.map(n => ({ ...n, read: true })));
+    setUnreadCount(0);
+    try {
+      await markAllNotificationsRead();
+    } catch (error) {
+      console.error('NAVBAR: Error marking notifications as read:', error);
+    }
+  };
+  
+  return (
+    <Box position="relative">
+      <Menu>
+        <MenuButton
+          as={IconButton}
+          icon={<BellIcon boxSize={5} />}
+          aria-label="Notifications"
+          variant="ghost"
+          color="white"
+          _hover={{ bg: 'whiteAlpha.200' }}
+        />
+        <MenuList bg="gray.700" borderColor="gray.600" maxH="400px" overflowY="auto" maxW="360px">
+          <Flex px={3} py={2} justify="space-between" align="center" borderBottomWidth="1px" borderColor="gray.600">
+            <Text color="white" fontWeight="medium">Notifications</Text>
+            {unreadCount > 0 && (
+              <Button size="xs" variant="link" colorScheme="yellow" onClick={handleMarkAllRead}>
+                Mark all read
+              </Button>
+            )}
+          </Flex>
+          {notifications.length === 0 ? (
+            <Text px={3} py={2} color="gray.400" fontSize="sm">No notifications yet</Text>
+          ) : (
+            notifications.map(notification => (
+              <MenuItem
+                key={notification._id}
+                _hover={{ bg: 'gray.600' }}
+                bg={notification.read ? 'transparent' : 'whiteAlpha.100'}
+                onClick={() => handleOpenNotification(notification)}
+              >
+                <Box>
+                  <Text color={notification.read ? 'gray.300' : 'white'} fontSize="sm" fontWeight={notification.read ? 'normal' : 'semibold'}>
+                    {notification.title}
+                  </Text>
+                  {notification.message && (
+                    <Text color="gray.400" fontSize="xs">{notification.message}</Text>
+                  )}
+                  <Text color="gray.500" fontSize="xs">{new Date(notification.createdAt).toLocaleString()}</Text>
+                </Box>
+              </MenuItem>
+            ))
+          )}
+        </MenuList>
+      </Menu>
+      {unreadCount > 0 && (
+        <Badge
+          position="absolute"
+          top="0"
+          right="0"
+          colorScheme="red"
+          variant="solid"
+          borderRadius="full"
+          fontSize="xs"
+          pointerEvents="none"
+        >
+          {unreadCount > 9 ? '9+' : unreadCount}
+        </Badge>
+      )}
+    </Box>
+  );
+};
+
 const Navbar = () => {
   const { user, logout, isAuthenticated } = useAuth();
   const { selectedLeague } = useLeague();
@@ -196,7 +307,13 @@ const Navbar = () => {
         )}
         
         {/* Auth Controls */}
-        <Box ml={4}>
+        {isAuthenticated && (
+          <Box ml={4}>
+            <NotificationBell />
+          </Box>
+        )}
+        
+        <Box ml={isAuthenticated ? 1 : 4}>
           {isAuthenticated ? (
             <Menu>
               <MenuButton
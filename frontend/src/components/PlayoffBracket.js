@@ -0,0 +1,130 @@
+import React from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import { Box, Heading, Flex, Text, Link, VStack, Badge } from '@chakra-ui/react';
+
+const roundName = (round, rounds, bracket) => {
+  const fromEnd = rounds - round;
+  if (fromEnd === 0) return bracket === 'winners' ? 'Final' : 'Consolation Final';
+  if (fromEnd === 1) return 'Semifinals';
+  if (fromEnd === 2) return 'Quarterfinals';
+  return `Round ${round}`;
+};
+
+const formatWeeks = (weeks) => (weeks.length > 1
+  ? `Weeks ${weeks[0]}-${weeks[weeks.length - 1]}`
+  : `Week ${weeks[0]}`);
+
+const BracketTeam = ({ teamId, name, seed, score, isWinner, isDecided, showScore }) => (
+  <Flex
+    justify="space-between"
+    align="center"
+    px={3}
+    py={2}
+    bg={isWinner ? 'yellow.900' : 'transparent'}
+    opacity={isDecided && !isWinner ? 0.6 : 1}
+  >
+    <Flex align="center" minW={0}>
+      <Text color="gray.400" fontSize="xs" w="20px" flexShrink={0}>{seed || ''}</Text>
+      {teamId ? (
+        <Link as={RouterLink} to={`/teams/${teamId}`} color="white" fontWeight={isWinner ? 'bold' : 'normal'} noOfLines={1}>
+          {name}
+        </Link>
+      ) : (
+        <Text color="gray.500" fontStyle="italic">TBD</Text>
+      )}
+    </Flex>
+    {showScore && (
+      <Text color={isWinner ? 'yellow.300' : 'gray.300'} fontWeight="bold" ml={2}>
+        {score.toFixed(1)}
+      </Text>
+    )}
+  </Flex>
+);
+
+const BracketMatchup = ({ matchup }) => {
+  if (matchup.bye) {
+    return (
+      <Box bg="gray.800" borderWidth="1px" borderColor="gray.700" rounded="md" overflow="hidden">
+        <BracketTeam teamId={matchup.teamA} name={matchup.teamAName} seed={matchup.seedA} isWinner />
+        <Text px={3} py={2} color="gray.500" fontSize="sm" borderTopWidth="1px" borderColor="gray.700">Bye</Text>
+      </Box>
+    );
+  }
+  
+  const isDecided = !!matchup.winner;
+  const hasStarted = isDecided || matchup.scoreA > 0 || matchup.scoreB > 0;
+  
+  return (
+    <Box bg="gray.800" borderWidth="1px" borderColor={isDecided ? 'gray.600' : 'gray.700'} rounded="md" overflow="hidden">
+      <BracketTeam
+        teamId={matchup.teamA}
+        name={matchup.teamAName}
+        seed={matchup.seedA}
+        score={matchup.scoreA}
+        isWinner={isDecided && matchup.winner === matchup.teamA}
+        isDecided={isDecided}
+        showScore={hasStarted}
+      />
+      <Box borderTopWidth="1px" borderColor="gray.700">
+        <BracketTeam
+          teamId={matchup.teamB}
+          name={matchup.teamBName}
+          seed={matchup.seedB}
+          score={matchup.scoreB}
+          isWinner={isDecided && matchup.winner === matchup.teamB}
+          isDecided={isDecided}
+          showScore={hasStarted}
+        />
+      </Box>
+      <Text px={3} py={1} bg="gray.900" color="gray.400" fontSize="xs">{formatWeeks(matchup.weeks)}</Text>
+    </Box>
+  );
+};
+
+const Bracket = ({ matchups, bracket }) => {
+  const inBracket = matchups.filter(matchup => matchup.bracket === bracket);
+  const rounds = Math.max(...inBracket.map(matchup => matchup.round));
+  
+  return (
+    <Flex gap={6} overflowX="auto" pb={2}>
+      {Array.from({ length: rounds }, (_, i) => i + 1).map(round => (
+        <VStack key={round} spacing={4} minW="220px" justify="space-around" align="stretch">
+          <Text color="gray.400" fontSize="sm" fontWeight="bold" textTransform="uppercase">
+            {roundName(round, rounds, bracket)}
+          </Text>
+          {inBracket
+            .filter(matchup => matchup.round === round)
+            .sort((a, b) => a.slot - b.slot)
+            .map(matchup => <BracketMatchup key={matchup.id} matchup={matchup} />)}
+        </VStack>
+      ))}
+    </Flex>
+  );
+};
+
+const PlayoffBracket = ({ playoffs }) => {
+  const hasConsolation = playoffs.matchups.some(matchup => matchup.bracket === 'consolation');
+  
+  return (
+    <VStack spacing={8} align="stretch">
+      <Box>
+        <Flex align="center" mb={4} gap={3}>
+          <Heading size="md" color="white">Championship Bracket</Heading>
+          <Badge colorScheme={playoffs.status === 'complete' ? 'green' : 'yellow'}>
+            {playoffs.status === 'complete' ? 'Complete' : `Weeks ${playoffs.startWeek}-${playoffs.endWeek}`}
+          </Badge>
+        </Flex>
+        <Bracket matchups={playoffs.matchups} bracket="winners" />
+      </Box>
+      
+      {hasConsolation && (
+        <Box>
+          <Heading size="md" color="white" mb={4}>Consolation Bracket</Heading>
+          <Bracket matchups={playoffs.matchups} bracket="consolation" />
+        </Box>
+      )}
+    </VStack>
+  );
+};
+
+export default PlayoffBracket;
@@ -0,0 +1,87 @@
+import React from 'react';
+import {
+  Box, Text, Flex, Badge, SimpleGrid, VStack,
+  Table, Thead, Tbody, Tr, Th, Td
+} from '@chakra-ui/react';
+
+const VERDICT_COLORS = { gains: 'green', loses: 'red', even: 'gray' };
+
+const formatChange = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)}`;
+const changeColor = (value) => (value > 0 ? 'green.300' : value < 0 ? 'red.300' : 'gray.300');
+
+const ROWS = [
+  ['seasonPoints', 'Season points'],
+  ['recentForm', 'Recent form (pts/game)'],
+  ['restOfSeason', 'Rest-of-season projection'],
+  ['scarcity', 'Value over free agents']
+];
+
+/**
+ * How a trade changes each team: what it gives and gets on each measure, and the
+ * projected strength of its best starting lineup before and after
+ * @param {Object} analysis - From the trade analyzer: { remainingWeeks, teams }
+ */
+const TradeAnalysis = ({ analysis }) => (
+  <Box>
+    <SimpleGrid columns={{ base: 1, md: Math.min(analysis.teams.length, 2) }} spacing={4}>
+      {analysis.teams.map(team => {
+        const { before, after, change } = team.lineup;
+        const lineupMoves = after.starters.filter((starter, index) => starter.playerId !== before.starters[index].playerId);
+        
+        return (
+          <Box key={team.teamId} p={4} bg="gray.900" rounded="md">
+            <Flex justify="space-between" align="center" mb={3}>
+              <Text color="white" fontWeight="bold">{team.name}</Text>
+              <Badge colorScheme={VERDICT_COLORS[team.verdict]}>
+                {team.verdict} {formatChange(team.score)}
+              </Badge>
+            </Flex>
+            
+            <Table variant="simple" size="sm" mb={3}>
+              <Thead>
+                <Tr>
+                  <Th color="gray.400"></Th>
+                  <Th color="gray.400" isNumeric>Gives</Th>
+                  <Th color="gray.400" isNumeric>Gets</Th>
+                  <Th color="gray.400" isNumeric>Change</Th>
+                </Tr>
+              </Thead>
+              <Tbody>
+                {ROWS.map(([field, label]) => (
+                  <Tr key={field}>
+                    <Td color="gray.300">{label}</Td>
+                    <Td color="gray.300" isNumeric>{team[field].given.toFixed(1)}</Td>
+                    <Td color="gray.300" isNumeric>{team[field].received.toFixed(1)}</Td>
+                    <Td color={changeColor(team[field].change)} isNumeric>{formatChange(team[field].change)}</Td>
+                  </Tr>
+                ))}
+              </Tbody>
+            </Table>
+            
+            <Text color="gray.400" fontSize="sm">
+              Starting lineup projection: {before.total.toFixed(1)} → {after.total.toFixed(1)}{' '}
+              <Text as="span" color={changeColor(change)}>({formatChange(change)})</Text>
+            </Text>
+            {lineupMoves.length > 0 && (
+              <VStack align="flex-start" spacing={0} mt={1}>
+                {lineupMoves.map(starter => {
+                  const replaced = before.starters.find(entry => entry.slot === starter.slot);
+                  return (
+                    <Text key={starter.slot} color="gray.500" fontSize="xs">
+                      {starter.slot}: {replaced.name || 'Empty'} → {starter.name || 'Empty'}
+                    </Text>
+                  );
+                })}
+              </VStack>
+            )}
+          </Box>
+        );
+      })}
+    </SimpleGrid>
+    <Text color="gray.500" fontSize="xs" mt={2}>
+      Projections blend season and recent form over the {analysis.remainingWeeks} week(s) left. Draft picks aren't scored.
+    </Text>
+  </Box>
+);
+
+export default TradeAnalysis;
@@ -0,0 +1,50 @@
+import React from 'react';
+import { Box, Text, SimpleGrid, HStack, Badge } from '@chakra-ui/react';
+
+const teamName = (teams, teamId) => teams.find(team => team.teamId === teamId)?.name || 'Unknown Team';
+
+// "Season 3 round 2 pick", naming the team the pick came from when it isn't the team giving it up
+export const describePick = (pick, teams) => {
+  const label = `Season ${pick.season} round ${pick.round} pick`;
+  return pick.originalTeamId && pick.originalTeamId !== pick.fromTeamId
+    ? `${label} (${teamName(teams, pick.originalTeamId)})`
+    : label;
+};
+
+/**
+ * What each team in a trade gets, one column per team
+ * @param {Array} assets - [{ type, fromTeamId, toTeamId, name, position, season, round, originalTeamId }]
+ * @param {Array} teams - [{ teamId, name }] for every team in the trade
+ * @param {Array} drops - [{ teamId, playerId, name }] players released to make room
+ */
+const TradeAssets = ({ assets, teams, drops = [] }) => (
+  <SimpleGrid columns={{ base: 1, md: Math.min(teams.length, 4) }} spacing={4}>
+    {teams.map(team => {
+      const incoming = assets.filter(asset => asset.toTeamId === team.teamId);
+      const dropped = drops.filter(drop => drop.teamId === team.teamId);
+      
+      return (
+        <Box key={team.teamId}>
+          <Text color="gray.400" fontSize="sm" mb={1}>{team.name} gets</Text>
+          {incoming.length === 0 && <Text color="gray.500">Nothing</Text>}
+          {incoming.map((asset, index) => (
+            <HStack key={index} spacing={2}>
+              <Badge colorScheme={asset.type === 'pick' ? 'purple' : 'green'}>
+                {asset.type === 'pick' ? 'PICK' : asset.position || 'PLAYER'}
+              </Badge>
+              <Text color="white">
+                {asset.type === 'pick' ? describePick(asset, teams) : asset.name || asset.playerId}
+              </Text>
+              <Text color="gray.500" fontSize="xs">from {teamName(teams, asset.fromTeamId)}</Text>
+            </HStack>
+          ))}
+          {dropped.map(drop => (
+            <Text key={drop.playerId} color="red.300" fontSize="sm">Drops {drop.name || drop.playerId}</Text>
+          ))}
+        </Box>
+      );
+    })}
+  </SimpleGrid>
+);
+
+export default TradeAssets;
@@ -307,6 +307,12 @@ export const ApiProvider = ({ children }) => {
       method: 'DELETE'
     }, false), [fetchData]);
   
+  const getLineupLocks = useCallback((teamId) => 
+    fetchData(`/teams/${teamId}/lineup-locks`, {}, false), [fetchData]);
+  
+  const getTeamLineup = useCallback((teamId, week) => 
+    fetchData(`/teams/${teamId}/lineup/${week}`, {}, false), [fetchData]);
+  
   // API methods for league
   const getLeague = useCallback((leagueId) => fetchData(`/leagues/${leagueId}`, {}, true), [fetchData]);
   
@@ -325,6 +331,59 @@ export const ApiProvider = ({ children }) => {
   const getStandings = useCallback((leagueId) => 
     fetchData(`/leagues/${leagueId}/standings`, {}, true), [fetchData]);
   
+  const getTiebreakers = useCallback((leagueId) => 
+    fetchData(`/leagues/${leagueId}/tiebreakers`, {}, false), [fetchData]);
+  
+  const updateTiebreakers = useCallback((leagueId, tiebreakers) => 
+    fetchData(`/leagues/${leagueId}/tiebreakers`, {
+      method: 'PUT',
+      body: JSON.stringify({ tiebreakers })
+    }, false), [fetchData]);
+  
+  const getDivisions = useCallback((leagueId) => 
+    fetchData(`/leagues/${leagueId}/divisions`, {}, false), [fetchData]);
+  
+  const updateDivisions = useCallback((leagueId, divisions) => 
+    fetchData(`/leagues/${leagueId}/divisions`, {
+      method: 'PUT',
+      body: JSON.stringify({ divisions })
+    }, false), [fetchData]);
+  
+  const getRosterTemplate = useCallback((leagueId) => 
+    fetchData(`/leagues/${leagueId}/roster-template`, {}, false), [fetchData]);
+  
+  const updateRosterTemplate = useCallback((leagueId, rosterTemplate) => 
+    fetchData(`/leagues/${leagueId}/roster-template`, {
+      method: 'PUT',
+      body: JSON.stringify({ rosterTemplate })
+    }, false), [fetchData]);
+  
+  const getLeagueKeepers = useCallback((leagueId) => 
+    fetchData(`/leagues/${leagueId}/keepers`, {}, false), [fetchData]);
+  
+  const updateKeeperSettings = useCallback((leagueId, keeperSettings) => 
+    fetchData(`/leagues/${leagueId}/keeper-settings`, {
+      method: 'PUT',
+      body: JSON.stringify({ keeperSettings })
+    }, false), [fetchData]);
+  
+  const rolloverSeason = useCallback((leagueId) => 
+    fetchData(`/leagues/${leagueId}/rollover`, {
+      method: 'POST'
+    }, false), [fetchData]);
+  
+  const getLeagueHistory = useCallback((leagueId) => 
+    fetchData(`/leagues/${leagueId}/history`, {}, false), [fetchData]);
+  
+  const getTeamKeepers = useCallback((teamId) => 
+    fetchData(`/teams/${teamId}/keepers`, {}, false), [fetchData]);
+  
+  const setTeamKeepers = useCallback((teamId, playerIds) => 
+    fetchData(`/teams/${teamId}/keepers`, {
+      method: 'PUT',
+      body: JSON.stringify({ playerIds })
+    }, false), [fetchData]);
+  
   const getMatchups = useCallback((leagueId, week) => 
     fetchData(`/leagues/${leagueId}/matchups/${week}`, {}, true), [fetchData]);
   
@@ -338,10 +397,10 @@ export const ApiProvider = ({ children }) => {
       method: 'POST'
     }, false), [fetchData]);
   
-  const generateSchedule = useCallback((leagueId, weeks) => 
-    fetchData(`/leagues/${leagueId}/schedule`, {
+  const generateSchedule = useCallback((leagueId, options) => 
+    fetchData(`/leagues/${leagueId}/generate-schedule`, {
       method: 'POST',
-      body: JSON.stringify({ weeks })
+      body: JSON.stringify(options)
     }, false), [fetchData]);
   
   const updateAllStats = useCallback((leagueId) => 
@@ -397,10 +456,143 @@ export const ApiProvider = ({ children }) => {
     return result;
   }, [fetchData]);
 
-  const scheduleDraft = useCallback((leagueId, draftDateTime, draftType) => 
+  const scheduleDraft = useCallback((leagueId, draftDateTime, draftType, auctionBudget) => 
+    fetchData(`/leagues/${leagueId}/schedule-draft`, {
+      method: 'POST',
+      body: JSON.stringify({ draftDateTime, draftType, auctionBudget })
+    }, false), [fetchData]);
+    
+  const getFreeAgents = useCallback((leagueId, filters = {}) => {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(filters)) {
+      if (value) params.append(key, value);
+    }
+    const query = params.toString();
+    return fetchData(`/leagues/${leagueId}/free-agents${query ? `?${query}` : ''}`, {}, false);
+  }, [fetchData]);
+    
+  const cancelDraftSchedule = useCallback((leagueId) => 
     fetchData(`/leagues/${leagueId}/schedule-draft`, {
+      method: 'DELETE'
+    }, false), [fetchData]);
+    
+  const getDraftSchedule = useCallback((leagueId) => 
+    fetchData(`/leagues/${leagueId}/draft-schedule`, {}, false), [fetchData]);
+    
+  // Waiver-related API methods
+  const getWaivers = useCallback((leagueId) => 
+    fetchData(`/leagues/${leagueId}/waivers`, {}, false), [fetchData]);
+    
+  const submitWaiverClaim = useCallback((leagueId, playerId, dropPlayerId, bid) => 
+    fetchData(`/leagues/${leagueId}/waivers/claims`, {
+      method: 'POST',
+      body: JSON.stringify({ playerId, dropPlayerId: dropPlayerId || null, bid })
+    }, false), [fetchData]);
+    
+  const cancelWaiverClaim = useCallback((leagueId, claimId) => 
+    fetchData(`/leagues/${leagueId}/waivers/claims/${claimId}`, {
+      method: 'DELETE'
+    }, false), [fetchData]);
+    
+  const updateWaiverSettings = useCallback((leagueId, settings) => 
+    fetchData(`/leagues/${leagueId}/waivers/settings`, {
+      method: 'PUT',
+      body: JSON.stringify(settings)
+    }, false), [fetchData]);
+  
+  const getTradeReview = useCallback((leagueId) => 
+    fetchData(`/leagues/${leagueId}/trades/review`, {}, false), [fetchData]);
+  
+  const updateTradeSettings = useCallback((leagueId, settings) => 
+    fetchData(`/leagues/${leagueId}/trades/settings`, {
+      method: 'PUT',
+      body: JSON.stringify(settings)
+    }, false), [fetchData]);
+  
+  const getTransactionSettings = useCallback((leagueId) => 
+    fetchData(`/leagues/${leagueId}/transaction-settings`, {}, false), [fetchData]);
+  
+  const updateTransactionSettings = useCallback((leagueId, transactionSettings) => 
+    fetchData(`/leagues/${leagueId}/transaction-settings`, {
+      method: 'PUT',
+      body: JSON.stringify({ transactionSettings })
+    }, false), [fetchData]);
+  
+  const vetoTrade = useCallback((tradeId) => 
+    fetchData(`/trades/${tradeId}/veto`, {
+      method: 'POST'
+    }, false), [fetchData]);
+  
+  const approveTrade = useCallback((tradeId) => 
+    fetchData(`/trades/${tradeId}/approve`, {
+      method: 'POST'
+    }, false), [fetchData]);
+  
+  const reverseTrade = useCallback((tradeId) => 
+    fetchData(`/trades/${tradeId}/reverse`, {
+      method: 'POST'
+    }, false), [fetchData]);
+  
+  // offer: { proposingTeamId, assets: [{ type, fromTeamId, toTeamId, playerId | season, round, originalTeamId }], drops }
+  const proposeTrade = useCallback((offer) => 
+    fetchData('/trades/propose', {
+      method: 'POST',
+      body: JSON.stringify(offer)
+    }, false), [fetchData]);
+  
+  const counterTrade = useCallback((tradeId, offer) => 
+    fetchData(`/trades/${tradeId}/counter`, {
       method: 'POST',
-      body: JSON.stringify({ draftDateTime, draftType })
+      body: JSON.stringify(offer)
+    }, false), [fetchData]);
+  
+  const getTrade = useCallback((tradeId) => 
+    fetchData(`/trades/${tradeId}`, {}, false), [fetchData]);
+  
+  const getTeamTrades = useCallback((teamId) => 
+    fetchData(`/trades/team/${teamId}`, {}, false), [fetchData]);
+  
+  const acceptTrade = useCallback((tradeId) => 
+    fetchData(`/trades/${tradeId}/accept`, {
+      method: 'POST'
+    }, false), [fetchData]);
+  
+  const rejectTrade = useCallback((tradeId) => 
+    fetchData(`/trades/${tradeId}/reject`, {
+      method: 'POST'
+    }, false), [fetchData]);
+  
+  const cancelTrade = useCallback((tradeId) => 
+    fetchData(`/trades/${tradeId}/cancel`, {
+      method: 'POST'
+    }, false), [fetchData]);
+  
+  // request: { tradeId } for a saved trade, or an offer as for proposeTrade
+  const analyzeTrade = useCallback((request) => 
+    fetchData('/trades/analyze', {
+      method: 'POST',
+      body: JSON.stringify(request)
+    }, false), [fetchData]);
+  
+  const getDraftPicks = useCallback((leagueId) => 
+    fetchData(`/leagues/${leagueId}/draft-picks`, {}, false), [fetchData]);
+    
+  const getTransactions = useCallback((leagueId) => 
+    fetchData(`/leagues/${leagueId}/transactions`, {}, false), [fetchData]);
+    
+  const getPlayoffs = useCallback((leagueId) => 
+    fetchData(`/leagues/${leagueId}/playoffs`, {}, false), [fetchData]);
+    
+  const updatePlayoffSettings = useCallback((leagueId, settings) => 
+    fetchData(`/leagues/${leagueId}/playoffs/settings`, {
+      method: 'PUT',
+      body: JSON.stringify(settings)
+    }, false), [fetchData]);
+    
+  const generatePlayoffs = useCallback((leagueId, startWeek) => 
+    fetchData(`/leagues/${leagueId}/playoffs`, {
+      method: 'POST',
+      body: JSON.stringify(startWeek ? { startWeek } : {})
     }, false), [fetchData]);
     
   // User-related API methods
@@ -479,6 +671,22 @@ export const ApiProvider = ({ children }) => {
     fetchData(`/messages/conversations/${conversationId}/read`, {
       method: 'POST'
     }, false), [fetchData]);
+    
+  // Notification-related API methods; polled in the background so they don't flash loading states
+  const getNotifications = useCallback(() => 
+    fetchData('/notifications', { backgroundRefresh: true }, false), [fetchData]);
+    
+  const markNotificationRead = useCallback((notificationId) => 
+    fetchData(`/notifications/${notificationId}/read`, {
+      method: 'PUT',
+      backgroundRefresh: true
+    }, false), [fetchData]);
+    
+  const markAllNotificationsRead = useCallback(() => 
+    fetchData('/notifications/read-all', {
+      method: 'PUT',
+      backgroundRefresh: true
+    }, false), [fetchData]);
   
   const value = {
     loading,
@@ -500,6 +708,8 @@ export const ApiProvider = ({ children }) => {
     createTeam,
     addPlayerToTeam,
     removePlayerFromTeam,
+    getLineupLocks,
+    getTeamLineup,
     
     // New league methods
     getLeagues,
@@ -508,10 +718,49 @@ export const ApiProvider = ({ children }) => {
     createLeague,
     joinLeague,
     scheduleDraft,
+    cancelDraftSchedule,
+    getFreeAgents,
+    getDraftSchedule,
+    getWaivers,
+    submitWaiverClaim,
+    cancelWaiverClaim,
+    updateWaiverSettings,
+    getTradeReview,
+    updateTradeSettings,
+    getTransactionSettings,
+    updateTransactionSettings,
+    vetoTrade,
+    approveTrade,
+    reverseTrade,
+    proposeTrade,
+    counterTrade,
+    getTrade,
+    getTeamTrades,
+    acceptTrade,
+    rejectTrade,
+    cancelTrade,
+    analyzeTrade,
+    getDraftPicks,
+    getTransactions,
+    getPlayoffs,
+    updatePlayoffSettings,
+    generatePlayoffs,
     
     // Original league methods
     getLeague,
     getStandings,
+    getTiebreakers,
+    updateTiebreakers,
+    getDivisions,
+    updateDivisions,
+    getRosterTemplate,
+    updateRosterTemplate,
+    getLeagueKeepers,
+    updateKeeperSettings,
+    rolloverSeason,
+    getTeamKeepers,
+    setTeamKeepers,
+    getLeagueHistory,
     getMatchups,
     calculateWeekScores,
     evaluateMatchupWins,
@@ -543,7 +792,12 @@ export const ApiProvider = ({ children }) => {
     getMessages,
     sendMessage,
     createConversation,
-    markConversationAsRead
+    markConversationAsRead,
+    
+    // Notification methods
+    getNotifications,
+    markNotificationRead,
+    markAllNotificationsRead
   };
   
   return (
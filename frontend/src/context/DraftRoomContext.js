@@ -1,15 +1,38 @@
 // frontend/src/context/DraftRoomContext.js
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { useAuth } from './AuthContext';
+import { useLeague } from './LeagueContext';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// Draft rooms live on the API server at /ws, one room per league
+const getDraftSocketUrl = (leagueId, token) => {
+  let baseUrl = process.env.REACT_APP_WS_URL;
+  
+  if (!baseUrl) {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    baseUrl = API_URL.startsWith('http')
+      ? API_URL.replace(/^http/, 'ws').replace(/\/api\/?$/, '/ws')
+      : `${protocol}//${window.location.host}/ws`;
+  }
+  
+  return `${baseUrl}?leagueId=${encodeURIComponent(leagueId)}&token=${encodeURIComponent(token)}`;
+};
 
 const DraftRoomContext = createContext();
 
 export const useDraftRoom = () => useContext(DraftRoomContext);
 
 export const DraftRoomProvider = ({ children }) => {
-  const { user } = useAuth();
+  const { user, token } = useAuth();
+  const { selectedLeague } = useLeague();
+  const leagueId = selectedLeague?.id || selectedLeague?._id;
   const [socket, setSocket] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
+  const [draftError, setDraftError] = useState(null);
+  const [roomInfo, setRoomInfo] = useState({ isCommissioner: false, canDraft: false });
+  const [queue, setQueue] = useState([]);
+  const [autoDraft, setAutoDraftState] = useState(false);
   const [draftState, setDraftState] = useState({
     participants: [],
     draftStarted: false,
@@ -18,27 +41,28 @@ export const DraftRoomProvider = ({ children }) => {
     currentPickIndex: 0,
     draftHistory: [],
     teams: {},
+    draftType: 'snake',
+    auction: null,
+    pickClock: null,
+    resultsSaved: false,
+    resultsError: null,
     chatMessages: []
   });
   
   // State to store chat messages for easier access
   const [chatMessages, setChatMessages] = useState([]);
   
-  // Connect to WebSocket server when user is authenticated
+  // Connect to the selected league's draft room when user is authenticated
   useEffect(() => {
-    if (!user) return;
+    if (!user || !token || !leagueId) return;
     
-    // Create WebSocket connection to the main server
-    // Determine WebSocket URL based on environment
-    
-    // Determine protocol based on current connection
-    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    // Queues belong to a league's room; the new room sends ours once we connect
+    setQueue([]);
+    setAutoDraftState(false);
     
-    // Use the /wss path for secure connections, /ws for non-secure
-    // const wsPath = window.location.protocol === 'https:' ? '/wss' : '/ws';
-    const wsUrl = `wss://egbfantasy.com:8443`;
+    const wsUrl = getDraftSocketUrl(leagueId, token);
     
-    console.log(`Draft WebSocket connecting to: ${wsUrl}`);
+    console.log(`Draft WebSocket connecting to league ${leagueId}`);
     const ws = new WebSocket(wsUrl);
     
     // Add connection timeout and retry logic
@@ -58,7 +82,7 @@ export const DraftRoomProvider = ({ children }) => {
       // Join the draft room
       ws.send(JSON.stringify({
         type: 'join',
-        data: { username: user.username }
+        data: {}
       }));
     };
     
@@ -91,13 +115,13 @@ export const DraftRoomProvider = ({ children }) => {
       });
     };
     
-    // Clean up on unmount
+    // Clean up on unmount or when switching leagues
     return () => {
       if (ws) {
         ws.close();
       }
     };
-  }, [user]);
+  }, [user, token, leagueId]);
   
   const handleMessage = (message) => {
     const { type, data } = message;
@@ -120,6 +144,16 @@ export const DraftRoomProvider = ({ children }) => {
         // Add new chat message to the state
         setChatMessages(prev => [...prev, data]);
         break;
+      case 'roomInfo':
+        setRoomInfo(data);
+        break;
+      case 'queueUpdate':
+        setQueue(data.queue);
+        setAutoDraftState(data.autoDraft);
+        break;
+      case 'error':
+        setDraftError({ message: data.message, receivedAt: Date.now() });
+        break;
       default:
         console.log(`Unknown message type: ${type}`);
     }
@@ -131,17 +165,17 @@ export const DraftRoomProvider = ({ children }) => {
     
     socket.send(JSON.stringify({
       type: 'join',
-      data: { username: user.username }
+      data: {}
     }));
   }, [socket, user]);
   
   // Start the draft
-  const startDraft = useCallback(() => {
+  const startDraft = useCallback((options = {}) => {
     if (!socket || !user) return;
     
     socket.send(JSON.stringify({
       type: 'startDraft',
-      data: { username: user.username }
+      data: options
     }));
   }, [socket, user]);
   
@@ -151,10 +185,27 @@ export const DraftRoomProvider = ({ children }) => {
     
     socket.send(JSON.stringify({
       type: 'draftPlayer',
-      data: {
-        username: user.username,
-        player
-      }
+      data: { player }
+    }));
+  }, [socket, user]);
+  
+  // Put a player up for auction with an opening bid
+  const nominatePlayer = useCallback((player, amount) => {
+    if (!socket || !user) return;
+    
+    socket.send(JSON.stringify({
+      type: 'nominate',
+      data: { player, amount }
+    }));
+  }, [socket, user]);
+  
+  // Bid on the player currently up for auction
+  const placeBid = useCallback((amount) => {
+    if (!socket || !user) return;
+    
+    socket.send(JSON.stringify({
+      type: 'bid',
+      data: { amount }
     }));
   }, [socket, user]);
   
@@ -164,7 +215,70 @@ export const DraftRoomProvider = ({ children }) => {
     
     socket.send(JSON.stringify({
       type: 'endDraft',
-      data: { username: user.username }
+      data: {}
+    }));
+  }, [socket, user]);
+  
+  // Pause the pick clock (commissioner only)
+  const pauseDraft = useCallback(() => {
+    if (!socket || !user) return;
+    
+    socket.send(JSON.stringify({
+      type: 'pauseDraft',
+      data: {}
+    }));
+  }, [socket, user]);
+  
+  // Resume the pick clock (commissioner only)
+  const resumeDraft = useCallback(() => {
+    if (!socket || !user) return;
+    
+    socket.send(JSON.stringify({
+      type: 'resumeDraft',
+      data: {}
+    }));
+  }, [socket, user]);
+  
+  // Add a player to the end of the user's queue
+  const addToQueue = useCallback((player) => {
+    if (!socket || !user) return;
+    
+    socket.send(JSON.stringify({
+      type: 'queueAdd',
+      data: { player }
+    }));
+  }, [socket, user]);
+  
+  // Remove a player from the user's queue
+  const removeFromQueue = useCallback((playerId) => {
+    if (!socket || !user) return;
+    
+    socket.send(JSON.stringify({
+      type: 'queueRemove',
+      data: { playerId }
+    }));
+  }, [socket, user]);
+  
+  // Save a new queue order
+  const reorderQueue = useCallback((playerIds) => {
+    if (!socket || !user) return;
+    
+    // Show the new order right away; the server confirms with a queueUpdate
+    setQueue(prev => playerIds.map(id => prev.find(player => player.id === id)).filter(Boolean));
+    
+    socket.send(JSON.stringify({
+      type: 'queueReorder',
+      data: { playerIds }
+    }));
+  }, [socket, user]);
+  
+  // Let the room pick for the user whenever they're on the clock
+  const setAutoDraft = useCallback((enabled) => {
+    if (!socket || !user) return;
+    
+    socket.send(JSON.stringify({
+      type: 'setAutoDraft',
+      data: { enabled }
     }));
   }, [socket, user]);
   
@@ -174,10 +288,7 @@ export const DraftRoomProvider = ({ children }) => {
     
     socket.send(JSON.stringify({
       type: 'chat',
-      data: {
-        username: user.username,
-        message: message.trim()
-      }
+      data: { message: message.trim() }
     }));
   }, [socket, user]);
   
@@ -190,7 +301,7 @@ export const DraftRoomProvider = ({ children }) => {
   const isUserTurn = useCallback(() => {
     if (!user || !draftState.draftStarted || draftState.draftComplete) return false;
     
-    const currentDrafter = draftState.draftOrder[draftState.currentPickIndex];
+    const currentDrafter = draftState.currentDrafter || draftState.draftOrder[draftState.currentPickIndex];
     return user.username === currentDrafter;
   }, [user, draftState]);
   
@@ -198,11 +309,24 @@ export const DraftRoomProvider = ({ children }) => {
     <DraftRoomContext.Provider
       value={{
         isConnected,
+        leagueId,
+        roomInfo,
         draftState,
+        draftError,
         joinDraft,
         startDraft,
         draftPlayer,
+        nominatePlayer,
+        placeBid,
         endDraft,
+        pauseDraft,
+        resumeDraft,
+        queue,
+        autoDraft,
+        addToQueue,
+        removeFromQueue,
+        reorderQueue,
+        setAutoDraft,
         hasUserJoined,
         isUserTurn,
         chatMessages,
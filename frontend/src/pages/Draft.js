@@ -10,6 +10,13 @@ import { Link as RouterLink, useNavigate } from 'react-router-dom';
 import { useApi } from '../context/ApiContext';
 import { ChevronLeftIcon } from '@chakra-ui/icons';
 
+// Starting slots in a league's roster template; every team drafts one player for each
+const getStartingSlots = (template = {}) => [
+  'TOP', 'JUNGLE', 'MID', 'ADC', 'SUPPORT',
+  ...['FLEX', 'FLEX2', 'FLEX3'].slice(0, template.flex ?? 1),
+  ...(template.teamSlot ? ['TEAM'] : [])
+];
+
 const Draft = () => {
   // Use getPlayers directly since getDraftStatus might not be implemented yet
   const { getLeague, getPlayers, addPlayerToTeam, loading, error } = useApi();
@@ -109,7 +116,7 @@ const Draft = () => {
                 }
                 
                 // Check if draft is complete
-                const totalPicks = leagueData.teams.length * 6; // 6 picks per team
+                const totalPicks = leagueData.teams.length * getStartingSlots(leagueData.rosterTemplate).length;
                 if (parsedHistory.length >= totalPicks) {
                   setDraftComplete(true);
                 }
@@ -131,19 +138,12 @@ const Draft = () => {
         
         if (leagueData && leagueData.teams) {
           leagueData.teams.forEach(team => {
-            // Check main positions
-            ['TOP', 'JUNGLE', 'MID', 'ADC', 'SUPPORT', 'FLEX'].forEach(pos => {
-              if (team.players[pos]) {
-                draftedPlayerIds.add(team.players[pos].id);
+            // Check every slot, including the bench and reserve
+            Object.values(team.players).flat().forEach(player => {
+              if (player) {
+                draftedPlayerIds.add(player.id);
               }
             });
-            
-            // Check bench
-            if (team.players.BENCH) {
-              team.players.BENCH.forEach(player => {
-                draftedPlayerIds.add(player.id);
-              });
-            }
           });
         }
         
@@ -233,16 +233,18 @@ const Draft = () => {
       // Determine best position for player
       let positionToFill = '';
       
-      // Try to place in primary position first
-      if (!currentTeam.players[player.position]) {
-        positionToFill = player.position;
-      } 
-      // Try FLEX position
-      else if (!currentTeam.players.FLEX) {
-        positionToFill = 'FLEX';
+      const template = league?.rosterTemplate || {};
+      const openStartingSlot = getStartingSlots(template).find(slot =>
+        !currentTeam.players[slot] &&
+        (slot === player.position || (slot.startsWith('FLEX') && player.position !== 'TEAM'))
+      );
+      
+      // Try a starting slot the player can play first
+      if (openStartingSlot) {
+        positionToFill = openStartingSlot;
       }
       // Try bench
-      else if (!currentTeam.players.BENCH || currentTeam.players.BENCH.length < 3) {
+      else if ((currentTeam.players.BENCH || []).length < (template.bench ?? 3)) {
         positionToFill = 'BENCH';
       } else {
         toast({
@@ -282,7 +284,7 @@ const Draft = () => {
       setCurrentTeamIndex(nextIndex);
       
       // Check if draft is complete
-      const totalRosterSpots = draftOrder.length * 6; // 6 players per team (5 starters + 1 flex)
+      const totalRosterSpots = draftOrder.length * getStartingSlots(league?.rosterTemplate).length;
       if (updatedHistory.length >= totalRosterSpots) {
         setDraftComplete(true);
         toast({
@@ -424,7 +426,7 @@ const Draft = () => {
           <Text>
             Round: {Math.floor(draftHistory.length / (draftOrder.length || 1)) + 1} • 
             Pick: {draftHistory.length + 1} •
-            Total Picks: {draftHistory.length}/{(draftOrder.length || 0) * 6}
+            Total Picks: {draftHistory.length}/{(draftOrder.length || 0) * getStartingSlots(league?.rosterTemplate).length}
           </Text>
         </Box>
       )}
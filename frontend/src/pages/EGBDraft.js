@@ -4,7 +4,7 @@ import {
   SimpleGrid, Select, Badge, Flex, Spinner, useToast, Alert, 
   AlertIcon, TabPanels, TabPanel, Tabs, TabList, Tab,
   Modal, ModalOverlay, ModalContent, ModalHeader, ModalBody, ModalCloseButton,
-  useDisclosure, Input
+  useDisclosure, Input, Switch, FormControl, FormLabel
 } from '@chakra-ui/react';
 import { useApi } from '../context/ApiContext';
 import { useAuth } from '../context/AuthContext';
@@ -15,11 +15,24 @@ const EGBDraft = () => {
   const { user } = useAuth();
   const { 
     isConnected, 
+    leagueId,
+    roomInfo,
     draftState, 
+    draftError,
     joinDraft, 
     startDraft, 
     draftPlayer,
+    nominatePlayer,
+    placeBid,
     endDraft,
+    pauseDraft,
+    resumeDraft,
+    queue,
+    autoDraft,
+    addToQueue,
+    removeFromQueue,
+    reorderQueue,
+    setAutoDraft,
     hasUserJoined,
     isUserTurn,
     chatMessages,
@@ -31,6 +44,12 @@ const EGBDraft = () => {
   const [filterPosition, setFilterPosition] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [chatInput, setChatInput] = useState('');
+  const [secondsLeft, setSecondsLeft] = useState(null);
+  const [secondsUntilStart, setSecondsUntilStart] = useState(null);
+  const [dragIndex, setDragIndex] = useState(null);
+  const [draftType, setDraftType] = useState('snake');
+  const [auctionBudget, setAuctionBudget] = useState(200);
+  const [bidAmount, setBidAmount] = useState('');
   const chatContainerRef = useRef(null);
   const { isOpen, onOpen, onClose } = useDisclosure();
   const toast = useToast();
@@ -39,6 +58,53 @@ const EGBDraft = () => {
     fetchPlayersData();
   }, []);
   
+  // Surface anything the draft room rejected
+  useEffect(() => {
+    if (draftError) {
+      toast({
+        title: 'Draft Room',
+        description: draftError.message,
+        status: 'warning',
+        duration: 3000,
+      });
+    }
+  }, [draftError]);
+  
+  // Count down locally from the time the server says is left on the pick
+  useEffect(() => {
+    const { pickClock } = draftState;
+    if (!pickClock) {
+      setSecondsLeft(null);
+      return;
+    }
+    
+    if (pickClock.paused) {
+      setSecondsLeft(Math.ceil(pickClock.remainingMs / 1000));
+      return;
+    }
+    
+    const endsAt = Date.now() + pickClock.remainingMs;
+    const tick = () => setSecondsLeft(Math.max(0, Math.ceil((endsAt - Date.now()) / 1000)));
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [draftState.pickClock]);
+  
+  // Count down to a scheduled draft the same way
+  useEffect(() => {
+    const { scheduledDraft } = draftState;
+    if (!scheduledDraft) {
+      setSecondsUntilStart(null);
+      return;
+    }
+    
+    const startsAt = Date.now() + scheduledDraft.startsInMs;
+    const tick = () => setSecondsUntilStart(Math.max(0, Math.ceil((startsAt - Date.now()) / 1000)));
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [draftState.scheduledDraft]);
+  
   // Auto-scroll chat to bottom when new messages arrive
   useEffect(() => {
     if (chatContainerRef.current) {
@@ -179,7 +245,9 @@ const EGBDraft = () => {
       return;
     }
     
-    startDraft();
+    startDraft(draftType === 'auction'
+      ? { draftType, budget: Number(auctionBudget) }
+      : { draftType });
   };
   
   const handleEndDraft = () => {
@@ -215,7 +283,7 @@ const EGBDraft = () => {
     if (!draftState.draftStarted || draftState.draftComplete) return;
     
     if (!isUserTurn()) {
-      const currentDrafter = draftState.draftOrder[draftState.currentPickIndex];
+      const currentDrafter = draftState.currentDrafter || draftState.draftOrder[draftState.currentPickIndex];
       toast({
         title: 'Not Your Turn',
         description: `It's ${currentDrafter}'s turn to draft`,
@@ -228,6 +296,39 @@ const EGBDraft = () => {
     draftPlayer(player);
   };
   
+  const isAuction = draftState.draftType === 'auction';
+  const nomination = draftState.auction?.nomination;
+  const onTheClock = draftState.currentDrafter || draftState.draftOrder[draftState.currentPickIndex];
+  const myBudget = draftState.auction?.budgets?.[user?.username];
+  const myMaxBid = draftState.auction?.maxBids?.[user?.username];
+  
+  // Nominating opens bidding with the entered amount (or the $1 minimum)
+  const handleNominatePlayer = (player) => {
+    if (!isUserTurn() || nomination) return;
+    
+    nominatePlayer(player, Number(bidAmount) || 1);
+    setBidAmount('');
+  };
+  
+  const handlePlaceBid = (amount) => {
+    if (!amount) return;
+    
+    placeBid(Number(amount));
+    setBidAmount('');
+  };
+  
+  // Drop the dragged queue entry at a new position and save the order
+  const handleQueueDrop = (dropIndex) => {
+    if (dragIndex === null || dragIndex === dropIndex) return;
+    
+    const playerIds = queue.map(player => player.id);
+    const [moved] = playerIds.splice(dragIndex, 1);
+    playerIds.splice(dropIndex, 0, moved);
+    
+    reorderQueue(playerIds);
+    setDragIndex(null);
+  };
+  
   const getPositionColor = (position) => {
     switch(position) {
       case 'TOP': return 'red';
@@ -235,7 +336,10 @@ const EGBDraft = () => {
       case 'MID': return 'purple';
       case 'ADC': return 'orange';
       case 'SUPPORT': return 'blue';
-      case 'FLEX': return 'yellow';
+      case 'FLEX':
+      case 'FLEX2':
+      case 'FLEX3': return 'yellow';
+      case 'TEAM': return 'teal';
       default: return 'gray';
     }
   };
@@ -282,6 +386,13 @@ const EGBDraft = () => {
       
       <ConnectionStatus />
       
+      {!leagueId && (
+        <Alert status="warning" mb={4}>
+          <AlertIcon />
+          Select a league to enter its draft room.
+        </Alert>
+      )}
+      
       {user ? (
         <Box mb={6} p={4} bg="blue.700" rounded="md" borderWidth={1} borderColor="blue.800">
           <Heading size="md" mb={2} color="white">
@@ -290,6 +401,18 @@ const EGBDraft = () => {
           
           {!draftState.draftStarted ? (
             <Box>
+              {secondsUntilStart !== null && (
+                <Box mb={4} p={3} bg="blue.800" rounded="md">
+                  <Text color="white" fontWeight="bold">
+                    {draftState.scheduledDraft.draftType === 'auction' ? 'Auction' : 'Snake'} draft starts in{' '}
+                    {Math.floor(secondsUntilStart / 3600)}:{String(Math.floor((secondsUntilStart % 3600) / 60)).padStart(2, '0')}:{String(secondsUntilStart % 60).padStart(2, '0')}
+                  </Text>
+                  <Text color="blue.100" fontSize="sm">
+                    Every team in the league is already in. The draft starts on its own at {new Date(draftState.scheduledDraft.scheduledAt).toLocaleTimeString()}.
+                  </Text>
+                </Box>
+              )}
+              
               {!hasUserJoined() ? (
                 <Box mb={4}>
                   <Text mb={2} color="white">
@@ -299,7 +422,7 @@ const EGBDraft = () => {
                     colorScheme="yellow"
                     onClick={handleJoinDraft}
                     mb={4}
-                    isDisabled={!isConnected}
+                    isDisabled={!isConnected || !roomInfo.canDraft}
                   >
                     Join Draft
                   </Button>
@@ -307,7 +430,7 @@ const EGBDraft = () => {
               ) : (
                 <Text mb={4} color="white">
                   Add participants to the draft and click "Start Draft" to begin.
-                  Only user "shark" can start the draft.
+                  Only the league commissioner can start the draft.
                 </Text>
               )}
               
@@ -320,11 +443,38 @@ const EGBDraft = () => {
                 ))}
               </Box>
               
+              {roomInfo.isCommissioner && (
+                <Flex gap={4} mb={4} align="center">
+                  <Select
+                    value={draftType}
+                    onChange={(e) => setDraftType(e.target.value)}
+                    maxW={200}
+                    bg="white"
+                  >
+                    <option value="snake">Snake draft</option>
+                    <option value="auction">Auction draft</option>
+                  </Select>
+                  {draftType === 'auction' && (
+                    <Flex align="center" gap={2}>
+                      <Text color="white">Budget $</Text>
+                      <Input
+                        type="number"
+                        min={6}
+                        value={auctionBudget}
+                        onChange={(e) => setAuctionBudget(e.target.value)}
+                        maxW={100}
+                        bg="white"
+                      />
+                    </Flex>
+                  )}
+                </Flex>
+              )}
+              
               <Flex gap={4}>
                 <Button 
                   colorScheme="yellow"
                   onClick={handleStartDraft}
-                  isDisabled={user.username !== 'shark' || draftState.participants.length < 2 || !isConnected}
+                  isDisabled={!roomInfo.isCommissioner || draftState.participants.length < 2 || !isConnected}
                   isLoading={isLoading}
                 >
                   Start Draft
@@ -333,16 +483,16 @@ const EGBDraft = () => {
                 <Button 
                   colorScheme="red"
                   onClick={handleEndDraft}
-                  isDisabled={user.username !== 'shark' || !draftState.draftStarted || !isConnected}
+                  isDisabled={!roomInfo.isCommissioner || !draftState.draftStarted || !isConnected}
                   isLoading={isLoading}
                 >
                   End Draft
                 </Button>
               </Flex>
               
-              {user.username !== 'shark' && (
+              {!roomInfo.isCommissioner && (
                 <Text fontSize="sm" color="red.300" mt={2}>
-                  Only user "shark" can start or end the draft
+                  Only the league commissioner can start or end the draft
                 </Text>
               )}
             </Box>
@@ -354,13 +504,53 @@ const EGBDraft = () => {
                   <Text>Draft is complete! All participants have made their picks.</Text>
                 ) : (
                   <Text>
-                    <strong>On the clock:</strong> {draftState.draftOrder[draftState.currentPickIndex]}
-                    {user.username === draftState.draftOrder[draftState.currentPickIndex] && " (You)"}
+                    {isAuction && nomination ? (
+                      <>
+                        <strong>Up for bid:</strong> {nomination.player.name} • High bid ${nomination.highBid} by {nomination.highBidder}
+                        {user.username === nomination.highBidder && " (You)"}
+                      </>
+                    ) : (
+                      <>
+                        <strong>{isAuction ? "Nominating:" : "On the clock:"}</strong> {onTheClock}
+                        {user.username === onTheClock && " (You)"}
+                      </>
+                    )}
+                    {secondsLeft !== null && (
+                      <> • {draftState.pickClock.paused ? "Paused" : "Time left"}: {Math.floor(secondsLeft / 60)}:{String(secondsLeft % 60).padStart(2, '0')}</>
+                    )}
                   </Text>
                 )}
               </Alert>
               
-              {user.username === 'shark' && !draftState.draftComplete && (
+              {draftState.draftComplete && draftState.resultsError && (
+                <Alert status="error" mb={4}>
+                  <AlertIcon />
+                  <Text>
+                    Rosters could not be saved to the league: {draftState.resultsError}
+                    {roomInfo.isCommissioner && " End the draft again to retry."}
+                  </Text>
+                </Alert>
+              )}
+              
+              {draftState.draftComplete && draftState.resultsSaved && (
+                <Text color="green.300" mb={4}>
+                  Drafted rosters have been saved to each team in the league.
+                </Text>
+              )}
+              
+              {roomInfo.isCommissioner && draftState.pickClock && !draftState.draftComplete && (
+                <Button
+                  colorScheme="yellow"
+                  onClick={draftState.pickClock.paused ? resumeDraft : pauseDraft}
+                  isDisabled={!isConnected}
+                  mb={4}
+                  mr={4}
+                >
+                  {draftState.pickClock.paused ? "Resume Clock" : "Pause Clock"}
+                </Button>
+              )}
+              
+              {roomInfo.isCommissioner && (!draftState.draftComplete || draftState.resultsError) && (
                 <Button 
                   colorScheme="red"
                   onClick={handleEndDraft}
@@ -368,14 +558,74 @@ const EGBDraft = () => {
                   isLoading={isLoading}
                   mb={4}
                 >
-                  End Draft
+                  {draftState.draftComplete ? "Retry Saving Rosters" : "End Draft"}
                 </Button>
               )}
               
+              {isAuction && (
+                <Box mb={4}>
+                  <Flex wrap="wrap" gap={2} mb={3}>
+                    {draftState.draftOrder.map(username => (
+                      <Badge key={username} colorScheme={username === user.username ? "blue" : "yellow"} p={1}>
+                        {username}: ${draftState.auction.budgets[username]} (max bid ${draftState.auction.maxBids?.[username]})
+                      </Badge>
+                    ))}
+                  </Flex>
+                  
+                  {nomination && !draftState.draftComplete && roomInfo.canDraft && (
+                    <Flex gap={2} align="center">
+                      <Input
+                        type="number"
+                        min={nomination.highBid + 1}
+                        max={myMaxBid}
+                        placeholder={`$${nomination.highBid + 1} or more`}
+                        value={bidAmount}
+                        onChange={(e) => setBidAmount(e.target.value)}
+                        maxW={160}
+                        bg="white"
+                      />
+                      <Button
+                        colorScheme="yellow"
+                        onClick={() => handlePlaceBid(bidAmount)}
+                        isDisabled={!isConnected || !bidAmount || nomination.highBidder === user.username}
+                      >
+                        Bid
+                      </Button>
+                      <Button
+                        variant="outline"
+                        colorScheme="yellow"
+                        onClick={() => handlePlaceBid(nomination.highBid + 1)}
+                        isDisabled={!isConnected || nomination.highBidder === user.username || nomination.highBid + 1 > myMaxBid}
+                      >
+                        Bid ${nomination.highBid + 1}
+                      </Button>
+                      <Text color="white" fontSize="sm">Budget ${myBudget} • Max bid ${myMaxBid}</Text>
+                    </Flex>
+                  )}
+                  
+                  {!nomination && isUserTurn() && (
+                    <Flex gap={2} align="center">
+                      <Text color="white" fontSize="sm">Opening bid $</Text>
+                      <Input
+                        type="number"
+                        min={1}
+                        max={myMaxBid}
+                        placeholder="1"
+                        value={bidAmount}
+                        onChange={(e) => setBidAmount(e.target.value)}
+                        maxW={100}
+                        bg="white"
+                      />
+                      <Text color="white" fontSize="sm">Nominate a player from the Available Players tab.</Text>
+                    </Flex>
+                  )}
+                </Box>
+              )}
+              
               <Text color="white">
                 Round: {Math.floor(draftState.draftHistory.length / draftState.draftOrder.length) + 1} • 
                 Pick: {draftState.draftHistory.length + 1} •
-                Total Picks: {draftState.draftHistory.length}/{draftState.draftOrder.length * 6}
+                Total Picks: {draftState.draftHistory.length}/{draftState.draftOrder.length * (draftState.picksPerTeam || 6)}
               </Text>
             </Box>
           )}
@@ -393,6 +643,7 @@ const EGBDraft = () => {
           <Tab>Draft History</Tab>
           <Tab>Teams</Tab>
           <Tab>Available Players</Tab>
+          <Tab>My Queue ({queue.length})</Tab>
           <Tab>Chat</Tab>
         </TabList>
         
@@ -439,6 +690,7 @@ const EGBDraft = () => {
                     <Th>User</Th>
                     <Th>Player</Th>
                     <Th>Position</Th>
+                    {isAuction && <Th isNumeric>Price</Th>}
                   </Tr>
                 </Thead>
                 <Tbody>
@@ -455,12 +707,16 @@ const EGBDraft = () => {
                       <Td>
                         <Text>{pick.player.name}</Text>
                         <Text fontSize="sm" color="gray.600">{pick.player.team}</Text>
+                        {pick.autoPicked && (
+                          <Badge colorScheme="gray" size="sm">Autopick</Badge>
+                        )}
                       </Td>
                       <Td>
                         <Badge colorScheme={getPositionColor(pick.position)}>
                           {pick.position}
                         </Badge>
                       </Td>
+                      {isAuction && <Td isNumeric>${pick.price}</Td>}
                     </Tr>
                   ))}
                 </Tbody>
@@ -485,7 +741,7 @@ const EGBDraft = () => {
                     <Heading size="md" mb={4}>{username}'s Team</Heading>
                     
                     <SimpleGrid columns={{ base: 1, md: 2, lg: 3 }} spacing={4} mb={6}>
-                      {['TOP', 'JUNGLE', 'MID', 'ADC', 'SUPPORT', 'FLEX'].map(position => (
+                      {(draftState.startingSlots || ['TOP', 'JUNGLE', 'MID', 'ADC', 'SUPPORT', 'FLEX']).map(position => (
                         <Box 
                           key={position}
                           p={4}
@@ -601,16 +857,31 @@ const EGBDraft = () => {
                         <Button 
                           size="sm" 
                           colorScheme="yellow"
-                          onClick={() => handleDraftPlayer(player)}
+                          onClick={() => isAuction ? handleNominatePlayer(player) : handleDraftPlayer(player)}
                           isDisabled={
                             !draftState.draftStarted || 
                             draftState.draftComplete || 
                             !isUserTurn() ||
+                            (isAuction && !!nomination) ||
                             !isConnected
                           }
                           isLoading={isLoading}
                         >
-                          Draft
+                          {isAuction ? "Nominate" : "Draft"}
+                        </Button>
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          colorScheme="yellow"
+                          ml={2}
+                          onClick={() => addToQueue(player)}
+                          isDisabled={
+                            !roomInfo.canDraft ||
+                            !isConnected ||
+                            queue.some(queued => queued.id === player.id)
+                          }
+                        >
+                          Queue
                         </Button>
                       </Td>
                     </Tr>
@@ -626,6 +897,62 @@ const EGBDraft = () => {
             </Table>
           </TabPanel>
           
+          <TabPanel>
+            <FormControl display="flex" alignItems="center" mb={2}>
+              <FormLabel htmlFor="auto-draft" mb={0}>
+                Auto-draft
+              </FormLabel>
+              <Switch
+                id="auto-draft"
+                colorScheme="yellow"
+                isChecked={autoDraft}
+                onChange={(e) => setAutoDraft(e.target.checked)}
+                isDisabled={!roomInfo.canDraft || !isConnected}
+              />
+            </FormControl>
+            <Text fontSize="sm" color="gray.500" mb={4}>
+              When you run out of time, disconnect, or have auto-draft on, the room picks the first
+              player in your queue who fits your roster, or the best available player if none do.
+              Drag players to reorder.
+            </Text>
+            
+            {queue.length === 0 ? (
+              <Text color="gray.500">Your queue is empty. Add players from the Available Players tab.</Text>
+            ) : (
+              queue.map((player, index) => (
+                <Flex
+                  key={player.id}
+                  draggable
+                  onDragStart={() => setDragIndex(index)}
+                  onDragOver={(e) => e.preventDefault()}
+                  onDrop={() => handleQueueDrop(index)}
+                  onDragEnd={() => setDragIndex(null)}
+                  align="center"
+                  justify="space-between"
+                  p={3}
+                  mb={2}
+                  bg={dragIndex === index ? "yellow.100" : "white"}
+                  borderWidth={1}
+                  borderColor="gray.200"
+                  rounded="md"
+                  cursor="grab"
+                >
+                  <Flex align="center" gap={3}>
+                    <Text fontWeight="bold" color="gray.500">{index + 1}</Text>
+                    <Badge colorScheme={getPositionColor(player.position)}>
+                      {player.position}
+                    </Badge>
+                    <Text>{player.name}</Text>
+                    <Text fontSize="sm" color="gray.600">{player.team}</Text>
+                  </Flex>
+                  <Button size="xs" variant="ghost" colorScheme="red" onClick={() => removeFromQueue(player.id)}>
+                    Remove
+                  </Button>
+                </Flex>
+              ))
+            )}
+          </TabPanel>
+          
           <TabPanel>
             <Box 
               ref={chatContainerRef}
@@ -22,6 +22,8 @@ import {
 import { useApi } from '../context/ApiContext';
 import { useAuth } from '../context/AuthContext';
 import { useLeague } from '../context/LeagueContext';
+import PlayoffBracket from '../components/PlayoffBracket';
+import TradeAssets from '../components/TradeAssets';
 
 const TeamCard = ({ team }) => {
   const navigate = useNavigate();
@@ -307,6 +309,7 @@ const ScheduleDraftModal = ({ isOpen, onClose, onSchedule, league }) => {
   const [draftDate, setDraftDate] = useState('');
   const [draftTime, setDraftTime] = useState('');
   const [draftType, setDraftType] = useState('snake');
+  const [auctionBudget, setAuctionBudget] = useState(200);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const toast = useToast();
   
@@ -330,7 +333,7 @@ const ScheduleDraftModal = ({ isOpen, onClose, onSchedule, league }) => {
       // Combine date and time
       const draftDateTime = new Date(`${draftDate}T${draftTime}`);
       
-      await onSchedule(draftDateTime, draftType);
+      await onSchedule(draftDateTime, draftType, draftType === 'auction' ? auctionBudget : undefined);
       setDraftDate('');
       setDraftTime('');
       onClose();
@@ -382,6 +385,29 @@ const ScheduleDraftModal = ({ isOpen, onClose, onSchedule, league }) => {
                 </Stack>
               </RadioGroup>
             </FormControl>
+            
+            {draftType === 'auction' && (
+              <FormControl mb={4}>
+                <FormLabel>Budget per Team ($)</FormLabel>
+                <NumberInput
+                  min={league?.startingSlots?.length || 6}
+                  max={10000}
+                  value={auctionBudget}
+                  onChange={(_, value) => setAuctionBudget(value)}
+                >
+                  <NumberInputField />
+                  <NumberInputStepper>
+                    <NumberIncrementStepper />
+                    <NumberDecrementStepper />
+                  </NumberInputStepper>
+                </NumberInput>
+              </FormControl>
+            )}
+            
+            <Text fontSize="sm" color="gray.400">
+              The draft room opens 30 minutes before the start time and the draft starts on its own.
+              Members get reminders a day, an hour and 10 minutes before.
+            </Text>
           </ModalBody>
           
           <ModalFooter>
@@ -401,58 +427,1423 @@ const ScheduleDraftModal = ({ isOpen, onClose, onSchedule, league }) => {
   );
 };
 
+// Format milliseconds as e.g. "2d 03:14:05"
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = String(Math.floor((totalSeconds % 86400) / 3600)).padStart(2, '0');
+  const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0');
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${days > 0 ? `${days}d ` : ''}${hours}:${minutes}:${seconds}`;
+};
+
+const DraftCountdown = ({ draftSchedule, serverOffset, isAdmin, onCancel }) => {
+  const [now, setNow] = useState(Date.now());
+  
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+  
+  const scheduledAt = new Date(draftSchedule.scheduledAt);
+  const msLeft = scheduledAt.getTime() - (now + serverOffset);
+  const isOpen = draftSchedule.status === 'open';
+  
+  return (
+    <Box mt={6} p={4} bg="gray.700" rounded="md">
+      <Flex justify="space-between" align="center" wrap="wrap" gap={3}>
+        <Box>
+          <HStack mb={1}>
+            <TimeIcon color="yellow.400" />
+            <Heading size="sm">
+              {draftSchedule.draftType === 'auction' ? 'Auction' : 'Snake'} Draft
+            </Heading>
+            {isOpen && <Badge colorScheme="green">Room Open</Badge>}
+          </HStack>
+          <Text color="gray.400" fontSize="sm">{scheduledAt.toLocaleString()}</Text>
+        </Box>
+        <Heading size="lg" color="yellow.400" fontFamily="mono">
+          {msLeft > 0 ? formatCountdown(msLeft) : 'Starting...'}
+        </Heading>
+        <HStack>
+          {isOpen && (
+            <Button as={RouterLink} to="/draft" colorScheme="yellow" size="sm">
+              Go to Draft Room
+            </Button>
+          )}
+          {isAdmin && (
+            <Button variant="outline" colorScheme="red" size="sm" onClick={onCancel}>
+              Cancel Draft
+            </Button>
+          )}
+        </HStack>
+      </Flex>
+    </Box>
+  );
+};
+
 const SetScheduleModal = ({ isOpen, onClose, onSetSchedule, league }) => {
   const [weeks, setWeeks] = useState(9);
+  const [fullCycle, setFullCycle] = useState(false);
+  const [doubleRoundRobin, setDoubleRoundRobin] = useState(false);
+  const [divisionWeight, setDivisionWeight] = useState(2);
+  const [rivalryWeek, setRivalryWeek] = useState(1);
+  const [rivalries, setRivalries] = useState([]);
+  const [seed, setSeed] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const toast = useToast();
+  const teams = league?.teams || [];
+  const divisions = league?.divisions || [];
+  
+  const updateRivalry = (index, side, teamId) => {
+    setRivalries(rivalries.map((rivalry, i) => {
+      if (i !== index) return rivalry;
+      const updated = [...rivalry];
+      updated[side] = teamId;
+      return updated;
+    }));
+  };
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!fullCycle && weeks < 1) {
+      toast({
+        title: 'Error',
+        description: 'Please enter a valid number of weeks',
+        status: 'error',
+        duration: 3000,
+        isClosable: true,
+      });
+      return;
+    }
+    
+    const completeRivalries = rivalries.filter(([teamA, teamB]) => teamA && teamB);
+    
+    setIsSubmitting(true);
+    
+    try {
+      await onSetSchedule({
+        weeks: fullCycle ? null : weeks,
+        doubleRoundRobin,
+        divisionWeight: divisions.length > 0 ? divisionWeight : 1,
+        rivalryWeek: completeRivalries.length > 0 ? rivalryWeek : null,
+        rivalries: completeRivalries,
+        seed: seed.trim() || null
+      });
+      onClose();
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to set schedule',
+        status: 'error',
+        duration: 3000,
+        isClosable: true,
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} size="lg">
+      <ModalOverlay />
+      <ModalContent bg="gray.800" color="white">
+        <ModalHeader>Set Schedule for {league?.name || 'League'}</ModalHeader>
+        <ModalCloseButton />
+        <form onSubmit={handleSubmit}>
+          <ModalBody pb={6}>
+            <FormControl isRequired={!fullCycle} mb={4}>
+              <FormLabel>Number of Weeks</FormLabel>
+              <NumberInput 
+                min={1} 
+                max={52} 
+                value={weeks}
+                isDisabled={fullCycle}
+                onChange={(valueString) => setWeeks(parseInt(valueString))}
+              >
+                <NumberInputField />
+                <NumberInputStepper>
+                  <NumberIncrementStepper />
+                  <NumberDecrementStepper />
+                </NumberInputStepper>
+              </NumberInput>
+              <Checkbox mt={2} isChecked={fullCycle} onChange={(e) => setFullCycle(e.target.checked)}>
+                Play exactly one full round robin instead
+              </Checkbox>
+            </FormControl>
+            
+            <Checkbox mb={4} isChecked={doubleRoundRobin} onChange={(e) => setDoubleRoundRobin(e.target.checked)}>
+              Double round-robin (everyone meets home and away)
+            </Checkbox>
+            
+            {divisions.length > 0 && (
+              <FormControl mb={4}>
+                <FormLabel>Divisions</FormLabel>
+                <Select
+                  value={divisionWeight}
+                  onChange={(e) => setDivisionWeight(parseInt(e.target.value))}
+                >
+                  {[1, 2, 3].map(weight => (
+                    <option key={weight} value={weight}>Meet division rivals {weight}x</option>
+                  ))}
+                </Select>
+                <Text fontSize="sm" color="gray.400" mt={1}>
+                  Uses the league's {divisions.length} divisions: {divisions.map(division => division.name).join(', ')}
+                </Text>
+              </FormControl>
+            )}
+            
+            <FormControl mb={4}>
+              <FormLabel>Rivalry Week</FormLabel>
+              <NumberInput
+                min={1}
+                max={52}
+                value={rivalryWeek}
+                onChange={(_, value) => setRivalryWeek(value)}
+              >
+                <NumberInputField />
+                <NumberInputStepper>
+                  <NumberIncrementStepper />
+                  <NumberDecrementStepper />
+                </NumberInputStepper>
+              </NumberInput>
+              <VStack align="stretch" spacing={2} mt={2}>
+                {rivalries.map((rivalry, index) => (
+                  <HStack key={index}>
+                    {[0, 1].map(side => (
+                      <Select
+                        key={side}
+                        size="sm"
+                        placeholder="Pick a team"
+                        value={rivalry[side] || ''}
+                        onChange={(e) => updateRivalry(index, side, e.target.value)}
+                      >
+                        {teams.map(team => (
+                          <option key={team.id} value={team.id}>{team.name}</option>
+                        ))}
+                      </Select>
+                    ))}
+                    <Button size="sm" variant="ghost" onClick={() => setRivalries(rivalries.filter((_, i) => i !== index))}>
+                      Remove
+                    </Button>
+                  </HStack>
+                ))}
+                <Button size="sm" leftIcon={<AddIcon />} variant="outline" onClick={() => setRivalries([...rivalries, ['', '']])}>
+                  Add Rivalry
+                </Button>
+              </VStack>
+            </FormControl>
+            
+            <FormControl>
+              <FormLabel>Seed</FormLabel>
+              <Input
+                value={seed}
+                onChange={(e) => setSeed(e.target.value)}
+                placeholder="Random"
+              />
+              <Text fontSize="sm" color="gray.400" mt={1}>
+                The same seed and options always give the same schedule. Odd team counts get bye weeks.
+              </Text>
+            </FormControl>
+          </ModalBody>
+          
+          <ModalFooter>
+            <Button 
+              colorScheme="green" 
+              mr={3} 
+              type="submit"
+              isLoading={isSubmitting}
+            >
+              Generate Schedule
+            </Button>
+            <Button variant="ghost" onClick={onClose}>Cancel</Button>
+          </ModalFooter>
+        </form>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+const FillLeagueModal = ({ isOpen, onClose, onFill, leagueId }) => {
+  const [numTeams, setNumTeams] = useState(12);
+  const [numWeeks, setNumWeeks] = useState(11);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  
+  const handleSubmit = async () => {
+    setIsSubmitting(true);
+    try {
+      await onFill({ numTeams, numWeeks });
+      onClose();
+    } catch (error) {
+      console.error('Error filling league:', error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
+  return (
+    <Modal isOpen={isOpen} onClose={onClose}>
+      <ModalOverlay />
+      <ModalContent bg="gray.800" color="white">
+        <ModalHeader borderBottomWidth="1px" borderColor="gray.700">
+          Fill League with Teams
+        </ModalHeader>
+        <ModalCloseButton />
+        <ModalBody py={6}>
+          <Text mb={4}>
+            This will automatically create teams and generate a schedule for your league.
+            This action is intended for testing purposes.
+          </Text>
+          
+          <FormControl mb={4}>
+            <FormLabel>Number of Teams</FormLabel>
+            <NumberInput 
+              min={2} 
+              max={12} 
+              value={numTeams}
+              onChange={(valueString) => setNumTeams(parseInt(valueString))}
+            >
+              <NumberInputField bg="gray.700" />
+              <NumberInputStepper>
+                <NumberIncrementStepper />
+                <NumberDecrementStepper />
+              </NumberInputStepper>
+            </NumberInput>
+          </FormControl>
+          
+          <FormControl>
+            <FormLabel>Number of Weeks</FormLabel>
+            <NumberInput 
+              min={1} 
+              max={15} 
+              value={numWeeks}
+              onChange={(valueString) => setNumWeeks(parseInt(valueString))}
+            >
+              <NumberInputField bg="gray.700" />
+              <NumberInputStepper>
+                <NumberIncrementStepper />
+                <NumberDecrementStepper />
+              </NumberInputStepper>
+            </NumberInput>
+          </FormControl>
+        </ModalBody>
+        
+        <ModalFooter borderTopWidth="1px" borderColor="gray.700">
+          <Button variant="outline" mr={3} onClick={onClose}>
+            Cancel
+          </Button>
+          <Button 
+            colorScheme="yellow" 
+            onClick={handleSubmit}
+            isLoading={isSubmitting}
+            _hover={{ bg: 'yellow.500' }}
+          >
+            Fill League
+          </Button>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+const WAIVER_MODE_LABELS = {
+  rolling: 'Rolling priority',
+  reverseStandings: 'Reverse standings',
+  faab: 'FAAB bidding'
+};
+
+const WaiverSettingsModal = ({ isOpen, onClose, leagueId }) => {
+  const { getWaivers, updateWaiverSettings } = useApi();
+  const [mode, setMode] = useState('rolling');
+  const [periodHours, setPeriodHours] = useState(48);
+  const [faabBudget, setFaabBudget] = useState(100);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const toast = useToast();
   
+  useEffect(() => {
+    if (!isOpen) return;
+    
+    getWaivers(leagueId)
+      .then(data => {
+        setMode(data.settings.mode);
+        setPeriodHours(data.settings.periodHours);
+        setFaabBudget(data.settings.faabBudget);
+      })
+      .catch(error => console.error('Error fetching waiver settings:', error));
+  }, [isOpen, leagueId]);
+  
   const handleSubmit = async (e) => {
     e.preventDefault();
+    setIsSubmitting(true);
+    
+    try {
+      await updateWaiverSettings(leagueId, { mode, periodHours, faabBudget });
+      toast({
+        title: 'Waiver settings saved',
+        status: 'success',
+        duration: 3000,
+        isClosable: true,
+      });
+      onClose();
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to save waiver settings',
+        status: 'error',
+        duration: 3000,
+        isClosable: true,
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
+  return (
+    <Modal isOpen={isOpen} onClose={onClose}>
+      <ModalOverlay />
+      <ModalContent bg="gray.800" color="white">
+        <ModalHeader>Waiver Settings</ModalHeader>
+        <ModalCloseButton />
+        <form onSubmit={handleSubmit}>
+          <ModalBody pb={6}>
+            <FormControl mb={4}>
+              <FormLabel>Claim Order</FormLabel>
+              <RadioGroup value={mode} onChange={setMode}>
+                <Stack direction="column">
+                  {Object.entries(WAIVER_MODE_LABELS).map(([value, label]) => (
+                    <Radio key={value} value={value}>{label}</Radio>
+                  ))}
+                </Stack>
+              </RadioGroup>
+            </FormControl>
+            
+            <FormControl mb={4}>
+              <FormLabel>Waiver Period (hours)</FormLabel>
+              <NumberInput
+                min={0}
+                max={336}
+                value={periodHours}
+                onChange={(_, value) => setPeriodHours(value)}
+              >
+                <NumberInputField />
+                <NumberInputStepper>
+                  <NumberIncrementStepper />
+                  <NumberDecrementStepper />
+                </NumberInputStepper>
+              </NumberInput>
+            </FormControl>
+            
+            {mode === 'faab' && (
+              <FormControl mb={4}>
+                <FormLabel>FAAB Budget per Team ($)</FormLabel>
+                <NumberInput
+                  min={0}
+                  max={10000}
+                  value={faabBudget}
+                  onChange={(_, value) => setFaabBudget(value)}
+                >
+                  <NumberInputField />
+                  <NumberInputStepper>
+                    <NumberIncrementStepper />
+                    <NumberDecrementStepper />
+                  </NumberInputStepper>
+                </NumberInput>
+              </FormControl>
+            )}
+            
+            <Text fontSize="sm" color="gray.400">
+              Dropped players and players whose pro match has started stay on waivers for this long.
+              Claims on them are settled once they clear.
+            </Text>
+          </ModalBody>
+          
+          <ModalFooter>
+            <Button 
+              colorScheme="blue" 
+              mr={3} 
+              type="submit"
+              isLoading={isSubmitting}
+            >
+              Save
+            </Button>
+            <Button variant="ghost" onClick={onClose}>Cancel</Button>
+          </ModalFooter>
+        </form>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+const TRADE_REVIEW_LABELS = {
+  none: 'No review: trades go through as soon as they are accepted',
+  commissioner: 'Commissioner review: the commissioner can approve or reverse trades',
+  league: 'League vote: the other teams can vote to veto trades'
+};
+
+const TradeSettingsModal = ({ isOpen, onClose, leagueId }) => {
+  const { getTradeReview, updateTradeSettings } = useApi();
+  const [reviewMode, setReviewMode] = useState('none');
+  const [reviewHours, setReviewHours] = useState(24);
+  const [vetoVotes, setVetoVotes] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const toast = useToast();
+  
+  useEffect(() => {
+    if (!isOpen) return;
+    
+    getTradeReview(leagueId)
+      .then(data => {
+        setReviewMode(data.settings.reviewMode);
+        setReviewHours(data.settings.reviewHours);
+        setVetoVotes(data.settings.vetoVotes);
+      })
+      .catch(error => console.error('Error fetching trade settings:', error));
+  }, [isOpen, leagueId]);
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    
+    try {
+      await updateTradeSettings(leagueId, { reviewMode, reviewHours, vetoVotes });
+      toast({
+        title: 'Trade settings saved',
+        status: 'success',
+        duration: 3000,
+        isClosable: true,
+      });
+      onClose();
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to save trade settings',
+        status: 'error',
+        duration: 3000,
+        isClosable: true,
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
+  return (
+    <Modal isOpen={isOpen} onClose={onClose}>
+      <ModalOverlay />
+      <ModalContent bg="gray.800" color="white">
+        <ModalHeader>Trade Review</ModalHeader>
+        <ModalCloseButton />
+        <form onSubmit={handleSubmit}>
+          <ModalBody pb={6}>
+            <FormControl mb={4}>
+              <FormLabel>Accepted Trades</FormLabel>
+              <RadioGroup value={reviewMode} onChange={setReviewMode}>
+                <Stack direction="column">
+                  {Object.entries(TRADE_REVIEW_LABELS).map(([value, label]) => (
+                    <Radio key={value} value={value}>{label}</Radio>
+                  ))}
+                </Stack>
+              </RadioGroup>
+            </FormControl>
+            
+            {reviewMode !== 'none' && (
+              <FormControl mb={4}>
+                <FormLabel>Review Period (hours)</FormLabel>
+                <NumberInput
+                  min={0}
+                  max={168}
+                  value={reviewHours}
+                  onChange={(_, value) => setReviewHours(value)}
+                >
+                  <NumberInputField />
+                  <NumberInputStepper>
+                    <NumberIncrementStepper />
+                    <NumberDecrementStepper />
+                  </NumberInputStepper>
+                </NumberInput>
+              </FormControl>
+            )}
+            
+            {reviewMode === 'league' && (
+              <FormControl mb={4}>
+                <FormLabel>Votes to Veto</FormLabel>
+                <Checkbox
+                  isChecked={vetoVotes === null}
+                  onChange={(e) => setVetoVotes(e.target.checked ? null : 3)}
+                  mb={2}
+                >
+                  A majority of the teams not in the trade
+                </Checkbox>
+                {vetoVotes !== null && (
+                  <NumberInput
+                    min={1}
+                    max={20}
+                    value={vetoVotes}
+                    onChange={(_, value) => setVetoVotes(value)}
+                  >
+                    <NumberInputField />
+                    <NumberInputStepper>
+                      <NumberIncrementStepper />
+                      <NumberDecrementStepper />
+                    </NumberInputStepper>
+                  </NumberInput>
+                )}
+              </FormControl>
+            )}
+            
+            <Text fontSize="sm" color="gray.400">
+              Trades that are still standing when the review period ends go through then.
+              Trades already in review keep the period they started with.
+            </Text>
+          </ModalBody>
+          
+          <ModalFooter>
+            <Button 
+              colorScheme="blue" 
+              mr={3} 
+              type="submit"
+              isLoading={isSubmitting}
+            >
+              Save
+            </Button>
+            <Button variant="ghost" onClick={onClose}>Cancel</Button>
+          </ModalFooter>
+        </form>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+const TransactionSettingsModal = ({ isOpen, onClose, leagueId }) => {
+  const { getTransactionSettings, updateTransactionSettings } = useApi();
+  const [settings, setSettings] = useState({ tradeDeadlineWeek: null, maxAddsPerWeek: null, maxAddsPerSeason: null, playoffRosterLock: false });
+  const [currentWeek, setCurrentWeek] = useState(0);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const toast = useToast();
+  
+  useEffect(() => {
+    if (!isOpen) return;
+    
+    getTransactionSettings(leagueId)
+      .then(data => {
+        setSettings(data.transactionSettings);
+        setCurrentWeek(data.currentWeek);
+      })
+      .catch(error => console.error('Error fetching transaction settings:', error));
+  }, [isOpen, leagueId]);
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    
+    try {
+      await updateTransactionSettings(leagueId, settings);
+      toast({
+        title: 'Transaction settings saved',
+        status: 'success',
+        duration: 3000,
+        isClosable: true,
+      });
+      onClose();
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to save transaction settings',
+        status: 'error',
+        duration: 3000,
+        isClosable: true,
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
+  // A number the commissioner can switch off; null means no limit
+  const limitInput = (field, label, noLimitLabel, min, fallback) => (
+    <FormControl mb={4}>
+      <FormLabel>{label}</FormLabel>
+      <Checkbox
+        isChecked={settings[field] === null}
+        onChange={(e) => setSettings({ ...settings, [field]: e.target.checked ? null : fallback })}
+        mb={2}
+      >
+        {noLimitLabel}
+      </Checkbox>
+      {settings[field] !== null && (
+        <NumberInput
+          min={min}
+          value={settings[field]}
+          onChange={(_, value) => setSettings({ ...settings, [field]: Number.isNaN(value) ? min : value })}
+        >
+          <NumberInputField />
+          <NumberInputStepper>
+            <NumberIncrementStepper />
+            <NumberDecrementStepper />
+          </NumberInputStepper>
+        </NumberInput>
+      )}
+    </FormControl>
+  );
+  
+  return (
+    <Modal isOpen={isOpen} onClose={onClose}>
+      <ModalOverlay />
+      <ModalContent bg="gray.800" color="white">
+        <ModalHeader>Deadlines & Limits</ModalHeader>
+        <ModalCloseButton />
+        <form onSubmit={handleSubmit}>
+          <ModalBody pb={6}>
+            <Text fontSize="sm" color="gray.400" mb={4}>
+              The league is in week {currentWeek}.
+            </Text>
+            {limitInput('tradeDeadlineWeek', 'Trade Deadline (last week to trade)', 'No trade deadline', 1, Math.max(1, currentWeek))}
+            {limitInput('maxAddsPerWeek', 'Adds per Week', 'No weekly limit', 0, 3)}
+            {limitInput('maxAddsPerSeason', 'Adds per Season', 'No season limit', 0, 25)}
+            <Checkbox
+              mb={4}
+              isChecked={settings.playoffRosterLock}
+              onChange={(e) => setSettings({ ...settings, playoffRosterLock: e.target.checked })}
+            >
+              Lock rosters during the playoffs
+            </Checkbox>
+            <Text fontSize="sm" color="gray.400">
+              Adds count free-agent pickups and won waiver claims, not players received in trades.
+              Locked rosters can't add, drop or trade players, but managers can still set their lineups.
+            </Text>
+          </ModalBody>
+          
+          <ModalFooter>
+            <Button 
+              colorScheme="blue" 
+              mr={3} 
+              type="submit"
+              isLoading={isSubmitting}
+            >
+              Save
+            </Button>
+            <Button variant="ghost" onClick={onClose}>Cancel</Button>
+          </ModalFooter>
+        </form>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+const DivisionsModal = ({ isOpen, onClose, league, onSaved }) => {
+  const { getDivisions, updateDivisions } = useApi();
+  const [divisions, setDivisions] = useState([]);
+  const [useConferences, setUseConferences] = useState(false);
+  const [locked, setLocked] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const toast = useToast();
+  const teams = league?.teams || [];
+  
+  useEffect(() => {
+    if (!isOpen) return;
+    
+    getDivisions(league.id)
+      .then(data => {
+        setDivisions(data.divisions);
+        setUseConferences(data.divisions.some(division => division.conference));
+        setLocked(data.locked);
+      })
+      .catch(error => console.error('Error fetching divisions:', error));
+  }, [isOpen, league?.id]);
+  
+  const divisionOf = (teamId) => divisions.findIndex(division => division.teamIds.includes(teamId));
+  
+  const updateDivision = (index, changes) => {
+    setDivisions(divisions.map((division, i) => (i === index ? { ...division, ...changes } : division)));
+  };
+  
+  const assignTeam = (teamId, index) => {
+    setDivisions(divisions.map((division, i) => ({
+      ...division,
+      teamIds: i === index
+        ? [...division.teamIds.filter(id => id !== teamId), teamId]
+        : division.teamIds.filter(id => id !== teamId)
+    })));
+  };
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    
+    try {
+      const data = await updateDivisions(league.id, divisions.map(division => ({
+        ...division,
+        conference: useConferences ? division.conference : null
+      })));
+      toast({
+        title: data.divisions.length > 0 ? 'Divisions saved' : 'Divisions removed',
+        status: 'success',
+        duration: 3000,
+        isClosable: true,
+      });
+      onSaved(data.divisions);
+      onClose();
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to save divisions',
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} size="lg">
+      <ModalOverlay />
+      <ModalContent bg="gray.800" color="white">
+        <ModalHeader>Divisions</ModalHeader>
+        <ModalCloseButton />
+        <form onSubmit={handleSubmit}>
+          <ModalBody pb={6}>
+            {locked && (
+              <Text color="orange.300" fontSize="sm" mb={4}>
+                The season is underway. Divisions can be rebalanced once its playoffs are over.
+              </Text>
+            )}
+            
+            <VStack align="stretch" spacing={2} mb={4}>
+              {divisions.map((division, index) => (
+                <HStack key={index}>
+                  <Input
+                    size="sm"
+                    value={division.name}
+                    placeholder="Division name"
+                    isDisabled={locked}
+                    onChange={(e) => updateDivision(index, { name: e.target.value })}
+                  />
+                  {useConferences && (
+                    <Input
+                      size="sm"
+                      value={division.conference || ''}
+                      placeholder="Conference"
+                      isDisabled={locked}
+                      onChange={(e) => updateDivision(index, { conference: e.target.value })}
+                    />
+                  )}
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    isDisabled={locked}
+                    onClick={() => setDivisions(divisions.filter((_, i) => i !== index))}
+                  >
+                    Remove
+                  </Button>
+                </HStack>
+              ))}
+              <HStack justify="space-between">
+                <Button
+                  size="sm"
+                  leftIcon={<AddIcon />}
+                  variant="outline"
+                  isDisabled={locked}
+                  onClick={() => setDivisions([...divisions, { name: `Division ${divisions.length + 1}`, conference: null, teamIds: [] }])}
+                >
+                  Add Division
+                </Button>
+                <Checkbox isChecked={useConferences} isDisabled={locked} onChange={(e) => setUseConferences(e.target.checked)}>
+                  Group into conferences
+                </Checkbox>
+              </HStack>
+            </VStack>
+            
+            {divisions.length > 0 && (
+              <VStack align="stretch" spacing={2}>
+                {teams.map(team => (
+                  <Flex key={team.id} justify="space-between" align="center">
+                    <Text fontSize="sm">{team.name}</Text>
+                    <Select
+                      size="sm"
+                      width="180px"
+                      placeholder="Pick a division"
+                      value={divisionOf(team.id) === -1 ? '' : divisionOf(team.id)}
+                      isDisabled={locked}
+                      onChange={(e) => assignTeam(team.id, e.target.value === '' ? -1 : parseInt(e.target.value))}
+                    >
+                      {divisions.map((division, index) => (
+                        <option key={index} value={index}>{division.name || `Division ${index + 1}`}</option>
+                      ))}
+                    </Select>
+                  </Flex>
+                ))}
+              </VStack>
+            )}
+            
+            <Text fontSize="sm" color="gray.400" mt={4}>
+              Every team needs a division. Division winners are seeded first in the playoffs,
+              and new schedules can pit division rivals against each other more often.
+            </Text>
+          </ModalBody>
+          
+          <ModalFooter>
+            <Button 
+              colorScheme="purple" 
+              mr={3} 
+              type="submit"
+              isLoading={isSubmitting}
+              isDisabled={locked}
+            >
+              Save
+            </Button>
+            <Button variant="ghost" onClick={onClose}>Cancel</Button>
+          </ModalFooter>
+        </form>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+const RosterTemplateModal = ({ isOpen, onClose, league, onSaved }) => {
+  const { getRosterTemplate, updateRosterTemplate } = useApi();
+  const [template, setTemplate] = useState({ flex: 1, teamSlot: false, bench: 3, reserve: 0 });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const toast = useToast();
+  
+  useEffect(() => {
+    if (!isOpen) return;
+    
+    getRosterTemplate(league.id)
+      .then(data => setTemplate(data.rosterTemplate))
+      .catch(error => console.error('Error fetching roster template:', error));
+  }, [isOpen, league?.id]);
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    
+    try {
+      const data = await updateRosterTemplate(league.id, template);
+      toast({
+        title: 'Roster slots saved',
+        status: 'success',
+        duration: 3000,
+        isClosable: true,
+      });
+      onSaved(data);
+      onClose();
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to save roster slots',
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
+  const countInput = (field, label, max) => (
+    <FormControl mb={4}>
+      <FormLabel>{label}</FormLabel>
+      <NumberInput
+        min={0}
+        max={max}
+        value={template[field]}
+        onChange={(_, value) => setTemplate({ ...template, [field]: Number.isNaN(value) ? 0 : value })}
+      >
+        <NumberInputField />
+        <NumberInputStepper>
+          <NumberIncrementStepper />
+          <NumberDecrementStepper />
+        </NumberInputStepper>
+      </NumberInput>
+    </FormControl>
+  );
+  
+  return (
+    <Modal isOpen={isOpen} onClose={onClose}>
+      <ModalOverlay />
+      <ModalContent bg="gray.800" color="white">
+        <ModalHeader>Roster Slots</ModalHeader>
+        <ModalCloseButton />
+        <form onSubmit={handleSubmit}>
+          <ModalBody pb={6}>
+            <Text fontSize="sm" color="gray.400" mb={4}>
+              Every team starts one player at each position, plus the slots below.
+            </Text>
+            {countInput('flex', 'FLEX slots (any position)', 3)}
+            <Checkbox
+              mb={4}
+              isChecked={template.teamSlot}
+              onChange={(e) => setTemplate({ ...template, teamSlot: e.target.checked })}
+            >
+              Pro team slot, scored on its objectives
+            </Checkbox>
+            {countInput('bench', 'Bench size', 10)}
+            {countInput('reserve', 'Reserve (IR) slots', 3)}
+            <Text fontSize="sm" color="gray.400">
+              Reserve players stay on the roster without scoring or taking a bench spot.
+              Teams have to clear any slot you remove before it can go.
+            </Text>
+          </ModalBody>
+          
+          <ModalFooter>
+            <Button 
+              colorScheme="purple" 
+              mr={3} 
+              type="submit"
+              isLoading={isSubmitting}
+            >
+              Save
+            </Button>
+            <Button variant="ghost" onClick={onClose}>Cancel</Button>
+          </ModalFooter>
+        </form>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+const KEEPER_MODE_LABELS = {
+  redraft: 'Redraft: every player goes back in the pool',
+  keeper: 'Keeper: managers keep a few players',
+  dynasty: 'Dynasty: full rosters carry over'
+};
+
+const SeasonModal = ({ isOpen, onClose, league, onRolledOver }) => {
+  const { getLeagueKeepers, updateKeeperSettings, rolloverSeason } = useApi();
+  const [settings, setSettings] = useState({ mode: 'redraft', maxKeepers: 2, roundCost: 1 });
+  const [nextSeasonKeepers, setNextSeasonKeepers] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [confirmRollover, setConfirmRollover] = useState(false);
+  const toast = useToast();
+  
+  const season = league?.season || 1;
+  const teamName = (teamId) => league?.teams?.find(team => team.id === teamId)?.name || teamId;
+  
+  useEffect(() => {
+    if (!isOpen) return;
+    
+    setConfirmRollover(false);
+    getLeagueKeepers(league.id)
+      .then(data => {
+        setSettings(data.keeperSettings);
+        setNextSeasonKeepers(data.nextSeasonKeepers);
+      })
+      .catch(error => console.error('Error fetching keepers:', error));
+  }, [isOpen, league?.id]);
+  
+  const showError = (error, fallback) => {
+    toast({
+      title: 'Error',
+      description: error.message || fallback,
+      status: 'error',
+      duration: 5000,
+      isClosable: true,
+    });
+  };
+  
+  const handleSave = async () => {
+    setIsSubmitting(true);
+    try {
+      await updateKeeperSettings(league.id, settings);
+      toast({
+        title: 'Keeper rules saved',
+        status: 'success',
+        duration: 3000,
+        isClosable: true,
+      });
+    } catch (error) {
+      showError(error, 'Failed to save keeper rules');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
+  const handleRollover = async () => {
+    if (!confirmRollover) {
+      setConfirmRollover(true);
+      return;
+    }
+    
+    setIsSubmitting(true);
+    try {
+      const result = await rolloverSeason(league.id);
+      toast({
+        title: `Season ${result.season} started`,
+        description: 'Last season has been archived',
+        status: 'success',
+        duration: 5000,
+        isClosable: true,
+      });
+      onRolledOver(result);
+      onClose();
+    } catch (error) {
+      showError(error, 'Failed to start the next season');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} size="lg">
+      <ModalOverlay />
+      <ModalContent bg="gray.800" color="white">
+        <ModalHeader>Season {season}</ModalHeader>
+        <ModalCloseButton />
+        <ModalBody pb={6}>
+          <FormControl mb={4}>
+            <FormLabel>League type</FormLabel>
+            <Select
+              value={settings.mode}
+              onChange={(e) => setSettings({ ...settings, mode: e.target.value })}
+            >
+              {Object.entries(KEEPER_MODE_LABELS).map(([mode, label]) => (
+                <option key={mode} value={mode} style={{ backgroundColor: '#2D3748' }}>{label}</option>
+              ))}
+            </Select>
+          </FormControl>
+          
+          {settings.mode === 'keeper' && (
+            <HStack spacing={4} mb={4} align="flex-end">
+              <FormControl>
+                <FormLabel>Keepers per team</FormLabel>
+                <NumberInput
+                  min={1}
+                  max={10}
+                  value={settings.maxKeepers}
+                  onChange={(_, value) => setSettings({ ...settings, maxKeepers: Number.isNaN(value) ? 1 : value })}
+                >
+                  <NumberInputField />
+                  <NumberInputStepper>
+                    <NumberIncrementStepper />
+                    <NumberDecrementStepper />
+                  </NumberInputStepper>
+                </NumberInput>
+              </FormControl>
+              <FormControl>
+                <FormLabel>Round cost</FormLabel>
+                <NumberInput
+                  min={0}
+                  value={settings.roundCost}
+                  onChange={(_, value) => setSettings({ ...settings, roundCost: Number.isNaN(value) ? 0 : value })}
+                >
+                  <NumberInputField />
+                  <NumberInputStepper>
+                    <NumberIncrementStepper />
+                    <NumberDecrementStepper />
+                  </NumberInputStepper>
+                </NumberInput>
+              </FormControl>
+            </HStack>
+          )}
+          {settings.mode === 'keeper' && (
+            <Text fontSize="sm" color="gray.400" mb={4}>
+              A keeper costs the pick this many rounds before the round they were drafted in.
+              Players picked up during the season cost the last round.
+            </Text>
+          )}
+          
+          <Button colorScheme="purple" size="sm" mb={6} onClick={handleSave} isLoading={isSubmitting}>
+            Save Keeper Rules
+          </Button>
+          
+          {settings.mode === 'keeper' && (
+            <Box mb={6}>
+              <Heading size="sm" mb={2}>Keepers for season {season + 1}</Heading>
+              {nextSeasonKeepers.length === 0 ? (
+                <Text fontSize="sm" color="gray.400">No team has chosen keepers yet.</Text>
+              ) : (
+                <VStack align="stretch" spacing={1}>
+                  {nextSeasonKeepers.map(keeper => (
+                    <Flex key={keeper.playerId} justify="space-between" fontSize="sm">
+                      <Text>{teamName(keeper.teamId)}: {keeper.playerName}</Text>
+                      <Badge colorScheme="purple">Round {keeper.round}</Badge>
+                    </Flex>
+                  ))}
+                </VStack>
+              )}
+            </Box>
+          )}
+          
+          <Heading size="sm" mb={2}>Start the next season</Heading>
+          <Text fontSize="sm" color="gray.400" mb={3}>
+            Season {season} is archived with its schedule, standings and rosters. Teams and members stay,
+            and the draft order follows the final standings, worst first.
+          </Text>
+          {confirmRollover && (
+            <Text fontSize="sm" color="orange.300" mb={3}>
+              {settings.mode === 'dynasty'
+                ? 'Every roster carries over. This cannot be undone.'
+                : 'Every player who isn\'t kept is released. This cannot be undone.'}
+            </Text>
+          )}
+          <Button colorScheme={confirmRollover ? 'red' : 'green'} onClick={handleRollover} isLoading={isSubmitting}>
+            {confirmRollover ? `Yes, start season ${season + 1}` : `Start Season ${season + 1}`}
+          </Button>
+        </ModalBody>
+        
+        <ModalFooter>
+          <Button variant="ghost" onClick={onClose}>Close</Button>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+const TradeReviewPanel = ({ leagueId }) => {
+  const { getTradeReview, vetoTrade, approveTrade, reverseTrade } = useApi();
+  const [review, setReview] = useState(null);
+  const [busyTradeId, setBusyTradeId] = useState(null);
+  const toast = useToast();
+  
+  const loadReview = () => getTradeReview(leagueId)
+    .then(setReview)
+    .catch(error => {
+      console.error('Error fetching trade review:', error);
+      setReview({ trades: [] });
+    });
+  
+  useEffect(() => {
+    loadReview();
+  }, [leagueId]);
+  
+  const handleDecision = async (trade, action) => {
+    setBusyTradeId(trade.id);
+    
+    try {
+      const result = await action(trade.id);
+      toast({
+        title: result.message,
+        status: 'success',
+        duration: 3000,
+        isClosable: true,
+      });
+      await loadReview();
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to update the trade',
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setBusyTradeId(null);
+    }
+  };
+  
+  // Nothing to show unless a trade is waiting out its review period
+  if (!review || review.trades.length === 0) {
+    return null;
+  }
+  
+  return (
+    <Box bg="gray.800" p={5} rounded="lg" borderWidth="1px" borderColor="orange.500" mb={6}>
+      <Heading size="sm" mb={4} color="white">Trades in Review</Heading>
+      <VStack spacing={4} align="stretch">
+        {review.trades.map(trade => (
+          <Box key={trade.id} p={4} bg="gray.900" rounded="md">
+            <Box mb={3}>
+              <TradeAssets assets={trade.assets} teams={trade.teams} drops={trade.drops} />
+            </Box>
+            
+            <Flex justify="space-between" align="center" wrap="wrap" gap={3}>
+              <HStack spacing={3}>
+                <Badge colorScheme="orange">
+                  Goes through in {formatCountdown(new Date(trade.reviewEndsAt).getTime() - Date.now())}
+                </Badge>
+                {trade.reviewMode === 'league' && (
+                  <Text color="gray.400" fontSize="sm">
+                    {trade.vetoCount} of {trade.vetoesNeeded} veto votes
+                  </Text>
+                )}
+              </HStack>
+              
+              <HStack spacing={2}>
+                {trade.canVote && (
+                  <Button
+                    size="sm"
+                    colorScheme="red"
+                    variant="outline"
+                    isDisabled={trade.hasVoted}
+                    isLoading={busyTradeId === trade.id}
+                    onClick={() => handleDecision(trade, vetoTrade)}
+                  >
+                    {trade.hasVoted ? 'Veto Cast' : 'Vote to Veto'}
+                  </Button>
+                )}
+                {review.isCommissioner && (
+                  <>
+                    <Button
+                      size="sm"
+                      colorScheme="green"
+                      isLoading={busyTradeId === trade.id}
+                      onClick={() => handleDecision(trade, approveTrade)}
+                    >
+                      Approve
+                    </Button>
+                    <Button
+                      size="sm"
+                      colorScheme="red"
+                      isLoading={busyTradeId === trade.id}
+                      onClick={() => handleDecision(trade, reverseTrade)}
+                    >
+                      Reverse
+                    </Button>
+                  </>
+                )}
+              </HStack>
+            </Flex>
+          </Box>
+        ))}
+      </VStack>
+    </Box>
+  );
+};
+
+const TRANSACTION_COLORS = { add: 'green', drop: 'red', waiver: 'orange', trade: 'purple' };
+
+const TransactionsPanel = ({ leagueId }) => {
+  const { getTransactions } = useApi();
+  const [transactions, setTransactions] = useState(null);
+  
+  useEffect(() => {
+    getTransactions(leagueId)
+      .then(setTransactions)
+      .catch(error => {
+        console.error('Error fetching transactions:', error);
+        setTransactions([]);
+      });
+  }, [leagueId]);
+  
+  if (!transactions) {
+    return <Skeleton height="200px" rounded="lg" />;
+  }
+  
+  return (
+    <Box bg="gray.800" rounded="lg" overflow="hidden" borderWidth="1px" borderColor="gray.700">
+      <Table variant="simple">
+        <Thead bg="gray.900">
+          <Tr>
+            <Th color="gray.300">Date</Th>
+            <Th color="gray.300">Team</Th>
+            <Th color="gray.300">Type</Th>
+            <Th color="gray.300">Players</Th>
+          </Tr>
+        </Thead>
+        <Tbody>
+          {transactions.length > 0 ? (
+            transactions.map(transaction => (
+              <Tr key={transaction.id} _hover={{ bg: "gray.700" }}>
+                <Td color="gray.400" fontSize="sm">{new Date(transaction.createdAt).toLocaleString()}</Td>
+                <Td color="white">{transaction.teamName || 'Unknown Team'}</Td>
+                <Td>
+                  <Badge colorScheme={TRANSACTION_COLORS[transaction.type]}>{transaction.type}</Badge>
+                </Td>
+                <Td>
+                  {transaction.addedPlayers.map(player => (
+                    <Text key={player.id} color="green.300" fontSize="sm">
+                      + {player.name}{transaction.bid !== null ? ` ($${transaction.bid})` : ''}
+                    </Text>
+                  ))}
+                  {transaction.droppedPlayers.map(player => (
+                    <Text key={player.id} color="red.300" fontSize="sm">- {player.name}</Text>
+                  ))}
+                </Td>
+              </Tr>
+            ))
+          ) : (
+            <Tr>
+              <Td colSpan={4} textAlign="center" py={8} color="gray.400">
+                No transactions yet
+              </Td>
+            </Tr>
+          )}
+        </Tbody>
+      </Table>
+    </Box>
+  );
+};
+
+const PlayoffsPanel = ({ leagueId, isAdmin }) => {
+  const { getPlayoffs, updatePlayoffSettings, generatePlayoffs } = useApi();
+  const [data, setData] = useState(null);
+  const [settings, setSettings] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const toast = useToast();
+  
+  const loadPlayoffs = () => getPlayoffs(leagueId)
+    .then(result => {
+      setData(result);
+      setSettings(result.settings);
+    })
+    .catch(error => {
+      console.error('Error fetching playoffs:', error);
+      setData({ settings: null, playoffs: null, champion: null });
+    });
+  
+  useEffect(() => {
+    loadPlayoffs();
+  }, [leagueId]);
+  
+  const handleSaveAndGenerate = async () => {
+    setIsSaving(true);
     
-    if (weeks < 1) {
+    try {
+      await updatePlayoffSettings(leagueId, settings);
+      await generatePlayoffs(leagueId);
       toast({
-        title: 'Error',
-        description: 'Please enter a valid number of weeks',
-        status: 'error',
+        title: 'Playoff bracket generated',
+        status: 'success',
         duration: 3000,
         isClosable: true,
       });
-      return;
-    }
-    
-    setIsSubmitting(true);
-    
-    try {
-      await onSetSchedule(weeks);
-      onClose();
+      await loadPlayoffs();
     } catch (error) {
       toast({
         title: 'Error',
-        description: error.message || 'Failed to set schedule',
+        description: error.message || 'Failed to generate the playoff bracket',
         status: 'error',
-        duration: 3000,
+        duration: 5000,
         isClosable: true,
       });
     } finally {
-      setIsSubmitting(false);
+      setIsSaving(false);
     }
   };
   
+  if (!data) {
+    return <Skeleton height="200px" rounded="lg" />;
+  }
+  
+  const { playoffs, champion } = data;
+  const hasStarted = playoffs?.matchups.some(matchup => matchup.winner && !matchup.bye);
+  
   return (
-    <Modal isOpen={isOpen} onClose={onClose}>
-      <ModalOverlay />
-      <ModalContent bg="gray.800" color="white">
-        <ModalHeader>Set Schedule for {league?.name || 'League'}</ModalHeader>
-        <ModalCloseButton />
-        <form onSubmit={handleSubmit}>
-          <ModalBody pb={6}>
-            <FormControl isRequired>
-              <FormLabel>Number of Weeks</FormLabel>
-              <NumberInput 
-                min={1} 
-                max={20} 
-                value={weeks}
-                onChange={(valueString) => setWeeks(parseInt(valueString))}
+    <VStack spacing={6} align="stretch">
+      {champion && (
+        <Flex align="center" gap={3} p={4} bg="yellow.900" rounded="lg" borderWidth="1px" borderColor="yellow.500">
+          <Icon as={StarIcon} color="yellow.300" boxSize={6} />
+          <Box>
+            <Text color="yellow.200" fontSize="sm">League Champion</Text>
+            <Link as={RouterLink} to={`/teams/${champion.teamId}`} color="white" fontWeight="bold" fontSize="xl">
+              {champion.teamName || 'Unknown Team'}
+            </Link>
+          </Box>
+        </Flex>
+      )}
+      
+      {isAdmin && settings && !hasStarted && (
+        <Box bg="gray.800" p={5} rounded="lg" borderWidth="1px" borderColor="gray.700">
+          <Heading size="sm" mb={4} color="white">Playoff Settings</Heading>
+          <SimpleGrid columns={{ base: 1, md: 3 }} spacing={4} mb={4}>
+            <FormControl>
+              <FormLabel>Playoff Teams</FormLabel>
+              <NumberInput
+                min={2}
+                max={16}
+                value={settings.teams}
+                onChange={(_, value) => setSettings({ ...settings, teams: value })}
               >
                 <NumberInputField />
                 <NumberInputStepper>
@@ -460,115 +1851,253 @@ const SetScheduleModal = ({ isOpen, onClose, onSetSchedule, league }) => {
                   <NumberDecrementStepper />
                 </NumberInputStepper>
               </NumberInput>
-              <Text fontSize="sm" color="gray.400" mt={1}>
-                This will generate a schedule for the specified number of weeks
-              </Text>
             </FormControl>
-          </ModalBody>
+            
+            <FormControl>
+              <FormLabel>First-Round Byes</FormLabel>
+              <NumberInput
+                min={0}
+                max={15}
+                value={settings.byes}
+                onChange={(_, value) => setSettings({ ...settings, byes: value })}
+              >
+                <NumberInputField />
+                <NumberInputStepper>
+                  <NumberIncrementStepper />
+                  <NumberDecrementStepper />
+                </NumberInputStepper>
+              </NumberInput>
+            </FormControl>
+            
+            <FormControl>
+              <FormLabel>Weeks per Round</FormLabel>
+              <Select
+                value={settings.weeksPerRound}
+                onChange={(e) => setSettings({ ...settings, weeksPerRound: parseInt(e.target.value) })}
+              >
+                <option value={1}>1 week</option>
+                <option value={2}>2 weeks</option>
+              </Select>
+            </FormControl>
+          </SimpleGrid>
           
-          <ModalFooter>
-            <Button 
-              colorScheme="green" 
-              mr={3} 
-              type="submit"
-              isLoading={isSubmitting}
-            >
-              Generate Schedule
-            </Button>
-            <Button variant="ghost" onClick={onClose}>Cancel</Button>
-          </ModalFooter>
-        </form>
-      </ModalContent>
-    </Modal>
+          <Checkbox
+            isChecked={settings.consolation}
+            onChange={(e) => setSettings({ ...settings, consolation: e.target.checked })}
+            mb={4}
+          >
+            Consolation bracket for teams that miss the playoffs
+          </Checkbox>
+          
+          <Text fontSize="sm" color="gray.400" mb={4}>
+            Seeds come from the current standings. Playoff teams plus byes must be a power of two, e.g. 4 + 0 or 6 + 2.
+          </Text>
+          
+          <Button colorScheme="yellow" onClick={handleSaveAndGenerate} isLoading={isSaving}>
+            {playoffs ? 'Regenerate Bracket' : 'Generate Bracket'}
+          </Button>
+        </Box>
+      )}
+      
+      {playoffs ? (
+        <PlayoffBracket playoffs={playoffs} />
+      ) : (
+        <Box bg="gray.800" p={8} rounded="lg" textAlign="center">
+          <Text color="gray.400">The playoff bracket hasn't been set yet</Text>
+        </Box>
+      )}
+    </VStack>
   );
 };
 
-const FillLeagueModal = ({ isOpen, onClose, onFill, leagueId }) => {
-  const [numTeams, setNumTeams] = useState(12);
-  const [numWeeks, setNumWeeks] = useState(11);
-  const [isSubmitting, setIsSubmitting] = useState(false);
+const HistorySection = ({ title, children }) => (
+  <Box bg="gray.800" rounded="lg" overflow="hidden" borderWidth="1px" borderColor="gray.700">
+    <Heading size="sm" color="white" px={5} pt={4} pb={2}>{title}</Heading>
+    {children}
+  </Box>
+);
+
+const HistoryPanel = ({ leagueId }) => {
+  const { getLeagueHistory } = useApi();
+  const [history, setHistory] = useState(null);
   
-  const handleSubmit = async () => {
-    setIsSubmitting(true);
-    try {
-      await onFill({ numTeams, numWeeks });
-      onClose();
-    } catch (error) {
-      console.error('Error filling league:', error);
-    } finally {
-      setIsSubmitting(false);
-    }
-  };
+  useEffect(() => {
+    getLeagueHistory(leagueId)
+      .then(setHistory)
+      .catch(error => {
+        console.error('Error fetching league history:', error);
+        setHistory({ seasons: [], champions: [], headToHead: [], records: { highestWeeks: [], highestSeasons: [], mostWins: [] }, careers: [] });
+      });
+  }, [leagueId]);
+  
+  if (!history) {
+    return <Skeleton height="200px" rounded="lg" />;
+  }
+  
+  if (history.seasons.length === 0) {
+    return (
+      <Box bg="gray.800" p={8} rounded="lg" textAlign="center">
+        <Text color="gray.400">The league's history starts once its first season is in the books</Text>
+      </Box>
+    );
+  }
+  
+  const { champions, headToHead, records, careers } = history;
+  const formatRecord = ({ wins, losses, ties }) => `${wins}-${losses}${ties > 0 ? `-${ties}` : ''}`;
   
   return (
-    <Modal isOpen={isOpen} onClose={onClose}>
-      <ModalOverlay />
-      <ModalContent bg="gray.800" color="white">
-        <ModalHeader borderBottomWidth="1px" borderColor="gray.700">
-          Fill League with Teams
-        </ModalHeader>
-        <ModalCloseButton />
-        <ModalBody py={6}>
-          <Text mb={4}>
-            This will automatically create teams and generate a schedule for your league.
-            This action is intended for testing purposes.
-          </Text>
-          
-          <FormControl mb={4}>
-            <FormLabel>Number of Teams</FormLabel>
-            <NumberInput 
-              min={2} 
-              max={12} 
-              value={numTeams}
-              onChange={(valueString) => setNumTeams(parseInt(valueString))}
-            >
-              <NumberInputField bg="gray.700" />
-              <NumberInputStepper>
-                <NumberIncrementStepper />
-                <NumberDecrementStepper />
-              </NumberInputStepper>
-            </NumberInput>
-          </FormControl>
-          
-          <FormControl>
-            <FormLabel>Number of Weeks</FormLabel>
-            <NumberInput 
-              min={1} 
-              max={15} 
-              value={numWeeks}
-              onChange={(valueString) => setNumWeeks(parseInt(valueString))}
-            >
-              <NumberInputField bg="gray.700" />
-              <NumberInputStepper>
-                <NumberIncrementStepper />
-                <NumberDecrementStepper />
-              </NumberInputStepper>
-            </NumberInput>
-          </FormControl>
-        </ModalBody>
+    <VStack spacing={6} align="stretch">
+      <HistorySection title="Past Champions">
+        <Table variant="simple" size="sm">
+          <Thead bg="gray.900">
+            <Tr>
+              <Th color="gray.300">Season</Th>
+              <Th color="gray.300">Champion</Th>
+              <Th color="gray.300">Manager</Th>
+            </Tr>
+          </Thead>
+          <Tbody>
+            {champions.length > 0 ? (
+              [...champions].reverse().map(champion => (
+                <Tr key={champion.season}>
+                  <Td color="gray.400">{champion.season}</Td>
+                  <Td color="white" fontWeight="bold">
+                    <Icon as={StarIcon} color="yellow.300" mr={2} />
+                    {champion.teamName}
+                  </Td>
+                  <Td color="gray.300">{champion.owner || '-'}</Td>
+                </Tr>
+              ))
+            ) : (
+              <Tr>
+                <Td colSpan={3} textAlign="center" py={6} color="gray.400">No champions crowned yet</Td>
+              </Tr>
+            )}
+          </Tbody>
+        </Table>
+      </HistorySection>
+      
+      <SimpleGrid columns={{ base: 1, lg: 3 }} spacing={6}>
+        <HistorySection title="Highest Weekly Scores">
+          <Table variant="simple" size="sm">
+            <Tbody>
+              {records.highestWeeks.map((entry, index) => (
+                <Tr key={`${entry.season}-${entry.week}-${entry.teamId}`}>
+                  <Td color="gray.400">{index + 1}</Td>
+                  <Td>
+                    <Text color="white">{entry.teamName}</Text>
+                    <Text color="gray.500" fontSize="xs">Season {entry.season}, Week {entry.week}</Text>
+                  </Td>
+                  <Td isNumeric color="yellow.300" fontWeight="bold">{entry.points.toFixed(1)}</Td>
+                </Tr>
+              ))}
+            </Tbody>
+          </Table>
+        </HistorySection>
         
-        <ModalFooter borderTopWidth="1px" borderColor="gray.700">
-          <Button variant="outline" mr={3} onClick={onClose}>
-            Cancel
-          </Button>
-          <Button 
-            colorScheme="yellow" 
-            onClick={handleSubmit}
-            isLoading={isSubmitting}
-            _hover={{ bg: 'yellow.500' }}
-          >
-            Fill League
-          </Button>
-        </ModalFooter>
-      </ModalContent>
-    </Modal>
+        <HistorySection title="Highest Season Totals">
+          <Table variant="simple" size="sm">
+            <Tbody>
+              {records.highestSeasons.map((entry, index) => (
+                <Tr key={`${entry.season}-${entry.teamId}`}>
+                  <Td color="gray.400">{index + 1}</Td>
+                  <Td>
+                    <Text color="white">{entry.teamName}</Text>
+                    <Text color="gray.500" fontSize="xs">Season {entry.season}</Text>
+                  </Td>
+                  <Td isNumeric color="yellow.300" fontWeight="bold">{entry.points.toFixed(1)}</Td>
+                </Tr>
+              ))}
+            </Tbody>
+          </Table>
+        </HistorySection>
+        
+        <HistorySection title="Most Wins in a Season">
+          <Table variant="simple" size="sm">
+            <Tbody>
+              {records.mostWins.map((entry, index) => (
+                <Tr key={`${entry.season}-${entry.teamId}`}>
+                  <Td color="gray.400">{index + 1}</Td>
+                  <Td>
+                    <Text color="white">{entry.teamName}</Text>
+                    <Text color="gray.500" fontSize="xs">Season {entry.season}</Text>
+                  </Td>
+                  <Td isNumeric color="yellow.300" fontWeight="bold">{formatRecord(entry)}</Td>
+                </Tr>
+              ))}
+            </Tbody>
+          </Table>
+        </HistorySection>
+      </SimpleGrid>
+      
+      <HistorySection title="All-Time Head-to-Head">
+        <Table variant="simple" size="sm">
+          <Thead bg="gray.900">
+            <Tr>
+              <Th color="gray.300">Manager</Th>
+              <Th color="gray.300" textAlign="center">Record</Th>
+              <Th color="gray.300" textAlign="right">Manager</Th>
+            </Tr>
+          </Thead>
+          <Tbody>
+            {headToHead.length > 0 ? (
+              headToHead.map(record => (
+                <Tr key={`${record.managerA.userId || record.managerA.owner}-${record.managerB.userId || record.managerB.owner}`}>
+                  <Td color={record.winsA > record.winsB ? 'green.300' : 'white'}>{record.managerA.owner || 'Unowned'}</Td>
+                  <Td color="gray.300" textAlign="center">
+                    {record.winsA}-{record.winsB}{record.ties > 0 ? `-${record.ties}` : ''}
+                  </Td>
+                  <Td color={record.winsB > record.winsA ? 'green.300' : 'white'} textAlign="right">{record.managerB.owner || 'Unowned'}</Td>
+                </Tr>
+              ))
+            ) : (
+              <Tr>
+                <Td colSpan={3} textAlign="center" py={6} color="gray.400">No games played yet</Td>
+              </Tr>
+            )}
+          </Tbody>
+        </Table>
+      </HistorySection>
+      
+      <HistorySection title="Manager Careers">
+        <Text color="gray.500" fontSize="xs" px={5} pb={2}>Across every league each manager has finished a season in</Text>
+        <Table variant="simple" size="sm">
+          <Thead bg="gray.900">
+            <Tr>
+              <Th color="gray.300">Manager</Th>
+              <Th color="gray.300" isNumeric>Seasons</Th>
+              <Th color="gray.300" isNumeric>Leagues</Th>
+              <Th color="gray.300" isNumeric>Record</Th>
+              <Th color="gray.300" isNumeric>Points</Th>
+              <Th color="gray.300" isNumeric>Playoffs</Th>
+              <Th color="gray.300" isNumeric>Titles</Th>
+            </Tr>
+          </Thead>
+          <Tbody>
+            {careers.map(career => (
+              <Tr key={career.userId}>
+                <Td color="white">{career.owner || 'Unknown'}</Td>
+                <Td color="gray.300" isNumeric>{career.seasons}</Td>
+                <Td color="gray.300" isNumeric>{career.leagues}</Td>
+                <Td color="gray.300" isNumeric>{formatRecord(career)}</Td>
+                <Td color="gray.300" isNumeric>{career.points.toFixed(1)}</Td>
+                <Td color="gray.300" isNumeric>{career.playoffAppearances}</Td>
+                <Td color="yellow.300" fontWeight="bold" isNumeric>{career.championships}</Td>
+              </Tr>
+            ))}
+          </Tbody>
+        </Table>
+      </HistorySection>
+    </VStack>
   );
 };
 
 const LeagueDetail = () => {
   const { id } = useParams();
-  const { getLeagueById, getStandings, getMatchups, joinLeague, createTeam, scheduleDraft, setSchedule, loading, error } = useApi();
+  const { getLeagueById, getStandings, getMatchups, joinLeague, createTeam, scheduleDraft, cancelDraftSchedule, getDraftSchedule, setSchedule, loading, error } = useApi();
   const [league, setLeague] = useState(null);
+  const [draftSchedule, setDraftSchedule] = useState(null);
+  const [serverOffset, setServerOffset] = useState(0); // Server clock minus ours, for the draft countdown
   const [standings, setStandings] = useState([]);
   const [matchups, setMatchups] = useState([]);
   const [currentWeek, setCurrentWeek] = useState(1);
@@ -579,6 +2108,12 @@ const LeagueDetail = () => {
   const { isOpen: isScheduleDraftOpen, onOpen: onScheduleDraftOpen, onClose: onScheduleDraftClose } = useDisclosure();
   const { isOpen: isSetScheduleOpen, onOpen: onSetScheduleOpen, onClose: onSetScheduleClose } = useDisclosure();
   const { isOpen: isFillLeagueOpen, onOpen: onFillLeagueOpen, onClose: onFillLeagueClose } = useDisclosure();
+  const { isOpen: isWaiverSettingsOpen, onOpen: onWaiverSettingsOpen, onClose: onWaiverSettingsClose } = useDisclosure();
+  const { isOpen: isTradeSettingsOpen, onOpen: onTradeSettingsOpen, onClose: onTradeSettingsClose } = useDisclosure();
+  const { isOpen: isTransactionSettingsOpen, onOpen: onTransactionSettingsOpen, onClose: onTransactionSettingsClose } = useDisclosure();
+  const { isOpen: isDivisionsOpen, onOpen: onDivisionsOpen, onClose: onDivisionsClose } = useDisclosure();
+  const { isOpen: isRosterTemplateOpen, onOpen: onRosterTemplateOpen, onClose: onRosterTemplateClose } = useDisclosure();
+  const { isOpen: isSeasonOpen, onOpen: onSeasonOpen, onClose: onSeasonClose } = useDisclosure();
   const toast = useToast();
   const navigate = useNavigate();
   
@@ -620,6 +2155,36 @@ const LeagueDetail = () => {
     return membersList;
   }, [league]);
   
+  const fetchDraftSchedule = async () => {
+    try {
+      const data = await getDraftSchedule(id);
+      setDraftSchedule(data.draftSchedule);
+      setServerOffset(new Date(data.serverTime).getTime() - Date.now());
+    } catch (err) {
+      console.error('Error fetching draft schedule:', err);
+      // Non-critical error, just log it
+    }
+  };
+  
+  useEffect(() => {
+    if (id) {
+      fetchDraftSchedule();
+    }
+  }, [id]);
+  
+  // The new season starts with no schedule, standings or draft
+  const handleSeasonRolledOver = async () => {
+    try {
+      const updatedLeague = await getLeagueById(id, true); // Force refresh
+      setLeague(updatedLeague);
+      setStandings([]);
+      setMatchups([]);
+      fetchDraftSchedule();
+    } catch (err) {
+      console.error('Error refreshing league:', err);
+    }
+  };
+  
   useEffect(() => {
     const fetchLeague = async () => {
       try {
@@ -806,11 +2371,12 @@ const LeagueDetail = () => {
     }
   };
   
-  const handleScheduleDraft = async (draftDateTime, draftType) => {
+  const handleScheduleDraft = async (draftDateTime, draftType, auctionBudget) => {
     if (!league) return;
     
     try {
-      await scheduleDraft(league.id, draftDateTime, draftType);
+      await scheduleDraft(league.id, draftDateTime, draftType, auctionBudget);
+      await fetchDraftSchedule();
       
       toast({
         title: 'Success!',
@@ -830,15 +2396,40 @@ const LeagueDetail = () => {
     }
   };
   
-  const handleSetSchedule = async (weeks) => {
+  const handleCancelDraftSchedule = async () => {
+    if (!league) return;
+    
+    try {
+      await cancelDraftSchedule(league.id);
+      await fetchDraftSchedule();
+      
+      toast({
+        title: 'Draft cancelled',
+        description: `The scheduled draft for ${league.name} was cancelled`,
+        status: 'info',
+        duration: 3000,
+        position: 'top'
+      });
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to cancel draft',
+        status: 'error',
+        duration: 3000,
+        position: 'top'
+      });
+    }
+  };
+  
+  const handleSetSchedule = async (options) => {
     if (!league) return;
     
     try {
-      await setSchedule(league.id, weeks);
+      const result = await setSchedule(league.id, options);
       
       toast({
         title: 'Success!',
-        description: `Schedule set for ${league.name}`,
+        description: `Schedule set for ${league.name} (seed ${result.settings.seed})`,
         status: 'success',
         duration: 3000,
         position: 'top'
@@ -1037,6 +2628,7 @@ const LeagueDetail = () => {
         >
           <Box>
             <Heading size="xl" mb={2}>{league.name}</Heading>
+            {league.season > 1 && <Badge colorScheme="green" mb={2}>Season {league.season}</Badge>}
             <Text color="gray.400">Created by {league.creatorId}</Text>
             {league.description && <Text mt={2}>{league.description}</Text>}
             
@@ -1121,6 +2713,24 @@ const LeagueDetail = () => {
           </Button>
         </Flex>
         
+        {/* Upcoming scheduled draft */}
+        {draftSchedule && ['scheduled', 'open'].includes(draftSchedule.status) && (
+          <DraftCountdown
+            draftSchedule={draftSchedule}
+            serverOffset={serverOffset}
+            isAdmin={isAdmin}
+            onCancel={handleCancelDraftSchedule}
+          />
+        )}
+        {draftSchedule?.status === 'failed' && isAdmin && (
+          <Box mt={6} p={4} bg="red.900" rounded="md">
+            <HStack>
+              <WarningIcon color="red.300" />
+              <Text>The scheduled draft didn't start: {draftSchedule.error || 'unknown error'}</Text>
+            </HStack>
+          </Box>
+        )}
+        
         {/* Admin Actions */}
         {isAdmin && (
           <Box mt={6} p={4} bg="gray.700" rounded="md">
@@ -1142,6 +2752,54 @@ const LeagueDetail = () => {
               >
                 Set Schedule
               </Button>
+              <Button 
+                leftIcon={<RepeatIcon />} 
+                colorScheme="orange" 
+                size="sm"
+                onClick={onWaiverSettingsOpen}
+              >
+                Waiver Settings
+              </Button>
+              <Button 
+                leftIcon={<RepeatIcon />} 
+                colorScheme="orange" 
+                size="sm"
+                onClick={onTradeSettingsOpen}
+              >
+                Trade Review
+              </Button>
+              <Button 
+                leftIcon={<RepeatIcon />} 
+                colorScheme="orange" 
+                size="sm"
+                onClick={onTransactionSettingsOpen}
+              >
+                Deadlines & Limits
+              </Button>
+              <Button 
+                leftIcon={<SettingsIcon />} 
+                colorScheme="purple" 
+                size="sm"
+                onClick={onDivisionsOpen}
+              >
+                Divisions
+              </Button>
+              <Button 
+                leftIcon={<SettingsIcon />} 
+                colorScheme="purple" 
+                size="sm"
+                onClick={onRosterTemplateOpen}
+              >
+                Roster Slots
+              </Button>
+              <Button 
+                leftIcon={<RepeatIcon />} 
+                colorScheme="green" 
+                size="sm"
+                onClick={onSeasonOpen}
+              >
+                Seasons & Keepers
+              </Button>
               {user && isAdmin && (
                 <Button 
                   variant="outline" 
@@ -1213,6 +2871,9 @@ const LeagueDetail = () => {
               <Tab _selected={{ color: 'white', bg: 'yellow.500' }} color="gray.300">Standings</Tab>
               <Tab _selected={{ color: 'white', bg: 'yellow.500' }} color="gray.300">Matchups</Tab>
               <Tab _selected={{ color: 'white', bg: 'yellow.500' }} color="gray.300">Draft</Tab>
+              <Tab _selected={{ color: 'white', bg: 'yellow.500' }} color="gray.300">Transactions</Tab>
+              <Tab _selected={{ color: 'white', bg: 'yellow.500' }} color="gray.300">Playoffs</Tab>
+              <Tab _selected={{ color: 'white', bg: 'yellow.500' }} color="gray.300">History</Tab>
             </TabList>
             
             <TabPanels>
@@ -1267,6 +2928,7 @@ const LeagueDetail = () => {
                         <Th color="gray.300">Team</Th>
                         <Th isNumeric color="gray.300">W</Th>
                         <Th isNumeric color="gray.300">L</Th>
+                        <Th isNumeric color="gray.300">T</Th>
                         <Th isNumeric color="gray.300">Points</Th>
                       </Tr>
                     </Thead>
@@ -1279,21 +2941,29 @@ const LeagueDetail = () => {
                             </Td>
                             <Td>
                               {standing.team ? (
-                                <Link as={RouterLink} to={`/teams/${standing.team.id}`} color="white" _hover={{ color: 'yellow.300' }}>
-                                  {standing.team.name}
-                                </Link>
+                                <>
+                                  <Link as={RouterLink} to={`/teams/${standing.team.id}`} color="white" _hover={{ color: 'yellow.300' }}>
+                                    {standing.team.name}
+                                  </Link>
+                                  {standing.status === 'clinched' && <Badge colorScheme="green" ml={2}>Clinched</Badge>}
+                                  {standing.status === 'eliminated' && <Badge colorScheme="red" ml={2}>Eliminated</Badge>}
+                                  {standing.division && (
+                                    <Text fontSize="xs" color="gray.400">{standing.division}</Text>
+                                  )}
+                                </>
                               ) : (
                                 <Text color="gray.400">Unknown Team</Text>
                               )}
                             </Td>
                             <Td isNumeric color="green.400">{standing?.wins || 0}</Td>
                             <Td isNumeric color="red.400">{standing?.losses || 0}</Td>
+                            <Td isNumeric color="gray.300">{standing?.ties || 0}</Td>
                             <Td isNumeric fontWeight="bold">{standing?.totalPoints ? standing.totalPoints.toFixed(1) : '0.0'}</Td>
                           </Tr>
                         ))
                       ) : (
                         <Tr>
-                          <Td colSpan={5} textAlign="center" py={8} color="gray.400">
+                          <Td colSpan={6} textAlign="center" py={8} color="gray.400">
                             No standings available yet
                           </Td>
                         </Tr>
@@ -1405,6 +3075,19 @@ const LeagueDetail = () => {
                   </Flex>
                 </Box>
               </TabPanel>
+              
+              <TabPanel px={0}>
+                <TradeReviewPanel leagueId={league.id} />
+                <TransactionsPanel leagueId={league.id} />
+              </TabPanel>
+              
+              <TabPanel px={0}>
+                <PlayoffsPanel leagueId={league.id} isAdmin={isAdmin} />
+              </TabPanel>
+              
+              <TabPanel px={0}>
+                <HistoryPanel leagueId={league.id} />
+              </TabPanel>
             </TabPanels>
           </Tabs>
         </GridItem>
@@ -1473,6 +3156,45 @@ const LeagueDetail = () => {
         onFill={handleFillLeague}
         leagueId={league.id}
       />
+      
+      <WaiverSettingsModal 
+        isOpen={isWaiverSettingsOpen} 
+        onClose={onWaiverSettingsClose} 
+        leagueId={league.id}
+      />
+      
+      <TradeSettingsModal 
+        isOpen={isTradeSettingsOpen} 
+        onClose={onTradeSettingsClose} 
+        leagueId={league.id}
+      />
+      
+      <TransactionSettingsModal 
+        isOpen={isTransactionSettingsOpen} 
+        onClose={onTransactionSettingsClose} 
+        leagueId={league.id}
+      />
+      
+      <DivisionsModal 
+        isOpen={isDivisionsOpen} 
+        onClose={onDivisionsClose} 
+        league={league}
+        onSaved={(divisions) => setLeague({ ...league, divisions })}
+      />
+      
+      <RosterTemplateModal 
+        isOpen={isRosterTemplateOpen} 
+        onClose={onRosterTemplateClose} 
+        league={league}
+        onSaved={({ rosterTemplate, startingSlots }) => setLeague({ ...league, rosterTemplate, startingSlots })}
+      />
+      
+      <SeasonModal 
+        isOpen={isSeasonOpen} 
+        onClose={onSeasonClose} 
+        league={league}
+        onRolledOver={handleSeasonRolledOver}
+      />
     </Box>
   );
 };
@@ -2,20 +2,192 @@ import React, { useEffect, useState } from 'react';
 import { Link as RouterLink } from 'react-router-dom';
 import { 
   Box, Heading, Table, Thead, Tbody, Tr, Th, Td, 
-  Link, Text, Spinner, Button, Flex, useToast, Center
+  Link, Text, Spinner, Button, Flex, useToast, Center,
+  Badge, IconButton, HStack, VStack, Tooltip, ButtonGroup
 } from '@chakra-ui/react';
+import { ArrowUpIcon, ArrowDownIcon } from '@chakra-ui/icons';
 import { useApi } from '../context/ApiContext';
+import { useAuth } from '../context/AuthContext';
 import { useLeague } from '../context/LeagueContext';
 
+const formatRecord = (wins, losses, ties) => (ties > 0 ? `${wins}-${losses}-${ties}` : `${wins}-${losses}`);
+
+const StatusBadge = ({ status }) => {
+  if (status === 'clinched') {
+    return (
+      <Tooltip label="Clinched a playoff spot">
+        <Badge colorScheme="green" ml={2}>x</Badge>
+      </Tooltip>
+    );
+  }
+  if (status === 'eliminated') {
+    return (
+      <Tooltip label="Eliminated from playoff contention">
+        <Badge colorScheme="red" ml={2}>e</Badge>
+      </Tooltip>
+    );
+  }
+  return null;
+};
+
+const TiebreakerPanel = ({ tiebreakers, available, isCommissioner, onSave }) => {
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const order = draft || tiebreakers;
+  
+  // Tiebreakers the league isn't using can be added back to the end of the chain
+  const unused = Object.keys(available).filter(key => !order.includes(key));
+  
+  const move = (index, offset) => {
+    const next = [...order];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    setDraft(next);
+  };
+  
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await onSave(draft);
+      setDraft(null);
+    } finally {
+      setSaving(false);
+    }
+  };
+  
+  return (
+    <Box bg="gray.800" rounded="md" p={4} mt={6} borderWidth={1} borderColor="gray.700">
+      <Flex justify="space-between" align="center" mb={3}>
+        <Heading size="sm" color="white">Tiebreakers</Heading>
+        {isCommissioner && !draft && (
+          <Button size="sm" variant="outline" colorScheme="teal" onClick={() => setDraft([...tiebreakers])}>
+            Edit
+          </Button>
+        )}
+      </Flex>
+      <Text fontSize="sm" color="gray.400" mb={3}>
+        Teams with the same winning percentage are separated by these, in order.
+      </Text>
+      <VStack align="stretch" spacing={2}>
+        {order.map((key, index) => (
+          <Flex key={key} align="center" justify="space-between">
+            <Text color="white">{index + 1}. {available[key] || key}</Text>
+            {draft && (
+              <HStack spacing={1}>
+                <IconButton size="xs" icon={<ArrowUpIcon />} aria-label="Move up" isDisabled={index === 0} onClick={() => move(index, -1)} />
+                <IconButton size="xs" icon={<ArrowDownIcon />} aria-label="Move down" isDisabled={index === order.length - 1} onClick={() => move(index, 1)} />
+                <Button size="xs" variant="ghost" colorScheme="red" isDisabled={order.length === 1} onClick={() => setDraft(order.filter(k => k !== key))}>
+                  Remove
+                </Button>
+              </HStack>
+            )}
+          </Flex>
+        ))}
+      </VStack>
+      {draft && (
+        <Flex mt={4} justify="space-between" align="center" wrap="wrap" gap={2}>
+          <HStack spacing={2}>
+            {unused.map(key => (
+              <Button key={key} size="xs" variant="outline" onClick={() => setDraft([...order, key])}>
+                + {available[key]}
+              </Button>
+            ))}
+          </HStack>
+          <HStack spacing={2}>
+            <Button size="sm" variant="ghost" onClick={() => setDraft(null)}>Cancel</Button>
+            <Button size="sm" colorScheme="teal" onClick={handleSave} isLoading={saving}>Save</Button>
+          </HStack>
+        </Flex>
+      )}
+    </Box>
+  );
+};
+
+// One table of standings, either the whole league or a single division
+const StandingsTable = ({ rows, byDivision, showDivisionRecord }) => (
+  <Table variant="simple">
+    <Thead bg="gray.900">
+      <Tr>
+        <Th color="gray.400">Rank</Th>
+        <Th color="gray.400">Team</Th>
+        <Th isNumeric color="gray.400">W</Th>
+        <Th isNumeric color="gray.400">L</Th>
+        <Th isNumeric color="gray.400">T</Th>
+        <Th isNumeric color="gray.400">Win %</Th>
+        <Th isNumeric color="gray.400">PF</Th>
+        <Th isNumeric color="gray.400">PA</Th>
+        {showDivisionRecord && <Th isNumeric color="gray.400">Div</Th>}
+        <Th color="gray.400">Streak</Th>
+      </Tr>
+    </Thead>
+    <Tbody>
+      {rows.map((standing, index) => {
+        const games = standing.wins + standing.losses + (standing.ties || 0);
+        
+        return (
+          <Tr key={standing.team.id} _hover={{ bg: "gray.700" }}>
+            <Td fontWeight="bold" color="white">
+              {(byDivision ? standing.divisionRank : standing.rank) || index + 1}
+            </Td>
+            <Td>
+              <Flex align="center">
+                <Link as={RouterLink} to={`/teams/${standing.team.id}`} color="teal.300" fontWeight="semibold" _hover={{ color: "teal.200" }}>
+                  {standing.team.name}
+                </Link>
+                <StatusBadge status={standing.status} />
+              </Flex>
+              <Text fontSize="sm" color="gray.400">
+                {standing.team.owner}{standing.division && !byDivision ? ` · ${standing.division}` : ''}
+              </Text>
+            </Td>
+            <Td isNumeric color="white">{standing.wins}</Td>
+            <Td isNumeric color="white">{standing.losses}</Td>
+            <Td isNumeric color="white">{standing.ties || 0}</Td>
+            <Td isNumeric color="white">
+              {games > 0 ? (standing.winPct * 100).toFixed(1) + '%' : '-'}
+            </Td>
+            <Td isNumeric fontWeight="bold" color="teal.300">
+              {standing.totalPoints.toFixed(1)}
+            </Td>
+            <Td isNumeric color="gray.300">
+              {(standing.pointsAgainst || 0).toFixed(1)}
+            </Td>
+            {showDivisionRecord && (
+              <Td isNumeric color="gray.300">
+                {standing.division
+                  ? formatRecord(standing.divisionWins, standing.divisionLosses, standing.divisionTies)
+                  : '-'}
+              </Td>
+            )}
+            <Td color={standing.streak?.startsWith('W') ? 'green.300' : standing.streak?.startsWith('L') ? 'red.300' : 'gray.300'}>
+              {standing.streak || '-'}
+            </Td>
+          </Tr>
+        );
+      })}
+    </Tbody>
+  </Table>
+);
+
 const Standings = () => {
-  const { getStandings, updateAllStats, loading, error } = useApi();
+  const { getStandings, getTiebreakers, updateTiebreakers, updateAllStats, clearCache, loading, error } = useApi();
+  const { user } = useAuth();
   const { league } = useLeague();
   const [standings, setStandings] = useState([]);
+  const [tiebreakers, setTiebreakers] = useState(null);
+  const [view, setView] = useState('divisions');
   const toast = useToast();
   
+  const isCommissioner = !!user && !!league && (user.id === league.creatorId || user.isAdmin);
+  const hasDivisions = standings.some(standing => standing.division);
+  
+  // Divisions and conferences in the order their leaders rank overall
+  const divisionNames = [...new Set(standings.map(standing => standing.division).filter(Boolean))];
+  const conferences = [...new Set(standings.filter(standing => standing.division).map(standing => standing.conference || null))];
+  
   useEffect(() => {
     if (league) {
       fetchStandings();
+      fetchTiebreakers();
     }
   }, [league]);
   
@@ -28,6 +200,42 @@ const Standings = () => {
     }
   };
   
+  const fetchTiebreakers = async () => {
+    try {
+      const data = await getTiebreakers(league.id);
+      setTiebreakers(data);
+    } catch (error) {
+      console.error('Error fetching tiebreakers:', error);
+    }
+  };
+  
+  const handleSaveTiebreakers = async (order) => {
+    try {
+      const data = await updateTiebreakers(league.id, order);
+      setTiebreakers(data);
+      
+      // The cached standings were ranked with the old order
+      clearCache();
+      fetchStandings();
+      
+      toast({
+        title: 'Tiebreakers Updated',
+        status: 'success',
+        duration: 3000,
+        isClosable: true,
+      });
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to update tiebreakers',
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+      throw error;
+    }
+  };
+  
   const handleUpdateStats = async () => {
     try {
       await updateAllStats(league.id);
@@ -80,60 +288,71 @@ const Standings = () => {
     <Box>
       <Flex justify="space-between" align="center" mb={6}>
         <Heading color="white">League Standings</Heading>
-        <Button 
-          colorScheme="teal" 
-          onClick={handleUpdateStats}
-          isLoading={loading}
-        >
-          Update All Stats
-        </Button>
+        <HStack spacing={4}>
+          {hasDivisions && (
+            <ButtonGroup size="sm" isAttached variant="outline">
+              <Button isActive={view === 'divisions'} onClick={() => setView('divisions')}>Divisions</Button>
+              <Button isActive={view === 'league'} onClick={() => setView('league')}>League</Button>
+            </ButtonGroup>
+          )}
+          <Button 
+            colorScheme="teal" 
+            onClick={handleUpdateStats}
+            isLoading={loading}
+          >
+            Update All Stats
+          </Button>
+        </HStack>
       </Flex>
       
       <Box bg="gray.800" rounded="md" shadow="lg" overflowX="auto" borderWidth={1} borderColor="gray.700">
         {standings.length > 0 ? (
-          <Table variant="simple">
-            <Thead bg="gray.900">
-              <Tr>
-                <Th color="gray.400">Rank</Th>
-                <Th color="gray.400">Team</Th>
-                <Th isNumeric color="gray.400">W</Th>
-                <Th isNumeric color="gray.400">L</Th>
-                <Th isNumeric color="gray.400">Win %</Th>
-                <Th isNumeric color="gray.400">Fantasy Points</Th>
-              </Tr>
-            </Thead>
-            <Tbody>
-              {standings.map((standing, index) => (
-                <Tr key={standing.team.id} _hover={{ bg: "gray.700" }}>
-                  <Td fontWeight="bold" color="white">{index + 1}</Td>
-                  <Td>
-                    <Link as={RouterLink} to={`/teams/${standing.team.id}`} color="teal.300" fontWeight="semibold" _hover={{ color: "teal.200" }}>
-                      {standing.team.name}
-                    </Link>
-                    <Text fontSize="sm" color="gray.400">
-                      {standing.team.owner}
-                    </Text>
-                  </Td>
-                  <Td isNumeric color="white">{standing.wins}</Td>
-                  <Td isNumeric color="white">{standing.losses}</Td>
-                  <Td isNumeric color="white">
-                    {(standing.wins + standing.losses) > 0
-                      ? ((standing.wins / (standing.wins + standing.losses)) * 100).toFixed(1) + '%'
-                      : '-'}
-                  </Td>
-                  <Td isNumeric fontWeight="bold" color="teal.300">
-                    {standing.totalPoints.toFixed(1)}
-                  </Td>
-                </Tr>
+          hasDivisions && view === 'divisions' ? (
+            <VStack align="stretch" spacing={6} p={4}>
+              {conferences.map(conference => (
+                <Box key={conference || 'league'}>
+                  {conference && <Heading size="md" color="white" mb={3}>{conference}</Heading>}
+                  <VStack align="stretch" spacing={4}>
+                    {divisionNames
+                      .filter(name => standings.find(standing => standing.division === name)?.conference === conference)
+                      .map(name => (
+                        <Box key={name}>
+                          <Heading size="sm" color="gray.300" mb={2}>{name}</Heading>
+                          <StandingsTable
+                            rows={standings.filter(standing => standing.division === name)}
+                            byDivision
+                            showDivisionRecord
+                          />
+                        </Box>
+                      ))}
+                  </VStack>
+                </Box>
               ))}
-            </Tbody>
-          </Table>
+            </VStack>
+          ) : (
+            <StandingsTable rows={standings} showDivisionRecord={hasDivisions} />
+          )
         ) : (
           <Box p={6} textAlign="center">
             <Text color="gray.400">No standings data available yet</Text>
           </Box>
         )}
       </Box>
+      
+      {standings.some(standing => standing.status) && (
+        <Text fontSize="sm" color="gray.400" mt={2}>
+          x - clinched a playoff spot, e - eliminated from playoff contention
+        </Text>
+      )}
+      
+      {tiebreakers && (
+        <TiebreakerPanel
+          tiebreakers={tiebreakers.tiebreakers}
+          available={tiebreakers.available}
+          isCommissioner={isCommissioner}
+          onSave={handleSaveTiebreakers}
+        />
+      )}
     </Box>
   );
 };
@@ -1,23 +1,65 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useState, useRef } from 'react';
 import { useParams, Link as RouterLink, useNavigate } from 'react-router-dom';
 import { 
   Box, Heading, Text, SimpleGrid, Flex, Button, IconButton,
   Table, Thead, Tbody, Tr, Th, Td, Badge, Link,
   Spinner, useDisclosure, Modal, ModalOverlay, ModalContent,
-  ModalHeader, ModalBody, ModalCloseButton, useToast, Select, Center
+  ModalHeader, ModalBody, ModalCloseButton, useToast, Select, Center, Input, Checkbox
 } from '@chakra-ui/react';
-import { ChevronLeftIcon } from '@chakra-ui/icons';
+import { ChevronLeftIcon, LockIcon, TimeIcon } from '@chakra-ui/icons';
 import { useApi } from '../context/ApiContext';
 import { useAuth } from '../context/AuthContext';
+import TradeAssets from '../components/TradeAssets';
+import TradeAnalysis from '../components/TradeAnalysis';
+
+// Roster slots for teams outside a league
+const DEFAULT_ROSTER = {
+  rosterTemplate: { flex: 1, teamSlot: false, bench: 3, reserve: 0 },
+  startingSlots: ['TOP', 'JUNGLE', 'MID', 'ADC', 'SUPPORT', 'FLEX']
+};
+
+// Whether a player can go in a slot: FLEX takes any role, TEAM only pro teams, BENCH and IR anyone
+const canPlaySlot = (position, slot) => {
+  if (slot === 'BENCH' || slot === 'IR') return true;
+  if (slot.startsWith('FLEX')) return position !== 'TEAM';
+  return position === slot;
+};
+
+const slotColor = (slot) => (
+  slot === 'TOP' ? 'red' :
+  slot === 'JUNGLE' ? 'green' :
+  slot === 'MID' ? 'purple' :
+  slot === 'ADC' ? 'orange' :
+  slot === 'SUPPORT' ? 'blue' :
+  slot === 'TEAM' ? 'teal' :
+  'gray'
+);
 
 const TeamDetail = () => {
   const { id } = useParams();
-  const { getTeamById, getPlayers, addPlayerToTeam, removePlayerFromTeam, loading, error } = useApi();
+  const {
+    getTeamById, getPlayers, getFreeAgents, addPlayerToTeam, removePlayerFromTeam, getRosterTemplate,
+    getTeamKeepers, setTeamKeepers, getWaivers, submitWaiverClaim, cancelWaiverClaim, getLineupLocks,
+    getTeamTrades, acceptTrade, rejectTrade, cancelTrade, analyzeTrade, loading, error
+  } = useApi();
   const { user } = useAuth();
   const [team, setTeam] = useState(null);
+  const [roster, setRoster] = useState(DEFAULT_ROSTER); // The league's roster template and starting slots
   const [availablePlayers, setAvailablePlayers] = useState([]);
   const { isOpen, onOpen, onClose } = useDisclosure();
   const [selectedPosition, setSelectedPosition] = useState('');
+  const [playerSearch, setPlayerSearch] = useState('');
+  const latestSearchRef = useRef(0); // Ignore responses to searches that have since changed
+  const [waivers, setWaivers] = useState(null);
+  const [lineupLocks, setLineupLocks] = useState({}); // Player ID -> { kickoff, locked } for this week
+  const [claimPlayer, setClaimPlayer] = useState(null); // Player on waivers the user is claiming
+  const [claimDropId, setClaimDropId] = useState('');
+  const [claimBid, setClaimBid] = useState('');
+  const [keepers, setKeepers] = useState(null); // { keeperSettings, keepers } in keeper leagues
+  const [keeperIds, setKeeperIds] = useState([]);
+  const [trades, setTrades] = useState([]); // Trades this team is part of, newest first
+  const [busyTradeId, setBusyTradeId] = useState(null);
+  const [tradeAnalyses, setTradeAnalyses] = useState({}); // Trade ID -> analysis for trades the user opened it on
   const toast = useToast();
   const navigate = useNavigate();
   
@@ -25,37 +67,196 @@ const TeamDetail = () => {
     fetchTeam();
   }, [id]);
   
+  useEffect(() => {
+    if (team?.leagueId && team.userId === user?.id) {
+      fetchWaivers();
+    }
+  }, [team?.leagueId, team?.userId, user?.id]);
+  
+  useEffect(() => {
+    if (team?.leagueId) {
+      fetchRosterTemplate();
+    }
+  }, [team?.leagueId]);
+  
+  useEffect(() => {
+    if (team?.leagueId && team.userId === user?.id) {
+      fetchKeepers();
+    }
+  }, [team?.leagueId, team?.userId, user?.id]);
+  
+  useEffect(() => {
+    if (team?.leagueId && team.userId === user?.id) {
+      fetchTrades();
+    }
+  }, [team?.leagueId, team?.userId, user?.id]);
+  
   const fetchTeam = async () => {
     try {
       const data = await getTeamById(id);
       setTeam(data);
+      fetchLineupLocks();
     } catch (error) {
       console.error('Error fetching team:', error);
     }
   };
   
+  const fetchLineupLocks = async () => {
+    try {
+      const data = await getLineupLocks(id);
+      setLineupLocks(data.locks);
+    } catch (error) {
+      console.error('Error fetching lineup locks:', error);
+    }
+  };
+  
+  const fetchRosterTemplate = async () => {
+    try {
+      const data = await getRosterTemplate(team.leagueId);
+      setRoster(data);
+    } catch (error) {
+      console.error('Error fetching roster template:', error);
+    }
+  };
+  
+  const fetchKeepers = async () => {
+    try {
+      const data = await getTeamKeepers(id);
+      setKeepers(data);
+      setKeeperIds(data.keepers.map(keeper => keeper.playerId));
+    } catch (error) {
+      console.error('Error fetching keepers:', error);
+    }
+  };
+  
+  const fetchTrades = async () => {
+    try {
+      const data = await getTeamTrades(id);
+      setTrades(data);
+    } catch (error) {
+      console.error('Error fetching trades:', error);
+    }
+  };
+  
+  const handleTradeAction = async (trade, action) => {
+    setBusyTradeId(trade.id);
+    
+    try {
+      const result = await action(trade.id);
+      toast({
+        title: result.message,
+        status: 'success',
+        duration: 3000,
+      });
+      
+      // An accepted trade may have changed the roster
+      fetchTeam();
+      fetchTrades();
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to update the trade',
+        status: 'error',
+        duration: 5000,
+      });
+    } finally {
+      setBusyTradeId(null);
+    }
+  };
+  
+  const toggleTradeAnalysis = async (trade) => {
+    if (tradeAnalyses[trade.id]) {
+      const { [trade.id]: hidden, ...rest } = tradeAnalyses;
+      setTradeAnalyses(rest);
+      return;
+    }
+    
+    try {
+      const analysis = await analyzeTrade({ tradeId: trade.id });
+      setTradeAnalyses({ ...tradeAnalyses, [trade.id]: analysis });
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to analyze trade',
+        status: 'error',
+        duration: 5000,
+      });
+    }
+  };
+  
+  const toggleKeeper = (playerId) => {
+    setKeeperIds(keeperIds.includes(playerId)
+      ? keeperIds.filter(keeperId => keeperId !== playerId)
+      : [...keeperIds, playerId]);
+  };
+  
+  const handleSaveKeepers = async () => {
+    try {
+      const data = await setTeamKeepers(id, keeperIds);
+      setKeepers(data);
+      
+      toast({
+        title: 'Keepers Saved',
+        description: 'They stay on your team when the league starts its next season',
+        status: 'success',
+        duration: 3000,
+      });
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to save keepers',
+        status: 'error',
+        duration: 3000,
+      });
+    }
+  };
+  
+  const fetchWaivers = async () => {
+    try {
+      const data = await getWaivers(team.leagueId);
+      setWaivers(data);
+    } catch (error) {
+      console.error('Error fetching waivers:', error);
+    }
+  };
+  
   const handleOpenAddPlayer = (position) => {
     setSelectedPosition(position);
+    setPlayerSearch('');
+    setClaimPlayer(null);
     // Fetch available players
     fetchAvailablePlayers(position);
     onOpen();
   };
   
-  const fetchAvailablePlayers = async (position) => {
+  const fetchAvailablePlayers = async (position, search = '') => {
+    const searchId = ++latestSearchRef.current;
+    
     try {
-      const allPlayers = await getPlayers();
+      // FLEX slots and the bench can take any position
+      const positionFilter = position.startsWith('FLEX') || position === 'BENCH' ? undefined : position;
+      
+      // Teams in a league can only add that league's free agents
+      if (team.leagueId) {
+        const freeAgents = await getFreeAgents(team.leagueId, { position: positionFilter, search });
+        if (searchId === latestSearchRef.current) {
+          setAvailablePlayers(freeAgents);
+        }
+        return;
+      }
       
-      // Filter by position except for FLEX which can be any position
-      let filteredPlayers = position === 'FLEX' 
-        ? allPlayers 
-        : allPlayers.filter(p => p.position === position);
+      const allPlayers = await getPlayers();
+      const searchText = search.toLowerCase();
       
-      // Filter out players already on this team
-      const teamPlayerIds = Object.values(team.players)
-        .filter(p => p !== null)
-        .map(p => typeof p === 'object' ? p.id : p);
+      let filteredPlayers = allPlayers.filter(p => 
+        (!positionFilter || p.position === positionFilter) &&
+        (!searchText || p.name.toLowerCase().includes(searchText) || p.team.toLowerCase().includes(searchText))
+      );
       
-      filteredPlayers = filteredPlayers.filter(p => !teamPlayerIds.includes(p.id));
+      // Filter out players already on this team, and anyone who can't play the slot
+      filteredPlayers = filteredPlayers.filter(p => 
+        !rosterPlayers.some(player => player.id === p.id) && canPlaySlot(p.position, position)
+      );
       
       setAvailablePlayers(filteredPlayers);
     } catch (error) {
@@ -88,6 +289,73 @@ const TeamDetail = () => {
     }
   };
   
+  const handleOpenClaim = (player) => {
+    setClaimPlayer(player);
+    setClaimDropId('');
+    setClaimBid('');
+  };
+  
+  const handleSubmitClaim = async () => {
+    try {
+      await submitWaiverClaim(team.leagueId, claimPlayer.id, claimDropId, claimBid);
+      
+      toast({
+        title: 'Claim Submitted',
+        description: `Your claim for ${claimPlayer.name} will be processed when they clear waivers`,
+        status: 'success',
+        duration: 3000,
+      });
+      
+      setClaimPlayer(null);
+      fetchWaivers();
+      onClose();
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to submit claim',
+        status: 'error',
+        duration: 3000,
+      });
+    }
+  };
+  
+  const handleCancelClaim = async (claimId) => {
+    try {
+      await cancelWaiverClaim(team.leagueId, claimId);
+      fetchWaivers();
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to cancel claim',
+        status: 'error',
+        duration: 3000,
+      });
+    }
+  };
+  
+  // Move a rostered player to another slot; whoever is there swaps into their old slot
+  const handleMovePlayer = async (player, slot) => {
+    try {
+      await addPlayerToTeam(team.id, player.id, slot);
+      
+      toast({
+        title: 'Player Moved',
+        description: `${player.name} moved to ${slot}`,
+        status: 'success',
+        duration: 3000,
+      });
+      
+      fetchTeam();
+    } catch (error) {
+      toast({
+        title: 'Error',
+        description: error.message || 'Failed to move player',
+        status: 'error',
+        duration: 3000,
+      });
+    }
+  };
+  
   const handleRemovePlayer = async (playerId) => {
     try {
       await removePlayerFromTeam(team.id, playerId);
@@ -153,6 +421,80 @@ const TeamDetail = () => {
     );
   }
   
+  const { rosterTemplate, startingSlots } = roster;
+  const bench = team.players.BENCH || [];
+  const reserve = team.players.IR || [];
+  const rosterPlayers = [
+    ...startingSlots.map(slot => team.players[slot]),
+    ...bench,
+    ...reserve
+  ].filter(Boolean);
+  
+  // Slots a player could move to from where they are now
+  const moveTargets = (player, fromSlot) => [
+    ...startingSlots,
+    ...(rosterTemplate.bench > 0 ? ['BENCH'] : []),
+    ...(rosterTemplate.reserve > 0 ? ['IR'] : [])
+  ].filter(slot => slot !== fromSlot && canPlaySlot(player.position, slot));
+  
+  const renderMoveSelect = (player, fromSlot) => {
+    const lock = lineupLocks[player.id];
+    return (
+      <Select
+        size="sm"
+        maxW="130px"
+        placeholder="Move to..."
+        value=""
+        bg="gray.700"
+        borderColor="gray.600"
+        isDisabled={lock?.locked}
+        onChange={(e) => e.target.value && handleMovePlayer(player, e.target.value)}
+      >
+        {moveTargets(player, fromSlot).map(slot => (
+          <option key={slot} value={slot}>{slot}</option>
+        ))}
+      </Select>
+    );
+  };
+  
+  // Bench and reserve players, with the slot they're in
+  const renderListRows = (players, slot) => players.map(player => {
+    const lock = lineupLocks[player.id];
+    return (
+      <Tr key={player.id} _hover={{ bg: "gray.700" }}>
+        <Td>
+          <Badge py={1} px={2} colorScheme={slotColor(player.position)}>{player.position}</Badge>
+        </Td>
+        <Td>
+          <Link as={RouterLink} to={`/players/${player.id}`} color="yellow.300" fontWeight="semibold" _hover={{ color: "yellow.200" }}>
+            {player.name}
+          </Link>
+        </Td>
+        <Td color="white">{player.fantasyPoints.toFixed(1)}</Td>
+        <Td>
+          <Flex gap={2} justify="flex-end">
+            {renderMoveSelect(player, slot)}
+            <Button 
+              size="sm" 
+              colorScheme="red" 
+              variant="ghost"
+              _hover={{ bg: "rgba(255, 69, 58, 0.15)" }}
+              isDisabled={lock?.locked}
+              onClick={() => handleRemovePlayer(player.id)}
+            >
+              Remove
+            </Button>
+          </Flex>
+        </Td>
+      </Tr>
+    );
+  });
+  const pendingClaims = (waivers?.claims || []).filter(claim => claim.status === 'pending');
+  const openTrades = trades.filter(trade => trade.status === 'pending' || trade.status === 'review');
+  const recentTrades = trades.filter(trade => trade.status !== 'pending' && trade.status !== 'review').slice(0, 5);
+  const isFaab = waivers?.settings.mode === 'faab';
+  const myFaab = waivers?.priority.find(entry => entry.teamId === team.id)?.faabBalance;
+  
   return (
     <Box>
       <Flex mb={4} align="center" justifyContent="flex-start" width="100%">
@@ -209,32 +551,32 @@ const TeamDetail = () => {
             </Tr>
           </Thead>
           <Tbody>
-            {['TOP', 'JUNGLE', 'MID', 'ADC', 'SUPPORT', 'FLEX'].map(position => {
+            {startingSlots.map(position => {
               const player = team.players[position];
+              const lock = player ? lineupLocks[player.id] : null;
               
               return (
                 <Tr key={position} _hover={{ bg: "gray.700" }}>
                   <Td>
-                    <Badge 
-                      py={1} 
-                      px={2}
-                      colorScheme={
-                        position === 'TOP' ? 'red' :
-                        position === 'JUNGLE' ? 'green' :
-                        position === 'MID' ? 'purple' :
-                        position === 'ADC' ? 'orange' :
-                        position === 'SUPPORT' ? 'blue' :
-                        'gray'
-                      }
-                    >
+                    <Badge py={1} px={2} colorScheme={slotColor(position)}>
                       {position}
                     </Badge>
                   </Td>
                   <Td>
                     {player ? (
-                      <Link as={RouterLink} to={`/players/${player.id}`} color="yellow.300" fontWeight="semibold" _hover={{ color: "yellow.200" }}>
-                        {player.name}
-                      </Link>
+                      <Box>
+                        <Link as={RouterLink} to={`/players/${player.id}`} color="yellow.300" fontWeight="semibold" _hover={{ color: "yellow.200" }}>
+                          {player.name}
+                        </Link>
+                        {lock?.kickoff && (
+                          <Flex align="center" gap={1} fontSize="xs" color={lock.locked ? 'red.300' : 'gray.400'}>
+                            {lock.locked ? <LockIcon /> : <TimeIcon />}
+                            <Text>
+                              {lock.locked ? 'Locked since' : 'Kickoff'} {new Date(lock.kickoff).toLocaleString()}
+                            </Text>
+                          </Flex>
+                        )}
+                      </Box>
                     ) : (
                       <Button 
                         size="sm" 
@@ -249,15 +591,20 @@ const TeamDetail = () => {
                   <Td color="white">{player ? player.fantasyPoints.toFixed(1) : '-'}</Td>
                   <Td>
                     {player && (
-                      <Button 
-                        size="sm" 
-                        colorScheme="red" 
-                        variant="ghost"
-                        _hover={{ bg: "rgba(255, 69, 58, 0.15)" }}
-                        onClick={() => handleRemovePlayer(player.id)}
-                      >
-                        Remove
-                      </Button>
+                      <Flex gap={2} justify="flex-end">
+                        {renderMoveSelect(player, position)}
+                        <Button 
+                          size="sm" 
+                          colorScheme="red" 
+                          variant="ghost"
+                          _hover={{ bg: "rgba(255, 69, 58, 0.15)" }}
+                          isDisabled={lock?.locked}
+                          title={lock?.locked ? "This player's match has started; their slot is locked for the week" : undefined}
+                          onClick={() => handleRemovePlayer(player.id)}
+                        >
+                          Remove
+                        </Button>
+                      </Flex>
                     )}
                   </Td>
                 </Tr>
@@ -265,8 +612,221 @@ const TeamDetail = () => {
             })}
           </Tbody>
         </Table>
+        
+        {rosterTemplate.bench > 0 && (
+          <>
+            <Flex justify="space-between" align="center" mt={6} mb={2}>
+              <Heading size="sm" color="white">Bench ({bench.length}/{rosterTemplate.bench})</Heading>
+              {bench.length < rosterTemplate.bench && (
+                <Button size="sm" variant="outline" colorScheme="yellow" onClick={() => handleOpenAddPlayer('BENCH')}>
+                  Add to Bench
+                </Button>
+              )}
+            </Flex>
+            {bench.length > 0 ? (
+              <Table variant="simple" size="sm">
+                <Tbody>{renderListRows(bench, 'BENCH')}</Tbody>
+              </Table>
+            ) : (
+              <Text color="gray.500" fontSize="sm">Nobody on the bench</Text>
+            )}
+          </>
+        )}
+        
+        {(rosterTemplate.reserve > 0 || reserve.length > 0) && (
+          <>
+            <Heading size="sm" color="white" mt={6} mb={2}>
+              Reserve ({reserve.length}/{rosterTemplate.reserve})
+            </Heading>
+            <Text color="gray.500" fontSize="xs" mb={2}>
+              Reserve players stay on your roster but don't score or take a bench spot.
+            </Text>
+            {reserve.length > 0 && (
+              <Table variant="simple" size="sm">
+                <Tbody>{renderListRows(reserve, 'IR')}</Tbody>
+              </Table>
+            )}
+          </>
+        )}
       </Box>
       
+      {keepers?.keeperSettings.mode === 'keeper' && (
+        <Box bg="gray.800" p={5} mt={6} rounded="md" shadow="lg" borderWidth={1} borderColor="gray.700">
+          <Flex justify="space-between" align="center" mb={2}>
+            <Heading size="md" color="white">Keepers</Heading>
+            <Text color="gray.400" fontSize="sm">
+              {keeperIds.length}/{keepers.keeperSettings.maxKeepers} chosen
+            </Text>
+          </Flex>
+          <Text color="gray.500" fontSize="sm" mb={4}>
+            Keepers stay on your team next season and take the place of one of your draft picks.
+          </Text>
+          <SimpleGrid columns={{ base: 1, md: 2 }} spacing={2} mb={4}>
+            {rosterPlayers.map(player => {
+              const saved = keepers.keepers.find(keeper => keeper.playerId === player.id);
+              return (
+                <Flex key={player.id} justify="space-between" align="center">
+                  <Checkbox
+                    isChecked={keeperIds.includes(player.id)}
+                    isDisabled={!keeperIds.includes(player.id) && keeperIds.length >= keepers.keeperSettings.maxKeepers}
+                    onChange={() => toggleKeeper(player.id)}
+                    color="white"
+                  >
+                    {player.name}
+                  </Checkbox>
+                  {saved && <Badge colorScheme="purple">Round {saved.round}</Badge>}
+                </Flex>
+              );
+            })}
+          </SimpleGrid>
+          <Button size="sm" colorScheme="purple" onClick={handleSaveKeepers}>
+            Save Keepers
+          </Button>
+        </Box>
+      )}
+      
+      {trades.length > 0 && (
+        <Box bg="gray.800" p={5} mt={6} rounded="md" shadow="lg" borderWidth={1} borderColor="gray.700">
+          <Heading size="md" mb={4} color="white">Trade Offers</Heading>
+          {openTrades.length === 0 && (
+            <Text color="gray.400" mb={4}>No open trade offers.</Text>
+          )}
+          {[...openTrades, ...recentTrades].map(trade => {
+            const isAwaiting = trade.awaitingTeamIds.includes(team.id);
+            const isProposer = trade.proposingTeamId === team.id;
+            
+            return (
+              <Box key={trade.id} p={4} mb={3} bg="gray.900" rounded="md">
+                <Flex justify="space-between" align="center" mb={3}>
+                  <Text color="gray.300" fontSize="sm">
+                    {isProposer ? 'You offered' : `${trade.teams.find(entry => entry.teamId === trade.proposingTeamId)?.name} offered`}
+                    {trade.counterOf && ' (counter-offer)'}
+                    {' '}{new Date(trade.createdAt).toLocaleDateString()}
+                  </Text>
+                  <Badge
+                    colorScheme={
+                      trade.status === 'accepted' ? 'green' :
+                      trade.status === 'pending' ? 'yellow' :
+                      trade.status === 'review' ? 'orange' :
+                      'gray'
+                    }
+                    title={trade.reason || undefined}
+                  >
+                    {trade.status}
+                  </Badge>
+                </Flex>
+                
+                <TradeAssets assets={trade.assets} teams={trade.teams} drops={trade.drops} />
+                
+                {trade.status === 'pending' && (
+                  <Flex justify="space-between" align="center" mt={3} wrap="wrap" gap={2}>
+                    <Text color="gray.500" fontSize="xs">
+                      {trade.awaitingTeamIds.length > 0
+                        ? `Waiting on ${trade.awaitingTeamIds.map(teamId => trade.teams.find(entry => entry.teamId === teamId)?.name).join(', ')}`
+                        : ''}
+                    </Text>
+                    <Flex gap={2}>
+                      <Button size="sm" variant="outline" colorScheme="blue" onClick={() => toggleTradeAnalysis(trade)}>
+                        {tradeAnalyses[trade.id] ? 'Hide Analysis' : 'Analyze'}
+                      </Button>
+                      {isAwaiting && (
+                        <>
+                          <Button size="sm" colorScheme="green" isLoading={busyTradeId === trade.id} onClick={() => handleTradeAction(trade, acceptTrade)}>
+                            Accept
+                          </Button>
+                          <Button size="sm" colorScheme="yellow" variant="outline" onClick={() => navigate(`/trade/${trade.proposingTeamId}?counter=${trade.id}`)}>
+                            Counter
+                          </Button>
+                        </>
+                      )}
+                      {!isProposer && (
+                        <Button size="sm" colorScheme="red" variant="ghost" isDisabled={busyTradeId === trade.id} onClick={() => handleTradeAction(trade, rejectTrade)}>
+                          Reject
+                        </Button>
+                      )}
+                      {isProposer && (
+                        <Button size="sm" colorScheme="red" variant="ghost" isLoading={busyTradeId === trade.id} onClick={() => handleTradeAction(trade, cancelTrade)}>
+                          Cancel Offer
+                        </Button>
+                      )}
+                    </Flex>
+                  </Flex>
+                )}
+                
+                {trade.status === 'pending' && tradeAnalyses[trade.id] && (
+                  <Box mt={3}>
+                    <TradeAnalysis analysis={tradeAnalyses[trade.id]} />
+                  </Box>
+                )}
+              </Box>
+            );
+          })}
+        </Box>
+      )}
+      
+      {waivers && (
+        <Box bg="gray.800" p={5} mt={6} rounded="md" shadow="lg" borderWidth={1} borderColor="gray.700">
+          <Flex justify="space-between" align="center" mb={4}>
+            <Heading size="md" color="white">Waiver Claims</Heading>
+            <Text color="gray.400" fontSize="sm">
+              {isFaab
+                ? `FAAB remaining: $${myFaab}`
+                : `Waiver priority: #${waivers.priority.find(entry => entry.teamId === team.id)?.rank || '-'}`}
+            </Text>
+          </Flex>
+          {waivers.claims.length > 0 ? (
+            <Table variant="simple" size="sm">
+              <Thead bg="gray.900">
+                <Tr>
+                  <Th color="gray.400">Player</Th>
+                  <Th color="gray.400">Drop</Th>
+                  {isFaab && <Th color="gray.400">Bid</Th>}
+                  <Th color="gray.400">Status</Th>
+                  <Th></Th>
+                </Tr>
+              </Thead>
+              <Tbody>
+                {waivers.claims.slice(0, 10).map(claim => (
+                  <Tr key={claim.id}>
+                    <Td color="white">{claim.playerName}</Td>
+                    <Td color="gray.300">{claim.dropPlayerName || '-'}</Td>
+                    {isFaab && <Td color="gray.300">${claim.bid}</Td>}
+                    <Td>
+                      <Badge
+                        colorScheme={
+                          claim.status === 'won' ? 'green' :
+                          claim.status === 'pending' ? 'yellow' :
+                          'gray'
+                        }
+                        title={claim.reason || undefined}
+                      >
+                        {claim.status}
+                      </Badge>
+                    </Td>
+                    <Td>
+                      {claim.status === 'pending' && (
+                        <Button size="xs" colorScheme="red" variant="ghost" onClick={() => handleCancelClaim(claim.id)}>
+                          Cancel
+                        </Button>
+                      )}
+                    </Td>
+                  </Tr>
+                ))}
+              </Tbody>
+            </Table>
+          ) : (
+            <Text color="gray.400">
+              No waiver claims yet. Players on waivers show a Claim button when you add a player.
+            </Text>
+          )}
+          {pendingClaims.length > 0 && (
+            <Text color="gray.500" fontSize="xs" mt={2}>
+              Pending claims are processed once the player clears waivers.
+            </Text>
+          )}
+        </Box>
+      )}
+      
       <Modal isOpen={isOpen} onClose={onClose} size="xl">
         <ModalOverlay backdropFilter="blur(10px)" />
         <ModalContent bg="gray.800" color="white" borderRadius="lg">
@@ -275,6 +835,51 @@ const TeamDetail = () => {
           </ModalHeader>
           <ModalCloseButton />
           <ModalBody pb={6}>
+            {claimPlayer && (
+              <Box mb={4} p={4} bg="gray.700" rounded="md">
+                <Text fontWeight="semibold" mb={3}>Claim {claimPlayer.name} off waivers</Text>
+                <Flex gap={3} align="center" wrap="wrap">
+                  <Select
+                    value={claimDropId}
+                    onChange={(e) => setClaimDropId(e.target.value)}
+                    bg="gray.800"
+                    borderColor="gray.600"
+                    maxW="220px"
+                  >
+                    <option value="">Don't drop anyone</option>
+                    {rosterPlayers.map(player => (
+                      <option key={player.id} value={player.id}>Drop {player.name}</option>
+                    ))}
+                  </Select>
+                  {isFaab && (
+                    <Input
+                      type="number"
+                      min={0}
+                      max={myFaab}
+                      placeholder={`Bid ($0-$${myFaab})`}
+                      value={claimBid}
+                      onChange={(e) => setClaimBid(e.target.value)}
+                      bg="gray.800"
+                      borderColor="gray.600"
+                      maxW="160px"
+                    />
+                  )}
+                  <Button colorScheme="yellow" onClick={handleSubmitClaim}>Submit Claim</Button>
+                  <Button variant="ghost" onClick={() => setClaimPlayer(null)}>Cancel</Button>
+                </Flex>
+              </Box>
+            )}
+            <Input
+              placeholder="Search by player or team"
+              value={playerSearch}
+              onChange={(e) => {
+                setPlayerSearch(e.target.value);
+                fetchAvailablePlayers(selectedPosition, e.target.value);
+              }}
+              mb={4}
+              bg="gray.700"
+              borderColor="gray.600"
+            />
             {availablePlayers.length > 0 ? (
               <Table variant="simple">
                 <Thead bg="gray.900">
@@ -291,29 +896,38 @@ const TeamDetail = () => {
                       <Td>
                         <Text fontWeight="semibold" color="white">{player.name}</Text>
                         <Text fontSize="sm" color="gray.400">{player.team}</Text>
+                        {player.waiverClearsAt && (
+                          <Badge colorScheme="orange" mt={1}>
+                            Waivers until {new Date(player.waiverClearsAt).toLocaleString()}
+                          </Badge>
+                        )}
                       </Td>
                       <Td>
-                        <Badge 
-                          colorScheme={
-                            player.position === 'TOP' ? 'red' :
-                            player.position === 'JUNGLE' ? 'green' :
-                            player.position === 'MID' ? 'purple' :
-                            player.position === 'ADC' ? 'orange' :
-                            'blue'
-                          }
-                        >
+                        <Badge colorScheme={slotColor(player.position)}>
                           {player.position}
                         </Badge>
                       </Td>
                       <Td color="white">{player.fantasyPoints.toFixed(1)}</Td>
                       <Td>
-                        <Button 
-                          size="sm" 
-                          colorScheme="yellow"
-                          onClick={() => handleAddPlayer(player.id)}
-                        >
-                          Add
-                        </Button>
+                        {player.waiverClearsAt ? (
+                          <Button 
+                            size="sm" 
+                            colorScheme="orange"
+                            variant="outline"
+                            isDisabled={!waivers}
+                            onClick={() => handleOpenClaim(player)}
+                          >
+                            Claim
+                          </Button>
+                        ) : (
+                          <Button 
+                            size="sm" 
+                            colorScheme="yellow"
+                            onClick={() => handleAddPlayer(player.id)}
+                          >
+                            Add
+                          </Button>
+                        )}
                       </Td>
                     </Tr>
                   ))}
@@ -321,7 +935,7 @@ const TeamDetail = () => {
               </Table>
             ) : (
               <Text color="gray.400" textAlign="center" py={4}>
-                No available players for this position
+                No free agents available for this position
               </Text>
             )}
           </ModalBody>
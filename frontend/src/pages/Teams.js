@@ -45,7 +45,7 @@ const TeamCard = ({ team }) => {
       </Text>
       
       <Flex direction="column" gap={3}>
-        {['TOP', 'JUNGLE', 'MID', 'ADC', 'SUPPORT', 'FLEX'].map(position => (
+        {(team.startingSlots || ['TOP', 'JUNGLE', 'MID', 'ADC', 'SUPPORT', 'FLEX']).map(position => (
           <Flex 
             key={position} 
             justify="space-between" 
@@ -66,6 +66,7 @@ const TeamCard = ({ team }) => {
                 position === 'MID' ? 'purple' :
                 position === 'ADC' ? 'orange' :
                 position === 'SUPPORT' ? 'blue' :
+                position === 'TEAM' ? 'teal' :
                 'gray'
               }
               fontWeight="bold"
@@ -88,6 +89,7 @@ const TeamCard = ({ team }) => {
       <Flex justify="space-between" mt={4} pt={4} borderTopWidth={1} borderColor="gray.600">
         <Text fontSize="sm" color="gray.400">
           Bench Players: {team.players && team.players.BENCH?.length || 0}
+          {team.players?.IR?.length > 0 && ` · Reserve: ${team.players.IR.length}`}
         </Text>
         <Text fontWeight="bold" color="yellow.300" fontSize="lg">
           {(team.totalPoints || 0).toFixed(1)} pts
@@ -1,38 +1,54 @@
-import React, { useEffect, useState } from 'react';
-import { useParams, useNavigate, Link as RouterLink } from 'react-router-dom';
+import React, { useEffect, useRef, useState } from 'react';
+import { useParams, useNavigate, useLocation, Link as RouterLink } from 'react-router-dom';
 import {
-  Box, Heading, Text, Flex, Button, SimpleGrid,
+  Box, Heading, Text, Flex, Button, SimpleGrid, Select, Wrap, WrapItem,
   Table, Thead, Tbody, Tr, Th, Td, Badge, Link,
-  Spinner, useToast, Center, HStack, VStack,
+  Spinner, useToast, Center, HStack,
   Modal, ModalOverlay, ModalContent, ModalHeader,
   ModalBody, ModalFooter, ModalCloseButton, useDisclosure,
   Alert, AlertIcon, AlertTitle, AlertDescription
 } from '@chakra-ui/react';
 import { useApi } from '../context/ApiContext';
 import { useAuth } from '../context/AuthContext';
+import TradeAssets, { describePick } from '../components/TradeAssets';
+import TradeAnalysis from '../components/TradeAnalysis';
+
+const MAX_TRADE_TEAMS = 4;
+
+const pickKey = pick => `${pick.season}:${pick.round}:${pick.originalTeamId}`;
 
 const Trade = () => {
   const { id: targetTeamId } = useParams();
+  const location = useLocation();
+  const counterId = new URLSearchParams(location.search).get('counter');
   const navigate = useNavigate();
   const toast = useToast();
-  const { getTeamById, getLeagueById, loading } = useApi();
+  const {
+    getTeamById, getLeagueById, getTradeReview, getTrade, getDraftPicks, proposeTrade, counterTrade, analyzeTrade, loading
+  } = useApi();
   const { user } = useAuth();
-  const [targetTeam, setTargetTeam] = useState(null);
   const [userTeam, setUserTeam] = useState(null);
-  const [userTeams, setUserTeams] = useState([]);
-  const [selectedUserPlayers, setSelectedUserPlayers] = useState([]);
-  const [selectedTargetPlayers, setSelectedTargetPlayers] = useState([]);
+  const [leagueTeams, setLeagueTeams] = useState([]);
+  const [teams, setTeams] = useState({}); // Team ID -> team with its roster, for every team in the trade
+  const [tradeTeamIds, setTradeTeamIds] = useState([]); // The user's team first, then the teams they're trading with
+  const [draftPicks, setDraftPicks] = useState(null); // { seasons, rounds, teams: [{ teamId, picks }] }
+  const [startingSlots, setStartingSlots] = useState(['TOP', 'JUNGLE', 'MID', 'ADC', 'SUPPORT', 'FLEX']);
+  const [tradeSettings, setTradeSettings] = useState(null);
+  const [assets, setAssets] = useState([]); // Players and picks changing hands, each with the team getting it
+  const [drops, setDrops] = useState([]); // Players released to make roster room
+  const [counterOf, setCounterOf] = useState(null); // The trade being countered
+  const [analysis, setAnalysis] = useState(null);
+  const latestAnalysisRef = useRef(0); // Ignore analyses of offers that have since changed
   const { isOpen, onOpen, onClose } = useDisclosure();
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState(null);
 
-  // Fetch the target team and the user's team in the same league
+  // Fetch the target team, the user's team in the same league and, for a counter-offer, the trade it answers
   useEffect(() => {
     const fetchTeams = async () => {
       try {
         // Fetch the target team first
         const targetTeamData = await getTeamById(targetTeamId);
-        setTargetTeam(targetTeamData);
 
         if (!targetTeamData) {
           setError("Team not found");
@@ -46,21 +62,48 @@ const Trade = () => {
           setError("League not found");
           return;
         }
+        if (leagueData.startingSlots) {
+          setStartingSlots(leagueData.startingSlots);
+        }
+        setLeagueTeams(leagueData.teams.filter(team => typeof team === 'object'));
+        getTradeReview(leagueData.id)
+          .then(review => setTradeSettings(review.settings))
+          .catch(err => console.error("Error fetching trade settings:", err));
+        getDraftPicks(leagueData.id)
+          .then(setDraftPicks)
+          .catch(err => console.error("Error fetching draft picks:", err));
 
         // Find user's team in the same league
-        const userTeamsInLeague = leagueData.teams.filter(team => {
-          const teamObj = typeof team === 'object' ? team : { userId: team.userId };
-          return teamObj.userId === user.id;
-        });
-
-        setUserTeams(userTeamsInLeague);
-
-        if (userTeamsInLeague.length > 0) {
-          // User has a team in this league, fetch its details
-          const userTeamData = await getTeamById(userTeamsInLeague[0].id);
-          setUserTeam(userTeamData);
-        } else {
+        const userTeamInLeague = leagueData.teams.find(team => typeof team === 'object' && team.userId === user.id);
+        
+        if (!userTeamInLeague) {
           setError("You don't have a team in this league");
+          return;
+        }
+        
+        const userTeamData = await getTeamById(userTeamInLeague.id);
+        setUserTeam(userTeamData);
+        
+        let teamIds = [userTeamData.id, targetTeamData.id];
+        const original = counterId ? await getTrade(counterId) : null;
+        if (original) {
+          // Start the counter-offer from the offer it answers
+          const originalTeamIds = original.teamIds && original.teamIds.length > 0
+            ? original.teamIds
+            : [original.proposingTeamId, original.receivingTeamId];
+          teamIds = [...new Set([...teamIds, ...originalTeamIds])];
+          setCounterOf(original);
+          setDrops((original.drops || []).map(({ _id, ...drop }) => drop));
+        }
+        
+        const teamData = await Promise.all(teamIds.map(teamId => (
+          teamId === userTeamData.id ? userTeamData : teamId === targetTeamData.id ? targetTeamData : getTeamById(teamId)
+        )));
+        setTeams(Object.fromEntries(teamData.map(team => [team.id, team])));
+        setTradeTeamIds(teamIds);
+        
+        if (original) {
+          setAssets(original.assets.map(({ _id, ...asset }) => asset));
         }
       } catch (err) {
         console.error("Error fetching teams:", err);
@@ -71,41 +114,100 @@ const Trade = () => {
     if (targetTeamId) {
       fetchTeams();
     }
-  }, [targetTeamId, getTeamById, getLeagueById, user.id]);
+  }, [targetTeamId, counterId, getTeamById, getLeagueById, getTradeReview, getTrade, getDraftPicks, user.id]);
+  
+  // Re-score the offer whenever it changes
+  useEffect(() => {
+    const analysisId = ++latestAnalysisRef.current;
+    if (!userTeam || !assets.some(asset => asset.type === 'player')) {
+      setAnalysis(null);
+      return;
+    }
+    
+    analyzeTrade({
+      proposingTeamId: userTeam.id,
+      assets: assets.map(({ name, position, ...asset }) => asset),
+      drops: drops.map(({ teamId, playerId }) => ({ teamId, playerId }))
+    })
+      .then(result => analysisId === latestAnalysisRef.current && setAnalysis(result))
+      .catch(err => {
+        console.error("Error analyzing trade:", err);
+        if (analysisId === latestAnalysisRef.current) setAnalysis(null);
+      });
+  }, [assets, drops, userTeam, analyzeTrade]);
+  
+  // Anything the user gives goes to the team they came to trade with; anything else comes to the user
+  const defaultRecipient = (fromTeamId) => (fromTeamId === userTeam.id ? targetTeamId : userTeam.id);
 
-  const toggleUserPlayerSelection = (player, position) => {
-    const playerWithPosition = { ...player, position };
-    const isSelected = selectedUserPlayers.some(p => p.id === player.id);
+  const isPlayerInTrade = (playerId) => assets.some(asset => asset.type === 'player' && asset.playerId === playerId);
+  const isPlayerDropped = (playerId) => drops.some(drop => drop.playerId === playerId);
+  const isPickInTrade = (pick) => assets.some(asset => asset.type === 'pick' && pickKey(asset) === pickKey(pick));
 
-    if (isSelected) {
-      setSelectedUserPlayers(selectedUserPlayers.filter(p => p.id !== player.id));
-    } else {
-      setSelectedUserPlayers([...selectedUserPlayers, playerWithPosition]);
+  const togglePlayer = (team, player, position) => {
+    if (isPlayerInTrade(player.id)) {
+      setAssets(assets.filter(asset => asset.type !== 'player' || asset.playerId !== player.id));
+      return;
     }
+    
+    setDrops(drops.filter(drop => drop.playerId !== player.id));
+    setAssets([...assets, {
+      type: 'player',
+      fromTeamId: team.id,
+      toTeamId: defaultRecipient(team.id),
+      playerId: player.id,
+      name: player.name,
+      position
+    }]);
+  };
+  
+  const toggleDrop = (team, player) => {
+    setDrops(isPlayerDropped(player.id)
+      ? drops.filter(drop => drop.playerId !== player.id)
+      : [...drops, { teamId: team.id, playerId: player.id, name: player.name }]);
+  };
+  
+  const togglePick = (teamId, pick) => {
+    setAssets(isPickInTrade(pick)
+      ? assets.filter(asset => asset.type !== 'pick' || pickKey(asset) !== pickKey(pick))
+      : [...assets, { type: 'pick', fromTeamId: teamId, toTeamId: defaultRecipient(teamId), ...pick }]);
   };
 
-  const toggleTargetPlayerSelection = (player, position) => {
-    const playerWithPosition = { ...player, position };
-    const isSelected = selectedTargetPlayers.some(p => p.id === player.id);
+  const setRecipient = (asset, toTeamId) => {
+    setAssets(assets.map(entry => (entry === asset ? { ...entry, toTeamId } : entry)));
+  };
 
-    if (isSelected) {
-      setSelectedTargetPlayers(selectedTargetPlayers.filter(p => p.id !== player.id));
-    } else {
-      setSelectedTargetPlayers([...selectedTargetPlayers, playerWithPosition]);
+  const addTeam = async (teamId) => {
+    try {
+      const team = await getTeamById(teamId);
+      setTeams({ ...teams, [team.id]: team });
+      setTradeTeamIds([...tradeTeamIds, team.id]);
+    } catch (err) {
+      toast({
+        title: 'Error',
+        description: err.message || 'Failed to load team',
+        status: 'error',
+        duration: 3000,
+      });
     }
   };
 
-  const isPlayerSelected = (playerId, isUserTeam) => {
-    return isUserTeam
-      ? selectedUserPlayers.some(p => p.id === playerId)
-      : selectedTargetPlayers.some(p => p.id === playerId);
+  // Take a team back out of the trade along with everything it gives or gets
+  const removeTeam = (teamId) => {
+    setTradeTeamIds(tradeTeamIds.filter(id => id !== teamId));
+    setAssets(assets.filter(asset => asset.fromTeamId !== teamId && asset.toTeamId !== teamId));
+    setDrops(drops.filter(drop => drop.teamId !== teamId));
   };
 
+  // Every team in the trade has to give or get something
+  const idleTeams = tradeTeamIds.filter(teamId => !assets.some(asset => asset.fromTeamId === teamId || asset.toTeamId === teamId));
+  
   const handleProposeTrade = () => {
-    if (selectedUserPlayers.length === 0 || selectedTargetPlayers.length === 0) {
+    if (assets.length === 0 || idleTeams.length > 0) {
       toast({
         title: 'Selection Required',
-        description: 'Please select at least one player from each team',
+        description: idleTeams.length > 0
+          ? `${idleTeams.map(teamId => teams[teamId].name).join(', ')} must give or get something`
+          : 'Please select at least one player or pick to trade',
         status: 'warning',
         duration: 3000,
       });
@@ -120,15 +222,16 @@ const Trade = () => {
     setIsSubmitting(true);
     
     try {
-      // This would be replaced with an actual API call to submit the trade
-      // await submitTradeProposal(userTeam.id, targetTeam.id, selectedUserPlayers, selectedTargetPlayers);
-      
-      // Simulate API call for now
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      const offer = {
+        proposingTeamId: userTeam.id,
+        assets: assets.map(({ name, position, ...asset }) => asset),
+        drops: drops.map(({ teamId, playerId }) => ({ teamId, playerId }))
+      };
+      const result = counterOf ? await counterTrade(counterOf.id, offer) : await proposeTrade(offer);
       
       toast({
-        title: 'Trade Proposed',
-        description: 'Your trade proposal has been sent',
+        title: counterOf ? 'Counter-Offer Sent' : 'Trade Proposed',
+        description: result.message,
         status: 'success',
         duration: 5000,
       });
@@ -140,7 +243,7 @@ const Trade = () => {
         title: 'Error',
         description: err.message || 'Failed to propose trade',
         status: 'error',
-        duration: 3000,
+        duration: 5000,
       });
     } finally {
       setIsSubmitting(false);
@@ -148,15 +251,15 @@ const Trade = () => {
     }
   };
 
-  const cancelTrade = () => {
-    setSelectedUserPlayers([]);
-    setSelectedTargetPlayers([]);
+  const clearTrade = () => {
+    setAssets([]);
+    setDrops([]);
   };
 
-  if (loading) {
+  if (loading && tradeTeamIds.length === 0) {
     return (
       <Center h="200px">
-        <Spinner 
+        <Spinner
           thickness="4px"
           speed="0.65s"
           emptyColor="gray.700"
@@ -172,9 +275,9 @@ const Trade = () => {
       <Box p={6} bg="gray.800" rounded="md" borderWidth={1} borderColor="red.500">
         <Heading size="md" color="red.400" mb={2}>Error</Heading>
         <Text color="gray.300">{error}</Text>
-        <Button 
-          mt={4} 
-          colorScheme="yellow" 
+        <Button
+          mt={4}
+          colorScheme="yellow"
           onClick={() => navigate(-1)}
         >
           Go Back
@@ -183,13 +286,13 @@ const Trade = () => {
     );
   }
 
-  if (!userTeam || !targetTeam) {
+  if (!userTeam || tradeTeamIds.length === 0) {
     return (
       <Box p={6} bg="gray.800" rounded="md" borderWidth={1} borderColor="gray.700">
         <Heading size="md" color="gray.400">Teams Not Found</Heading>
-        <Button 
-          mt={4} 
-          colorScheme="yellow" 
+        <Button
+          mt={4}
+          colorScheme="yellow"
           onClick={() => navigate(-1)}
         >
           Go Back
@@ -198,15 +301,39 @@ const Trade = () => {
     );
   }
 
-  const renderPlayerRow = (position, team, isUserTeam) => {
-    const player = team.players[position];
-    const isSelected = player && isPlayerSelected(player.id, isUserTeam);
+  const tradeTeams = tradeTeamIds.map(teamId => ({ teamId, name: teams[teamId].name }));
+  const addableTeams = leagueTeams.filter(team => !tradeTeamIds.includes(team.id));
+  
+  // Every slot on a team's roster: the league's starting slots, then bench and reserve players
+  const rosterRows = (team) => [
+    ...startingSlots.map(slot => [slot, team.players[slot]]),
+    ...['BENCH', 'IR'].flatMap(slot => (team.players[slot] || []).map(player => [slot, player]))
+  ];
+  
+  const renderRecipientSelect = (asset) => (
+    <Select
+      size="sm"
+      maxW="150px"
+      value={asset.toTeamId}
+      bg="gray.700"
+      borderColor="gray.600"
+      onChange={(e) => setRecipient(asset, e.target.value)}
+    >
+      {tradeTeams.filter(team => team.teamId !== asset.fromTeamId).map(team => (
+        <option key={team.teamId} value={team.teamId}>To {team.name}</option>
+      ))}
+    </Select>
+  );
+  
+  const renderPlayerRow = ([position, player], team) => {
+    const asset = player && assets.find(entry => entry.type === 'player' && entry.playerId === player.id);
+    const isDropped = player && isPlayerDropped(player.id);
     
     return (
-      <Tr key={`${team.id}-${position}`} _hover={{ bg: "gray.700" }}>
+      <Tr key={`${team.id}-${position}-${player ? player.id : ''}`} _hover={{ bg: "gray.700" }}>
         <Td>
-          <Badge 
-            py={1} 
+          <Badge
+            py={1}
             px={2}
             colorScheme={
               position === 'TOP' ? 'red' :
@@ -214,6 +341,7 @@ const Trade = () => {
               position === 'MID' ? 'purple' :
               position === 'ADC' ? 'orange' :
               position === 'SUPPORT' ? 'blue' :
+              position === 'TEAM' ? 'teal' :
               'gray'
             }
           >
@@ -222,11 +350,11 @@ const Trade = () => {
         </Td>
         <Td>
           {player ? (
-            <Link 
-              as={RouterLink} 
-              to={`/players/${player.id}`} 
-              color={isSelected ? "green.300" : "yellow.300"} 
-              fontWeight="semibold" 
+            <Link
+              as={RouterLink}
+              to={`/players/${player.id}`}
+              color={asset ? "green.300" : isDropped ? "red.300" : "yellow.300"}
+              fontWeight="semibold"
               _hover={{ color: "yellow.200" }}
             >
               {player.name}
@@ -238,172 +366,162 @@ const Trade = () => {
         <Td color="white">{player ? player.fantasyPoints?.toFixed(1) || '0.0' : '-'}</Td>
         <Td>
           {player && (
-            <Button 
-              size="sm" 
-              colorScheme={isSelected ? "green" : "yellow"}
-              variant={isSelected ? "solid" : "outline"}
-              onClick={() => isUserTeam 
-                ? toggleUserPlayerSelection(player, position) 
-                : toggleTargetPlayerSelection(player, position)
-              }
-            >
-              {isSelected ? "Selected" : "Select"}
-            </Button>
+            <Flex gap={2} justify="flex-end">
+              {asset && tradeTeams.length > 2 && renderRecipientSelect(asset)}
+              <Button
+                size="sm"
+                colorScheme={asset ? "green" : "yellow"}
+                variant={asset ? "solid" : "outline"}
+                onClick={() => togglePlayer(team, player, position)}
+              >
+                {asset ? "Selected" : "Select"}
+              </Button>
+              {!asset && (
+                <Button
+                  size="sm"
+                  colorScheme="red"
+                  variant={isDropped ? "solid" : "ghost"}
+                  onClick={() => toggleDrop(team, player)}
+                >
+                  {isDropped ? "Dropping" : "Drop"}
+                </Button>
+              )}
+            </Flex>
           )}
         </Td>
       </Tr>
     );
   };
 
+  const renderPicks = (team) => {
+    const owned = draftPicks?.teams.find(entry => entry.teamId === team.id)?.picks || [];
+    if (owned.length === 0) return null;
+    
+    return (
+      <Box mt={4}>
+        <Text color="gray.400" fontSize="sm" mb={2}>Draft picks</Text>
+        <Wrap spacing={2}>
+          {owned.map(pick => {
+            const asset = assets.find(entry => entry.type === 'pick' && pickKey(entry) === pickKey(pick));
+            return (
+              <WrapItem key={pickKey(pick)}>
+                <HStack spacing={1}>
+                  <Button
+                    size="xs"
+                    colorScheme="purple"
+                    variant={asset ? "solid" : "outline"}
+                    onClick={() => togglePick(team.id, pick)}
+                  >
+                    {describePick({ ...pick, fromTeamId: team.id }, leagueTeams.map(entry => ({ teamId: entry.id, name: entry.name })))}
+                  </Button>
+                  {asset && tradeTeams.length > 2 && renderRecipientSelect(asset)}
+                </HStack>
+              </WrapItem>
+            );
+          })}
+        </Wrap>
+      </Box>
+    );
+  };
+  
   return (
     <Box>
-      <Heading mb={6} color="white">Propose Trade</Heading>
+      <Flex justify="space-between" align="center" mb={6} wrap="wrap" gap={4}>
+        <Heading color="white">{counterOf ? 'Counter Trade Offer' : 'Propose Trade'}</Heading>
+        {!counterOf && tradeTeamIds.length < MAX_TRADE_TEAMS && addableTeams.length > 0 && (
+          <Select
+            maxW="250px"
+            placeholder="Add another team..."
+            value=""
+            bg="gray.700"
+            borderColor="gray.600"
+            color="white"
+            onChange={(e) => e.target.value && addTeam(e.target.value)}
+          >
+            {addableTeams.map(team => (
+              <option key={team.id} value={team.id}>{team.name}</option>
+            ))}
+          </Select>
+        )}
+      </Flex>
       
       <SimpleGrid columns={{ base: 1, lg: 2 }} spacing={6}>
-        {/* User's Team */}
-        <Box bg="gray.800" p={5} rounded="md" shadow="lg" borderWidth={1} borderColor="gray.700">
-          <Heading size="md" mb={4} color="white">
-            Your Team: {userTeam.name}
-          </Heading>
-          <Text color="gray.300" fontSize="lg" mb={4}>Select players to offer</Text>
+        {tradeTeamIds.map(teamId => {
+          const team = teams[teamId];
+          const isUserTeam = teamId === userTeam.id;
+          const canRemove = !isUserTeam && teamId !== targetTeamId && !counterOf;
           
-          <Table variant="simple">
-            <Thead bg="gray.900">
-              <Tr>
-                <Th color="gray.400">Position</Th>
-                <Th color="gray.400">Player</Th>
-                <Th color="gray.400">Points</Th>
-                <Th></Th>
-              </Tr>
-            </Thead>
-            <Tbody>
-              {['TOP', 'JUNGLE', 'MID', 'ADC', 'SUPPORT', 'FLEX'].map(position => 
-                renderPlayerRow(position, userTeam, true)
-              )}
-            </Tbody>
-          </Table>
-        </Box>
-        
-        {/* Target Team */}
-        <Box bg="gray.800" p={5} rounded="md" shadow="lg" borderWidth={1} borderColor="gray.700">
-          <Heading size="md" mb={4} color="white">
-            Their Team: {targetTeam.name}
-          </Heading>
-          <Text color="gray.300" fontSize="lg" mb={4}>Select players to receive</Text>
-          
-          <Table variant="simple">
-            <Thead bg="gray.900">
-              <Tr>
-                <Th color="gray.400">Position</Th>
-                <Th color="gray.400">Player</Th>
-                <Th color="gray.400">Points</Th>
-                <Th></Th>
-              </Tr>
-            </Thead>
-            <Tbody>
-              {['TOP', 'JUNGLE', 'MID', 'ADC', 'SUPPORT', 'FLEX'].map(position => 
-                renderPlayerRow(position, targetTeam, false)
-              )}
-            </Tbody>
-          </Table>
-        </Box>
+          return (
+            <Box key={teamId} bg="gray.800" p={5} rounded="md" shadow="lg" borderWidth={1} borderColor="gray.700">
+              <Flex justify="space-between" align="center" mb={4}>
+                <Heading size="md" color="white">
+                  {isUserTeam ? `Your Team: ${team.name}` : `Their Team: ${team.name}`}
+                </Heading>
+                {canRemove && (
+                  <Button size="xs" variant="ghost" colorScheme="red" onClick={() => removeTeam(teamId)}>
+                    Remove
+                  </Button>
+                )}
+              </Flex>
+              <Text color="gray.300" fontSize="lg" mb={4}>
+                {isUserTeam ? 'Select players and picks to offer' : 'Select players and picks to receive'}
+              </Text>
+              
+              <Table variant="simple">
+                <Thead bg="gray.900">
+                  <Tr>
+                    <Th color="gray.400">Position</Th>
+                    <Th color="gray.400">Player</Th>
+                    <Th color="gray.400">Points</Th>
+                    <Th></Th>
+                  </Tr>
+                </Thead>
+                <Tbody>
+                  {rosterRows(team).map(row =>
+                    renderPlayerRow(row, team)
+                  )}
+                </Tbody>
+              </Table>
+              
+              {renderPicks(team)}
+            </Box>
+          );
+        })}
       </SimpleGrid>
       
       {/* Trade Summary */}
       <Box mt={8} bg="gray.800" p={5} rounded="md" shadow="lg" borderWidth={1} borderColor="gray.700">
         <Heading size="md" mb={4} color="white">Trade Summary</Heading>
         
-        <Flex direction={{ base: "column", md: "row" }} justify="space-between">
-          <Box flex="1" mb={{ base: 4, md: 0 }}>
-            <Text color="gray.300" mb={2}>You give:</Text>
-            {selectedUserPlayers.length > 0 ? (
-              <VStack align="flex-start" spacing={1}>
-                {selectedUserPlayers.map(player => (
-                  <HStack key={player.id}>
-                    <Badge colorScheme="red" mr={2}>{player.position}</Badge>
-                    <Text color="white">{player.name}</Text>
-                    <Text color="gray.400">({player.fantasyPoints?.toFixed(1) || '0'} pts)</Text>
-                  </HStack>
-                ))}
-              </VStack>
-            ) : (
-              <Text color="gray.500">No players selected</Text>
-            )}
-          </Box>
-          
-          <Box flex="1">
-            <Text color="gray.300" mb={2}>You receive:</Text>
-            {selectedTargetPlayers.length > 0 ? (
-              <VStack align="flex-start" spacing={1}>
-                {selectedTargetPlayers.map(player => (
-                  <HStack key={player.id}>
-                    <Badge colorScheme="green" mr={2}>{player.position}</Badge>
-                    <Text color="white">{player.name}</Text>
-                    <Text color="gray.400">({player.fantasyPoints?.toFixed(1) || '0'} pts)</Text>
-                  </HStack>
-                ))}
-              </VStack>
-            ) : (
-              <Text color="gray.500">No players selected</Text>
-            )}
-          </Box>
-        </Flex>
+        {assets.length > 0 ? (
+          <TradeAssets assets={assets} teams={tradeTeams} drops={drops} />
+        ) : (
+          <Text color="gray.500">No players or picks selected</Text>
+        )}
         
-        {/* Points Analysis */}
-        {selectedUserPlayers.length > 0 && selectedTargetPlayers.length > 0 && (
-          <Box mt={6} p={4} bg="gray.700" rounded="md">
+        {/* Trade Analysis */}
+        {analysis && (
+          <Box mt={6}>
             <Heading size="sm" mb={3} color="white">Trade Analysis</Heading>
-            <SimpleGrid columns={2} spacing={4}>
-              <Box>
-                <Text color="gray.400">Points Given:</Text>
-                <Text color="white" fontWeight="bold">
-                  {selectedUserPlayers.reduce((sum, p) => sum + (p.fantasyPoints || 0), 0).toFixed(1)}
-                </Text>
-              </Box>
-              <Box>
-                <Text color="gray.400">Points Received:</Text>
-                <Text color="white" fontWeight="bold">
-                  {selectedTargetPlayers.reduce((sum, p) => sum + (p.fantasyPoints || 0), 0).toFixed(1)}
-                </Text>
-              </Box>
-            </SimpleGrid>
-            
-            <Box mt={4}>
-              <Text color="gray.400">Net Fantasy Point Change:</Text>
-              <Text 
-                fontSize="lg" 
-                fontWeight="bold" 
-                color={
-                  selectedTargetPlayers.reduce((sum, p) => sum + (p.fantasyPoints || 0), 0) > 
-                  selectedUserPlayers.reduce((sum, p) => sum + (p.fantasyPoints || 0), 0) 
-                    ? "green.400" 
-                    : "red.400"
-                }
-              >
-                {(
-                  selectedTargetPlayers.reduce((sum, p) => sum + (p.fantasyPoints || 0), 0) - 
-                  selectedUserPlayers.reduce((sum, p) => sum + (p.fantasyPoints || 0), 0)
-                ).toFixed(1)}
-              </Text>
-            </Box>
+            <TradeAnalysis analysis={analysis} />
           </Box>
         )}
         
         {/* Action Buttons */}
         <HStack mt={6} spacing={4} justify="flex-end">
-          <Button 
-            variant="outline" 
-            colorScheme="red" 
-            onClick={cancelTrade}
+          <Button
+            variant="outline"
+            colorScheme="red"
+            onClick={clearTrade}
           >
-            Cancel
+            Clear
           </Button>
-          <Button 
-            colorScheme="yellow" 
-            isDisabled={selectedUserPlayers.length === 0 || selectedTargetPlayers.length === 0}
+          <Button
+            colorScheme="yellow"
+            isDisabled={assets.length === 0}
             onClick={handleProposeTrade}
           >
-            Propose Trade
+            {counterOf ? 'Send Counter-Offer' : 'Propose Trade'}
           </Button>
         </HStack>
       </Box>
@@ -413,7 +531,7 @@ const Trade = () => {
         <ModalOverlay backdropFilter="blur(10px)" />
         <ModalContent bg="gray.800" color="white">
           <ModalHeader borderBottomWidth="1px" borderColor="gray.700">
-            Confirm Trade Proposal
+            {counterOf ? 'Confirm Counter-Offer' : 'Confirm Trade Proposal'}
           </ModalHeader>
           <ModalCloseButton />
           <ModalBody py={6}>
@@ -421,12 +539,16 @@ const Trade = () => {
               <AlertIcon />
               <AlertTitle mr={2}>Note:</AlertTitle>
               <AlertDescription>
-                This trade requires approval from the other team owner.
+                This trade requires approval from {tradeTeams.length > 2 ? 'every other team owner' : 'the other team owner'}.
+                {counterOf && ' Your counter-offer replaces the offer you were sent.'}
+                {tradeSettings?.reviewMode === 'commissioner' && ` Once accepted, the commissioner has ${tradeSettings.reviewHours} hours to review it before it goes through.`}
+                {tradeSettings?.reviewMode === 'league' && ` Once accepted, the rest of the league has ${tradeSettings.reviewHours} hours to vote on it before it goes through.`}
               </AlertDescription>
             </Alert>
             
             <Text mb={4}>
-              You're proposing to trade {selectedUserPlayers.length} player(s) from your team for {selectedTargetPlayers.length} player(s) from {targetTeam.name}.
+              You're proposing a {tradeTeams.length}-team trade moving {assets.length} player(s) and pick(s)
+              {drops.length > 0 && ` and dropping ${drops.length} player(s)`}.
             </Text>
             
             <Text fontWeight="bold">Are you sure you want to proceed?</Text>
@@ -435,9 +557,9 @@ const Trade = () => {
             <Button colorScheme="gray" mr={3} onClick={onClose}>
               Cancel
             </Button>
-            <Button 
-              colorScheme="yellow" 
-              isLoading={isSubmitting} 
+            <Button
+              colorScheme="yellow"
+              isLoading={isSubmitting}
               onClick={submitTrade}
             >
               Submit Trade